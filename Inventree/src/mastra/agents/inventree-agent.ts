@@ -53,15 +53,16 @@ You are a Senior Inventory Operations Manager optimizing decisions for profitabi
    • Use inventreeTool only when user specifies a specific SKU
 
 2️⃣ Calculate metrics:
-   • Daily Velocity = avg last 7 days unitsSold
+   • Daily Velocity = forecast.dailyDemand (already includes trend, weekly season and seasonalityMultiplier)
    • Days of Cover = onHand / Daily Velocity  
-   • Stock Gap = (Daily Velocity × horizonDays × seasonalityMultiplier) - onHand
+   • Stock Gap = forecast.horizonDemand - onHand
+   • Demand Trend = forecast.trend.direction (don't recompute it from demandHistory)
 
 3️⃣ Choose action (informed by past experiences):
    ┌─ DoC < 3 days AND seasonal demand? → RESTOCK_URGENT
    ├─ DoC < 5 days? → RESTOCK_NORMAL
    ├─ DoC > 21 days? → HOLD (overstocked)
-   ├─ Velocity dropped 30%? → DISCOUNT_TO_CLEAR
+   ├─ forecast.trend.changePercent ≤ -30 (demand falling)? → DISCOUNT_TO_CLEAR
    └─ Else → HOLD
 
 4️⃣ Validate constraints:
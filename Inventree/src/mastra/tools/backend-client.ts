@@ -0,0 +1,25 @@
+import type { RuntimeContext } from '@mastra/core/runtime-context';
+
+// The Inventree backend. Agent runs it starts carry a short-lived service token
+// in their runtime context; tools send it with every call so the backend knows
+// which organization they are working for.
+const BACKEND_URL = process.env.INVENTREE_BACKEND_URL || 'http://localhost:3000';
+
+export const backendFetch = async (
+  runtimeContext: RuntimeContext | undefined,
+  path: string,
+  init: RequestInit = {},
+): Promise<Response> => {
+  const token = runtimeContext?.get('serviceToken') as string | undefined;
+  if (!token) {
+    throw new Error('No service token for the Inventree backend; agent runs must be started by the backend');
+  }
+
+  return fetch(`${BACKEND_URL}${path}`, {
+    ...init,
+    headers: {
+      ...(init.headers as Record<string, string> | undefined),
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
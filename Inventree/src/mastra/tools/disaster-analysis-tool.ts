@@ -1,8 +1,8 @@
 import { createTool } from '@mastra/core/tools';
 import { z } from 'zod';
+import { backendFetch } from './backend-client';
 
 const disasterAnalysisInputSchema = z.object({
-  userId: z.string().default('user123').describe('User ID'),
   newsContext: z.string().optional().describe('Current logistics news context'),
 });
 
@@ -34,10 +34,10 @@ export const disasterAnalysisTool = createTool({
   description: 'Analyze current inventory and logistics news to detect potential disaster scenarios and identify necessary products for emergency response. Returns disaster alerts with product recommendations by warehouse.',
   inputSchema: disasterAnalysisInputSchema,
   outputSchema: disasterAnalysisOutputSchema,
-  execute: async ({ context }) => {
+  execute: async ({ context, runtimeContext }) => {
     try {
       // Fetch inventory data
-      const response = await fetch(`http://localhost:3000/api/inventory?userId=${context.userId}`);
+      const response = await backendFetch(runtimeContext, '/api/inventory');
       if (!response.ok) {
         throw new Error('Failed to fetch inventory');
       }
@@ -1,11 +1,13 @@
 import { createTool } from '@mastra/core/tools';
+import type { RuntimeContext } from '@mastra/core/runtime-context';
 import { z } from 'zod';
+import { forecastSchema } from './list-inventory-tool';
+import { backendFetch } from './backend-client';
 
 const inventoryInputSchema = z.object({
   sku: z.string().describe('SKU identifier'),
   location: z.string().default('Main-Warehouse').describe('Inventory location or warehouse'),
   horizonDays: z.number().int().default(21).describe('Planning horizon in days'),
-  userId: z.string().default('user123').describe('User ID for fetching inventory'),
 });
 
 export const inventoryOutputSchema = z.object({
@@ -31,6 +33,7 @@ export const inventoryOutputSchema = z.object({
   ),
   seasonalityHint: z.string(),
   seasonalityMultiplier: z.number(),
+  forecast: forecastSchema,
 });
 
 type InventorySnapshot = z.infer<typeof inventoryOutputSchema>;
@@ -39,11 +42,11 @@ const buildSnapshot = async (
   sku: string,
   location: string,
   horizonDays: number,
-  userId: string,
+  runtimeContext: RuntimeContext | undefined,
 ): Promise<InventorySnapshot> => {
   try {
     // Fetch inventory data from backend API
-    const response = await fetch(`http://localhost:3000/api/inventory?userId=${userId}`);
+    const response = await backendFetch(runtimeContext, '/api/inventory');
     
     if (!response.ok) {
       throw new Error(`Failed to fetch inventory: ${response.statusText}`);
@@ -51,20 +54,32 @@ const buildSnapshot = async (
     
     const inventoryData = await response.json();
     
+    // A location matches an item's home location or any warehouse it is stocked at
+    const needle = location.toLowerCase();
+    const findSite = (item: any) => (item.stockByLocation ?? []).find(
+      (loc: any) => loc.code?.toLowerCase() === needle || loc.name?.toLowerCase() === needle
+    );
+
     // Find the matching item
     const item = inventoryData.find(
-      (item: any) => item.sku && item.location && 
-                    item.sku.toUpperCase() === sku.toUpperCase() && 
-                    item.location.toLowerCase() === location.toLowerCase()
+      (item: any) => item.sku &&
+                    item.sku.toUpperCase() === sku.toUpperCase() &&
+                    (item.location?.toLowerCase() === needle || findSite(item))
     );
 
     if (!item) {
       throw new Error(`SKU '${sku}' not found for location '${location}' in user's inventory.`);
     }
 
+    // Report the quantities held at the requested site when stock is tracked per warehouse
+    const site = findSite(item);
+
     // Convert string cost fields to numbers and use horizonDays parameter
     return {
       ...item,
+      location: site ? (site.code ?? site.name) : item.location,
+      onHand: site ? site.onHand : item.onHand,
+      inboundUnits: site ? site.inbound : item.inboundUnits,
       horizonDays,
       holdingCostPerUnit: typeof item.holdingCostPerUnit === 'string' 
         ? parseFloat(item.holdingCostPerUnit) 
@@ -85,8 +100,9 @@ const buildSnapshot = async (
 
 export const getInventorySnapshot = async (
   input: z.infer<typeof inventoryInputSchema>,
+  runtimeContext: RuntimeContext,
 ): Promise<InventorySnapshot> => {
-  return buildSnapshot(input.sku, input.location, input.horizonDays, input.userId);
+  return buildSnapshot(input.sku, input.location, input.horizonDays, runtimeContext);
 };
 
 export const inventreeTool = createTool({
@@ -94,8 +110,8 @@ export const inventreeTool = createTool({
   description: 'Get real-time inventory snapshot, demand history, and constraints for a SKU from the database',
   inputSchema: inventoryInputSchema,
   outputSchema: inventoryOutputSchema,
-  execute: async ({ context }) => {
-    return buildSnapshot(context.sku, context.location, context.horizonDays, context.userId);
+  execute: async ({ context, runtimeContext }) => {
+    return buildSnapshot(context.sku, context.location, context.horizonDays, runtimeContext);
   },
 });
 
@@ -1,17 +1,41 @@
 import { createTool } from '@mastra/core/tools';
 import { z } from 'zod';
+import { backendFetch } from './backend-client';
 
 const listInventoryInputSchema = z.object({
-  userId: z.string().default('user123').describe('User ID for fetching inventory'),
   filterBy: z.enum(['all', 'low-stock', 'high-demand', 'overstocked', 'stagnant']).default('all').describe('Filter inventory by criteria'),
 });
 
+const stockLocationSchema = z.object({
+  warehouseId: z.string().nullable(),
+  code: z.string().nullable(),
+  name: z.string().nullable(),
+  onHand: z.number(),
+  inbound: z.number(),
+  reserved: z.number(),
+  available: z.number(),
+});
+
+// Backend demand forecast over the SKU's planning horizon
+export const forecastSchema = z.object({
+  method: z.string().describe('Forecasting model used (moving-average, ses, holt, holt-winters)'),
+  dailyDemand: z.number().describe('Forecast units per day, averaged over the horizon'),
+  horizonDays: z.number(),
+  horizonDemand: z.number().describe('Forecast units over the whole horizon'),
+  trend: z.object({
+    direction: z.enum(['increasing', 'decreasing', 'stable']),
+    changePercent: z.number().describe('Change in demand across the recorded history'),
+  }),
+});
+
 const inventoryItemSchema = z.object({
   sku: z.string(),
   name: z.string(),
   location: z.string(),
-  onHand: z.number(),
+  onHand: z.number().describe('Total units on hand across all warehouses'),
   inboundUnits: z.number(),
+  reservedUnits: z.number().describe('Units reserved for outgoing transfers'),
+  stockByLocation: z.array(stockLocationSchema).describe('Per-warehouse breakdown of the totals'),
   leadTimeDays: z.number(),
   moq: z.number(),
   unitCost: z.number(),
@@ -20,6 +44,7 @@ const inventoryItemSchema = z.object({
     date: z.string(),
     unitsSold: z.number(),
   })),
+  forecast: forecastSchema,
 });
 
 const listInventoryOutputSchema = z.object({
@@ -27,21 +52,21 @@ const listInventoryOutputSchema = z.object({
   items: z.array(inventoryItemSchema),
   summary: z.object({
     lowStock: z.number().describe('Items with less than 5 days of cover'),
-    highDemand: z.number().describe('Items with velocity > 20 units/day'),
+    highDemand: z.number().describe('Items with forecast velocity > 20 units/day'),
     overstocked: z.number().describe('Items with more than 30 days of cover'),
-    stagnant: z.number().describe('Items with zero sales in last 7 days'),
+    stagnant: z.number().describe('Items with zero forecast demand'),
   }),
 });
 
 export const listInventoryTool = createTool({
   id: 'list-all-inventory',
-  description: 'Get complete inventory list from database with analytics summary. Use this to analyze all products without specifying individual SKUs.',
+  description: 'Get complete inventory list from database with analytics summary. Includes per-warehouse stock for each SKU. Use this to analyze all products without specifying individual SKUs.',
   inputSchema: listInventoryInputSchema,
   outputSchema: listInventoryOutputSchema,
-  execute: async ({ context }) => {
+  execute: async ({ context, runtimeContext }) => {
     try {
       // Fetch all inventory from backend API
-      const response = await fetch(`http://localhost:3000/api/inventory?userId=${context.userId}`);
+      const response = await backendFetch(runtimeContext, '/api/inventory');
       
       if (!response.ok) {
         throw new Error(`Failed to fetch inventory: ${response.statusText}`);
@@ -55,11 +80,11 @@ export const listInventoryTool = createTool({
       let overstocked = 0;
       let stagnant = 0;
       
+      // Daily velocity is the backend's demand forecast for the SKU
+      const velocityOf = (item: any) => item.forecast?.dailyDemand ?? 0;
+
       const processedItems = inventoryData.map((item: any) => {
-        // Calculate daily velocity
-        const last7Days = item.demandHistory.slice(-7);
-        const totalSales = last7Days.reduce((sum: number, d: any) => sum + d.unitsSold, 0);
-        const velocity = last7Days.length > 0 ? totalSales / last7Days.length : 0;
+        const velocity = velocityOf(item);
         
         // Calculate days of cover
         const daysOfCover = velocity > 0 ? item.onHand / velocity : 999;
@@ -76,11 +101,14 @@ export const listInventoryTool = createTool({
           location: item.location,
           onHand: item.onHand,
           inboundUnits: item.inboundUnits,
+          reservedUnits: item.reservedUnits ?? 0,
+          stockByLocation: item.stockByLocation ?? [],
           leadTimeDays: item.leadTimeDays,
           moq: item.moq,
           unitCost: item.unitCost,
           budgetCap: item.budgetCap,
           demandHistory: item.demandHistory.slice(-7), // Last 7 days only
+          forecast: item.forecast,
         };
       });
       
@@ -88,9 +116,7 @@ export const listInventoryTool = createTool({
       let filteredItems = processedItems;
       if (context.filterBy !== 'all') {
         filteredItems = processedItems.filter((item: any) => {
-          const last7Days = item.demandHistory;
-          const totalSales = last7Days.reduce((sum: number, d: any) => sum + d.unitsSold, 0);
-          const velocity = last7Days.length > 0 ? totalSales / last7Days.length : 0;
+          const velocity = velocityOf(item);
           const daysOfCover = velocity > 0 ? item.onHand / velocity : 999;
           
           switch (context.filterBy) {
@@ -1,5 +1,6 @@
 import { Agent } from '@mastra/core/agent';
 import { Tool } from '@mastra/core/tools';
+import { backendFetch } from './backend-client';
 
 // Tool to query past agent decisions and their outcomes
 export const queryMemoryTool = new Tool({
@@ -31,7 +32,7 @@ export const queryMemoryTool = new Tool({
     },
     required: ['agentType']
   },
-  execute: async ({ context, mastra }) => {
+  execute: async ({ context, runtimeContext }) => {
     try {
       const { agentType, tags = [], outcome = 'all', limit = 5 } = context;
       
@@ -43,7 +44,7 @@ export const queryMemoryTool = new Tool({
         limit: limit.toString()
       });
       
-      const response = await fetch(`http://localhost:3000/api/agent-memory/query?${queryParams}`);
+      const response = await backendFetch(runtimeContext, `/api/agent-memory/query?${queryParams}`);
       const data = await response.json();
       
       if (!data.success) {
@@ -133,17 +134,13 @@ export const storeMemoryTool = new Tool({
     },
     required: ['agentType', 'decision', 'context', 'action', 'outcome']
   },
-  execute: async ({ context, mastra }) => {
+  execute: async ({ context, runtimeContext }) => {
     try {
-      const memoryData = {
-        userId: context.userId || 'user123',
-        ...context
-      };
-      
-      const response = await fetch('http://localhost:3000/api/agent-memory/store', {
+      // The backend files the memory under the organization the token names
+      const response = await backendFetch(runtimeContext, '/api/agent-memory/store', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(memoryData)
+        body: JSON.stringify(context)
       });
       
       const data = await response.json();
@@ -191,11 +188,11 @@ export const analyzeMemoryPatternsTool = new Tool({
     },
     required: ['agentType']
   },
-  execute: async ({ context, mastra }) => {
+  execute: async ({ context, runtimeContext }) => {
     try {
       const { agentType, timeRange = '30days' } = context;
       
-      const response = await fetch(`http://localhost:3000/api/agent-memory/analyze?agentType=${agentType}&timeRange=${timeRange}`);
+      const response = await backendFetch(runtimeContext, `/api/agent-memory/analyze?agentType=${agentType}&timeRange=${timeRange}`);
       const data = await response.json();
       
       if (!data.success) {
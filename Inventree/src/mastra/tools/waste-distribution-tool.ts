@@ -1,9 +1,9 @@
 import { createTool } from '@mastra/core/tools';
 import { z } from 'zod';
+import { backendFetch } from './backend-client';
 
 const wasteDistributionInputSchema = z.object({
   productSku: z.string().describe('SKU of the product to distribute'),
-  userId: z.string().default('user123').describe('User ID'),
   analysisOnly: z.boolean().default(true).describe('If true, only analyze without executing distribution'),
 });
 
@@ -35,10 +35,10 @@ export const wasteDistributionTool = createTool({
   description: 'Analyze overstocked products and recommend distribution to other warehouses. Returns detailed distribution plan with costs and priorities.',
   inputSchema: wasteDistributionInputSchema,
   outputSchema: wasteDistributionOutputSchema,
-  execute: async ({ context }) => {
+  execute: async ({ context, runtimeContext }) => {
     try {
       // Fetch product details
-      const response = await fetch(`http://localhost:3000/api/inventory?userId=${context.userId}`);
+      const response = await backendFetch(runtimeContext, '/api/inventory');
       const inventoryData = await response.json();
       
       const product = inventoryData.find((item: any) => item.sku === context.productSku);
@@ -47,11 +47,8 @@ export const wasteDistributionTool = createTool({
         throw new Error(`Product ${context.productSku} not found`);
       }
       
-      // Calculate average demand
-      const demands = product.demandHistory?.map((d: any) => d.unitsSold) || [];
-      const avgDemand = demands.length > 0 
-        ? demands.reduce((a: number, b: number) => a + b, 0) / demands.length 
-        : 0;
+      // Daily demand from the backend forecast
+      const avgDemand = product.forecast?.dailyDemand ?? 0;
       
       // Calculate excess stock (anything above 60 days of supply)
       const excessStock = Math.max(0, product.onHand - Math.ceil(avgDemand * 60));
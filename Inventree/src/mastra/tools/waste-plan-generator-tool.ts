@@ -6,7 +6,6 @@ const wastePlanInputSchema = z.object({
   productName: z.string().describe('Name of the product'),
   excessStock: z.number().describe('Number of excess units'),
   unitCost: z.number().describe('Cost per unit'),
-  userId: z.string().default('user123').describe('User ID'),
 });
 
 const planSchema = z.object({
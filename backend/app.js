@@ -8,93 +8,98 @@ const Inventory = require("./models/inventory");
 const AgentMemory = require("./models/AgentMemory");
 const Action = require("./models/Action");
 const User = require("./models/user");
+const Warehouse = require("./models/Warehouse");
+const StockRequest = require("./models/StockRequest");
+const Transfer = require("./models/Transfer");
+const { OPEN_STATUSES } = require("./models/lifecycle");
+const { tenantFilter } = require("./models/tenant");
+const Supplier = require("./models/Supplier");
+const PurchaseOrder = require("./models/PurchaseOrder");
+const {
+    getUserWarehouses,
+    levelAtWarehouse,
+    shipmentSize,
+    summarizeWarehouses,
+    freeUnitsFor
+} = require("./services/warehouse-service");
+const {
+    stockTotals,
+    stockBreakdown,
+    primaryWarehouse,
+    initialStockLevels,
+    parseStockLevelsForm,
+    applyManualMovement,
+    MANUAL_MOVEMENT_TYPES
+} = require("./services/stock-service");
+const {
+    UNASSIGNED,
+    onHandByLocation,
+    recordStockChange,
+    getMovementHistory,
+    onHandAt
+} = require("./services/stock-ledger");
+const {
+    createStockRequest,
+    createTransfer,
+    fulfillStockRequest,
+    advanceTransfer,
+    advanceStockRequest
+} = require("./services/transfer-service");
+const { executeAction } = require("./services/action-executor");
+const { generateActions } = require("./services/action-generator");
+const { detectIssues, getUserRules, previewRules, saveUserRules, resetUserRules } = require("./services/issue-detector");
+const { RULE_VARIABLES } = require("./services/rules-engine");
+const IssueRule = require("./models/IssueRule");
+const ForecastBacktest = require("./models/ForecastBacktest");
+const { runBacktests, UNRELIABLE_WAPE } = require("./services/backtesting");
+const { forecastDemand, FORECAST_METHODS } = require("./services/forecasting");
+const { reorderPolicy } = require("./services/reorder-policy");
+const { simulateInventory } = require("./services/simulator");
+const { getRestockBudgets, saveRestockBudgets, planRestock } = require("./services/restock-optimizer");
+const { shipmentUnits, distributionPlan, consolidateShipments, describePlan } = require("./services/distribution-optimizer");
+const { createDistribution, getDistribution, listDistributions } = require("./services/distribution-service");
+const { quoteShipment } = require("./services/shipping-rates");
+const { listJobs, isRunning, runJob, startScheduler } = require("./services/scheduler");
+const { registerJobs } = require("./services/jobs");
+const JobState = require("./models/JobState");
+const {
+    ROLES,
+    hasPermission,
+    ensureOwnOrganization,
+    resolveMembership,
+    listMembers,
+    inviteMember,
+    findInvitation,
+    acceptInvitation,
+    changeMemberRole,
+    removeMember,
+    revokeInvitation
+} = require("./services/access-control");
+const { issueServiceToken, verifyServiceToken } = require("./services/service-tokens");
+const { createApiKey, listApiKeys, revokeApiKey, authenticateApiKey } = require("./services/api-keys");
+const { errorBody, parsePagination, paginate, createApiRegistry } = require("./services/rest-api");
+const StockMovement = require("./models/StockMovement");
+const { httpError } = require("./services/http-error");
+const {
+    requestPasswordReset,
+    findToken,
+    resetPassword,
+    sendVerificationEmail,
+    verifyEmail,
+    changePassword,
+    requestEmailChange,
+    deleteAccount
+} = require("./services/account-service");
+const {
+    createPurchaseOrder,
+    sendPurchaseOrder,
+    placePurchaseOrder,
+    receivePurchaseOrder,
+    cancelPurchaseOrder
+} = require("./services/purchase-order-service");
 const bcrypt = require("bcrypt");
 const session = require("express-session");
 const MongoStore = require("connect-mongo");
-const https = require('https');
-
-// ShipEngine API helper function
-async function getShippingCosts(originZip, destinationZip, weight = 5) {
-    const apiKey = process.env.SHIPENGINE_API_KEY;
-
-    // If no API key, return null to trigger fallback
-    if (!apiKey || apiKey === 'your_shipengine_api_key_here') {
-        return null;
-    }
-
-    return new Promise((resolve, reject) => {
-        const data = JSON.stringify({
-            rate_options: {
-                carrier_ids: []
-            },
-            shipment: {
-                ship_to: {
-                    postal_code: destinationZip,
-                    country_code: "US"
-                },
-                ship_from: {
-                    postal_code: originZip,
-                    country_code: "US"
-                },
-                packages: [{
-                    weight: {
-                        value: weight,
-                        unit: "pound"
-                    }
-                }]
-            }
-        });
-
-        const options = {
-            hostname: 'api.shipengine.com',
-            path: '/v1/rates',
-            method: 'POST',
-            headers: {
-                'API-Key': apiKey,
-                'Content-Type': 'application/json',
-                'Content-Length': data.length
-            }
-        };
-
-        const req = https.request(options, (res) => {
-            let body = '';
-
-            res.on('data', (chunk) => {
-                body += chunk;
-            });
-
-            res.on('end', () => {
-                try {
-                    const response = JSON.parse(body);
-                    if (response.rate_response?.rates?.length > 0) {
-                        const cheapestRate = response.rate_response.rates.reduce((min, rate) =>
-                            rate.shipping_amount.amount < min.shipping_amount.amount ? rate : min
-                        );
-                        resolve(cheapestRate.shipping_amount.amount);
-                    } else {
-                        resolve(null);
-                    }
-                } catch (e) {
-                    console.error('ShipEngine API parse error:', e);
-                    resolve(null);
-                }
-            });
-        });
-
-        req.on('error', (e) => {
-            console.error('ShipEngine API error:', e.message);
-            resolve(null);
-        });
-
-        req.setTimeout(5000, () => {
-            req.destroy();
-            resolve(null);
-        });
-
-        req.write(data);
-        req.end();
-    });
-}
 
 // Connect to MongoDB
 async function connectDB() {
@@ -107,7 +112,19 @@ async function connectDB() {
     }
 }
 
-connectDB();
+// Sessions share the app's database connection, once it is open
+function databaseClient() {
+    return new Promise(resolve => {
+        const ready = () => resolve(mongoose.connection.getClient());
+        if (mongoose.connection.readyState === 1) {
+            ready();
+        } else {
+            mongoose.connection.once("open", ready);
+        }
+    });
+}
+
+registerJobs();
 
 // middlewares
 app.use(cors());
@@ -122,9 +139,7 @@ app.use(session({
     secret: process.env.JWT_SECRET || 'inventree-secret-key-2026',
     resave: false,
     saveUninitialized: false,
-    store: MongoStore.create({
-        mongoUrl: process.env.MONGODB_URI || 'mongodb://localhost:27017/inventree'
-    }),
+    store: MongoStore.create({ clientPromise: databaseClient() }),
     cookie: {
         maxAge: 1000 * 60 * 60 * 24 * 7 // 7 days
     }
@@ -136,28 +151,151 @@ app.use((req, res, next) => {
     next();
 });
 
+// ============= ACCESS CONTROL =============
+
+// Resolve the signed-in user's organization and role. Data is read and
+// written under req.organizationId; templates get the role and `can(permission)`.
+app.use(async (req, res, next) => {
+    if (!req.session.userId) {
+        return next();
+    }
+
+    const membership = await resolveMembership(req.session.userId);
+    if (!membership) {
+        return req.session.destroy(() => res.redirect("/signin"));
+    }
+
+    req.organizationId = membership.organizationId;
+    req.role = membership.role;
+    res.locals.role = membership.role;
+    res.locals.can = permission => hasPermission(membership.role, permission);
+    next();
+});
+
+// Agent tool calls have no session; on the routes the agents use, a service
+// token stands in for one (see services/service-tokens.js)
+function acceptServiceToken(req, res, next) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get("authorization") || "");
+    if (req.session.userId || !match) {
+        return next();
+    }
+
+    try {
+        const { organizationId, role } = verifyServiceToken(match[1]);
+        req.organizationId = organizationId;
+        req.role = role;
+        next();
+    } catch (error) {
+        if (!error.status) {
+            console.error("Service token error:", error);
+        }
+        res.status(error.status || 500).json({ success: false, error: error.status ? error.message : "Unauthorized" });
+    }
+}
+
+// Context for an agent run on behalf of the signed-in member: its tools call
+// back with this token
+function agentRuntimeContext(req) {
+    try {
+        return { serviceToken: issueServiceToken(req.organizationId, req.role) };
+    } catch (error) {
+        console.error("Agent tools will not reach the API:", error.message);
+        return {};
+    }
+}
+
+// Only signed-in members (or agents holding a service token) whose role has
+// `permission` may continue. API routes answer with JSON (action routes read
+// `message`, the others `error`).
+function requirePermission(permission) {
+    return (req, res, next) => {
+        const isApi = req.path.startsWith("/api/");
+
+        if (!req.organizationId) {
+            return isApi
+                ? res.status(401).json({ success: false, error: "Unauthorized", message: "Unauthorized" })
+                : res.redirect("/signup");
+        }
+
+        if (!hasPermission(req.role, permission)) {
+            const message = `Your role (${req.role}) does not allow this`;
+            return isApi
+                ? res.status(403).json({ success: false, error: message, message })
+                : res.status(403).send(message);
+        }
+        next();
+    };
+}
+
+// Load the document named by `req.params[param]` into req.document, but only
+// from the caller's organization; anything else answers 404. Runs after
+// requirePermission, which sets req.organizationId.
+function requireOwned(Model, { param = "id", label = Model.modelName } = {}) {
+    return async (req, res, next) => {
+        const document = await Model.findOwned(req.organizationId, req.params[param]);
+
+        if (!document) {
+            const message = `${label} not found`;
+            return req.path.startsWith("/api/")
+                ? res.status(404).json({ success: false, error: message, message })
+                : res.status(404).send(message);
+        }
+        req.document = document;
+        next();
+    };
+}
+
 
 
 
 // Authentication Routes
-app.get("/signup", (req, res) => {
+
+// Site address for links in emails and on the members page
+function siteUrl(req) {
+    return `${req.protocol}://${req.get("host")}`;
+}
+
+// Messages the sign-in page shows after an account flow sends someone there
+const SIGNIN_NOTICES = {
+    "password-reset": "Your password has been reset. Sign in with the new one.",
+    "email-verified": "Your email address is confirmed.",
+    "account-deleted": "Your account has been deleted."
+};
+
+// An invitation as shown on the signup and invite pages
+async function invitationView(token) {
+    const found = await findInvitation(token);
+
+    return found && {
+        token: found.invitation.token,
+        email: found.invitation.email,
+        role: found.invitation.role,
+        organizationName: found.organization.name
+    };
+}
+
+app.get("/signup", async (req, res) => {
     if (req.session.userId) {
-        return res.redirect("/");
+        return res.redirect(req.query.invite ? `/invite/${encodeURIComponent(req.query.invite)}` : "/");
     }
-    res.render("signup", { error: null });
+    res.render("signup", { error: null, invite: await invitationView(req.query.invite) });
 });
 
 app.post("/signup", async (req, res) => {
+    // Signing up from an invitation joins its organization instead of starting a new one
+    const invite = await invitationView(req.body.invite);
+
     try {
-        const { email, password, confirmPassword, businessName } = req.body;
+        const { password, confirmPassword, businessName } = req.body;
+        const email = User.normalizeEmail(req.body.email);
 
         if (password !== confirmPassword) {
-            return res.render("signup", { error: "Passwords do not match" });
+            return res.render("signup", { error: "Passwords do not match", invite });
         }
 
         const existingUser = await User.findOne({ email });
         if (existingUser) {
-            return res.render("signup", { error: "Email already registered" });
+            return res.render("signup", { error: "Email already registered", invite });
         }
 
         const hashedPassword = await bcrypt.hash(password, 10);
@@ -168,11 +306,25 @@ app.post("/signup", async (req, res) => {
         });
 
         await user.save();
+        if (invite && invite.email === email) {
+            await acceptInvitation(user._id, invite.token);
+        } else {
+            await ensureOwnOrganization(user);
+        }
+
+        // The account works before the address is confirmed; a failed email
+        // can be resent from the profile page
+        try {
+            await sendVerificationEmail(user, siteUrl(req));
+        } catch (error) {
+            console.error("Error sending verification email:", error);
+        }
+
         req.session.userId = user._id.toString();
         res.redirect("/");
     } catch (error) {
         console.error("Signup error:", error);
-        res.render("signup", { error: "Registration failed. Please try again." });
+        res.render("signup", { error: "Registration failed. Please try again.", invite });
     }
 });
 
@@ -180,28 +332,32 @@ app.get("/signin", (req, res) => {
     if (req.session.userId) {
         return res.redirect("/");
     }
-    res.render("signin", { error: null });
+    res.render("signin", { error: null, notice: SIGNIN_NOTICES[req.query.notice] || null });
 });
 
 app.post("/signin", async (req, res) => {
     try {
-        const { email, password } = req.body;
+        const { password } = req.body;
 
-        const user = await User.findOne({ email });
+        const user = await User.findOne({ email: User.normalizeEmail(req.body.email) });
         if (!user) {
-            return res.render("signin", { error: "Invalid email or password" });
+            return res.render("signin", { error: "Invalid email or password", notice: null });
         }
 
         const validPassword = await bcrypt.compare(password, user.password);
         if (!validPassword) {
-            return res.render("signin", { error: "Invalid email or password" });
+            return res.render("signin", { error: "Invalid email or password", notice: null });
         }
 
+        // Back to the invitation that sent them here, if any
+        const pendingInvite = req.session.pendingInvite;
+        delete req.session.pendingInvite;
+
         req.session.userId = user._id.toString();
-        res.redirect("/");
+        res.redirect(pendingInvite ? `/invite/${encodeURIComponent(pendingInvite)}` : "/");
     } catch (error) {
         console.error("Signin error:", error);
-        res.render("signin", { error: "Sign in failed. Please try again." });
+        res.render("signin", { error: "Sign in failed. Please try again.", notice: null });
     }
 });
 
@@ -210,39 +366,198 @@ app.get("/logout", (req, res) => {
     res.redirect("/signin");
 });
 
-// Profile route
-app.get("/profile", async (req, res) => {
-    if (!req.session.userId) {
-        return res.redirect("/signup");
+// Ask for a password reset link. The answer is the same whether or not the
+// address has an account.
+app.get("/forgot-password", (req, res) => {
+    res.render("forgot-password", { error: null, sent: false });
+});
+
+app.post("/forgot-password", async (req, res) => {
+    try {
+        await requestPasswordReset(req.body.email, siteUrl(req));
+        res.render("forgot-password", { error: null, sent: true });
+    } catch (error) {
+        console.error("Password reset request error:", error);
+        res.render("forgot-password", { error: "Could not send the reset email. Please try again.", sent: false });
     }
+});
+
+// Choose a new password from an emailed link
+app.get("/reset-password/:token", async (req, res) => {
+    const valid = Boolean(await findToken(req.params.token, "password-reset"));
+    res.status(valid ? 200 : 404).render("reset-password", {
+        token: req.params.token,
+        error: valid ? null : "This reset link is invalid or has expired"
+    });
+});
 
+app.post("/reset-password/:token", async (req, res) => {
     try {
-        const userId = req.session.userId;
+        await resetPassword(req.params.token, req.body);
 
-        // Get user details
-        const user = await User.findById(userId).lean();
+        // Any session on this browser belonged to whoever was signed in before
+        req.session.destroy(() => res.redirect("/signin?notice=password-reset"));
+    } catch (error) {
+        if (!error.status) {
+            console.error("Password reset error:", error);
+        }
+        res.status(error.status || 500).render("reset-password", {
+            token: req.params.token,
+            error: error.status ? error.message : "Password reset failed. Please try again."
+        });
+    }
+});
 
-        if (!user) {
-            return res.redirect("/signup");
+// Confirm an email address from an emailed link
+app.get("/verify-email/:token", async (req, res) => {
+    try {
+        await verifyEmail(req.params.token);
+        res.redirect(req.session.userId ? "/profile?notice=email-verified" : "/signin?notice=email-verified");
+    } catch (error) {
+        if (!error.status) {
+            console.error("Email verification error:", error);
         }
+        res.status(error.status || 500).send(error.status ? error.message : "Email verification failed");
+    }
+});
 
-        // Get inventory statistics
-        const inventory = await Inventory.find({ userId }).lean();
+// Messages the profile page shows after an account change redirects back to it
+const PROFILE_NOTICES = {
+    "password-changed": "Your password has been changed.",
+    "email-verified": "Your email address is confirmed.",
+    "verification-sent": "Check your inbox for the confirmation link."
+};
+
+// Profile page data: account, inventory statistics and the member's API keys
+async function profileView(req) {
+    const userId = req.organizationId;
+
+    const user = await User.findById(req.session.userId).lean();
+
+    // Get inventory statistics; low stock is whatever the user's alert rules match
+    const inventory = await Inventory.forTenant(userId).lean();
+    const { matches } = await detectIssues(userId, inventory);
+
+    const stats = {
+        totalProducts: inventory.length,
+        totalStock: inventory.reduce((sum, item) => sum + (item.onHand || 0), 0),
+        totalValue: inventory.reduce((sum, item) => sum + ((item.onHand || 0) * (item.unitCost || 0)), 0),
+        lowStockItems: matches.alert.length
+    };
+
+    return {
+        user,
+        stats,
+        apiKeys: await listApiKeys(userId, req.session.userId),
+        canWrite: hasPermission(req.role, "inventory:write"),
+        newApiKey: null,
+        apiKeyError: null,
+        accountError: null,
+        accountNotice: PROFILE_NOTICES[req.query.notice] || null
+    };
+}
 
-        const stats = {
-            totalProducts: inventory.length,
-            totalStock: inventory.reduce((sum, item) => sum + (item.onHand || 0), 0),
-            totalValue: inventory.reduce((sum, item) => sum + ((item.onHand || 0) * (item.unitCost || 0)), 0),
-            lowStockItems: inventory.filter(item => item.onHand < 10).length
-        };
+// Render the profile page with an error from a failed account change
+async function renderAccountError(req, res, error, fallback) {
+    if (!error.status) {
+        console.error(`${fallback}:`, error);
+    }
+    res.status(error.status || 500).render("profile", {
+        ...(await profileView(req)),
+        accountNotice: null,
+        accountError: error.status ? error.message : fallback
+    });
+}
 
-        res.render("profile", { user, stats });
+// Profile route
+app.get("/profile", requirePermission("inventory:read"), async (req, res) => {
+    try {
+        res.render("profile", await profileView(req));
     } catch (error) {
         console.error("Profile error:", error);
         res.status(500).send("Error loading profile");
     }
 });
 
+// Create an API key; the page shows it once
+app.post("/profile/api-keys", requirePermission("inventory:read"), async (req, res) => {
+    try {
+        const { key } = await createApiKey(
+            req.organizationId,
+            { userId: req.session.userId, role: req.role },
+            { name: req.body.name, scopes: req.body.scopes }
+        );
+        res.render("profile", { ...(await profileView(req)), newApiKey: key });
+    } catch (error) {
+        if (!error.status) {
+            console.error("Error creating API key:", error);
+        }
+        res.status(error.status || 500).render("profile", {
+            ...(await profileView(req)),
+            apiKeyError: error.status ? error.message : "Error creating API key"
+        });
+    }
+});
+
+// Revoke an API key
+app.post("/profile/api-keys/:keyId/revoke", requirePermission("inventory:read"), async (req, res) => {
+    try {
+        await revokeApiKey(req.organizationId, req.session.userId, req.params.keyId);
+        res.redirect("/profile");
+    } catch (error) {
+        if (!error.status) {
+            console.error("Error revoking API key:", error);
+        }
+        res.status(error.status || 500).render("profile", {
+            ...(await profileView(req)),
+            apiKeyError: error.status ? error.message : "Error revoking API key"
+        });
+    }
+});
+
+// Change password
+app.post("/profile/password", requirePermission("inventory:read"), async (req, res) => {
+    try {
+        await changePassword(req.session.userId, req.body);
+        res.redirect("/profile?notice=password-changed");
+    } catch (error) {
+        await renderAccountError(req, res, error, "Error changing password");
+    }
+});
+
+// Change email; takes effect when the link sent to the new address is followed
+app.post("/profile/email", requirePermission("inventory:read"), async (req, res) => {
+    try {
+        await requestEmailChange(req.session.userId, req.body, siteUrl(req));
+        res.redirect("/profile?notice=verification-sent");
+    } catch (error) {
+        await renderAccountError(req, res, error, "Error changing email");
+    }
+});
+
+// Resend the verification link
+app.post("/profile/verify-email", requirePermission("inventory:read"), async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        await sendVerificationEmail(user, siteUrl(req));
+        res.redirect("/profile?notice=verification-sent");
+    } catch (error) {
+        await renderAccountError(req, res, error, "Error sending verification email");
+    }
+});
+
+// Delete the account, and the organization's inventory, actions and memories
+// when nobody else is in it
+app.post("/profile/delete", requirePermission("inventory:read"), async (req, res) => {
+    try {
+        const deleted = await deleteAccount(req.session.userId, req.body);
+        console.log(`🗑️ Deleted account ${req.session.userId}:`, deleted);
+        req.session.destroy(() => res.redirect("/signin?notice=account-deleted"));
+    } catch (error) {
+        await renderAccountError(req, res, error, "Error deleting account");
+    }
+});
+
 // routes and workers
 // Home route - Show landing page for non-logged-in users, dashboard for logged-in users
 app.get("/", async (req, res) => {
@@ -250,61 +565,25 @@ app.get("/", async (req, res) => {
         return res.render("landing");
     }
 
-    const userId = req.session.userId;
+    const userId = req.organizationId;
 
     try {
         // Query MongoDB for user's inventory
-        const inventory = await Inventory.find({ userId }).lean();
+        const inventory = await Inventory.forTenant(userId).lean();
+        const warehouses = await getUserWarehouses(userId);
         const inventoryCount = inventory.length;
         const hasInventory = inventoryCount > 0;
 
         // Analyze inventory to detect issues for management center
-        const issues = {
-            reduceWaste: false,
-            alert: false,
-            changes: false,
-            action: false
-        };
-
-        let issueCount = 0;
-
-        if (hasInventory) {
-            inventory.forEach(item => {
-                // Check for overstocked items (waste reduction needed)
-                if (item.onHand > 60) {
-                    issues.reduceWaste = true;
-                }
-
-                // Check for low stock alerts
-                if (item.onHand < 10) {
-                    issues.alert = true;
-                }
-
-                // Check for items with high demand variability (changes needed)
-                if (item.demandHistory && item.demandHistory.length > 0) {
-                    const demands = item.demandHistory.map(d => d.unitsSold);
-                    const avg = demands.reduce((a, b) => a + b, 0) / demands.length;
-                    const variance = demands.reduce((sum, val) => sum + Math.pow(val - avg, 2), 0) / demands.length;
-                    if (variance > 50) {
-                        issues.changes = true;
-                    }
-                }
-
-                // Check for items needing immediate action (critical stock or budget issues)
-                if (item.onHand < 5 || (item.unitCost * item.moq > item.budgetCap)) {
-                    issues.action = true;
-                }
-            });
-
-            // Count active issues
-            issueCount = Object.values(issues).filter(Boolean).length;
-        }
+        const { issues, issueCount, matches } = await detectIssues(userId, inventory);
 
         res.render("index", {
             hasInventory,
             inventoryCount,
             issues,
             issueCount,
+            matches,
+            warehouses,
             userId
         });
     } catch (error) {
@@ -314,6 +593,8 @@ app.get("/", async (req, res) => {
             inventoryCount: 0,
             issues: {},
             issueCount: 0,
+            matches: {},
+            warehouses: [],
             userId
         });
     }
@@ -322,9 +603,9 @@ app.get("/", async (req, res) => {
 // Chat API - Calls deployed Mastra agent with local fallback
 const { handleChat } = require('./services/chat-handler');
 
-app.post("/api/chat", async (req, res) => {
-    const { message, userId } = req.body;
-    const sessionUserId = req.session?.userId || userId;
+app.post("/api/chat", requirePermission("inventory:read"), async (req, res) => {
+    const { message } = req.body;
+    const sessionUserId = req.organizationId;
 
     const mastraUrl = process.env.MASTRA_URL || 'http://localhost:4111';
 
@@ -338,7 +619,8 @@ app.post("/api/chat", async (req, res) => {
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
                 messages: [{ role: "user", content: message }],
-                resourceid: sessionUserId
+                resourceid: sessionUserId,
+                runtimeContext: agentRuntimeContext(req)
             }),
             signal: AbortSignal.timeout(40000) // 40 second timeout for AI processing
         });
@@ -370,50 +652,178 @@ app.post("/api/chat", async (req, res) => {
     }
 });
 
-app.get("/AddData", (req, res) => {
+app.get("/AddData", requirePermission("inventory:write"), (req, res) => {
     res.render("add");
 });
 
 // Get inventory API
-app.get("/api/inventory", async (req, res) => {
-    const userId = req.session.userId || req.query.userId;
+app.get("/api/inventory", acceptServiceToken, requirePermission("inventory:read"), async (req, res) => {
+    const userId = req.organizationId;
+
+    try {
+        const inventoryData = await Inventory.forTenant(userId).lean();
+        const warehouses = await Warehouse.forTenant(userId).lean();
+
+        // Attach SKU totals, the per-warehouse breakdown and the demand forecast
+        res.json(inventoryData.map(item => ({
+            ...item,
+            totals: stockTotals(item),
+            stockByLocation: stockBreakdown(item, warehouses),
+            forecast: forecastDemand(item)
+        })));
+    } catch (error) {
+        console.error("Error fetching inventory:", error);
+        res.status(500).json({ error: "Failed to load inventory data" });
+    }
+});
+
+// Get total and per-warehouse stock for a SKU
+app.get("/api/inventory/:sku/stock", requirePermission("inventory:read"), async (req, res) => {
+    const userId = req.organizationId;
+
+    try {
+        const items = await Inventory.forTenant(userId, { sku: req.params.sku }).lean();
+
+        if (items.length === 0) {
+            return res.status(404).json({ error: "SKU not found" });
+        }
+
+        const warehouses = await getUserWarehouses(userId);
 
-    if (!userId) {
-        return res.status(401).json({ error: "Unauthorized" });
+        // Legacy data may still hold one record per location, so merge them
+        const total = { onHand: 0, inbound: 0, reserved: 0, available: 0 };
+        const locations = [];
+
+        items.forEach(item => {
+            const totals = stockTotals(item);
+            Object.keys(total).forEach(key => { total[key] += totals[key]; });
+            locations.push(...stockBreakdown(item, warehouses));
+        });
+
+        res.json({
+            sku: req.params.sku,
+            name: items[0].name,
+            total,
+            locations
+        });
+    } catch (error) {
+        console.error("Error fetching SKU stock:", error);
+        res.status(500).json({ error: "Failed to load stock levels" });
     }
+});
 
+// Stock movement history page for a SKU
+app.get("/inventory/:sku/history", requirePermission("inventory:read"), async (req, res) => {
     try {
-        let query = {};
+        const product = await Inventory.findOne(tenantFilter(req.organizationId, { sku: req.params.sku })).lean();
 
-        // If userId looks like an ObjectId (24 hex chars), use it as-is
-        // Otherwise, don't filter by userId and return all inventory
-        if (/^[0-9a-fA-F]{24}$/.test(userId)) {
-            query = { userId };
+        if (!product) {
+            return res.status(404).send("Product not found");
         }
 
-        const inventoryData = await Inventory.find(query).lean();
-        res.json(inventoryData);
+        const warehouses = await getUserWarehouses(req.organizationId);
+
+        res.render("stock-history", { product, warehouses, movementTypes: MANUAL_MOVEMENT_TYPES });
     } catch (error) {
-        console.error("Error fetching inventory:", error);
-        res.status(500).json({ error: "Failed to load inventory data" });
+        console.error("Error loading stock history:", error);
+        res.status(500).send("Error loading stock history: " + error.message);
+    }
+});
+
+// API: Movement history for a SKU (newest first), optionally between dates
+app.get("/api/inventory/:sku/movements", requirePermission("inventory:read"), async (req, res) => {
+    const userId = req.organizationId;
+
+    try {
+        const from = req.query.from ? new Date(req.query.from) : undefined;
+        const to = req.query.to ? new Date(req.query.to) : undefined;
+        const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+
+        const movements = await getMovementHistory(userId, req.params.sku, { from, to, limit });
+
+        res.json({ success: true, sku: req.params.sku, movements });
+    } catch (error) {
+        console.error("Error fetching stock movements:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// API: Record a receipt, sale, adjustment, write-off or donation
+app.post("/api/inventory/:sku/movements", requirePermission("inventory:write"), async (req, res) => {
+    const userId = req.organizationId;
+
+    try {
+        const { type, quantity, warehouseId, note } = req.body;
+        const product = await applyManualMovement(userId, req.params.sku, { type, quantity, warehouseId, note });
+
+        res.json({
+            success: true,
+            message: `${type} recorded`,
+            onHand: product.onHand
+        });
+    } catch (error) {
+        console.error("Error recording stock movement:", error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// API: Reconstruct a SKU's on-hand stock at a past date (?date=YYYY-MM-DD, end of day)
+app.get("/api/inventory/:sku/stock-at", requirePermission("inventory:read"), async (req, res) => {
+    const userId = req.organizationId;
+
+    try {
+        const date = new Date(req.query.date);
+        if (isNaN(date)) {
+            return res.status(400).json({ success: false, error: "A valid date is required" });
+        }
+        if (/^\d{4}-\d{2}-\d{2}$/.test(req.query.date)) {
+            date.setUTCHours(23, 59, 59, 999);
+        }
+
+        const product = await Inventory.findOne(tenantFilter(userId, { sku: req.params.sku })).lean();
+
+        if (!product) {
+            return res.status(404).json({ success: false, error: "SKU not found" });
+        }
+
+        const warehouses = await getUserWarehouses(userId);
+        const { onHand, locations, movementsAfter } = await onHandAt(product, date);
+
+        res.json({
+            success: true,
+            sku: product.sku,
+            date,
+            onHand,
+            movementsAfter,
+            locations: [...locations.entries()].map(([warehouseId, qty]) => {
+                const warehouse = warehouses.find(wh => String(wh._id) === warehouseId);
+                return {
+                    warehouseId: warehouseId === UNASSIGNED ? null : warehouseId,
+                    code: warehouse ? warehouse.code : null,
+                    name: warehouse ? warehouse.name : product.location,
+                    onHand: qty
+                };
+            })
+        });
+    } catch (error) {
+        console.error("Error reconstructing stock:", error);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
 // Add inventory page
-app.get("/inventory/add", (req, res) => {
+app.get("/inventory/add", requirePermission("inventory:write"), (req, res) => {
     res.render("add");
 });
 
 // Add inventory POST
-app.post("/inventory/add", async (req, res) => {
-    if (!req.session.userId) {
-        return res.redirect("/signup");
-    }
-
-    const userId = req.session.userId;
+app.post("/inventory/add", requirePermission("inventory:write"), async (req, res) => {
+    const userId = req.organizationId;
 
     try {
         const inventoryData = { ...req.body, userId };
+        const warehouses = await getUserWarehouses(userId);
+        inventoryData.stockLevels = initialStockLevels(inventoryData, warehouses);
 
         // Parse demand history if provided
         if (req.body.demandHistory && req.body.demandHistory.trim()) {
@@ -428,6 +838,7 @@ app.post("/inventory/add", async (req, res) => {
 
         const inventory = new Inventory(inventoryData);
         await inventory.save();
+        await recordStockChange(new Map(), inventory, { type: 'receipt', note: 'Opening stock' });
 
         res.redirect("/inventory/list");
     } catch (error) {
@@ -437,12 +848,8 @@ app.post("/inventory/add", async (req, res) => {
 });
 
 // Add inventory from JSON (bulk upload)
-app.post("/inventory/add/json", async (req, res) => {
-    if (!req.session.userId) {
-        return res.status(401).json({ error: "Unauthorized" });
-    }
-
-    const userId = req.session.userId;
+app.post("/inventory/add/json", requirePermission("inventory:write"), async (req, res) => {
+    const userId = req.organizationId;
 
     try {
         const { products } = req.body;
@@ -451,9 +858,12 @@ app.post("/inventory/add/json", async (req, res) => {
             return res.status(400).json({ error: "Invalid products array" });
         }
 
+        const warehouses = await getUserWarehouses(userId);
+
         // Process each product
         const processedProducts = products.map(product => {
             const inventoryData = { ...product, userId };
+            inventoryData.stockLevels = initialStockLevels(inventoryData, warehouses);
 
             // Ensure demandHistory is properly formatted
             if (product.demandHistory && Array.isArray(product.demandHistory)) {
@@ -470,6 +880,9 @@ app.post("/inventory/add/json", async (req, res) => {
 
         // Insert all products
         const result = await Inventory.insertMany(processedProducts);
+        await Promise.all(result.map(item =>
+            recordStockChange(new Map(), item, { type: 'receipt', note: 'Opening stock (bulk upload)' })
+        ));
 
         res.json({
             success: true,
@@ -486,20 +899,39 @@ app.post("/inventory/add/json", async (req, res) => {
 });
 
 // View all inventory (list page)
-app.get("/inventory/list", (req, res) => {
+app.get("/inventory/list", requirePermission("inventory:read"), (req, res) => {
     res.render("inventory-list");
 });
 
 // Edit inventory page - GET
-app.get("/inventory/edit/:id", async (req, res) => {
+app.get("/inventory/edit/:id", requirePermission("inventory:write"), requireOwned(Inventory, { label: "Product" }), async (req, res) => {
     try {
-        const product = await Inventory.findById(req.params.id).lean();
+        const product = req.document.toObject();
+        const warehouses = await getUserWarehouses(product.userId);
 
-        if (!product) {
-            return res.status(404).send("Product not found");
-        }
+        // One editable row per warehouse, prefilled with the stock held there
+        const stockRows = warehouses.map(wh => {
+            const level = levelAtWarehouse(product, wh);
+            return {
+                warehouse: wh,
+                onHand: level ? level.onHand : 0,
+                inbound: level ? level.inbound : 0,
+                reserved: level ? level.reserved : 0
+            };
+        });
 
-        res.render("edit", { product });
+        const suppliers = await Supplier.forTenant(product.userId).sort({ name: 1 }).lean();
+
+        const forecast = forecastDemand(product);
+
+        res.render("edit", {
+            product,
+            stockRows,
+            suppliers,
+            forecast,
+            forecastMethods: FORECAST_METHODS,
+            policy: reorderPolicy(product, forecast)
+        });
     } catch (error) {
         console.error("Error loading product for edit:", error);
         res.status(500).send("Error loading product: " + error.message);
@@ -507,9 +939,29 @@ app.get("/inventory/edit/:id", async (req, res) => {
 });
 
 // Edit inventory - POST
-app.post("/inventory/edit/:id", async (req, res) => {
+app.post("/inventory/edit/:id", requirePermission("inventory:write"), requireOwned(Inventory, { label: "Product" }), async (req, res) => {
     try {
-        const updateData = { ...req.body };
+        const product = req.document;
+        // The product stays with its organization whatever the form says
+        const { stockLevels, perLocation, userId, _id, ...updateData } = req.body;
+        const before = onHandByLocation(product);
+
+        // An empty supplier choice unlinks the product
+        if (updateData.supplierId === '') {
+            updateData.supplierId = null;
+        }
+
+        // Per-warehouse rows replace the levels; totals are derived from them on save
+        if (stockLevels) {
+            const warehouses = await getUserWarehouses(req.organizationId);
+            product.stockLevels = parseStockLevelsForm(stockLevels, product.stockLevels, warehouses);
+
+            // With every row cleared the item holds nothing anywhere
+            if (perLocation) {
+                updateData.onHand = 0;
+                updateData.inboundUnits = 0;
+            }
+        }
 
         // Parse demand history if provided
         if (req.body.demandHistory && req.body.demandHistory.trim()) {
@@ -522,7 +974,9 @@ app.post("/inventory/edit/:id", async (req, res) => {
             updateData.demandHistory = [];
         }
 
-        await Inventory.findByIdAndUpdate(req.params.id, updateData);
+        product.set(updateData);
+        await product.save();
+        await recordStockChange(before, product, { type: 'adjustment', note: 'Edited on inventory page' });
 
         res.redirect("/inventory/list");
     } catch (error) {
@@ -532,13 +986,9 @@ app.post("/inventory/edit/:id", async (req, res) => {
 });
 
 // Delete inventory - DELETE API
-app.delete("/api/inventory/:id", async (req, res) => {
+app.delete("/api/inventory/:id", requirePermission("inventory:write"), requireOwned(Inventory, { label: "Product" }), async (req, res) => {
     try {
-        const product = await Inventory.findByIdAndDelete(req.params.id);
-
-        if (!product) {
-            return res.json({ success: false, message: "Product not found" });
-        }
+        await req.document.deleteOne();
 
         res.json({ success: true, message: "Product deleted successfully" });
     } catch (error) {
@@ -547,63 +997,669 @@ app.delete("/api/inventory/:id", async (req, res) => {
     }
 });
 
-// Management Center route
-app.get("/management", async (req, res) => {
-    if (!req.session.userId) {
-        return res.redirect("/signup");
-    }
+// ============= WAREHOUSE ROUTES =============
+
+// Normalize warehouse form fields (empty coordinates are left unset)
+function parseWarehouseForm(body) {
+    const toNumber = value => (value === undefined || value === '' ? undefined : Number(value));
+
+    return {
+        code: body.code,
+        name: body.name,
+        address: body.address || '',
+        zip: body.zip || '',
+        lat: toNumber(body.lat),
+        lng: toNumber(body.lng),
+        capacity: toNumber(body.capacity) || 0,
+        capacityCubicFt: toNumber(body.capacityCubicFt) || 0
+    };
+}
 
-    const userId = req.session.userId;
+// Warehouse list page
+app.get("/warehouses", requirePermission("inventory:read"), async (req, res) => {
+    const userId = req.organizationId;
 
     try {
-        // Get inventory data
-        const inventory = await Inventory.find({ userId }).lean();
-        const inventoryCount = inventory.length;
+        const warehouses = await getUserWarehouses(userId);
+        const inventory = await Inventory.forTenant(userId).lean();
 
-        // Analyze inventory to detect issues
-        const issues = {
-            reduceWaste: false,
-            alert: false,
-            changes: false,
-            action: false
-        };
+        res.render("warehouses", {
+            warehouses: summarizeWarehouses(warehouses, inventory)
+        });
+    } catch (error) {
+        console.error("Error loading warehouses:", error);
+        res.status(500).send("Error loading warehouses: " + error.message);
+    }
+});
 
-        let issueCount = 0;
+// Add warehouse page
+app.get("/warehouses/add", requirePermission("inventory:write"), (req, res) => {
+    res.render("warehouse-form", { warehouse: null, error: null });
+});
 
-        // Check for issues in inventory
-        inventory.forEach(item => {
-            // Check for overstocked items (waste reduction needed)
-            if (item.onHand > 60) {
-                issues.reduceWaste = true;
-            }
+// Add warehouse POST
+app.post("/warehouses/add", requirePermission("inventory:write"), async (req, res) => {
+    const warehouseData = parseWarehouseForm(req.body);
 
-            // Check for low stock alerts
-            if (item.onHand < 10) {
-                issues.alert = true;
-            }
+    try {
+        const warehouse = new Warehouse({ ...warehouseData, userId: req.organizationId });
+        await warehouse.save();
+
+        res.redirect("/warehouses");
+    } catch (error) {
+        console.error("Error adding warehouse:", error);
+        const message = error.code === 11000
+            ? `Warehouse code "${warehouseData.code}" is already in use`
+            : error.message;
+        res.status(400).render("warehouse-form", { warehouse: warehouseData, error: message });
+    }
+});
+
+// Edit warehouse page - GET
+app.get("/warehouses/edit/:id", requirePermission("inventory:write"), async (req, res) => {
+    try {
+        const warehouse = await Warehouse.findOwned(req.organizationId, req.params.id).lean();
+
+        if (!warehouse) {
+            return res.status(404).send("Warehouse not found");
+        }
+
+        res.render("warehouse-form", { warehouse, error: null });
+    } catch (error) {
+        console.error("Error loading warehouse for edit:", error);
+        res.status(500).send("Error loading warehouse: " + error.message);
+    }
+});
+
+// Edit warehouse - POST
+app.post("/warehouses/edit/:id", requirePermission("inventory:write"), async (req, res) => {
+    const warehouseData = parseWarehouseForm(req.body);
+
+    try {
+        const warehouse = await Warehouse.findOwnedAndUpdate(req.organizationId, req.params.id, warehouseData, { runValidators: true });
+
+        if (!warehouse) {
+            return res.status(404).send("Warehouse not found");
+        }
+
+        res.redirect("/warehouses");
+    } catch (error) {
+        console.error("Error updating warehouse:", error);
+        const message = error.code === 11000
+            ? `Warehouse code "${warehouseData.code}" is already in use`
+            : error.message;
+        res.status(400).render("warehouse-form", {
+            warehouse: { ...warehouseData, _id: req.params.id },
+            error: message
+        });
+    }
+});
+
+// Get warehouses API
+app.get("/api/warehouses", requirePermission("inventory:read"), async (req, res) => {
+    try {
+        const warehouses = await getUserWarehouses(req.organizationId);
+        res.json(warehouses);
+    } catch (error) {
+        console.error("Error fetching warehouses:", error);
+        res.status(500).json({ error: "Failed to load warehouses" });
+    }
+});
+
+// Get per-SKU stock held at one warehouse
+app.get("/api/warehouses/:id/stock", requirePermission("inventory:read"), async (req, res) => {
+    const userId = req.organizationId;
+
+    try {
+        const warehouse = await Warehouse.findOwned(userId, req.params.id).lean();
+
+        if (!warehouse) {
+            return res.status(404).json({ error: "Warehouse not found" });
+        }
+
+        const inventory = await Inventory.forTenant(userId).lean();
+        const [summary] = summarizeWarehouses([warehouse], inventory);
+
+        res.json({
+            warehouse: { id: warehouse._id, code: warehouse.code, name: warehouse.name, capacity: warehouse.capacity, capacityCubicFt: warehouse.capacityCubicFt },
+            totalUnits: summary.totalUnits,
+            cubicFt: summary.cubicFt,
+            utilization: summary.utilization,
+            items: summary.items.map(item => ({
+                sku: item.sku,
+                name: item.name,
+                onHand: item.stockAtWarehouse.onHand,
+                inbound: item.stockAtWarehouse.inbound,
+                reserved: item.stockAtWarehouse.reserved,
+                available: Math.max(0, item.stockAtWarehouse.onHand - item.stockAtWarehouse.reserved)
+            }))
+        });
+    } catch (error) {
+        console.error("Error fetching warehouse stock:", error);
+        res.status(500).json({ error: "Failed to load warehouse stock" });
+    }
+});
+
+// Delete warehouse - DELETE API
+app.delete("/api/warehouses/:id", requirePermission("inventory:write"), async (req, res) => {
+    const userId = req.organizationId;
 
-            // Check for items with high demand variability (changes needed)
-            if (item.demandHistory && item.demandHistory.length > 0) {
-                const demands = item.demandHistory.map(d => d.unitsSold);
-                const avg = demands.reduce((a, b) => a + b, 0) / demands.length;
-                const variance = demands.reduce((sum, val) => sum + Math.pow(val - avg, 2), 0) / demands.length;
-                if (variance > 50) {
-                    issues.changes = true;
+    try {
+        const warehouse = await Warehouse.findOwned(userId, req.params.id).lean();
+        if (!warehouse) {
+            return res.status(404).json({ success: false, message: "Warehouse not found" });
+        }
+
+        // Reserved and inbound units would be stranded by deleting a site mid-transfer
+        const openTransfers = await Transfer.countDocuments(tenantFilter(userId, {
+            status: { $in: OPEN_STATUSES },
+            $or: [{ fromWarehouse: warehouse._id }, { toWarehouse: warehouse._id }]
+        }));
+        if (openTransfers > 0) {
+            return res.status(409).json({ success: false, message: `Warehouse has ${openTransfers} open transfer(s); receive or cancel them first` });
+        }
+
+        // Units held there would drop out of every total with the site
+        const stocked = await Inventory.countDocuments(tenantFilter(userId, {
+            stockLevels: {
+                $elemMatch: {
+                    warehouseId: warehouse._id,
+                    $or: [{ onHand: { $gt: 0 } }, { inbound: { $gt: 0 } }, { reserved: { $gt: 0 } }]
                 }
             }
+        }));
+        if (stocked > 0) {
+            return res.status(409).json({ success: false, message: `Warehouse still holds stock of ${stocked} product(s); move or write it off first` });
+        }
+
+        await Warehouse.findOwnedAndDelete(userId, warehouse._id);
+
+        // Drop the empty stock levels left pointing at it
+        await Inventory.updateMany(
+            tenantFilter(userId, { 'stockLevels.warehouseId': warehouse._id }),
+            { $pull: { stockLevels: { warehouseId: warehouse._id } } }
+        );
+
+        res.json({ success: true, message: "Warehouse deleted successfully" });
+    } catch (error) {
+        console.error("Error deleting warehouse:", error);
+        res.status(500).json({ success: false, message: "Error deleting warehouse: " + error.message });
+    }
+});
+
+// ============= SUPPLIER & PURCHASE ORDER ROUTES =============
+
+// Normalize supplier form fields
+function parseSupplierForm(body) {
+    return {
+        name: body.name,
+        contactName: body.contactName || '',
+        email: body.email || '',
+        phone: body.phone || '',
+        leadTimeDays: body.leadTimeDays === undefined || body.leadTimeDays === '' ? 7 : Number(body.leadTimeDays),
+        notes: body.notes || ''
+    };
+}
+
+// Supplier list page
+app.get("/suppliers", requirePermission("inventory:read"), async (req, res) => {
+    const userId = req.organizationId;
+
+    try {
+        const suppliers = await Supplier.forTenant(userId).sort({ name: 1 }).lean();
+        const inventory = await Inventory.find(tenantFilter(userId, { supplierId: { $ne: null } }), { supplierId: 1 }).lean();
+        const openOrders = await PurchaseOrder.forTenant(userId, { status: { $in: ['draft', 'sent', 'partially-received'] } })
+            .select({ supplierId: 1 })
+            .lean();
+
+        const countFor = (records, supplier) => records.filter(r => String(r.supplierId) === String(supplier._id)).length;
+
+        res.render("suppliers", {
+            suppliers: suppliers.map(supplier => ({
+                ...supplier,
+                productCount: countFor(inventory, supplier),
+                openOrderCount: countFor(openOrders, supplier)
+            }))
+        });
+    } catch (error) {
+        console.error("Error loading suppliers:", error);
+        res.status(500).send("Error loading suppliers: " + error.message);
+    }
+});
+
+// Add supplier page
+app.get("/suppliers/add", requirePermission("inventory:write"), (req, res) => {
+    res.render("supplier-form", { supplier: null, error: null });
+});
+
+// Add supplier POST
+app.post("/suppliers/add", requirePermission("inventory:write"), async (req, res) => {
+    const supplierData = parseSupplierForm(req.body);
+
+    try {
+        await Supplier.create({ ...supplierData, userId: req.organizationId });
+        res.redirect("/suppliers");
+    } catch (error) {
+        console.error("Error adding supplier:", error);
+        const message = error.code === 11000
+            ? `A supplier named "${supplierData.name}" already exists`
+            : error.message;
+        res.status(400).render("supplier-form", { supplier: supplierData, error: message });
+    }
+});
+
+// Edit supplier page - GET
+app.get("/suppliers/edit/:id", requirePermission("inventory:write"), async (req, res) => {
+    try {
+        const supplier = await Supplier.findOwned(req.organizationId, req.params.id).lean();
+
+        if (!supplier) {
+            return res.status(404).send("Supplier not found");
+        }
+
+        res.render("supplier-form", { supplier, error: null });
+    } catch (error) {
+        console.error("Error loading supplier for edit:", error);
+        res.status(500).send("Error loading supplier: " + error.message);
+    }
+});
+
+// Edit supplier - POST
+app.post("/suppliers/edit/:id", requirePermission("inventory:write"), async (req, res) => {
+    const supplierData = parseSupplierForm(req.body);
+
+    try {
+        const supplier = await Supplier.findOwnedAndUpdate(req.organizationId, req.params.id, supplierData, { runValidators: true });
+
+        if (!supplier) {
+            return res.status(404).send("Supplier not found");
+        }
+
+        res.redirect("/suppliers");
+    } catch (error) {
+        console.error("Error updating supplier:", error);
+        const message = error.code === 11000
+            ? `A supplier named "${supplierData.name}" already exists`
+            : error.message;
+        res.status(400).render("supplier-form", {
+            supplier: { ...supplierData, _id: req.params.id },
+            error: message
+        });
+    }
+});
+
+// Get suppliers API
+app.get("/api/suppliers", requirePermission("inventory:read"), async (req, res) => {
+    try {
+        const suppliers = await Supplier.forTenant(req.organizationId).sort({ name: 1 }).lean();
+        res.json(suppliers);
+    } catch (error) {
+        console.error("Error fetching suppliers:", error);
+        res.status(500).json({ error: "Failed to load suppliers" });
+    }
+});
+
+// Delete supplier - DELETE API (orders keep the supplier's name)
+app.delete("/api/suppliers/:id", requirePermission("inventory:write"), async (req, res) => {
+    try {
+        const supplier = await Supplier.findOwnedAndDelete(req.organizationId, req.params.id);
+
+        if (!supplier) {
+            return res.json({ success: false, message: "Supplier not found" });
+        }
+
+        await Inventory.updateMany(
+            tenantFilter(req.organizationId, { supplierId: supplier._id }),
+            { $unset: { supplierId: 1 } }
+        );
+
+        res.json({ success: true, message: "Supplier deleted successfully" });
+    } catch (error) {
+        console.error("Error deleting supplier:", error);
+        res.status(500).json({ success: false, message: "Error deleting supplier: " + error.message });
+    }
+});
+
+// Purchase order list page (?status= filters)
+app.get("/purchase-orders", requirePermission("inventory:read"), async (req, res) => {
+    try {
+        const filter = req.query.status ? { status: req.query.status } : {};
+        const orders = await PurchaseOrder.forTenant(req.organizationId, filter)
+            .sort({ createdAt: -1 })
+            .populate('warehouseId', 'code name');
+
+        res.render("purchase-orders", { orders, status: req.query.status || '' });
+    } catch (error) {
+        console.error("Error loading purchase orders:", error);
+        res.status(500).send("Error loading purchase orders: " + error.message);
+    }
+});
+
+// New purchase order page (?sku= prefills the first line)
+app.get("/purchase-orders/new", requirePermission("orders:create"), async (req, res) => {
+    const userId = req.organizationId;
+
+    try {
+        const suppliers = await Supplier.forTenant(userId).sort({ name: 1 }).lean();
+        const warehouses = await getUserWarehouses(userId);
+        const products = await Inventory.find(tenantFilter(userId), { sku: 1, name: 1, unitCost: 1, moq: 1, supplierId: 1 }).sort({ sku: 1 }).lean();
+
+        const prefill = products.find(p => p.sku === req.query.sku);
+        const order = prefill
+            ? { supplierId: prefill.supplierId, lines: [{ sku: prefill.sku, quantity: prefill.moq, unitCost: prefill.unitCost }] }
+            : null;
+
+        res.render("purchase-order-form", { order, suppliers, warehouses, products, error: null });
+    } catch (error) {
+        console.error("Error loading purchase order form:", error);
+        res.status(500).send("Error loading purchase order form: " + error.message);
+    }
+});
+
+// Create purchase order POST (sent straight away when `send` is set)
+app.post("/purchase-orders/new", requirePermission("orders:create"), async (req, res) => {
+    const userId = req.organizationId;
+    const lines = Array.isArray(req.body.lines) ? req.body.lines : Object.values(req.body.lines || {});
+    const orderData = {
+        supplierId: req.body.supplierId || undefined,
+        warehouseId: req.body.warehouseId || undefined,
+        expectedDate: req.body.expectedDate || undefined,
+        notes: req.body.notes,
+        lines
+    };
+
+    try {
+        // An order that cannot be sent is not left behind as a draft
+        const order = req.body.send
+            ? await placePurchaseOrder(userId, orderData)
+            : await createPurchaseOrder(userId, orderData);
+
+        res.redirect(`/purchase-orders/${order._id}`);
+    } catch (error) {
+        console.error("Error creating purchase order:", error);
+        const suppliers = await Supplier.forTenant(userId).sort({ name: 1 }).lean();
+        const warehouses = await getUserWarehouses(userId);
+        const products = await Inventory.find(tenantFilter(userId), { sku: 1, name: 1, unitCost: 1, moq: 1, supplierId: 1 }).sort({ sku: 1 }).lean();
+        res.status(error.status || 500).render("purchase-order-form", {
+            order: orderData, suppliers, warehouses, products, error: error.message
+        });
+    }
+});
+
+// Purchase order detail page with sending and receiving
+app.get("/purchase-orders/:id", requirePermission("inventory:read"), async (req, res) => {
+    try {
+        const order = await PurchaseOrder.findOwned(req.organizationId, req.params.id)
+            .populate('warehouseId', 'code name')
+            .populate('supplierId', 'name email phone');
+
+        if (!order) {
+            return res.status(404).send("Purchase order not found");
+        }
+
+        res.render("purchase-order", { order });
+    } catch (error) {
+        console.error("Error loading purchase order:", error);
+        res.status(500).send("Error loading purchase order: " + error.message);
+    }
+});
+
+// Get purchase orders API (?status= filters)
+app.get("/api/purchase-orders", requirePermission("inventory:read"), async (req, res) => {
+    try {
+        const filter = req.query.status ? { status: req.query.status } : {};
+        const orders = await PurchaseOrder.forTenant(req.organizationId, filter).sort({ createdAt: -1 });
+        res.json({ success: true, orders });
+    } catch (error) {
+        console.error("Error fetching purchase orders:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// API: Send, receive against or cancel a purchase order
+const purchaseOrderTransitions = {
+    send: order => sendPurchaseOrder(order),
+    receive: (order, body) => receivePurchaseOrder(order, body.received || {}),
+    cancel: order => cancelPurchaseOrder(order)
+};
+
+app.post("/api/purchase-orders/:id/:transition", requirePermission("orders:approve"), async (req, res) => {
+    const apply = purchaseOrderTransitions[req.params.transition];
+    if (!apply) {
+        return res.status(404).json({ success: false, error: "Unknown purchase order action" });
+    }
+
+    try {
+        const order = await PurchaseOrder.findOwned(req.organizationId, req.params.id);
+
+        if (!order) {
+            return res.status(404).json({ success: false, error: "Purchase order not found" });
+        }
+
+        const updated = await apply(order, req.body);
+
+        res.json({
+            success: true,
+            message: `${updated.poNumber} is now ${updated.status}`,
+            order: updated
+        });
+    } catch (error) {
+        console.error("Purchase order update error:", error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// ============= ISSUE RULE ROUTES =============
+
+// Issue rules settings page
+app.get("/settings/rules", requirePermission("rules:write"), async (req, res) => {
+    const userId = req.organizationId;
+
+    try {
+        const rules = await getUserRules(userId);
+        const inventory = await Inventory.forTenant(userId).lean();
+
+        res.render("settings-rules", {
+            rules: previewRules(inventory, rules),
+            issues: IssueRule.ISSUES,
+            variables: RULE_VARIABLES,
+            inventoryCount: inventory.length,
+            error: null,
+            saved: req.query.saved === "1"
+        });
+    } catch (error) {
+        console.error("Error loading issue rules:", error);
+        res.status(500).send("Error loading issue rules");
+    }
+});
+
+// Save issue rules
+app.post("/settings/rules", requirePermission("rules:write"), async (req, res) => {
+    const userId = req.organizationId;
+    const submitted = Array.isArray(req.body.rules) ? req.body.rules : Object.values(req.body.rules || {});
 
-            // Check for items needing immediate action (critical stock or budget issues)
-            if (item.onHand < 5 || (item.unitCost * item.moq > item.budgetCap)) {
-                issues.action = true;
+    try {
+        await saveUserRules(userId, submitted);
+        res.redirect("/settings/rules?saved=1");
+    } catch (error) {
+        if (!error.status) {
+            console.error("Error saving issue rules:", error);
+        }
+        const inventory = await Inventory.forTenant(userId).lean();
+        res.status(error.status || 500).render("settings-rules", {
+            rules: previewRules(inventory, submitted.map(rule => ({ ...rule, enabled: Boolean(rule.enabled) }))),
+            issues: IssueRule.ISSUES,
+            variables: RULE_VARIABLES,
+            inventoryCount: inventory.length,
+            error: error.status ? error.message : "Error saving issue rules",
+            saved: false
+        });
+    }
+});
+
+// Restore the default issue rules
+app.post("/settings/rules/reset", requirePermission("rules:write"), async (req, res) => {
+    try {
+        await resetUserRules(req.organizationId);
+        res.redirect("/settings/rules?saved=1");
+    } catch (error) {
+        console.error("Error resetting issue rules:", error);
+        res.status(500).send("Error resetting issue rules");
+    }
+});
+
+// ============= RESTOCK BUDGET ROUTES =============
+
+// Budgets page data: saved budgets, the categories in use and the allocation they give
+async function restockBudgetView(userId) {
+    const [budgets, inventory] = await Promise.all([
+        getRestockBudgets(userId),
+        Inventory.forTenant(userId).lean()
+    ]);
+    const categories = [...new Set(inventory.map(item => item.category).filter(Boolean))].sort();
+
+    return {
+        globalBudget: budgets.find(budget => budget.category === ''),
+        categoryBudgets: budgets.filter(budget => budget.category !== ''),
+        categories,
+        plan: budgets.length > 0 ? await planRestock(userId, inventory, budgets) : null
+    };
+}
+
+// Restock budgets settings page
+app.get("/settings/budgets", requirePermission("budgets:write"), async (req, res) => {
+    try {
+        res.render("settings-budgets", {
+            ...(await restockBudgetView(req.organizationId)),
+            error: null,
+            saved: req.query.saved === "1"
+        });
+    } catch (error) {
+        console.error("Error loading restock budgets:", error);
+        res.status(500).send("Error loading restock budgets");
+    }
+});
+
+// Save restock budgets
+app.post("/settings/budgets", requirePermission("budgets:write"), async (req, res) => {
+    const userId = req.organizationId;
+    const categories = Array.isArray(req.body.budgets) ? req.body.budgets : Object.values(req.body.budgets || {});
+
+    try {
+        await saveRestockBudgets(userId, { global: req.body.globalBudget, categories });
+        res.redirect("/settings/budgets?saved=1");
+    } catch (error) {
+        if (!error.status) {
+            console.error("Error saving restock budgets:", error);
+        }
+        const view = await restockBudgetView(userId);
+        res.status(error.status || 500).render("settings-budgets", {
+            ...view,
+            globalBudget: { amount: req.body.globalBudget },
+            categoryBudgets: categories,
+            error: error.status ? error.message : "Error saving restock budgets",
+            saved: false
+        });
+    }
+});
+
+// Budget allocation across SKUs; ?budget= tries a different overall budget
+app.get("/api/restock-plan", requirePermission("inventory:read"), async (req, res) => {
+    const userId = req.organizationId;
+
+    try {
+        const [saved, inventory] = await Promise.all([
+            getRestockBudgets(userId),
+            Inventory.forTenant(userId).lean()
+        ]);
+
+        let budgets = saved;
+        if (req.query.budget !== undefined) {
+            const amount = Number(req.query.budget);
+            if (!Number.isFinite(amount) || amount < 0) {
+                return res.status(400).json({ success: false, error: "Budget must be an amount of 0 or more" });
             }
+            budgets = [{ category: '', amount }, ...saved.filter(budget => budget.category !== '')];
+        }
+
+        res.json({ success: true, ...(await planRestock(userId, inventory, budgets)) });
+    } catch (error) {
+        console.error("Error planning restock:", error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// ============= FORECAST ACCURACY ROUTES =============
+
+// Unreliable forecasts first, worst first; items without enough history last
+function sortBacktests(results) {
+    const rank = result => (result.reliable === false ? 0 : result.reliable === true ? 1 : 2);
+    return results.sort((a, b) =>
+        rank(a) - rank(b) || (b.configured?.wape ?? -1) - (a.configured?.wape ?? -1));
+}
+
+// Forecast accuracy report page
+app.get("/forecast-accuracy", requirePermission("inventory:read"), async (req, res) => {
+    try {
+        const results = await ForecastBacktest.forTenant(req.organizationId).lean();
+
+        res.render("forecast-accuracy", {
+            results: sortBacktests(results),
+            threshold: UNRELIABLE_WAPE
         });
+    } catch (error) {
+        console.error("Error loading forecast accuracy:", error);
+        res.status(500).send("Error loading forecast accuracy");
+    }
+});
+
+// API: Stored backtest results (?sku= for one SKU, ?unreliable=1 for flagged SKUs only)
+app.get("/api/forecast-accuracy", requirePermission("inventory:read"), async (req, res) => {
+    const userId = req.organizationId;
+
+    try {
+        const filter = {};
+        if (req.query.sku) filter.sku = req.query.sku;
+        if (req.query.unreliable === "1") filter.reliable = false;
+
+        const results = await ForecastBacktest.forTenant(userId, filter).lean();
+        res.json({ success: true, threshold: UNRELIABLE_WAPE, results: sortBacktests(results) });
+    } catch (error) {
+        console.error("Get forecast accuracy error:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        // Count active issues
-        issueCount = Object.values(issues).filter(Boolean).length;
+// API: Backtest all of the user's SKUs now
+app.post("/api/forecast-accuracy/run", requirePermission("forecasts:run"), async (req, res) => {
+    const userId = req.organizationId;
+
+    try {
+        const horizon = parseInt(req.body.horizon);
+        const summary = await runBacktests(userId, horizon > 0 ? { horizon } : {});
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        console.error("Run backtest error:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Management Center route
+app.get("/management", requirePermission("inventory:read"), async (req, res) => {
+    const userId = req.organizationId;
+
+    try {
+        // Get inventory data
+        const inventory = await Inventory.forTenant(userId).lean();
+        const inventoryCount = inventory.length;
+
+        // Analyze inventory to detect issues
+        const { issues, issueCount, matches } = await detectIssues(userId, inventory);
 
         res.render("management", {
             issues,
             issueCount,
+            matches,
             inventoryCount,
             userId
         });
@@ -612,6 +1668,7 @@ app.get("/management", async (req, res) => {
         res.render("management", {
             issues: {},
             issueCount: 0,
+            matches: {},
             inventoryCount: 0,
             userId
         });
@@ -619,34 +1676,31 @@ app.get("/management", async (req, res) => {
 });
 
 // Action approval page - AI suggested actions
-app.get("/action", async (req, res) => {
-    if (!req.session.userId) {
-        return res.redirect("/signup");
-    }
-
-    const userId = req.session.userId;
+app.get("/action", requirePermission("inventory:read"), async (req, res) => {
+    const userId = req.organizationId;
 
     try {
         // Get all pending actions
-        const pendingActions = await Action.find({
-            userId,
-            status: 'PENDING'
-        }).sort({ priority: -1, createdAt: -1 }).lean();
+        const pendingActions = await Action.forTenant(userId, { status: 'PENDING' }).sort({ priority: -1, createdAt: -1 }).lean();
+
+        // Approved actions waiting to be executed
+        const approvedActions = await Action.forTenant(userId, { status: 'APPROVED' }).sort({ approvedAt: -1 }).lean();
 
         // Get action statistics
         const stats = {
-            pending: await Action.countDocuments({ userId, status: 'PENDING' }),
-            approved: await Action.countDocuments({ userId, status: 'APPROVED' }),
-            executed: await Action.countDocuments({ userId, status: 'EXECUTED' }),
+            pending: await Action.countDocuments(tenantFilter(userId, { status: 'PENDING' })),
+            approved: await Action.countDocuments(tenantFilter(userId, { status: 'APPROVED' })),
+            executed: await Action.countDocuments(tenantFilter(userId, { status: 'EXECUTED' })),
             totalSavings: 0
         };
 
         // Calculate total estimated savings from executed actions
-        const executedActions = await Action.find({ userId, status: 'EXECUTED' }).lean();
+        const executedActions = await Action.forTenant(userId, { status: 'EXECUTED' }).lean();
         stats.totalSavings = executedActions.reduce((sum, action) => sum + (action.estimatedSavings || 0), 0);
 
         res.render("action", {
             actions: pendingActions,
+            approvedActions,
             stats,
             userId
         });
@@ -654,6 +1708,7 @@ app.get("/action", async (req, res) => {
         console.error("Error loading actions:", error);
         res.render("action", {
             actions: [],
+            approvedActions: [],
             stats: { pending: 0, approved: 0, executed: 0, totalSavings: 0 },
             userId
         });
@@ -661,131 +1716,19 @@ app.get("/action", async (req, res) => {
 });
 
 // Generate AI action suggestions
-app.post("/api/actions/generate", async (req, res) => {
-    const userId = req.session.userId || "user123";
-
-    try {
-        // Get all inventory items
-        const inventory = await Inventory.find({ userId }).lean();
-
-        const suggestions = [];
-
-        for (const product of inventory) {
-            const demands = product.demandHistory?.map(d => d.unitsSold) || [];
-            const avgDemand = demands.length > 0
-                ? demands.reduce((a, b) => a + b, 0) / demands.length
-                : 0;
-
-            const daysOfCover = avgDemand > 0 ? product.onHand / avgDemand : 999;
-
-            // Critical: Less than 5 days of stock
-            if (daysOfCover < 5 && product.onHand < product.safetyStockDays * avgDemand) {
-                suggestions.push({
-                    userId,
-                    type: 'EMERGENCY_ORDER',
-                    priority: 'CRITICAL',
-                    productSku: product.sku,
-                    productName: product.name,
-                    currentStock: product.onHand,
-                    suggestedQuantity: Math.max(product.moq, Math.ceil(avgDemand * 21)),
-                    toWarehouse: product.location,
-                    reasoning: `CRITICAL: Only ${daysOfCover.toFixed(1)} days of stock remaining. Daily demand: ${avgDemand.toFixed(1)} units. Immediate order required to prevent stockout.`,
-                    metrics: {
-                        stockoutRisk: 95,
-                        daysOfCover: daysOfCover,
-                        demandTrend: 'stable',
-                        costImpact: product.unitCost * Math.ceil(avgDemand * 21),
-                        urgencyScore: 95
-                    },
-                    aiConfidence: 95,
-                    estimatedCost: product.unitCost * Math.ceil(avgDemand * 21),
-                    estimatedSavings: product.stockoutCostPerUnit * avgDemand * 5
-                });
-            }
-            // High: Approaching low stock
-            else if (daysOfCover < 10) {
-                suggestions.push({
-                    userId,
-                    type: 'RESTOCK',
-                    priority: 'HIGH',
-                    productSku: product.sku,
-                    productName: product.name,
-                    currentStock: product.onHand,
-                    suggestedQuantity: Math.ceil(avgDemand * product.horizonDays),
-                    toWarehouse: product.location,
-                    reasoning: `Stock running low with ${daysOfCover.toFixed(1)} days remaining. Recommend ordering ${Math.ceil(avgDemand * product.horizonDays)} units to cover next ${product.horizonDays} days based on average daily demand of ${avgDemand.toFixed(1)} units.`,
-                    metrics: {
-                        stockoutRisk: 65,
-                        daysOfCover: daysOfCover,
-                        demandTrend: 'stable',
-                        costImpact: product.unitCost * Math.ceil(avgDemand * product.horizonDays),
-                        urgencyScore: 70
-                    },
-                    aiConfidence: 85,
-                    estimatedCost: product.unitCost * Math.ceil(avgDemand * product.horizonDays),
-                    estimatedSavings: product.stockoutCostPerUnit * avgDemand * 2
-                });
-            }
-            // Overstock: Reduce holding costs
-            else if (product.onHand > 60 && daysOfCover > 45) {
-                const excessStock = Math.floor(product.onHand - (avgDemand * 30));
-                suggestions.push({
-                    userId,
-                    type: 'REDUCE_STOCK',
-                    priority: 'MEDIUM',
-                    productSku: product.sku,
-                    productName: product.name,
-                    currentStock: product.onHand,
-                    suggestedQuantity: excessStock,
-                    fromWarehouse: product.location,
-                    reasoning: `Overstocked with ${daysOfCover.toFixed(0)} days of inventory. Suggest reducing by ${excessStock} units through promotions or redistribution to reduce holding costs of $${(product.holdingCostPerUnit * excessStock * 30).toFixed(2)}/month.`,
-                    metrics: {
-                        stockoutRisk: 5,
-                        daysOfCover: daysOfCover,
-                        demandTrend: 'stable',
-                        costImpact: -1 * product.holdingCostPerUnit * excessStock * 30,
-                        urgencyScore: 40
-                    },
-                    aiConfidence: 80,
-                    estimatedCost: 0,
-                    estimatedSavings: product.holdingCostPerUnit * excessStock * 30
-                });
-            }
-            // Network optimization: Offer trucks for transfer
-            else if (product.onHand > 40 && daysOfCover > 30) {
-                suggestions.push({
-                    userId,
-                    type: 'OFFER_TRUCK',
-                    priority: 'LOW',
-                    productSku: product.sku,
-                    productName: product.name,
-                    currentStock: product.onHand,
-                    suggestedQuantity: Math.floor(product.onHand * 0.2),
-                    fromWarehouse: product.location,
-                    reasoning: `Surplus inventory available. Can offer ${Math.floor(product.onHand * 0.2)} units for transfer to other warehouses in network. Current stock provides ${daysOfCover.toFixed(0)} days of cover, allowing safe redistribution.`,
-                    metrics: {
-                        stockoutRisk: 10,
-                        daysOfCover: daysOfCover,
-                        demandTrend: 'stable',
-                        costImpact: 0,
-                        urgencyScore: 20
-                    },
-                    aiConfidence: 70,
-                    estimatedCost: 0,
-                    estimatedSavings: product.holdingCostPerUnit * Math.floor(product.onHand * 0.2) * 15
-                });
-            }
-        }
+app.post("/api/actions/generate", requirePermission("actions:generate"), async (req, res) => {
+    const userId = req.organizationId;
 
-        // Save suggestions to database
-        if (suggestions.length > 0) {
-            await Action.insertMany(suggestions);
-        }
+    try {
+        const { created, updated, expired } = await generateActions(userId);
 
         res.json({
             success: true,
-            count: suggestions.length,
-            message: `Generated ${suggestions.length} AI-powered action suggestions`
+            count: created,
+            created,
+            updated,
+            expired,
+            message: `Generated ${created} new AI-powered action suggestion(s), updated ${updated}, expired ${expired}`
         });
     } catch (error) {
         console.error("Error generating actions:", error);
@@ -794,21 +1737,28 @@ app.post("/api/actions/generate", async (req, res) => {
 });
 
 // Approve action
-app.post("/api/actions/approve/:id", async (req, res) => {
+app.post("/api/actions/approve/:id", requirePermission("actions:approve"), async (req, res) => {
+    const userId = req.organizationId;
+
     try {
-        const action = await Action.findById(req.params.id);
+        // Only a pending action can be approved; one already executed would run twice
+        const action = await Action.findOneAndUpdate(
+            tenantFilter(userId, { _id: req.params.id, status: 'PENDING' }),
+            {
+                $set: {
+                    status: 'APPROVED',
+                    approvedAt: new Date(),
+                    approvedBy: req.session.userId || "system",
+                    notes: req.body.notes || ''
+                }
+            },
+            { new: true }
+        );
 
         if (!action) {
-            return res.json({ success: false, message: "Action not found" });
+            return actionStatusConflict(res, userId, req.params.id, "approved");
         }
 
-        action.status = 'APPROVED';
-        action.approvedAt = new Date();
-        action.approvedBy = req.session.userId || "system";
-        action.notes = req.body.notes || '';
-
-        await action.save();
-
         res.json({
             success: true,
             message: `Action approved: ${action.type} for ${action.productName}`
@@ -820,19 +1770,20 @@ app.post("/api/actions/approve/:id", async (req, res) => {
 });
 
 // Reject action
-app.post("/api/actions/reject/:id", async (req, res) => {
+app.post("/api/actions/reject/:id", requirePermission("actions:approve"), async (req, res) => {
+    const userId = req.organizationId;
+
     try {
-        const action = await Action.findById(req.params.id);
+        const action = await Action.findOneAndUpdate(
+            tenantFilter(userId, { _id: req.params.id, status: { $in: ['PENDING', 'APPROVED'] } }),
+            { $set: { status: 'REJECTED', notes: req.body.notes || 'Rejected by user' } },
+            { new: true }
+        );
 
         if (!action) {
-            return res.json({ success: false, message: "Action not found" });
+            return actionStatusConflict(res, userId, req.params.id, "rejected");
         }
 
-        action.status = 'REJECTED';
-        action.notes = req.body.notes || 'Rejected by user';
-
-        await action.save();
-
         res.json({
             success: true,
             message: `Action rejected: ${action.type} for ${action.productName}`
@@ -843,143 +1794,227 @@ app.post("/api/actions/reject/:id", async (req, res) => {
     }
 });
 
-// Execute approved action
-app.post("/api/actions/execute/:id", async (req, res) => {
+// Answer for an approve or reject whose claim matched nothing: 404 for another
+// organization's or a missing action, 409 when its status no longer allows it
+async function actionStatusConflict(res, userId, actionId, verb) {
+    const existing = await Action.findOwned(userId, actionId).lean();
+    if (!existing) {
+        return res.status(404).json({ success: false, message: "Action not found" });
+    }
+    res.status(409).json({ success: false, message: `An action that is ${existing.status} cannot be ${verb}` });
+}
+
+// Execute approved action, applying its effect to inventory
+app.post("/api/actions/execute/:id", requirePermission("actions:approve"), async (req, res) => {
+    const userId = req.organizationId;
+
     try {
-        const action = await Action.findById(req.params.id);
+        // Claim the action first so a double click cannot execute it twice
+        const action = await Action.findOneAndUpdate(
+            tenantFilter(userId, { _id: req.params.id, status: 'APPROVED' }),
+            { $set: { status: 'EXECUTED', executedAt: new Date() } },
+            { new: true }
+        );
 
         if (!action) {
-            return res.json({ success: false, message: "Action not found" });
+            const existing = await Action.findOwned(userId, req.params.id).lean();
+            return res.status(existing ? 200 : 404).json({
+                success: false,
+                message: existing ? "Action must be approved first" : "Action not found"
+            });
         }
 
-        if (action.status !== 'APPROVED') {
-            return res.json({ success: false, message: "Action must be approved first" });
+        try {
+            action.result = await executeAction(action);
+            action.executionError = undefined;
+            await action.save();
+        } catch (error) {
+            await Action.updateOne(
+                { _id: action._id },
+                { $set: { status: 'APPROVED', executionError: error.message }, $unset: { executedAt: 1 } }
+            );
+            throw error;
         }
 
-        action.status = 'EXECUTED';
-        action.executedAt = new Date();
-
-        await action.save();
-
         res.json({
             success: true,
-            message: `Action executed: ${action.type} for ${action.productName}`
+            message: `Action executed: ${action.type} for ${action.productName}`,
+            result: action.result
         });
     } catch (error) {
         console.error("Error executing action:", error);
-        res.status(500).json({ success: false, message: error.message });
+        res.status(error.status || 500).json({ success: false, message: error.message });
     }
 });
 
-// Reduce Waste page route
-app.get("/reduce-waste", async (req, res) => {
-    if (!req.session.userId) {
-        return res.redirect("/signup");
-    }
-
-    const userId = req.session.userId;
+// Project stock over the next N days with none, all or some pending actions approved
+app.post("/api/simulate", requirePermission("inventory:read"), async (req, res) => {
+    const userId = req.organizationId;
 
     try {
-        // Find overstocked items
-        const overstock = await Inventory.find({ userId, onHand: { $gt: 60 } }).lean();
+        const { days, mode, runs, seed, actionIds } = req.body;
+        const simulation = await simulateInventory(userId, { days, mode, runs, seed, actionIds });
 
-        if (overstock.length === 0) {
-            return res.redirect("/");
-        }
+        res.json({ success: true, ...simulation });
+    } catch (error) {
+        console.error("Error running simulation:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
 
-        // Get the first overstocked product (or you could let user select)
-        const product = overstock[0];
+// Anything above 30 days of forecast demand (at least 20 units) is excess
+function excessStockFor(product) {
+    const forecast = forecastDemand(product, { horizonDays: 30 });
+    const optimalStock = Math.max(20, Math.ceil(forecast.horizonDemand));
 
-        // Calculate average demand
-        const demands = product.demandHistory?.map(d => d.unitsSold) || [];
-        const avgDemand = demands.length > 0
-            ? demands.reduce((a, b) => a + b, 0) / demands.length
-            : 0;
+    return { forecast, excessStock: Math.max(0, product.onHand - optimalStock) };
+}
 
-        // Calculate excess stock (anything above 30 days of supply is considered excess)
-        // For low-velocity items, we use minimum threshold of 20 units
-        const optimalStock = Math.max(20, Math.ceil(avgDemand * 30));
-        const excessStock = Math.max(0, product.onHand - optimalStock);
+// Overstocked products ranked by the value tied up in their excess stock
+// ('value') or by what holding it costs over the next 30 days ('holding')
+function rankOverstock(overstock, sort) {
+    const ranked = overstock.map(product => {
+        const { forecast, excessStock } = excessStockFor(product);
 
-        // Warehouse definitions with zip codes
-        const warehouseDefinitions = [
-            {
-                id: 'WH-001',
-                name: 'Northeast Hub',
-                location: 'Boston, MA',
-                zipCode: '02101',
-                demand: (avgDemand * 1.2).toFixed(1),
-                currentStock: 15,
-                suggestedQty: Math.min(excessStock, Math.ceil(avgDemand * 30))
-            },
-            {
-                id: 'WH-002',
-                name: 'Southeast Center',
-                location: 'Atlanta, GA',
-                zipCode: '30301',
-                demand: (avgDemand * 0.9).toFixed(1),
-                currentStock: 8,
-                suggestedQty: Math.min(excessStock, Math.ceil(avgDemand * 20))
-            },
-            {
-                id: 'WH-003',
-                name: 'Midwest Warehouse',
-                location: 'Chicago, IL',
-                zipCode: '60601',
-                demand: (avgDemand * 1.5).toFixed(1),
-                currentStock: 5,
-                suggestedQty: Math.min(excessStock, Math.ceil(avgDemand * 40))
-            },
-            {
-                id: 'WH-004',
-                name: 'Southwest Depot',
-                location: 'Dallas, TX',
-                zipCode: '75201',
-                demand: (avgDemand * 0.8).toFixed(1),
-                currentStock: 12,
-                suggestedQty: Math.min(excessStock, Math.ceil(avgDemand * 15))
-            },
-            {
-                id: 'WH-005',
-                name: 'West Coast Hub',
-                location: 'Los Angeles, CA',
-                zipCode: '90001',
-                demand: (avgDemand * 1.8).toFixed(1),
-                currentStock: 3,
-                suggestedQty: Math.min(excessStock, Math.ceil(avgDemand * 50))
-            }
-        ];
-
-        // Get real shipping costs from ShipEngine API (with fallback to mock)
-        const originZip = product.locationZip || '10001'; // Default to NYC if not set
-        const warehouses = await Promise.all(warehouseDefinitions.map(async (wh) => {
-            const realCost = await getShippingCosts(originZip, wh.zipCode);
-
-            // Use real cost if available, otherwise use intelligent mock based on distance
-            const mockCosts = {
-                'WH-001': 45.50,  // Boston
-                'WH-002': 52.75,  // Atlanta
-                'WH-003': 58.20,  // Chicago
-                'WH-004': 65.90,  // Dallas
-                'WH-005': 78.40   // Los Angeles
-            };
+        return {
+            product,
+            forecast,
+            excessStock,
+            excessValue: excessStock * (parseFloat(product.unitCost) || 0),
+            holdingCost: excessStock * (parseFloat(product.holdingCostPerUnit) || 0) * 30
+        };
+    });
+
+    const [first, second] = sort === 'holding' ? ['holdingCost', 'excessValue'] : ['excessValue', 'holdingCost'];
+    return ranked.sort((a, b) => b[first] - a[first] || b[second] - a[second]);
+}
+
+// Destination warehouses for a product's excess stock. Their stock and demand
+// for the SKU come from the stock held there; demand is recorded per SKU, so a
+// record stocked at several sites splits it evenly. Transfer costs come from the
+// configured shipping rate provider (see services/shipping-rates.js), quoted
+// for a pallet of the product at its recorded weight.
+async function loadDistributionCandidates(userId, product, inventory) {
+    const { forecast, excessStock } = excessStockFor(product);
+
+    const userWarehouses = await getUserWarehouses(userId);
+    const skuRecords = inventory.filter(item => item.sku === product.sku);
+    const originWarehouse = primaryWarehouse(product, userWarehouses);
+    const summaries = new Map(summarizeWarehouses(userWarehouses, inventory).map(wh => [String(wh._id), wh]));
+    const unitsPerQuote = shipmentUnits(product, excessStock);
+    const { weightLbs } = shipmentSize(product, unitsPerQuote);
+
+    const definitions = userWarehouses
+        .filter(wh => !originWarehouse || !wh._id.equals(originWarehouse._id))
+        .map(wh => {
+            const records = skuRecords
+                .map(item => ({ item, level: levelAtWarehouse(item, wh) }))
+                .filter(({ level }) => level);
+            const demand = records.reduce((sum, { item }) =>
+                sum + forecastDemand(item, { horizonDays: 30 }).dailyDemand / Math.max(1, item.stockLevels?.length || 0), 0);
 
             return {
-                ...wh,
-                transferCost: realCost || mockCosts[wh.id],
-                costSource: realCost ? 'shipengine' : 'estimated'
+                id: wh._id.toString(),
+                code: wh.code,
+                name: wh.name,
+                location: wh.address,
+                zipCode: wh.zip,
+                lat: wh.lat,
+                lng: wh.lng,
+                demand: demand.toFixed(1),
+                currentStock: records.reduce((sum, { level }) => sum + level.onHand, 0),
+                freeCapacity: freeUnitsFor(summaries.get(String(wh._id)), product)
             };
+        });
+
+    const warehouses = await Promise.all(definitions.map(async (wh) => {
+        const quote = await quoteShipment(originWarehouse, { zip: wh.zipCode, lat: wh.lat, lng: wh.lng },
+            weightLbs === null ? {} : { weightLbs });
+
+        return {
+            ...wh,
+            transferCost: quote.amount,
+            shipmentUnits: unitsPerQuote,
+            carrier: quote.carrier,
+            deliveryDays: quote.deliveryDays,
+            costSource: quote.source
+        };
+    }));
+
+    // Cheapest first
+    warehouses.sort((a, b) => a.transferCost - b.transferCost);
+
+    return {
+        forecast,
+        excessStock,
+        origin: originWarehouse
+            ? { id: originWarehouse._id.toString(), name: originWarehouse.name }
+            : { id: 'origin', name: product.location || 'Origin' },
+        warehouses
+    };
+}
+
+// Reduce Waste page route. Lists every overstocked product; the ones picked
+// with ?sku= (the top-ranked one by default) get a distribution plan each, and
+// picking several adds one consolidated shipment per lane.
+app.get("/reduce-waste", requirePermission("inventory:read"), async (req, res) => {
+    const userId = req.organizationId;
+
+    try {
+        // Overstocked items are those matching the user's reduce-waste rules
+        const inventory = await Inventory.forTenant(userId).lean();
+        const { byItem } = await detectIssues(userId, inventory);
+        const overstock = inventory.filter(item => (byItem[String(item._id)] || []).includes('reduceWaste'));
+
+        const sort = req.query.sort === 'holding' ? 'holding' : 'value';
+        const ranked = rankOverstock(overstock, sort);
+        const requested = [].concat(req.query.sku || []);
+        const picked = ranked.filter(entry => requested.includes(entry.product.sku));
+        if (picked.length === 0 && ranked.length > 0) {
+            picked.push(ranked[0]);
+        }
+
+        const selections = await Promise.all(picked.map(async (entry) => {
+            const { origin, warehouses } = await loadDistributionCandidates(userId, entry.product, inventory);
+            const plan = distributionPlan(entry.product, warehouses, { origin, excessStock: entry.excessStock });
+
+            // Prefill each warehouse's quantity from the optimized plan
+            warehouses.forEach(wh => {
+                wh.suggestedQty = plan.lines.find(line => line.warehouseId === wh.id)?.quantity || 0;
+            });
+
+            return { ...entry, origin, warehouses, plan };
         }));
 
-        // Sort warehouses by transfer cost (cheapest first)
-        warehouses.sort((a, b) => a.transferCost - b.transferCost);
+        // One shipment per lane for the whole selection, quoted at its combined weight
+        let shipments = [];
+        if (selections.length > 1) {
+            const userWarehouses = new Map((await getUserWarehouses(userId)).map(wh => [String(wh._id), wh]));
+            shipments = await Promise.all(consolidateShipments(selections.map(selection => selection.plan)).map(async (shipment) => {
+                const quote = await quoteShipment(userWarehouses.get(shipment.fromWarehouseId), userWarehouses.get(shipment.warehouseId),
+                    shipment.weightLbs === null ? {} : { weightLbs: shipment.weightLbs });
+
+                return {
+                    ...shipment,
+                    cost: quote.amount,
+                    carrier: quote.carrier,
+                    deliveryDays: quote.deliveryDays,
+                    costSource: quote.source
+                };
+            }));
+        }
+
+        const distributions = selections.length > 0
+            ? await listDistributions(userId, { skus: selections.map(selection => selection.product.sku) })
+            : [];
 
         res.render("ReduceWaste", {
-            product,
-            avgDemand,
-            excessStock,
-            warehouses,
-            userId
+            ranked,
+            sort,
+            selections,
+            shipments,
+            distributions,
+            highlight: req.query.distribution || null
         });
     } catch (error) {
         console.error("Error loading reduce waste page:", error);
@@ -987,287 +2022,150 @@ app.get("/reduce-waste", async (req, res) => {
     }
 });
 
-// API: AI-powered distribution recommendation
-app.post("/api/ai-distribute-recommendation", async (req, res) => {
-    const { productSku, productName, excessStock, warehouses, userId } = req.body;
+// API: Distribution plan for a product's excess stock, explained by the AI agent
+app.post("/api/ai-distribute-recommendation", requirePermission("inventory:read"), async (req, res) => {
+    const userId = req.organizationId;
 
-    console.log('🤖 AI Distribution Request:', { productSku, productName, excessStock, warehouseCount: warehouses?.length });
+    try {
+        const inventory = await Inventory.forTenant(userId).lean();
+        const product = inventory.find(item => item.sku === req.body.productSku);
+        if (!product) {
+            return res.status(404).json({ success: false, error: "Product not found" });
+        }
 
-    const mastraUrl = process.env.MASTRA_URL || 'http://localhost:4111';
+        const { excessStock, origin, warehouses } = await loadDistributionCandidates(userId, product, inventory);
+        const plan = distributionPlan(product, warehouses, { origin, excessStock });
 
-    try {
-        // Call Mastra AI agent with waste distribution tool
-        console.log(`📡 Calling Mastra AI at ${mastraUrl}...`);
-        const aiResponse = await fetch(`${mastraUrl}/api/agents/inventoryAgent/generate`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-                messages: [{
-                    role: "user",
-                    content: `I have ${excessStock} excess units of ${productName} (SKU: ${productSku}) that need redistribution.
-                    
-Available warehouses:
-${warehouses.map(wh => `- ${wh.name} (${wh.location}): Demand ${wh.demand} units/day, Current Stock: ${wh.currentStock}, Transfer Cost: $${wh.transferCost}`).join('\n')}
-
-Should I distribute this excess stock? If yes, which warehouses should receive how many units? Consider demand, current stock levels, and transfer costs. Provide specific quantity recommendations for each warehouse with reasoning.`
-                }],
-                resourceid: userId
-            })
-        });
+        // The plan is fixed; the agent only explains it
+        let explanation = describePlan(plan);
+        let explanationSource = 'rules';
+        const mastraUrl = process.env.MASTRA_URL || 'http://localhost:4111';
 
-        if (!aiResponse.ok) {
-            console.error('❌ Mastra AI error:', aiResponse.status, aiResponse.statusText);
-            throw new Error('AI service unavailable');
-        }
-
-        const aiData = await aiResponse.json();
-        console.log('✅ AI Response received:', aiData.text?.substring(0, 100) + '...');
-        const aiText = aiData.text || aiData.message || '';
-
-        // Parse AI response to extract distribution plan
-        let recommendation;
-
-        // Try to extract structured data from AI response
-        const shouldDistribute = aiText.toLowerCase().includes('yes') ||
-            aiText.toLowerCase().includes('recommend') ||
-            aiText.toLowerCase().includes('distribute');
-
-        if (shouldDistribute) {
-            // Build distribution plan based on AI's analysis
-            const distributions = [];
-            let totalUnits = 0;
-            let estimatedCost = 0;
-
-            // Prioritize high-demand, low-stock warehouses with low transfer costs
-            const sortedWarehouses = [...warehouses]
-                .map(wh => ({
-                    ...wh,
-                    priority: (parseFloat(wh.demand) / wh.currentStock) / wh.transferCost
-                }))
-                .sort((a, b) => b.priority - a.priority);
-
-            let remainingStock = excessStock;
-
-            for (const wh of sortedWarehouses) {
-                if (remainingStock <= 0) break;
-
-                // Calculate optimal quantity for this warehouse
-                const demand = parseFloat(wh.demand);
-                const daysOfSupply = wh.currentStock / demand;
-
-                // Only distribute if they have less than 30 days of supply
-                if (daysOfSupply < 30) {
-                    const neededUnits = Math.ceil(demand * 30) - wh.currentStock;
-                    const quantityToSend = Math.min(neededUnits, remainingStock, wh.suggestedQty);
-
-                    if (quantityToSend > 0) {
-                        distributions.push({
-                            warehouseId: wh.id,
-                            warehouseName: wh.name,
-                            location: wh.location,
-                            quantity: quantityToSend,
-                            reason: `High demand (${demand}/day), low stock (${daysOfSupply.toFixed(1)} days supply)`
-                        });
-
-                        totalUnits += quantityToSend;
-                        estimatedCost += (wh.transferCost * quantityToSend / 100);
-                        remainingStock -= quantityToSend;
-                    }
-                }
-            }
+        try {
+            const aiResponse = await fetch(`${mastraUrl}/api/agents/inventoryAgent/generate`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({
+                    messages: [{
+                        role: "user",
+                        content: `Explain this distribution plan for ${product.name} (SKU: ${product.sku}) to a warehouse manager in 3-4 sentences. The plan was computed by a cost optimizer and is final: do not change quantities or suggest a different plan, only explain why it sends what it sends and why skipped warehouses get nothing.
+
+${JSON.stringify({ lines: plan.lines, skipped: plan.skipped, totals: plan.totals, coverDays: plan.coverDays, unitValue: plan.unitValue })}`
+                    }],
+                    resourceid: userId,
+                    runtimeContext: agentRuntimeContext(req)
+                }),
+                signal: AbortSignal.timeout(40000) // 40 second timeout for AI processing
+            });
 
-            recommendation = {
-                shouldDistribute: distributions.length > 0,
-                decision: distributions.length > 0
-                    ? `✅ Yes, distribute ${totalUnits} units to ${distributions.length} warehouse(s)`
-                    : '❌ No distribution recommended - all warehouses adequately stocked',
-                reasoning: aiText.substring(0, 300) + '...',
-                distributions,
-                totalUnits,
-                estimatedCost
-            };
-        } else {
-            recommendation = {
-                shouldDistribute: false,
-                decision: '❌ No distribution recommended',
-                reasoning: aiText.substring(0, 300),
-                distributions: [],
-                totalUnits: 0,
-                estimatedCost: 0
-            };
-        }
+            if (!aiResponse.ok) {
+                throw new Error(`Mastra returned ${aiResponse.status}`);
+            }
 
-        res.json({ success: true, recommendation });
-    } catch (error) {
-        console.error("AI distribution recommendation error:", error);
-
-        // Fallback: Simple rule-based distribution
-        const distributions = [];
-        let totalUnits = 0;
-        let estimatedCost = 0;
-        let remainingStock = excessStock;
-
-        for (const wh of warehouses.slice(0, 3)) { // Top 3 lowest cost
-            if (remainingStock <= 0) break;
-            const qty = Math.min(wh.suggestedQty, remainingStock);
-            if (qty > 0) {
-                distributions.push({
-                    warehouseId: wh.id,
-                    warehouseName: wh.name,
-                    location: wh.location,
-                    quantity: qty,
-                    reason: 'Low transfer cost and demand gap'
-                });
-                totalUnits += qty;
-                estimatedCost += (wh.transferCost * qty / 100);
-                remainingStock -= qty;
+            const aiData = await aiResponse.json();
+            const aiText = (aiData.text || aiData.message || '').trim();
+            if (aiText) {
+                explanation = aiText;
+                explanationSource = 'ai';
             }
+        } catch (error) {
+            console.log(`⚠️ Mastra unavailable (${error.message}), using the optimizer's explanation`);
         }
 
-        res.json({
-            success: true,
-            recommendation: {
-                shouldDistribute: true,
-                decision: `✅ Fallback: Distribute ${totalUnits} units to ${distributions.length} warehouse(s)`,
-                reasoning: 'AI unavailable. Using rule-based distribution to warehouses with lowest transfer costs and highest demand.',
-                distributions,
-                totalUnits,
-                estimatedCost
-            }
-        });
+        res.json({ success: true, plan, explanation, explanationSource });
+    } catch (error) {
+        console.error("Distribution recommendation error:", error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
     }
 });
 
-// API: Distribute stock to warehouses
-app.post("/api/distribute-stock", async (req, res) => {
-    const { productSku, distributions, userId } = req.body;
+// API: Distribute stock to warehouses, one shipped transfer per destination
+app.post("/api/distribute-stock", requirePermission("inventory:write"), async (req, res) => {
+    const userId = req.organizationId;
 
     try {
-        // Get the product
-        const product = await Inventory.findOne({ userId, sku: productSku });
+        const { productSku, distributions } = req.body;
+        const { distribution, transfers } = await createDistribution(userId, { sku: productSku, lines: distributions });
+        const product = await Inventory.findOne(tenantFilter(userId, { sku: distribution.sku })).lean();
 
-        if (!product) {
-            return res.json({ success: false, error: 'Product not found' });
-        }
-
-        // Calculate total distribution
-        const totalDistributed = distributions.reduce((sum, d) => sum + d.quantity, 0);
+        res.json({
+            success: true,
+            message: `Shipped ${distribution.totalUnits} units to ${transfers.length} warehouse(s). ` +
+                `They show as inbound there until each transfer is marked received.`,
+            distributionId: distribution._id,
+            totalDistributed: distribution.totalUnits,
+            warehousesUpdated: transfers.length,
+            shippingCost: distribution.shippingCost,
+            transfers: transfers.map(transfer => ({
+                id: transfer._id,
+                toWarehouse: transfer.toWarehouse,
+                quantity: transfer.quantity,
+                status: transfer.status,
+                shippingCost: transfer.shippingCost,
+                carrier: transfer.carrier
+            })),
+            newStockLevel: product ? stockTotals(product).available : null
+        });
+    } catch (error) {
+        console.error("Distribution error:", error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
 
-        if (totalDistributed > product.onHand) {
-            return res.json({ success: false, error: 'Not enough stock to distribute' });
-        }
+// API: Status of a distribution and its transfers
+app.get("/api/distributions/:distributionId", requirePermission("inventory:read"), async (req, res) => {
+    const userId = req.organizationId;
 
-        // Update product stock
-        product.onHand -= totalDistributed;
-        await product.save();
+    try {
+        const distribution = await getDistribution(userId, req.params.distributionId);
+        res.json({ success: true, distribution });
+    } catch (error) {
+        console.error("Get distribution error:", error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
 
-        // In a real system, you would also:
-        // 1. Create transfer orders
-        // 2. Update destination warehouse stocks
-        // 3. Log the transaction
+// API: Recent distributions, optionally for some SKUs (?sku=A&sku=B)
+app.get("/api/distributions", requirePermission("inventory:read"), async (req, res) => {
+    const userId = req.organizationId;
 
-        res.json({
-            success: true,
-            totalDistributed,
-            warehousesUpdated: distributions.length,
-            newStockLevel: product.onHand
-        });
+    try {
+        const skus = req.query.sku ? [].concat(req.query.sku) : undefined;
+        const distributions = await listDistributions(userId, { skus, limit: Math.min(parseInt(req.query.limit) || 10, 50) });
+        res.json({ success: true, distributions });
     } catch (error) {
-        console.error("Distribution error:", error);
-        res.json({ success: false, error: error.message });
+        console.error("List distributions error:", error);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
 // Route: Alert page with warehouse map and news
-app.get("/alert", async (req, res) => {
-    if (!req.session.userId) {
-        return res.redirect("/signup");
-    }
-
+app.get("/alert", requirePermission("inventory:read"), async (req, res) => {
     try {
-        const userId = req.session.userId;
+        const userId = req.organizationId;
 
         // Fetch inventory from MongoDB
-        const inventory = await Inventory.find({ userId }).lean();
-
-        // Define warehouses (mock data)
-        const warehouses = [
-            {
-                id: 'wh-boston',
-                name: 'Boston Distribution Center',
-                location: 'Boston, MA',
-                lat: 42.3601,
-                lng: -71.0589,
-                lon: -71.0589,
-                zip: '02108',
-                products: inventory.slice(0, 5).map(p => ({
-                    sku: p.sku,
-                    name: p.productName,
-                    stock: p.onHand,
-                    status: p.onHand > 50 ? 'good' : p.onHand > 20 ? 'medium' : 'low'
-                }))
-            },
-            {
-                id: 'wh-atlanta',
-                name: 'Atlanta Warehouse',
-                location: 'Atlanta, GA',
-                lat: 33.7490,
-                lng: -84.3880,
-                lon: -84.3880,
-                zip: '30301',
-                products: inventory.slice(3, 8).map(p => ({
-                    sku: p.sku,
-                    name: p.productName,
-                    stock: p.onHand,
-                    status: p.onHand > 50 ? 'good' : p.onHand > 20 ? 'medium' : 'low'
-                }))
-            },
-            {
-                id: 'wh-chicago',
-                name: 'Chicago Hub',
-                location: 'Chicago, IL',
-                lat: 41.8781,
-                lng: -87.6298,
-                lon: -87.6298,
-                zip: '60601',
-                products: inventory.slice(5, 10).map(p => ({
-                    sku: p.sku,
-                    name: p.productName,
-                    stock: p.onHand,
-                    status: p.onHand > 50 ? 'good' : p.onHand > 20 ? 'medium' : 'low'
-                }))
-            },
-            {
-                id: 'wh-dallas',
-                name: 'Dallas Center',
-                location: 'Dallas, TX',
-                lat: 32.7767,
-                lng: -96.7970,
-                lon: -96.7970,
-                zip: '75201',
-                products: inventory.slice(7, 12).map(p => ({
-                    sku: p.sku,
-                    name: p.productName,
-                    stock: p.onHand,
-                    status: p.onHand > 50 ? 'good' : p.onHand > 20 ? 'medium' : 'low'
-                }))
-            },
-            {
-                id: 'wh-la',
-                name: 'Los Angeles Facility',
-                location: 'Los Angeles, CA',
-                lat: 34.0522,
-                lng: -118.2437,
-                lon: -118.2437,
-                zip: '90001',
-                products: inventory.slice(10, 15).map(p => ({
-                    sku: p.sku,
-                    name: p.productName,
-                    stock: p.onHand,
-                    status: p.onHand > 50 ? 'good' : p.onHand > 20 ? 'medium' : 'low'
-                }))
-            }
-        ];
+        const inventory = await Inventory.forTenant(userId).lean();
+
+        // Place each product at the warehouse its location refers to
+        const userWarehouses = await getUserWarehouses(userId);
+        const warehouses = summarizeWarehouses(userWarehouses, inventory).map(wh => ({
+            id: wh._id.toString(),
+            code: wh.code,
+            name: wh.name,
+            location: wh.address,
+            lat: wh.lat,
+            lng: wh.lng,
+            lon: wh.lng,
+            zip: wh.zip,
+            capacity: wh.capacity,
+            products: wh.items.map(p => ({
+                sku: p.sku,
+                name: p.name,
+                stock: p.stockAtWarehouse.onHand,
+                status: p.stockAtWarehouse.onHand > 50 ? 'good' : p.stockAtWarehouse.onHand > 20 ? 'medium' : 'low'
+            }))
+        }));
 
         res.render("Alert", {
             warehouses,
@@ -1280,18 +2178,24 @@ app.get("/alert", async (req, res) => {
 });
 
 // Route for courses page
-app.get("/courses", (req, res) => {
+app.get("/courses", requirePermission("inventory:read"), (req, res) => {
     res.render("courses");
 });
 
 // API: Analyze disasters and show necessary products by warehouse
-app.post("/api/analyze-disaster", async (req, res) => {
-    const { userId } = req.body;
+app.post("/api/analyze-disaster", requirePermission("inventory:read"), async (req, res) => {
+    const userId = req.organizationId;
 
     try {
         console.log("Starting disaster analysis for user:", userId);
 
-        const inventory = await Inventory.find({ userId: req.session.userId || userId || 'user123' }).lean();
+        const inventory = await Inventory.forTenant(userId).lean();
+        const warehouses = await getUserWarehouses(userId);
+
+        // Names of the warehouses that actually hold a given SKU
+        const warehousesStocking = sku => warehouses
+            .filter(wh => inventory.some(item => item.sku === sku && levelAtWarehouse(item, wh)?.onHand > 0))
+            .map(wh => wh.name);
 
         // Generate intelligent disaster analysis based on actual inventory data
         const disasters = [{
@@ -1300,10 +2204,10 @@ app.post("/api/analyze-disaster", async (req, res) => {
             affectedRegions: ["Mumbai-Pune corridor", "Western India"],
             necessaryProducts: inventory.slice(0, 3).map(p => ({
                 sku: p.sku,
-                name: p.productName,
+                name: p.name,
                 priority: p.onHand < 20 ? "critical" : "high",
                 reason: `Essential supply for monsoon delays. Current stock: ${p.onHand} units (${Math.round(p.onHand / ((p.unitsSold / 7) || 1))} days cover).`,
-                warehouses: ["wh-boston", "wh-atlanta", "wh-chicago"]
+                warehouses: warehousesStocking(p.sku)
             })),
             recommendations: "🚨 Increase buffer stock in unaffected regions by 40%. Activate Delhi-Bangalore alternate route. Monitor weather forecasts hourly. Pre-position emergency inventory."
         }];
@@ -1315,10 +2219,10 @@ app.post("/api/analyze-disaster", async (req, res) => {
                 affectedRegions: ["All routes", "National distribution"],
                 necessaryProducts: inventory.slice(5, 7).map(p => ({
                     sku: p.sku,
-                    name: p.productName,
+                    name: p.name,
                     priority: "high",
                     reason: `High-demand product (${p.unitsSold || 0} units sold). Fuel costs increasing delivery expenses.`,
-                    warehouses: ["wh-dallas", "wh-la"]
+                    warehouses: warehousesStocking(p.sku)
                 })),
                 recommendations: "💰 Consolidate shipments to reduce fuel costs. Prioritize high-margin products. Consider rail/sea freight alternatives. Implement zone-based distribution."
             });
@@ -1341,136 +2245,142 @@ app.post("/api/analyze-disaster", async (req, res) => {
     }
 });
 
-// API: Generate waste reduction plans using AI
-app.post("/api/generate-waste-plans", async (req, res) => {
-    const { productSku, productName, excessStock, unitCost, userId } = req.body;
+// Rule-based waste reduction plans, used when the AI agent is unavailable
+function fallbackWastePlans(products) {
+    const label = products.length === 1 ? products[0].name : `${products.length} overstocked products`;
+    const excessStock = products.reduce((sum, product) => sum + product.excessStock, 0);
+
+    return [
+        {
+            type: 'bundle',
+            title: products.length > 1 ? 'Cross-Product Bundle' : 'Buy One Get One 50% Off',
+            description: products.length > 1
+                ? `Bundle ${products.map(product => product.name).join(', ')} together at a combined discount to move excess from all of them.`
+                : `Bundle ${label} with complementary products. Offer second unit at half price to move excess inventory.`,
+            impact: `Reduce ${Math.floor(excessStock * 0.4)} units`,
+            estimatedUnitsReduced: Math.floor(excessStock * 0.4)
+        },
+        {
+            type: 'discount',
+            title: 'Flash Sale - 30% Off',
+            description: `Limited-time discount on ${label} to create urgency and clear excess stock quickly.`,
+            impact: `Reduce ${Math.floor(excessStock * 0.3)} units`,
+            estimatedUnitsReduced: Math.floor(excessStock * 0.3)
+        },
+        {
+            type: 'promotion',
+            title: 'Loyalty Reward Bonus',
+            description: 'Offer as exclusive bonus to loyalty program members, building customer engagement.',
+            impact: `Reduce ${Math.floor(excessStock * 0.2)} units`,
+            estimatedUnitsReduced: Math.floor(excessStock * 0.2)
+        },
+        {
+            type: 'donation',
+            title: 'Corporate Social Responsibility',
+            description: 'Donate excess units to local charities for tax benefits and positive brand image.',
+            impact: `Tax deduction + brand value`
+        },
+        {
+            type: 'liquidation',
+            title: 'Bulk Liquidation Sale',
+            description: 'Sell remaining units to liquidation partners at reduced margins to free up capital.',
+            impact: `Clear ${Math.floor(excessStock * 0.6)} units`,
+            estimatedUnitsReduced: Math.floor(excessStock * 0.6)
+        }
+    ];
+}
 
-    const mastraUrl = process.env.MASTRA_URL || 'http://localhost:4111';
+// API: Generate waste reduction plans for one or more overstocked products using AI
+app.post("/api/generate-waste-plans", requirePermission("inventory:read"), async (req, res) => {
+    const userId = req.organizationId;
 
     try {
-        // Call Mastra AI agent for plan generation
-        const aiResponse = await fetch(`${mastraUrl}/api/agents/inventoryAgent/generate`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-                messages: [{
-                    role: "user",
-                    content: `Generate 4-5 creative waste reduction strategies for ${productName} (SKU: ${productSku}). 
-                    We have ${excessStock} excess units at $${unitCost} each. 
-                    Provide actionable plans like bundling, promotions, discounts, donations, or liquidation strategies.
-                    Format each plan with: type (bundle/discount/promotion/donation/liquidation), title, description, and expected impact.
-                    Return as a JSON array.`
-                }],
-                resourceid: userId
-            })
-        });
-
-        if (!aiResponse.ok) {
-            throw new Error('AI service unavailable');
+        const skus = [].concat(req.body.productSkus || req.body.productSku || []);
+        const inventory = await Inventory.forTenant(userId, { sku: { $in: skus } }).lean();
+        if (inventory.length === 0) {
+            return res.status(404).json({ success: false, error: "Product not found" });
         }
 
-        const aiData = await aiResponse.json();
-        let plans;
+        const products = inventory.map(product => ({
+            sku: product.sku,
+            name: product.name,
+            unitCost: product.unitCost,
+            excessStock: excessStockFor(product).excessStock
+        }));
+
+        let plans = null;
+        const mastraUrl = process.env.MASTRA_URL || 'http://localhost:4111';
 
-        // Try to parse AI response as JSON
         try {
+            // Call Mastra AI agent for plan generation
+            const aiResponse = await fetch(`${mastraUrl}/api/agents/inventoryAgent/generate`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({
+                    messages: [{
+                        role: "user",
+                        content: `Generate 4-5 creative waste reduction strategies for these overstocked products:
+                    ${products.map(product => `- ${product.name} (SKU: ${product.sku}): ${product.excessStock} excess units at $${product.unitCost} each`).join('\n                    ')}
+                    ${products.length > 1 ? 'Plans may cover several of these products at once, such as bundles across them.' : ''}
+                    Provide actionable plans like bundling, promotions, discounts, donations, or liquidation strategies.
+                    Format each plan with: type (bundle/discount/promotion/donation/liquidation), title, description, expected impact and estimatedUnitsReduced.
+                    Return as a JSON array.`
+                    }],
+                    resourceid: userId,
+                    runtimeContext: agentRuntimeContext(req)
+                })
+            });
+
+            if (!aiResponse.ok) {
+                throw new Error('AI service unavailable');
+            }
+
+            // Try to parse AI response as JSON
+            const aiData = await aiResponse.json();
             const aiText = aiData.text || aiData.message || '';
             const jsonMatch = aiText.match(/\[[\s\S]*\]/);
             plans = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
-        } catch (parseError) {
-            plans = null;
-        }
-
-        // Fallback to mock plans if AI parsing fails
-        if (!plans) {
-            plans = [
-                {
-                    type: 'bundle',
-                    title: 'Buy One Get One 50% Off',
-                    description: `Bundle ${productName} with complementary products. Offer second unit at half price to move excess inventory.`,
-                    impact: `Reduce ${Math.floor(excessStock * 0.4)} units`
-                },
-                {
-                    type: 'discount',
-                    title: 'Flash Sale - 30% Off',
-                    description: 'Limited-time discount to create urgency and clear excess stock quickly.',
-                    impact: `Reduce ${Math.floor(excessStock * 0.3)} units`
-                },
-                {
-                    type: 'promotion',
-                    title: 'Loyalty Reward Bonus',
-                    description: 'Offer as exclusive bonus to loyalty program members, building customer engagement.',
-                    impact: `Reduce ${Math.floor(excessStock * 0.2)} units`
-                },
-                {
-                    type: 'donation',
-                    title: 'Corporate Social Responsibility',
-                    description: 'Donate excess units to local charities for tax benefits and positive brand image.',
-                    impact: `Tax deduction + brand value`
-                },
-                {
-                    type: 'liquidation',
-                    title: 'Bulk Liquidation Sale',
-                    description: 'Sell remaining units to liquidation partners at reduced margins to free up capital.',
-                    impact: `Clear ${Math.floor(excessStock * 0.6)} units`
-                }
-            ];
+        } catch (error) {
+            console.error("Plan generation error:", error.message);
         }
 
-        res.json({ success: true, plans });
+        res.json({ success: true, products, plans: Array.isArray(plans) ? plans : fallbackWastePlans(products) });
     } catch (error) {
         console.error("Plan generation error:", error);
-        // Return mock plans as fallback
-        res.json({
-            success: true,
-            plans: [
-                {
-                    type: 'bundle',
-                    title: 'Buy One Get One 50% Off',
-                    description: `Bundle ${productName} with complementary products.`,
-                    impact: `Reduce ${Math.floor(excessStock * 0.4)} units`
-                },
-                {
-                    type: 'discount',
-                    title: 'Flash Sale - 30% Off',
-                    description: 'Limited-time discount to create urgency.',
-                    impact: `Reduce ${Math.floor(excessStock * 0.3)} units`
-                }
-            ]
-        });
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
 // ============= WAREHOUSE NETWORK COMMUNICATION ROUTES =============
 
-// In-memory storage for requests and transfers (use MongoDB in production)
-let warehouseRequests = [];
-let warehouseTransfers = [];
-
 // API: Get excess stock available for transfer
-app.get("/api/warehouse-excess-stock", async (req, res) => {
-    const userId = req.session.userId;
-
-    if (!userId) {
-        return res.status(401).json({ error: "Unauthorized" });
-    }
+app.get("/api/warehouse-excess-stock", requirePermission("inventory:read"), async (req, res) => {
+    const userId = req.organizationId;
 
     try {
-        const inventory = await Inventory.find({ userId }).lean();
+        const inventory = await Inventory.forTenant(userId).lean();
+        const warehouses = await getUserWarehouses(userId);
 
         // Find items with excess stock (more than 30 days supply)
         const excessItems = inventory
             .filter(item => {
-                const daysOfCover = item.onHand / (item.velocity || 1);
+                const daysOfCover = item.onHand / (forecastDemand(item).dailyDemand || 1);
                 return daysOfCover > 30 && item.onHand > 20; // Overstock threshold
             })
-            .map(item => ({
-                sku: item.sku,
-                productName: item.productName,
-                availableQuantity: Math.floor(item.onHand * 0.5), // 50% available for transfer
-                reason: 'Overstock',
-                warehouse: 'wh-boston' // Mock warehouse
-            }))
+            .map(item => {
+                // Offer from the site holding most of the SKU
+                const warehouse = primaryWarehouse(item, warehouses);
+                const level = warehouse ? levelAtWarehouse(item, warehouse) : null;
+                const siteAvailable = level ? level.onHand - level.reserved : stockTotals(item).available;
+                return {
+                    sku: item.sku,
+                    productName: item.name,
+                    availableQuantity: Math.floor(siteAvailable * 0.5), // 50% available for transfer
+                    reason: 'Overstock',
+                    warehouse: warehouse ? warehouse._id.toString() : null,
+                    warehouseName: warehouse ? warehouse.name : item.location
+                };
+            })
             .slice(0, 10); // Limit to top 10
 
         res.json({
@@ -1484,21 +2394,12 @@ app.get("/api/warehouse-excess-stock", async (req, res) => {
 });
 
 // API: Create stock request
-app.post("/api/warehouse-request", async (req, res) => {
-    try {
-        const { product, quantity, requestingWarehouse, userId } = req.body;
-
-        const request = {
-            id: `req-${Date.now()}`,
-            product,
-            quantity,
-            requestingWarehouse,
-            status: 'pending',
-            createdAt: new Date(),
-            userId
-        };
+app.post("/api/warehouse-request", requirePermission("inventory:write"), async (req, res) => {
+    const userId = req.organizationId;
 
-        warehouseRequests.push(request);
+    try {
+        const { product, quantity, requestingWarehouse, notes } = req.body;
+        const request = await createStockRequest(userId, { product, quantity, requestingWarehouse, notes });
 
         res.json({
             success: true,
@@ -1507,17 +2408,20 @@ app.post("/api/warehouse-request", async (req, res) => {
         });
     } catch (error) {
         console.error("Create request error:", error);
-        res.status(500).json({ success: false, error: error.message });
+        res.status(error.status || 500).json({ success: false, error: error.message });
     }
 });
 
-// API: Get all stock requests
-app.get("/api/warehouse-requests", (req, res) => {
+// API: Get open stock requests
+app.get("/api/warehouse-requests", requirePermission("inventory:read"), async (req, res) => {
+    const userId = req.organizationId;
+
     try {
-        // Return only active requests (not fulfilled)
-        const activeRequests = warehouseRequests
-            .filter(req => req.status === 'pending')
-            .slice(-10); // Last 10 requests
+        const activeRequests = await StockRequest.forTenant(userId, { status: { $in: OPEN_STATUSES } })
+            .sort({ createdAt: -1 })
+            .limit(10) // Last 10 requests
+            .populate('requestingWarehouse', 'code name')
+            .lean();
 
         res.json({
             success: true,
@@ -1529,33 +2433,31 @@ app.get("/api/warehouse-requests", (req, res) => {
     }
 });
 
-// API: Fulfill a stock request
-app.post("/api/warehouse-request/:requestId/fulfill", (req, res) => {
-    try {
-        const { requestId } = req.params;
+// API: Fulfill a stock request by approving it and creating its transfer
+app.post("/api/warehouse-request/:requestId/fulfill", requirePermission("inventory:write"), async (req, res) => {
+    const userId = req.organizationId;
 
-        const request = warehouseRequests.find(r => r.id === requestId);
+    try {
+        const request = await StockRequest.findOwned(userId, req.params.requestId);
 
         if (!request) {
             return res.status(404).json({ success: false, message: 'Request not found' });
         }
 
-        // Mark as fulfilled
-        request.status = 'fulfilled';
-        request.fulfilledAt = new Date();
-
-        // Create transfer record
-        const transfer = {
-            id: `transfer-${Date.now()}`,
-            product: request.product,
-            quantity: request.quantity,
-            fromWarehouse: 'wh-boston', // Mock source
-            toWarehouse: request.requestingWarehouse,
-            status: 'in-transit',
-            date: new Date()
-        };
+        // Ship from the chosen site, or the one holding most of the SKU
+        let fromWarehouse = req.body.fromWarehouse;
+        if (!fromWarehouse) {
+            const product = await Inventory.findOne(tenantFilter(userId, { sku: request.sku })).lean();
+            const warehouses = (await getUserWarehouses(userId))
+                .filter(w => !w._id.equals(request.requestingWarehouse));
+            const source = product ? primaryWarehouse(product, warehouses) : null;
+            if (!source) {
+                return res.status(400).json({ success: false, message: 'No source warehouse stocks this product' });
+            }
+            fromWarehouse = source._id;
+        }
 
-        warehouseTransfers.push(transfer);
+        const transfer = await fulfillStockRequest(request, fromWarehouse);
 
         res.json({
             success: true,
@@ -1564,34 +2466,41 @@ app.post("/api/warehouse-request/:requestId/fulfill", (req, res) => {
         });
     } catch (error) {
         console.error("Fulfill request error:", error);
-        res.status(500).json({ success: false, error: error.message });
+        res.status(error.status || 500).json({ success: false, error: error.message });
     }
 });
 
-// API: Initiate warehouse transfer
-app.post("/api/warehouse-transfer", async (req, res) => {
+// API: Advance a stock request (approve or cancel)
+app.post("/api/warehouse-request/:requestId/status", requirePermission("inventory:write"), async (req, res) => {
+    const userId = req.organizationId;
+
     try {
-        const { sku, quantity, fromWarehouse, toWarehouse, userId } = req.body;
+        const request = await StockRequest.findOwned(userId, req.params.requestId);
 
-        // Find the product
-        const product = await Inventory.findOne({ sku, userId }).lean();
+        if (!request) {
+            return res.status(404).json({ success: false, message: 'Request not found' });
+        }
 
-        if (!product) {
-            return res.status(404).json({ success: false, message: 'Product not found' });
-        }
-
-        const transfer = {
-            id: `transfer-${Date.now()}`,
-            product: product.productName,
-            sku,
-            quantity,
-            fromWarehouse,
-            toWarehouse,
-            status: 'in-transit',
-            date: new Date()
-        };
+        const updated = await advanceStockRequest(request, req.body.status);
+
+        res.json({
+            success: true,
+            message: `Request ${updated.status}`,
+            request: updated
+        });
+    } catch (error) {
+        console.error("Update request error:", error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
 
-        warehouseTransfers.push(transfer);
+// API: Initiate warehouse transfer
+app.post("/api/warehouse-transfer", requirePermission("inventory:write"), async (req, res) => {
+    const userId = req.organizationId;
+
+    try {
+        const { sku, quantity, fromWarehouse, toWarehouse, notes } = req.body;
+        const transfer = await createTransfer(userId, { sku, quantity, fromWarehouse, toWarehouse, notes });
 
         res.json({
             success: true,
@@ -1600,17 +2509,45 @@ app.post("/api/warehouse-transfer", async (req, res) => {
         });
     } catch (error) {
         console.error("Transfer error:", error);
-        res.status(500).json({ success: false, error: error.message });
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// API: Advance a transfer (picked, in-transit, received or cancelled)
+app.post("/api/warehouse-transfer/:transferId/status", requirePermission("inventory:write"), async (req, res) => {
+    const userId = req.organizationId;
+
+    try {
+        const transfer = await Transfer.findOwned(userId, req.params.transferId);
+
+        if (!transfer) {
+            return res.status(404).json({ success: false, message: 'Transfer not found' });
+        }
+
+        const updated = await advanceTransfer(transfer, req.body.status);
+
+        res.json({
+            success: true,
+            message: `Transfer ${updated.status}`,
+            transfer: updated
+        });
+    } catch (error) {
+        console.error("Update transfer error:", error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
     }
 });
 
 // API: Get transfer history
-app.get("/api/warehouse-transfers", (req, res) => {
+app.get("/api/warehouse-transfers", requirePermission("inventory:read"), async (req, res) => {
+    const userId = req.organizationId;
+
     try {
-        // Return last 20 transfers
-        const recentTransfers = warehouseTransfers
-            .slice(-20)
-            .reverse(); // Most recent first
+        const recentTransfers = await Transfer.forTenant(userId)
+            .sort({ createdAt: -1 }) // Most recent first
+            .limit(20)
+            .populate('fromWarehouse', 'code name')
+            .populate('toWarehouse', 'code name')
+            .lean();
 
         res.json({
             success: true,
@@ -1622,18 +2559,493 @@ app.get("/api/warehouse-transfers", (req, res) => {
     }
 });
 
+// ============= ORGANIZATION ROUTES =============
+
+// Invitation page: accept it when signed in with the invited email, otherwise sign up or sign in first
+app.get("/invite/:token", async (req, res) => {
+    const invite = await invitationView(req.params.token);
+    if (!invite) {
+        return res.status(404).render("invite", { invite: null, email: null, error: "This invitation is no longer valid" });
+    }
+
+    let email = null;
+    if (req.session.userId) {
+        email = (await User.findById(req.session.userId, { email: 1 }).lean())?.email || null;
+    } else {
+        req.session.pendingInvite = invite.token;
+    }
+
+    res.render("invite", { invite, email, error: null });
+});
+
+// Accept an invitation, leaving the current organization
+app.post("/invite/:token", async (req, res) => {
+    if (!req.session.userId) {
+        req.session.pendingInvite = req.params.token;
+        return res.redirect("/signin");
+    }
+
+    try {
+        await acceptInvitation(req.session.userId, req.params.token);
+        res.redirect("/");
+    } catch (error) {
+        if (!error.status) {
+            console.error("Error accepting invitation:", error);
+        }
+        const [invite, user] = await Promise.all([
+            invitationView(req.params.token),
+            User.findById(req.session.userId, { email: 1 }).lean()
+        ]);
+        res.status(error.status || 500).render("invite", {
+            invite,
+            email: user?.email || null,
+            error: error.status ? error.message : "Error accepting invitation"
+        });
+    }
+});
+
+// Members page data: members with their accounts, pending invitations and their links
+async function membersView(req) {
+    const { organization, members, invitations } = await listMembers(req.organizationId);
+
+    return {
+        organization,
+        members,
+        invitations: invitations.map(invitation => ({ ...invitation, url: `${siteUrl(req)}/invite/${invitation.token}` })),
+        roles: ROLES,
+        currentUserId: req.session.userId
+    };
+}
+
+// Render the members page with an error from a failed change
+async function renderMembersError(req, res, error, fallback) {
+    if (!error.status) {
+        console.error(`${fallback}:`, error);
+    }
+    res.status(error.status || 500).render("settings-members", {
+        ...(await membersView(req)),
+        error: error.status ? error.message : fallback,
+        saved: false
+    });
+}
+
+// Members settings page
+app.get("/settings/members", requirePermission("members:manage"), async (req, res) => {
+    try {
+        res.render("settings-members", {
+            ...(await membersView(req)),
+            error: null,
+            saved: req.query.saved === "1"
+        });
+    } catch (error) {
+        console.error("Error loading members:", error);
+        res.status(500).send("Error loading members");
+    }
+});
+
+// Invite someone by email
+app.post("/settings/members/invite", requirePermission("members:manage"), async (req, res) => {
+    try {
+        await inviteMember(req.organizationId, { email: req.body.email, role: req.body.role }, req.session.userId);
+        res.redirect("/settings/members?saved=1");
+    } catch (error) {
+        await renderMembersError(req, res, error, "Error inviting member");
+    }
+});
+
+// Change a member's role
+app.post("/settings/members/:memberId/role", requirePermission("members:manage"), async (req, res) => {
+    try {
+        await changeMemberRole(req.organizationId, req.params.memberId, req.body.role);
+        res.redirect("/settings/members?saved=1");
+    } catch (error) {
+        await renderMembersError(req, res, error, "Error changing role");
+    }
+});
+
+// Remove a member from the organization
+app.post("/settings/members/:memberId/remove", requirePermission("members:manage"), async (req, res) => {
+    try {
+        await removeMember(req.organizationId, req.params.memberId);
+        res.redirect(req.params.memberId === req.session.userId ? "/" : "/settings/members?saved=1");
+    } catch (error) {
+        await renderMembersError(req, res, error, "Error removing member");
+    }
+});
+
+// Withdraw a pending invitation
+app.post("/settings/members/invitations/:invitationId/revoke", requirePermission("members:manage"), async (req, res) => {
+    try {
+        await revokeInvitation(req.organizationId, req.params.invitationId);
+        res.redirect("/settings/members?saved=1");
+    } catch (error) {
+        await renderMembersError(req, res, error, "Error revoking invitation");
+    }
+});
+
+// ============= API V1 ROUTES =============
+
+// Versioned REST API for scripts, authenticated with personal API keys.
+// Routes are registered through v1Route so /api/v1/openapi.json lists them all.
+const v1 = express.Router();
+const v1Registry = createApiRegistry({ title: "Inventree API", version: "1.0.0", basePath: "/api/v1" });
+
+// Resource as returned by the API: `id` instead of `_id`, without tenant fields
+function v1Resource({ _id, __v, userId, ...fields }) {
+    return { id: _id, ...fields };
+}
+
+function v1Item(item) {
+    const { onHand, inbound, reserved, available } = stockTotals(item);
+    const { demandHistory, stockLevels, inboundUnits, reservedUnits, ...fields } = v1Resource(item);
+    return { ...fields, onHand, inbound, reserved, available };
+}
+
+// Status filter for list endpoints; unknown values are a 400, not an empty page
+function v1StatusFilter(Model, status) {
+    if (status === undefined) return {};
+    const allowed = Model.schema.path("status").enumValues;
+    if (!allowed.includes(status)) {
+        throw httpError(`status must be one of ${allowed.join(", ")}`);
+    }
+    return { status };
+}
+
+// The API key from `Authorization: Bearer` or `X-API-Key`
+async function authenticateV1(req, res, next) {
+    const bearer = /^Bearer\s+(\S+)$/i.exec(req.get("authorization") || "");
+    const key = bearer ? bearer[1] : req.get("x-api-key");
+    if (!key) {
+        throw httpError("An API key is required (Authorization: Bearer <key>)", 401);
+    }
+
+    const identity = await authenticateApiKey(key);
+    req.apiKey = identity;
+    req.organizationId = identity.organizationId;
+    req.role = identity.role;
+    next();
+}
+
+// Keys need the route's scope, and write keys still need a role that may write
+function requireApiScope(scope) {
+    return (req, res, next) => {
+        if (!req.apiKey.scopes.includes(scope)) {
+            throw httpError(`This API key does not have the '${scope}' scope`, 403);
+        }
+        if (scope === "write" && !hasPermission(req.role, "inventory:write")) {
+            throw httpError(`Your role (${req.role}) does not allow this`, 403);
+        }
+        next();
+    };
+}
+
+function v1Route(method, path, spec, handler) {
+    v1Registry.add({ method, path, ...spec });
+    v1[method](path, requireApiScope(spec.scope), handler);
+}
+
+v1Registry.schema("InventoryItem", {
+    type: "object",
+    properties: {
+        id: { type: "string" },
+        sku: { type: "string" },
+        name: { type: "string" },
+        category: { type: "string" },
+        unitCost: { type: "number" },
+        leadTimeDays: { type: "number" },
+        moq: { type: "number" },
+        onHand: { type: "integer" },
+        inbound: { type: "integer" },
+        reserved: { type: "integer" },
+        available: { type: "integer" },
+        updatedAt: { type: "string", format: "date-time" }
+    }
+});
+v1Registry.schema("InventoryItemDetail", {
+    allOf: [
+        { $ref: "#/components/schemas/InventoryItem" },
+        {
+            type: "object",
+            properties: {
+                locations: { type: "array", items: { type: "object" } },
+                forecast: { type: "object" }
+            }
+        }
+    ]
+});
+v1Registry.schema("StockMovement", {
+    type: "object",
+    properties: {
+        id: { type: "string" },
+        sku: { type: "string" },
+        warehouseId: { type: "string", nullable: true },
+        type: { type: "string", enum: StockMovement.TYPES },
+        quantity: { type: "integer", description: "Signed change to on-hand stock" },
+        balanceAfter: { type: "integer" },
+        note: { type: "string" },
+        occurredAt: { type: "string", format: "date-time" }
+    }
+});
+v1Registry.schema("NewStockMovement", {
+    type: "object",
+    required: ["type", "quantity"],
+    properties: {
+        type: { type: "string", enum: MANUAL_MOVEMENT_TYPES },
+        quantity: { type: "integer", description: "Units; signed only for adjustments" },
+        warehouseId: { type: "string" },
+        note: { type: "string" }
+    }
+});
+v1Registry.schema("Warehouse", {
+    type: "object",
+    properties: {
+        id: { type: "string" },
+        code: { type: "string" },
+        name: { type: "string" },
+        address: { type: "string" },
+        zip: { type: "string" },
+        lat: { type: "number" },
+        lng: { type: "number" },
+        capacity: { type: "integer" },
+        capacityCubicFt: { type: "number" }
+    }
+});
+v1Registry.schema("Action", {
+    type: "object",
+    properties: {
+        id: { type: "string" },
+        type: { type: "string" },
+        status: { type: "string", enum: Action.schema.path("status").enumValues },
+        priority: { type: "string" },
+        productSku: { type: "string" },
+        productName: { type: "string" },
+        suggestedQuantity: { type: "number" },
+        reasoning: { type: "string" },
+        estimatedCost: { type: "number" },
+        createdAt: { type: "string", format: "date-time" }
+    }
+});
+v1Registry.schema("PurchaseOrder", {
+    type: "object",
+    properties: {
+        id: { type: "string" },
+        poNumber: { type: "string" },
+        status: { type: "string", enum: PurchaseOrder.schema.path("status").enumValues },
+        supplierName: { type: "string" },
+        warehouseId: { type: "string", nullable: true },
+        lines: { type: "array", items: { type: "object" } },
+        expectedDate: { type: "string", format: "date-time" },
+        createdAt: { type: "string", format: "date-time" }
+    }
+});
+v1Registry.schema("Transfer", {
+    type: "object",
+    properties: {
+        id: { type: "string" },
+        sku: { type: "string" },
+        productName: { type: "string" },
+        quantity: { type: "integer" },
+        status: { type: "string", enum: Transfer.schema.path("status").enumValues },
+        fromWarehouse: { type: "string" },
+        toWarehouse: { type: "string" },
+        shippingCost: { type: "number" },
+        createdAt: { type: "string", format: "date-time" }
+    }
+});
+
+// The OpenAPI document needs no key
+v1.get("/openapi.json", (req, res) => {
+    res.json(v1Registry.document());
+});
+
+v1.use(authenticateV1);
+
+v1Route("get", "/inventory", {
+    summary: "List products",
+    scope: "read",
+    paginated: true,
+    query: [
+        { name: "sku", description: "Only this SKU" },
+        { name: "category", description: "Only products in this category" }
+    ],
+    response: "InventoryItem"
+}, async (req, res) => {
+    const filter = {};
+    if (req.query.sku) filter.sku = String(req.query.sku);
+    if (req.query.category) filter.category = String(req.query.category);
+
+    const page = await paginate(Inventory, tenantFilter(req.organizationId, filter), { ...parsePagination(req.query), sort: { sku: 1 } });
+    res.json({ data: page.data.map(v1Item), pagination: page.pagination });
+});
+
+v1Route("get", "/inventory/:sku", {
+    summary: "Get a product with its stock by warehouse and demand forecast",
+    scope: "read",
+    response: "InventoryItemDetail"
+}, async (req, res) => {
+    const item = await Inventory.findOne(tenantFilter(req.organizationId, { sku: req.params.sku })).lean();
+    if (!item) {
+        throw httpError(`Product '${req.params.sku}' not found`, 404);
+    }
+
+    const warehouses = await getUserWarehouses(req.organizationId);
+    res.json({ data: { ...v1Item(item), locations: stockBreakdown(item, warehouses), forecast: forecastDemand(item) } });
+});
+
+v1Route("get", "/inventory/:sku/movements", {
+    summary: "List a product's stock movements, newest first",
+    scope: "read",
+    paginated: true,
+    response: "StockMovement"
+}, async (req, res) => {
+    const page = await paginate(StockMovement, tenantFilter(req.organizationId, { sku: req.params.sku }), {
+        ...parsePagination(req.query),
+        sort: { occurredAt: -1 }
+    });
+    res.json({ data: page.data.map(v1Resource), pagination: page.pagination });
+});
+
+v1Route("post", "/inventory/:sku/movements", {
+    summary: "Record a receipt, sale, adjustment, write-off or donation",
+    scope: "write",
+    status: 201,
+    requestBody: "NewStockMovement",
+    response: "InventoryItem"
+}, async (req, res) => {
+    const { type, quantity, warehouseId, note } = req.body || {};
+    const product = await applyManualMovement(req.organizationId, req.params.sku, { type, quantity, warehouseId, note });
+
+    res.status(201).json({ data: v1Item(product.toObject()) });
+});
+
+v1Route("get", "/warehouses", {
+    summary: "List warehouses",
+    scope: "read",
+    paginated: true,
+    response: "Warehouse"
+}, async (req, res) => {
+    const page = await paginate(Warehouse, tenantFilter(req.organizationId), { ...parsePagination(req.query), sort: { code: 1 } });
+    res.json({ data: page.data.map(v1Resource), pagination: page.pagination });
+});
+
+v1Route("get", "/actions", {
+    summary: "List suggested actions, newest first",
+    scope: "read",
+    paginated: true,
+    query: [{ name: "status", description: "Only actions with this status", schema: { type: "string", enum: Action.schema.path("status").enumValues } }],
+    response: "Action"
+}, async (req, res) => {
+    const filter = tenantFilter(req.organizationId, v1StatusFilter(Action, req.query.status));
+    const page = await paginate(Action, filter, parsePagination(req.query));
+    res.json({ data: page.data.map(v1Resource), pagination: page.pagination });
+});
+
+v1Route("get", "/purchase-orders", {
+    summary: "List purchase orders, newest first",
+    scope: "read",
+    paginated: true,
+    query: [{ name: "status", description: "Only orders with this status", schema: { type: "string", enum: PurchaseOrder.schema.path("status").enumValues } }],
+    response: "PurchaseOrder"
+}, async (req, res) => {
+    const filter = tenantFilter(req.organizationId, v1StatusFilter(PurchaseOrder, req.query.status));
+    const page = await paginate(PurchaseOrder, filter, parsePagination(req.query));
+    res.json({ data: page.data.map(v1Resource), pagination: page.pagination });
+});
+
+v1Route("get", "/transfers", {
+    summary: "List transfers between warehouses, newest first",
+    scope: "read",
+    paginated: true,
+    query: [{ name: "status", description: "Only transfers with this status", schema: { type: "string", enum: Transfer.schema.path("status").enumValues } }],
+    response: "Transfer"
+}, async (req, res) => {
+    const filter = tenantFilter(req.organizationId, v1StatusFilter(Transfer, req.query.status));
+    const page = await paginate(Transfer, filter, parsePagination(req.query));
+    res.json({ data: page.data.map(v1Resource), pagination: page.pagination });
+});
+
+// Unknown routes and every error answer with the error envelope
+v1.use((req, res) => {
+    res.status(404).json(errorBody(404, `No route for ${req.method} /api/v1${req.path}`));
+});
+
+v1.use((error, req, res, next) => {
+    // Mongoose validation and cast errors are the caller's fault
+    const status = error.status || (["ValidationError", "CastError"].includes(error.name) ? 400 : 500);
+    if (status >= 500) {
+        console.error("API v1 error:", error);
+    }
+    res.status(status).json(errorBody(status, status >= 500 ? "Internal server error" : error.message));
+});
+
+app.use("/api/v1", v1);
+
+// ============= ADMIN ROUTES =============
+
+// Only users with the admin role may use the admin pages
+async function requireAdmin(req, res, next) {
+    if (!req.session.userId) {
+        return res.redirect("/signup");
+    }
+
+    const user = await User.findById(req.session.userId).lean();
+    if (!user || user.role !== "admin") {
+        return res.status(403).send("Admin access required");
+    }
+    next();
+}
+
+// Scheduled jobs with their last run and any per-user failures
+app.get("/admin/jobs", requireAdmin, async (req, res) => {
+    try {
+        const states = await JobState.find({}).populate("userId", "email businessName").lean();
+
+        const jobs = listJobs().map(job => {
+            const userStates = states.filter(state => state.job === job.name && state.userId);
+            const summary = states.find(state => state.job === job.name && !state.userId) || null;
+            return {
+                ...job,
+                state: summary && { ...summary, running: isRunning(summary) },
+                userCount: userStates.length,
+                failures: userStates
+                    .filter(state => state.lastStatus === "error")
+                    .sort((a, b) => b.lastRunAt - a.lastRunAt)
+            };
+        });
+
+        res.render("admin-jobs", { jobs });
+    } catch (error) {
+        console.error("Error loading jobs:", error);
+        res.status(500).send("Error loading jobs");
+    }
+});
+
+// API: Run a job now for every user
+app.post("/admin/jobs/:name/run", requireAdmin, async (req, res) => {
+    if (!listJobs().some(job => job.name === req.params.name)) {
+        return res.status(404).json({ success: false, error: "Job not found" });
+    }
+
+    try {
+        const summary = await runJob(req.params.name, { trigger: "manual" });
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        console.error("Run job error:", error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
 // ============================================
 // AGENT MEMORY SYSTEM - API ROUTES
 // ============================================
 
 // API: Query agent memories
-app.get("/api/agent-memory/query", async (req, res) => {
+app.get("/api/agent-memory/query", acceptServiceToken, requirePermission("inventory:read"), async (req, res) => {
     try {
-        const { userId, agentType, tags, outcome, limit = 10 } = req.query;
+        const { agentType, tags, outcome, limit = 10 } = req.query;
 
         // Build query
-        const query = {};
-        if (userId) query.userId = userId;
+        const query = tenantFilter(req.organizationId);
         if (agentType) query.agentType = agentType;
         if (outcome) query.outcome = outcome;
         if (tags) {
@@ -1680,10 +3092,9 @@ app.get("/api/agent-memory/query", async (req, res) => {
 });
 
 // API: Store agent memory
-app.post("/api/agent-memory/store", async (req, res) => {
+app.post("/api/agent-memory/store", acceptServiceToken, requirePermission("actions:generate"), async (req, res) => {
     try {
         const {
-            userId = 'system',
             agentType,
             decision,
             context,
@@ -1704,7 +3115,7 @@ app.post("/api/agent-memory/store", async (req, res) => {
 
         // Create new memory
         const memory = new AgentMemory({
-            userId,
+            userId: req.organizationId,
             agentType,
             decision,
             context,
@@ -1736,9 +3147,9 @@ app.post("/api/agent-memory/store", async (req, res) => {
 });
 
 // API: Analyze memory patterns
-app.get("/api/agent-memory/analyze", async (req, res) => {
+app.get("/api/agent-memory/analyze", acceptServiceToken, requirePermission("inventory:read"), async (req, res) => {
     try {
-        const { userId, agentType, timeRange = '30days' } = req.query;
+        const { agentType, timeRange = '30days' } = req.query;
 
         // Calculate date range
         const now = new Date();
@@ -1752,8 +3163,7 @@ app.get("/api/agent-memory/analyze", async (req, res) => {
         const startDate = new Date(now.getTime() - (days * 24 * 60 * 60 * 1000));
 
         // Build query
-        const query = { createdAt: { $gte: startDate } };
-        if (userId) query.userId = userId;
+        const query = tenantFilter(req.organizationId, { createdAt: { $gte: startDate } });
         if (agentType) query.agentType = agentType;
 
         // Get all memories in range
@@ -1841,7 +3251,14 @@ app.get("/api/agent-memory/analyze", async (req, res) => {
 
 
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-    console.log(`🚀 Server is running on http://localhost:${PORT}`);
-});
\ No newline at end of file
+// Started directly (npm start); the tests require the app and connect themselves
+if (require.main === module) {
+    connectDB().then(startScheduler);
+
+    const PORT = process.env.PORT || 3000;
+    app.listen(PORT, () => {
+        console.log(`🚀 Server is running on http://localhost:${PORT}`);
+    });
+}
+
+module.exports = app;
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Inventory = require('./models/inventory');
+const Warehouse = require('./models/Warehouse');
+const { findWarehouseForLocation } = require('./services/warehouse-service');
+
+// Merges legacy "one document per SKU per location" inventory into a single
+// SKU master per user with per-warehouse stock levels.
+// Run with --dry-run to only print what would change.
+const dryRun = process.argv.includes('--dry-run');
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/inventree')
+  .then(async () => {
+    console.log('Connected to MongoDB');
+
+    const items = await Inventory.find({ userId: { $ne: null } });
+    const groups = new Map();
+
+    items.forEach(item => {
+      const key = `${item.userId}:${item.sku.toUpperCase()}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    });
+
+    console.log(`\n📦 ${items.length} inventory documents in ${groups.size} SKU groups`);
+
+    let merged = 0;
+    let removed = 0;
+    let unmatched = 0;
+
+    for (const records of groups.values()) {
+      const warehouses = await Warehouse.find({ userId: records[0].userId }).lean();
+      const levels = new Map();
+      const demandByDay = new Map();
+
+      for (const record of records) {
+        // Records that already track levels keep them; others map their location
+        const recordLevels = record.stockLevels.length > 0
+          ? record.stockLevels.map(level => level.toObject())
+          : (() => {
+              const warehouse = findWarehouseForLocation(warehouses, record.location);
+              if (!warehouse) return [];
+              return [{ warehouseId: warehouse._id, onHand: record.onHand, inbound: record.inboundUnits, reserved: record.reservedUnits || 0 }];
+            })();
+
+        if (recordLevels.length === 0) {
+          unmatched++;
+          console.log(`  ⚠️  ${record.sku} at "${record.location}" matches no warehouse - left as is`);
+          continue;
+        }
+
+        recordLevels.forEach(level => {
+          const key = String(level.warehouseId);
+          const existing = levels.get(key) || { warehouseId: level.warehouseId, onHand: 0, inbound: 0, reserved: 0 };
+          existing.onHand += level.onHand || 0;
+          existing.inbound += level.inbound || 0;
+          existing.reserved += level.reserved || 0;
+          levels.set(key, existing);
+        });
+
+        // Demand is per SKU, so daily sales from every location are added up
+        record.demandHistory.forEach(entry => {
+          const day = entry.date.toISOString().split('T')[0];
+          demandByDay.set(day, (demandByDay.get(day) || 0) + entry.unitsSold);
+        });
+
+        record.$locals.merged = true;
+      }
+
+      const mergedRecords = records.filter(record => record.$locals.merged);
+      if (mergedRecords.length === 0 || (mergedRecords.length === 1 && mergedRecords[0].stockLevels.length > 0)) {
+        continue;
+      }
+
+      const target = mergedRecords[0];
+      target.stockLevels = [...levels.values()];
+      target.demandHistory = [...demandByDay.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([day, unitsSold]) => ({ date: new Date(day), unitsSold }));
+
+      console.log(`  ✅ ${target.sku}: ${mergedRecords.length} record(s) → ${target.stockLevels.length} location(s)`);
+      merged++;
+
+      if (!dryRun) {
+        await target.save();
+        const duplicates = mergedRecords.slice(1).map(record => record._id);
+        if (duplicates.length > 0) {
+          await Inventory.deleteMany({ _id: { $in: duplicates } });
+          removed += duplicates.length;
+        }
+      }
+    }
+
+    console.log(`\n📊 ${merged} SKU(s) consolidated, ${removed} duplicate document(s) removed, ${unmatched} record(s) without a warehouse`);
+    if (dryRun) console.log('Dry run - no changes written');
+
+    mongoose.connection.close();
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('Error:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('./models/user');
+
+// Stores every account's email (and pending email) trimmed and lowercased,
+// as sign-in, password resets and invitations now look them up.
+// Accounts whose addresses differ only in case are reported and left as is.
+// Run with --dry-run to only print what would change.
+const dryRun = process.argv.includes('--dry-run');
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/inventree')
+  .then(async () => {
+    console.log('Connected to MongoDB');
+
+    const users = await User.find({}, { email: 1, pendingEmail: 1 }).lean();
+    const byAddress = new Map();
+    users.forEach(user => {
+      const address = User.normalizeEmail(user.email);
+      byAddress.set(address, [...(byAddress.get(address) || []), user]);
+    });
+
+    let updated = 0;
+    let conflicts = 0;
+
+    for (const [address, accounts] of byAddress) {
+      if (accounts.length > 1) {
+        conflicts += accounts.length;
+        console.log(`  ⚠️  ${accounts.length} accounts share ${address}: ${accounts.map(user => user.email).join(', ')} - left as is`);
+        continue;
+      }
+
+      const [user] = accounts;
+      const update = {};
+      if (user.email !== address) update.email = address;
+      if (user.pendingEmail && user.pendingEmail !== User.normalizeEmail(user.pendingEmail)) {
+        update.pendingEmail = User.normalizeEmail(user.pendingEmail);
+      }
+      if (Object.keys(update).length === 0) continue;
+
+      console.log(`  ✅ ${user.email} → ${update.email || user.email}${update.pendingEmail ? ` (pending ${update.pendingEmail})` : ''}`);
+      updated++;
+
+      if (!dryRun) {
+        await User.updateOne({ _id: user._id }, { $set: update });
+      }
+    }
+
+    console.log(`\n📊 ${updated} account(s) normalised, ${conflicts} account(s) sharing an address left for review`);
+    if (dryRun) console.log('Dry run - no changes written');
+
+    mongoose.connection.close();
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('Error:', err);
+    process.exit(1);
+  });
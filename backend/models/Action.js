@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { tenantPlugin } = require("./tenant");
 
 const actionSchema = new mongoose.Schema({
     userId: {
@@ -29,7 +30,7 @@ const actionSchema = new mongoose.Schema({
     status: {
         type: String,
         required: true,
-        enum: ['PENDING', 'APPROVED', 'REJECTED', 'EXECUTED'],
+        enum: ['PENDING', 'APPROVED', 'REJECTED', 'EXECUTED', 'EXPIRED'],
         default: 'PENDING'
     },
     productSku: {
@@ -79,6 +80,13 @@ const actionSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Set on restock orders sized by the budget optimizer (services/restock-optimizer.js)
+    allocation: {
+        rank: { type: Number },
+        budget: { type: String },
+        savingsPerDollar: { type: Number },
+        netBenefit: { type: Number }
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -92,12 +100,30 @@ const actionSchema = new mongoose.Schema({
     executedAt: {
         type: Date
     },
+    // Last generation run that still produced this suggestion
+    lastEvaluatedAt: {
+        type: Date
+    },
+    // Set when the suggestion's condition stopped holding before it was acted on
+    expiredAt: {
+        type: Date
+    },
+    // What executing the action produced (purchase order, transfer, ...)
+    result: {
+        kind: { type: String },
+        id: { type: mongoose.Schema.Types.ObjectId, refPath: 'result.kind' },
+        summary: { type: String }
+    },
+    executionError: {
+        type: String
+    },
     notes: {
         type: String
     }
 });
 
 // Index for efficient queries
+actionSchema.plugin(tenantPlugin);
 actionSchema.index({ userId: 1, status: 1, priority: 1 });
 actionSchema.index({ createdAt: -1 });
 
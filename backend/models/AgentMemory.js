@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { tenantPlugin } = require('./tenant');
 
 const AgentMemorySchema = new mongoose.Schema({
     userId: {
@@ -55,6 +56,7 @@ const AgentMemorySchema = new mongoose.Schema({
 });
 
 // Index for efficient querying
+AgentMemorySchema.plugin(tenantPlugin);
 AgentMemorySchema.index({ userId: 1, agentType: 1, outcome: 1 });
 AgentMemorySchema.index({ tags: 1 });
 
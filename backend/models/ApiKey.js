@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const { tenantPlugin } = require('./tenant');
+
+const SCOPES = ['read', 'write'];
+
+// A personal key for the /api/v1 REST API. Only a SHA-256 hash of the key is
+// stored; the key itself is shown once when it is created. `userId` is the
+// organization the key reads and writes, `createdBy` the member it acts for.
+const apiKeySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    name: { type: String, required: true, trim: true },
+    // First characters of the key, to tell keys apart in lists
+    prefix: { type: String, required: true },
+    keyHash: { type: String, required: true, unique: true },
+    scopes: {
+        type: [{ type: String, enum: SCOPES }],
+        validate: scopes => scopes.length > 0
+    },
+    lastUsedAt: { type: Date },
+    revokedAt: { type: Date }
+}, { timestamps: true });
+
+apiKeySchema.plugin(tenantPlugin);
+apiKeySchema.index({ userId: 1, createdBy: 1, createdAt: -1 });
+
+apiKeySchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.models.ApiKey || mongoose.model('ApiKey', apiKeySchema);
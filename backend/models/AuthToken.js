@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const PURPOSES = ['password-reset', 'email-verification'];
+
+// A single-use link sent by email. Only a SHA-256 hash of the token is stored;
+// expired tokens are removed by MongoDB's TTL monitor.
+const authTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    purpose: { type: String, enum: PURPOSES, required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    // Address being verified (the current one, or a new one the user asked to switch to)
+    email: { type: String },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date }
+}, { timestamps: true });
+
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+authTokenSchema.statics.PURPOSES = PURPOSES;
+
+module.exports = mongoose.models.AuthToken || mongoose.model('AuthToken', authTokenSchema);
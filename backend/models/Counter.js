@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const { tenantPlugin } = require('./tenant');
+
+// A per-organization sequence, incremented atomically to hand out numbers
+// such as purchase order numbers. Counters are only needed on the day they
+// number, so MongoDB's TTL monitor removes them after two days.
+const counterSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    name: { type: String, required: true },
+    value: { type: Number, default: 0 }
+}, { timestamps: true });
+
+counterSchema.plugin(tenantPlugin);
+counterSchema.index({ userId: 1, name: 1 }, { unique: true });
+counterSchema.index({ createdAt: 1 }, { expireAfterSeconds: 2 * 24 * 60 * 60 });
+
+module.exports = mongoose.models.Counter || mongoose.model('Counter', counterSchema);
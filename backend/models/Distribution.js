@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const { tenantPlugin } = require('./tenant');
+
+// Excess stock of a SKU sent from one warehouse to several, one transfer per
+// destination. Its status follows the transfers (see services/distribution-service.js).
+const distributionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    sku: { type: String, required: true },
+    productName: { type: String, required: true },
+    fromWarehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Warehouse",
+        required: true
+    },
+    transfers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Transfer"
+    }],
+    totalUnits: { type: Number, required: true, min: 1 },
+    shippingCost: { type: Number, default: 0 }
+}, { timestamps: true });
+
+distributionSchema.plugin(tenantPlugin);
+distributionSchema.index({ userId: 1, sku: 1, createdAt: -1 });
+
+module.exports = mongoose.models.Distribution || mongoose.model('Distribution', distributionSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { tenantPlugin } = require('./tenant');
+
+// Accuracy of one forecasting method over a rolling-origin backtest
+const methodResultSchema = new mongoose.Schema({
+    method: { type: String, required: true },
+    // Percent errors; mape is null when every actual was zero
+    mape: { type: Number, default: null },
+    wape: { type: Number, default: null },
+    // Positive when the method over-forecasts
+    bias: { type: Number, default: null },
+    mae: { type: Number, default: null },
+    origins: { type: Number, default: 0 },
+    points: { type: Number, default: 0 }
+}, { _id: false });
+
+// Latest backtest of an inventory item's demand forecasts
+const forecastBacktestSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    inventoryId: { type: mongoose.Schema.Types.ObjectId, ref: "Inventory", required: true },
+    sku: { type: String, required: true },
+    productName: { type: String, default: '' },
+    horizonDays: { type: Number, required: true },
+    historyDays: { type: Number, default: 0 },
+    // The method the item is set to forecast with, and how it scored
+    configuredMethod: { type: String, default: 'auto' },
+    configured: methodResultSchema,
+    methods: [methodResultSchema],
+    bestMethod: { type: String, default: null },
+    // False when the configured method's WAPE is above the reliability limit
+    reliable: { type: Boolean, default: null },
+    runAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+forecastBacktestSchema.plugin(tenantPlugin);
+forecastBacktestSchema.index({ userId: 1, inventoryId: 1 }, { unique: true });
+
+module.exports = mongoose.models.ForecastBacktest || mongoose.model('ForecastBacktest', forecastBacktestSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const { tenantPlugin } = require('./tenant');
+
+// Dashboard issues a rule can raise
+const ISSUES = ['reduceWaste', 'alert', 'changes', 'action'];
+
+// A user-defined condition that raises an issue for any inventory item it
+// matches. The expression is evaluated by services/rules-engine.js.
+const issueRuleSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    issue: { type: String, enum: ISSUES, required: true },
+    name: { type: String, required: true, trim: true },
+    expression: { type: String, required: true, trim: true },
+    enabled: { type: Boolean, default: true }
+}, { timestamps: true });
+
+issueRuleSchema.statics.ISSUES = ISSUES;
+
+issueRuleSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.models.IssueRule || mongoose.model('IssueRule', issueRuleSchema);
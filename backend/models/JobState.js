@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Last-run state of a scheduled job. The row with userId null summarises the
+// whole run; each user the job ran for has a row of its own.
+const jobStateSchema = new mongoose.Schema({
+    job: { type: String, required: true },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null
+    },
+    // Minute a scheduled run was claimed for, so only one process runs it
+    scheduledFor: { type: Date },
+    running: { type: Boolean, default: false },
+    // When the run in progress started, so one whose process died can be recognised
+    runningSince: { type: Date },
+    lastRunAt: { type: Date },
+    lastDurationMs: { type: Number },
+    lastStatus: { type: String, enum: ['success', 'error'] },
+    lastTrigger: { type: String, enum: ['schedule', 'manual'] },
+    lastError: { type: String, default: '' },
+    lastResult: { type: mongoose.Schema.Types.Mixed },
+    runCount: { type: Number, default: 0 },
+    errorCount: { type: Number, default: 0 }
+}, { timestamps: true });
+
+jobStateSchema.index({ job: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.models.JobState || mongoose.model('JobState', jobStateSchema);
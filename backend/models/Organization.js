@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Roles from least to most privileged; each has the permissions of the ones before it
+const ROLES = ['viewer', 'planner', 'approver', 'admin'];
+
+const memberSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    role: { type: String, enum: ROLES, default: 'viewer' },
+    joinedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Pending invitation, accepted by following /invite/:token
+const invitationSchema = new mongoose.Schema({
+    email: { type: String, required: true, lowercase: true, trim: true },
+    role: { type: String, enum: ROLES, default: 'viewer' },
+    token: { type: String, required: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// A team sharing one set of inventory data. Data documents keep their `userId`
+// field, which holds the organization's id: each user gets an organization
+// with their own id on signup, so data created before organizations existed
+// belongs to its owner's organization unchanged.
+const organizationSchema = new mongoose.Schema({
+    name: { type: String, default: '', trim: true },
+    members: [memberSchema],
+    invitations: [invitationSchema],
+    // When the default issue rules were created, so they are only created once
+    issueRulesSeededAt: { type: Date, default: null }
+}, { timestamps: true });
+
+organizationSchema.index({ 'members.userId': 1 });
+organizationSchema.index({ 'invitations.token': 1 });
+
+organizationSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.models.Organization || mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { tenantPlugin } = require('./tenant');
+
+const purchaseOrderLineSchema = new mongoose.Schema({
+    sku: { type: String, required: true },
+    productName: { type: String, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    unitCost: { type: Number, default: 0 },
+    receivedQuantity: { type: Number, default: 0, min: 0 }
+}, { _id: false });
+
+// An order placed with a supplier for delivery to one warehouse
+const purchaseOrderSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    poNumber: { type: String, required: true },
+    supplierId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Supplier"
+    },
+    // Kept on the order so it still reads correctly if the supplier is renamed or removed
+    supplierName: { type: String, default: '' },
+    // Settled when the order is sent; null only for organizations without warehouses
+    warehouseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Warehouse",
+        default: null
+    },
+    lines: {
+        type: [purchaseOrderLineSchema],
+        validate: lines => lines.length > 0
+    },
+    status: {
+        type: String,
+        enum: ['draft', 'sent', 'partially-received', 'received', 'cancelled'],
+        default: 'draft'
+    },
+    expedite: { type: Boolean, default: false },
+    orderedAt: { type: Date },
+    expectedDate: { type: Date },
+    actionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Action"
+    },
+    notes: { type: String }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+purchaseOrderSchema.plugin(tenantPlugin);
+purchaseOrderSchema.index({ userId: 1, poNumber: 1 }, { unique: true });
+
+purchaseOrderSchema.virtual('openQuantity').get(function () {
+    return this.lines.reduce((sum, line) => sum + line.quantity - line.receivedQuantity, 0);
+});
+
+purchaseOrderSchema.virtual('totalCost').get(function () {
+    return this.lines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0);
+});
+
+module.exports = mongoose.models.PurchaseOrder || mongoose.model('PurchaseOrder', purchaseOrderSchema);
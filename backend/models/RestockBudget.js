@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const { tenantPlugin } = require('./tenant');
+
+// Spend available for new restock orders, either across all products
+// (category '') or for the products in one category. Allocated by
+// services/restock-optimizer.js.
+const restockBudgetSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    category: { type: String, default: '', trim: true },
+    amount: { type: Number, required: true, min: 0 }
+}, { timestamps: true });
+
+restockBudgetSchema.plugin(tenantPlugin);
+restockBudgetSchema.index({ userId: 1, category: 1 }, { unique: true });
+
+module.exports = mongoose.models.RestockBudget || mongoose.model('RestockBudget', restockBudgetSchema);
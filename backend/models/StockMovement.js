@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { tenantFilter, tenantPlugin } = require('./tenant');
+
+// Inbound movements add units, outbound ones remove them; adjustments go either way
+const MOVEMENT_TYPES = ['receipt', 'sale', 'adjustment', 'transfer-out', 'transfer-in', 'write-off', 'donation'];
+const INBOUND_TYPES = ['receipt', 'transfer-in'];
+const OUTBOUND_TYPES = ['sale', 'transfer-out', 'write-off', 'donation'];
+
+// One immutable change to a SKU's on-hand stock at a warehouse
+const stockMovementSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    sku: { type: String, required: true },
+    // Null for items not yet tracked per warehouse
+    warehouseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Warehouse",
+        default: null
+    },
+    type: { type: String, enum: MOVEMENT_TYPES, required: true },
+    // Signed change to onHand (negative for outbound movements)
+    quantity: { type: Number, required: true },
+    // SKU-level onHand right after the movement
+    balanceAfter: { type: Number },
+    reference: {
+        kind: { type: String },   // e.g. 'Transfer', 'Action'
+        id: { type: mongoose.Schema.Types.ObjectId }
+    },
+    note: { type: String },
+    occurredAt: { type: Date, default: Date.now }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+stockMovementSchema.plugin(tenantPlugin);
+stockMovementSchema.index({ userId: 1, sku: 1, occurredAt: -1 });
+
+stockMovementSchema.pre('validate', function () {
+    if (INBOUND_TYPES.includes(this.type) && this.quantity < 0) {
+        this.invalidate('quantity', `A ${this.type} must add stock`);
+    }
+    if (OUTBOUND_TYPES.includes(this.type) && this.quantity > 0) {
+        this.invalidate('quantity', `A ${this.type} must remove stock`);
+    }
+});
+
+// The ledger is append-only: recorded movements are never changed or removed
+stockMovementSchema.pre('save', function () {
+    if (!this.isNew) {
+        throw new Error('Stock movements cannot be modified');
+    }
+});
+stockMovementSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function () {
+    throw new Error('Stock movements cannot be modified');
+});
+stockMovementSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, function () {
+    throw new Error('Stock movements cannot be deleted');
+});
+
+// Erase a tenant's whole ledger, when its organization is deleted. This is the
+// one removal allowed, so it goes to the collection directly and skips the
+// hooks above.
+stockMovementSchema.statics.purgeTenant = function (tenantId) {
+    const { userId } = tenantFilter(tenantId);
+    return this.collection.deleteMany({ userId: new mongoose.Types.ObjectId(String(userId)) });
+};
+
+stockMovementSchema.statics.TYPES = MOVEMENT_TYPES;
+stockMovementSchema.statics.INBOUND_TYPES = INBOUND_TYPES;
+stockMovementSchema.statics.OUTBOUND_TYPES = OUTBOUND_TYPES;
+
+module.exports = mongoose.models.StockMovement || mongoose.model('StockMovement', stockMovementSchema);
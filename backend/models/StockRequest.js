@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const { lifecyclePlugin } = require('./lifecycle');
+const { tenantPlugin } = require('./tenant');
+
+// A warehouse asking the network for units of a SKU
+const stockRequestSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    sku: { type: String, required: true },
+    productName: { type: String, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    requestingWarehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Warehouse",
+        required: true
+    },
+    transferId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Transfer"
+    },
+    notes: { type: String }
+}, { timestamps: true });
+
+stockRequestSchema.plugin(lifecyclePlugin);
+stockRequestSchema.plugin(tenantPlugin);
+stockRequestSchema.index({ userId: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.models.StockRequest || mongoose.model('StockRequest', stockRequestSchema);
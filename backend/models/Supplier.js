@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const { tenantPlugin } = require('./tenant');
+
+// A vendor purchase orders are placed with
+const supplierSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    name: { type: String, required: true, trim: true },
+    contactName: { type: String, default: '' },
+    email: { type: String, default: '' },
+    phone: { type: String, default: '' },
+    // Typical days from order to delivery; products may override it
+    leadTimeDays: { type: Number, default: 7, min: 0 },
+    notes: { type: String, default: '' }
+}, { timestamps: true });
+
+supplierSchema.plugin(tenantPlugin);
+supplierSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.models.Supplier || mongoose.model('Supplier', supplierSchema);
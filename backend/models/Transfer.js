@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { lifecyclePlugin } = require('./lifecycle');
+const { tenantPlugin } = require('./tenant');
+
+// Units of a SKU moving from one warehouse to another
+const transferSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    sku: { type: String, required: true },
+    productName: { type: String, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    fromWarehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Warehouse",
+        required: true
+    },
+    toWarehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Warehouse",
+        required: true
+    },
+    requestId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "StockRequest"
+    },
+    distributionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Distribution"
+    },
+    // Shipping quote chosen for the transfer, when one was priced
+    shippingCost: { type: Number },
+    carrier: { type: String },
+    deliveryDays: { type: Number },
+    // Size of the shipment, from the product's weight and dimensions (null when unknown)
+    weightLbs: { type: Number },
+    volumeCubicFt: { type: Number },
+    pallets: { type: Number },
+    notes: { type: String }
+}, { timestamps: true });
+
+transferSchema.plugin(lifecyclePlugin);
+transferSchema.plugin(tenantPlugin);
+transferSchema.index({ userId: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.models.Transfer || mongoose.model('Transfer', transferSchema);
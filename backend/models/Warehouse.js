@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const { tenantPlugin } = require('./tenant');
+
+const warehouseSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    code: { type: String, required: true, trim: true },
+    name: { type: String, required: true, trim: true },
+    address: { type: String, default: '' },
+    zip: { type: String, default: '' },
+    lat: { type: Number },
+    lng: { type: Number },
+    // Space limits; 0 means the limit is not tracked
+    capacity: { type: Number, default: 0, min: 0 },
+    capacityCubicFt: { type: Number, default: 0, min: 0 }
+}, { timestamps: true });
+
+// Warehouse codes are unique per owner, not globally
+warehouseSchema.plugin(tenantPlugin);
+warehouseSchema.index({ userId: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.models.Warehouse || mongoose.model('Warehouse', warehouseSchema);
@@ -1,10 +1,26 @@
 const mongoose = require('mongoose');
+const { tenantPlugin } = require('./tenant');
 
 const demandHistorySchema = new mongoose.Schema({
     date: { type: Date, required: true },
     unitsSold: { type: Number, required: true }
 }, { _id: false });
 
+// Quantities held for a SKU at one warehouse
+const stockLevelSchema = new mongoose.Schema({
+    warehouseId: { type: mongoose.Schema.Types.ObjectId, ref: "Warehouse", required: true },
+    onHand: { type: Number, default: 0, min: 0 },
+    inbound: { type: Number, default: 0, min: 0 },
+    reserved: { type: Number, default: 0, min: 0 }
+}, { _id: false });
+
+// Outer dimensions of one unit, in inches
+const dimensionsSchema = new mongoose.Schema({
+    lengthIn: { type: Number, min: 0 },
+    widthIn: { type: Number, min: 0 },
+    heightIn: { type: Number, min: 0 }
+}, { _id: false });
+
 const inventorySchema = new mongoose.Schema({
     userId: {
         type:  mongoose.Schema.Types.ObjectId,
@@ -12,22 +28,51 @@ const inventorySchema = new mongoose.Schema({
     },
     sku: { type: String, required: true },
     name: { type: String, required: true },
+    // Groups products for per-category restock budgets
+    category: { type: String, default: '', trim: true },
     location: { type: String, default: 'Main-Warehouse' },
     horizonDays: { type: Number, default: 21 },
     onHand: { type: Number, default: 0 },
     inboundUnits: { type: Number, default: 0 },
+    reservedUnits: { type: Number, default: 0 },
+    stockLevels: [stockLevelSchema],
     leadTimeDays: { type: Number, required: true },
     moq: { type: Number, required: true },
+    supplierId: { type: mongoose.Schema.Types.ObjectId, ref: "Supplier" },
     unitCost: { type: Number, required: true },
     budgetCap: { type: Number, required: true },
     holdingCostPerUnit: { type: String, required: true },
     stockoutCostPerUnit: { type: String, required: true },
+    // Fixed cost of placing one order, used for the economic order quantity
+    orderingCost: { type: Number, default: 50, min: 0 },
+    // Shipping weight and size of one unit, used to size shipments and check
+    // warehouse space (see services/warehouse-service.js); unset when unknown
+    weightLbs: { type: Number, min: 0 },
+    dimensions: { type: dimensionsSchema, default: () => ({}) },
+    unitsPerPallet: { type: Number, min: 0 },
     safetyStockDays: { type: Number, default: 3 },
     targetServiceLevel: { type: Number, default: 0.95 },
     demandHistory: [demandHistorySchema],
     seasonalityHint: { type: String, default: 'Stable' },
-    seasonalityMultiplier: { type: Number, default: 1 }
+    seasonalityMultiplier: { type: Number, default: 1 },
+    // Model used to forecast demand (see services/forecasting.js); 'auto' picks the best fit
+    forecastMethod: {
+        type: String,
+        enum: ['auto', 'moving-average', 'ses', 'holt', 'holt-winters'],
+        default: 'auto'
+    }
 }, { timestamps: true });
 
+// When stock is tracked per warehouse, the SKU-level quantities are totals of the levels
+inventorySchema.pre('validate', function () {
+    if (this.stockLevels.length > 0) {
+        this.onHand = this.stockLevels.reduce((sum, level) => sum + level.onHand, 0);
+        this.inboundUnits = this.stockLevels.reduce((sum, level) => sum + level.inbound, 0);
+        this.reservedUnits = this.stockLevels.reduce((sum, level) => sum + level.reserved, 0);
+    }
+});
+
+inventorySchema.plugin(tenantPlugin);
+
 // Prevent model recompilation error
 module.exports = mongoose.models.Inventory || mongoose.model('Inventory', inventorySchema);
\ No newline at end of file
@@ -0,0 +1,66 @@
+// Shared status lifecycle for stock requests and transfers:
+// requested → approved → picked → in-transit → received, or cancelled before arrival
+
+const STATUSES = ['requested', 'approved', 'picked', 'in-transit', 'received', 'cancelled'];
+
+const TRANSITIONS = {
+    'requested': ['approved', 'cancelled'],
+    'approved': ['picked', 'cancelled'],
+    'picked': ['in-transit', 'cancelled'],
+    'in-transit': ['received'],
+    'received': [],
+    'cancelled': []
+};
+
+// Each state records when it was entered
+const TIMESTAMP_FIELDS = {
+    'requested': 'requestedAt',
+    'approved': 'approvedAt',
+    'picked': 'pickedAt',
+    'in-transit': 'shippedAt',
+    'received': 'receivedAt',
+    'cancelled': 'cancelledAt'
+};
+
+function lifecyclePlugin(schema) {
+    const fields = {
+        status: {
+            type: String,
+            enum: STATUSES,
+            default: 'requested',
+            index: true
+        }
+    };
+    Object.values(TIMESTAMP_FIELDS).forEach(field => {
+        fields[field] = { type: Date };
+    });
+    fields.requestedAt.default = Date.now;
+
+    schema.add(fields);
+
+    schema.methods.canAdvanceTo = function (status) {
+        return TRANSITIONS[this.status].includes(status);
+    };
+
+    // Move to the next state and stamp its time; throws on an invalid transition
+    schema.methods.advanceTo = function (status, at = new Date()) {
+        if (!this.canAdvanceTo(status)) {
+            throw new Error(`Cannot move from '${this.status}' to '${status}'`);
+        }
+        this.status = status;
+        this[TIMESTAMP_FIELDS[status]] = at;
+        return this;
+    };
+
+    schema.virtual('isOpen').get(function () {
+        return TRANSITIONS[this.status].length > 0;
+    });
+}
+
+module.exports = {
+    STATUSES,
+    TRANSITIONS,
+    TIMESTAMP_FIELDS,
+    OPEN_STATUSES: STATUSES.filter(status => TRANSITIONS[status].length > 0),
+    lifecyclePlugin
+};
@@ -0,0 +1,46 @@
+// Tenant scoping: data belongs to an organization through its `userId` field
+// (see Organization.js). Lookups made for a request go through these helpers
+// so they are always filtered by the caller's organization; another
+// organization's document reads the same as one that does not exist.
+
+const mongoose = require('mongoose');
+
+// `filter` limited to one tenant. Throws without a tenant so a missing id can
+// never widen a query to every organization. A malformed `_id` matches nothing
+// instead of failing the query with a cast error.
+function tenantFilter(tenantId, filter = {}) {
+    if (!tenantId || (typeof tenantId === 'string' && !mongoose.isObjectIdOrHexString(tenantId))) {
+        throw new Error('Tenant id is required for scoped queries');
+    }
+
+    const scoped = { ...filter, userId: tenantId };
+    if (typeof scoped._id === 'string' && !mongoose.isObjectIdOrHexString(scoped._id)) {
+        scoped._id = null;
+    }
+    return scoped;
+}
+
+function tenantPlugin(schema) {
+    // The tenant's documents matching `filter`
+    schema.statics.forTenant = function (tenantId, filter = {}) {
+        return this.find(tenantFilter(tenantId, filter));
+    };
+
+    // One of the tenant's documents by id, or null
+    schema.statics.findOwned = function (tenantId, id) {
+        return this.findOne(tenantFilter(tenantId, { _id: id }));
+    };
+
+    schema.statics.findOwnedAndUpdate = function (tenantId, id, update, options = { new: true }) {
+        return this.findOneAndUpdate(tenantFilter(tenantId, { _id: id }), update, options);
+    };
+
+    schema.statics.findOwnedAndDelete = function (tenantId, id) {
+        return this.findOneAndDelete(tenantFilter(tenantId, { _id: id }));
+    };
+}
+
+module.exports = {
+    tenantFilter,
+    tenantPlugin
+};
@@ -1,10 +1,22 @@
 const mongoose = require('mongoose');
 
+// Addresses are stored trimmed and lowercased; look them up the same way
+const normalizeEmail = email => String(email || '').trim().toLowerCase();
+
 const userSchema = new mongoose.Schema({
-    email: { type: String, required: true, unique: true },
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
     password: { type: String, required: true },
     businessName: { type: String },
-    role: { type: String, default: 'user' }
+    // Site-wide role: 'admin' may use the /admin pages. Roles within an
+    // organization are kept on the organization's members.
+    role: { type: String, default: 'user' },
+    organizationId: { type: mongoose.Schema.Types.ObjectId, ref: "Organization" },
+    // Set when the user follows a verification link sent to their email
+    emailVerifiedAt: { type: Date },
+    // New address waiting for its verification link to be followed
+    pendingEmail: { type: String, lowercase: true, trim: true }
 }, { timestamps: true });
 
+userSchema.statics.normalizeEmail = normalizeEmail;
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
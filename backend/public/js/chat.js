@@ -3,9 +3,6 @@ const chatMessages = document.getElementById('chatMessages');
 const messageInput = document.getElementById('messageInput');
 const sendBtn = document.getElementById('sendBtn');
 
-// Get userId from page
-const userId = document.getElementById('userId')?.value || 'user123';
-
 function handleKeyPress(event) {
     if (event.key === 'Enter') {
         sendMessage();
@@ -32,7 +29,7 @@ async function sendMessage() {
         const response = await fetch('/api/chat', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ message, userId })
+            body: JSON.stringify({ message })
         });
 
         const data = await response.json();
@@ -2,15 +2,51 @@
 
 let stockRequests = [];
 let transferHistory = [];
+let networkWarehouses = [];
 
 // Initialize the warehouse network
 async function initWarehouseNetwork() {
+    await loadWarehouses();
     await loadExcessStock();
     await loadActiveRequests();
     await loadTransferHistory();
     feather.replace();
 }
 
+// Load the user's warehouses (used to resolve transfer destinations)
+async function loadWarehouses() {
+    try {
+        const response = await fetch('/api/warehouses');
+        networkWarehouses = response.ok ? await response.json() : [];
+    } catch (error) {
+        console.error('Error loading warehouses:', error);
+        networkWarehouses = [];
+    }
+}
+
+// Display name for a warehouse ID or populated warehouse (falls back to the raw value)
+function warehouseLabel(warehouseRef) {
+    if (warehouseRef && warehouseRef.name) return warehouseRef.name;
+    const warehouse = networkWarehouses.find(wh => wh._id === warehouseRef);
+    return warehouse ? warehouse.name : warehouseRef;
+}
+
+// Next steps offered for each transfer status
+const TRANSFER_ACTIONS = {
+    'approved': [{ status: 'picked', label: 'Mark Picked' }],
+    'picked': [{ status: 'in-transit', label: 'Ship' }],
+    'in-transit': [{ status: 'received', label: 'Receive' }]
+};
+
+const STATUS_ICONS = {
+    'requested': '📨',
+    'approved': '📋',
+    'picked': '📦',
+    'in-transit': '🚚',
+    'received': '✅',
+    'cancelled': '❌'
+};
+
 // Load excess stock items (overstock or near waste)
 async function loadExcessStock() {
     const excessStockDiv = document.getElementById('excessStock');
@@ -34,9 +70,10 @@ async function loadExcessStock() {
                     <div class="flex items-center justify-between">
                         <div class="text-sm" style="color: var(--text-muted);">
                             <span style="color: var(--accent-green); font-weight: 600;">${item.availableQuantity} units</span> available
+                            ${item.warehouseName ? `• ${item.warehouseName}` : ''}
                         </div>
                         <button 
-                            onclick="offerTransfer('${item.sku}', ${item.availableQuantity})"
+                            onclick="offerTransfer('${item.sku}', ${item.availableQuantity}, '${item.warehouse || ''}')"
                             class="px-3 py-1 rounded text-xs font-medium transition-all hover:scale-105"
                             style="background: var(--accent-green); color: var(--bg-primary);">
                             Offer Transfer
@@ -81,8 +118,7 @@ async function createStockRequest() {
             body: JSON.stringify({
                 product,
                 quantity,
-                requestingWarehouse: warehouse,
-                userId: document.getElementById('userId').value
+                requestingWarehouse: warehouse
             })
         });
         
@@ -100,7 +136,7 @@ async function createStockRequest() {
             // Reload requests
             await loadActiveRequests();
         } else {
-            showNotification(data.message || 'Failed to create request', 'error');
+            showNotification(data.error || data.message || 'Failed to create request', 'error');
         }
     } catch (error) {
         console.error('Error creating request:', error);
@@ -120,22 +156,32 @@ async function loadActiveRequests() {
             requestsDiv.innerHTML = data.requests.map(req => `
                 <div class="p-3 rounded-lg" style="background: var(--bg-card); border-left: 3px solid var(--accent-green);">
                     <div class="flex justify-between items-start mb-1">
-                        <div class="font-semibold text-sm" style="color: var(--text-primary);">${req.product}</div>
+                        <div class="font-semibold text-sm" style="color: var(--text-primary);">${req.productName}</div>
                         <div class="text-xs px-2 py-1 rounded" style="background: rgba(76, 175, 80, 0.1); color: var(--accent-green);">
                             ${req.status}
                         </div>
                     </div>
                     <div class="text-xs mb-2" style="color: var(--text-muted);">
-                        ${req.quantity} units needed • ${req.requestingWarehouse}
+                        ${req.quantity} units needed • ${warehouseLabel(req.requestingWarehouse)} • ${new Date(req.requestedAt || req.createdAt).toLocaleDateString()}
+                    </div>
+                    <div class="flex gap-2">
+                        ${!req.transferId ? `
+                            <button 
+                                onclick="fulfillRequest('${req._id}')"
+                                class="text-xs px-3 py-1 rounded font-medium transition-all hover:scale-105"
+                                style="background: var(--accent-green); color: var(--bg-primary);">
+                                Fulfill Request
+                            </button>
+                        ` : ''}
+                        ${['requested', 'approved', 'picked'].includes(req.status) ? `
+                            <button 
+                                onclick="updateRequestStatus('${req._id}', 'cancelled')"
+                                class="text-xs px-3 py-1 rounded font-medium transition-all hover:scale-105"
+                                style="background: var(--bg-primary); color: var(--text-muted); border: 1px solid var(--border);">
+                                Cancel
+                            </button>
+                        ` : ''}
                     </div>
-                    ${req.status === 'pending' ? `
-                        <button 
-                            onclick="fulfillRequest('${req.id}')"
-                            class="text-xs px-3 py-1 rounded font-medium transition-all hover:scale-105"
-                            style="background: var(--accent-green); color: var(--bg-primary);">
-                            Fulfill Request
-                        </button>
-                    ` : ''}
                 </div>
             `).join('');
         } else {
@@ -153,7 +199,7 @@ async function loadActiveRequests() {
 }
 
 // Offer to transfer excess stock
-async function offerTransfer(sku, availableQuantity) {
+async function offerTransfer(sku, availableQuantity, fromWarehouse) {
     const quantity = prompt(`How many units of ${sku} do you want to offer? (Max: ${availableQuantity})`);
     
     if (!quantity || quantity <= 0 || quantity > availableQuantity) {
@@ -161,10 +207,12 @@ async function offerTransfer(sku, availableQuantity) {
         return;
     }
     
-    const toWarehouse = prompt('Enter destination warehouse ID (e.g., wh-boston):');
+    const destinations = networkWarehouses.filter(wh => wh._id !== fromWarehouse);
+    const destinationCode = prompt(`Enter destination warehouse code (${destinations.map(wh => wh.code).join(', ') || 'no warehouses yet'}):`);
+    const toWarehouse = destinations.find(wh => wh.code.toLowerCase() === (destinationCode || '').trim().toLowerCase());
     
     if (!toWarehouse) {
-        alert('Please specify a destination warehouse');
+        alert('Please specify a valid destination warehouse');
         return;
     }
     
@@ -175,9 +223,8 @@ async function offerTransfer(sku, availableQuantity) {
             body: JSON.stringify({
                 sku,
                 quantity: parseInt(quantity),
-                fromWarehouse: 'wh-boston', // This should come from user's current warehouse
-                toWarehouse,
-                userId: document.getElementById('userId').value
+                fromWarehouse,
+                toWarehouse: toWarehouse._id
             })
         });
         
@@ -188,7 +235,7 @@ async function offerTransfer(sku, availableQuantity) {
             await loadExcessStock();
             await loadTransferHistory();
         } else {
-            showNotification(data.message || 'Transfer failed', 'error');
+            showNotification(data.error || data.message || 'Transfer failed', 'error');
         }
     } catch (error) {
         console.error('Error initiating transfer:', error);
@@ -206,9 +253,7 @@ async function fulfillRequest(requestId) {
         const response = await fetch(`/api/warehouse-request/${requestId}/fulfill`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                userId: document.getElementById('userId').value
-            })
+            body: JSON.stringify({})
         });
         
         const data = await response.json();
@@ -218,7 +263,7 @@ async function fulfillRequest(requestId) {
             await loadActiveRequests();
             await loadTransferHistory();
         } else {
-            showNotification(data.message || 'Failed to fulfill request', 'error');
+            showNotification(data.error || data.message || 'Failed to fulfill request', 'error');
         }
     } catch (error) {
         console.error('Error fulfilling request:', error);
@@ -226,6 +271,62 @@ async function fulfillRequest(requestId) {
     }
 }
 
+// Cancel (or otherwise advance) a stock request
+async function updateRequestStatus(requestId, status) {
+    if (status === 'cancelled' && !confirm('Cancel this stock request?')) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/warehouse-request/${requestId}/status`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ status })
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showNotification(data.message, 'success');
+            await loadActiveRequests();
+            await loadTransferHistory();
+        } else {
+            showNotification(data.error || data.message || 'Failed to update request', 'error');
+        }
+    } catch (error) {
+        console.error('Error updating request:', error);
+        showNotification('Error updating request', 'error');
+    }
+}
+
+// Move a transfer to its next status
+async function updateTransferStatus(transferId, status) {
+    if (status === 'cancelled' && !confirm('Cancel this transfer?')) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/warehouse-transfer/${transferId}/status`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ status })
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showNotification(data.message, 'success');
+            await loadActiveRequests();
+            await loadTransferHistory();
+        } else {
+            showNotification(data.error || data.message || 'Failed to update transfer', 'error');
+        }
+    } catch (error) {
+        console.error('Error updating transfer:', error);
+        showNotification('Error updating transfer', 'error');
+    }
+}
+
 // Load transfer history
 async function loadTransferHistory() {
     const historyDiv = document.getElementById('transferHistory');
@@ -238,18 +339,36 @@ async function loadTransferHistory() {
             historyDiv.innerHTML = data.transfers.map(transfer => `
                 <div class="p-3 rounded-lg flex items-center justify-between" style="background: var(--bg-card); border: 1px solid var(--border);">
                     <div class="flex items-center gap-3">
-                        <div class="text-2xl">${transfer.status === 'completed' ? '✅' : '🚚'}</div>
+                        <div class="text-2xl">${STATUS_ICONS[transfer.status] || '🚚'}</div>
                         <div>
                             <div class="font-semibold text-sm" style="color: var(--text-primary);">
-                                ${transfer.product} (${transfer.quantity} units)
+                                ${transfer.productName} (${transfer.quantity} units)
                             </div>
                             <div class="text-xs" style="color: var(--text-muted);">
-                                ${transfer.fromWarehouse} → ${transfer.toWarehouse}
+                                ${warehouseLabel(transfer.fromWarehouse)} → ${warehouseLabel(transfer.toWarehouse)} • ${transfer.status}
                             </div>
                         </div>
                     </div>
-                    <div class="text-xs" style="color: var(--text-muted);">
-                        ${new Date(transfer.date).toLocaleDateString()}
+                    <div class="flex items-center gap-2">
+                        ${(TRANSFER_ACTIONS[transfer.status] || []).map(action => `
+                            <button 
+                                onclick="updateTransferStatus('${transfer._id}', '${action.status}')"
+                                class="text-xs px-3 py-1 rounded font-medium transition-all hover:scale-105"
+                                style="background: var(--accent-green); color: var(--bg-primary);">
+                                ${action.label}
+                            </button>
+                        `).join('')}
+                        ${['approved', 'picked'].includes(transfer.status) ? `
+                            <button 
+                                onclick="updateTransferStatus('${transfer._id}', 'cancelled')"
+                                class="text-xs px-3 py-1 rounded font-medium transition-all hover:scale-105"
+                                style="background: var(--bg-primary); color: var(--text-muted); border: 1px solid var(--border);">
+                                Cancel
+                            </button>
+                        ` : ''}
+                        <div class="text-xs" style="color: var(--text-muted);">
+                            ${new Date(transfer.createdAt).toLocaleDateString()}
+                        </div>
                     </div>
                 </div>
             `).join('');
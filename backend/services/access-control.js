@@ -0,0 +1,281 @@
+/**
+ * Access Control
+ * Organizations, member roles and what each role may do. Roles are ranked
+ * viewer < planner < approver < admin and each permission names the lowest
+ * role allowed it:
+ *
+ *   viewer    read inventory, plans and reports
+ *   planner   change inventory, warehouses, suppliers and transfers, raise
+ *             purchase orders, generate actions, edit issue rules
+ *   approver  approve, reject and execute actions, move purchase orders
+ *             along, set restock budgets
+ *   admin     invite members and change their roles
+ *
+ * Users without an organization (accounts older than organizations, or
+ * members removed from one) are given their own on first use.
+ */
+
+const crypto = require('crypto');
+const User = require('../models/user');
+const Organization = require('../models/Organization');
+const { httpError } = require('./http-error');
+
+const { ROLES } = Organization;
+
+const PERMISSIONS = {
+    'inventory:read': 'viewer',
+    'inventory:write': 'planner',
+    'orders:create': 'planner',
+    'actions:generate': 'planner',
+    'rules:write': 'planner',
+    'forecasts:run': 'planner',
+    'actions:approve': 'approver',
+    'orders:approve': 'approver',
+    'budgets:write': 'approver',
+    'members:manage': 'admin'
+};
+
+/**
+ * Whether a role has a permission
+ * @param {string} role - Member role
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+    if (!(permission in PERMISSIONS)) {
+        throw new Error(`Unknown permission '${permission}'`);
+    }
+    return ROLES.indexOf(role) >= ROLES.indexOf(PERMISSIONS[permission]) && ROLES.includes(role);
+}
+
+/**
+ * The organization with the user's own id, created if needed, with the user
+ * as its admin
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Lean Organization
+ */
+async function ensureOwnOrganization(user) {
+    let organization = await Organization.findOneAndUpdate(
+        { _id: user._id },
+        { $setOnInsert: { name: user.businessName || user.email, members: [{ userId: user._id, role: 'admin' }] } },
+        { upsert: true, new: true }
+    ).lean();
+
+    // Back in their own organization after leaving another one
+    if (!organization.members.some(member => member.userId.equals(user._id))) {
+        organization = await Organization.findByIdAndUpdate(
+            user._id,
+            { $push: { members: { userId: user._id, role: 'admin' } } },
+            { new: true }
+        ).lean();
+    }
+
+    if (!user._id.equals(user.organizationId)) {
+        await User.updateOne({ _id: user._id }, { $set: { organizationId: user._id } });
+    }
+    return organization;
+}
+
+/**
+ * The organization a user works in and their role there
+ * @param {string} userId - Signed-in user ID
+ * @returns {Promise<{user: Object, organization: Object, organizationId: string, role: string}|null>}
+ *   Null when the user no longer exists
+ */
+async function resolveMembership(userId) {
+    const user = await User.findById(userId).lean();
+    if (!user) return null;
+
+    let organization = user.organizationId && await Organization.findById(user.organizationId).lean();
+    let member = organization?.members.find(m => m.userId.equals(user._id));
+
+    if (!member) {
+        organization = await ensureOwnOrganization(user);
+        member = organization.members.find(m => m.userId.equals(user._id));
+    }
+
+    return { user, organization, organizationId: String(organization._id), role: member.role };
+}
+
+/**
+ * Members of an organization with their accounts, and its pending invitations
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<{organization: Object, members: Array, invitations: Array}>}
+ */
+async function listMembers(organizationId) {
+    const organization = await Organization.findById(organizationId).lean();
+    if (!organization) {
+        throw httpError('Organization not found', 404);
+    }
+
+    const users = await User.find({ _id: { $in: organization.members.map(m => m.userId) } }, { email: 1, businessName: 1 }).lean();
+    const members = organization.members.map(member => ({
+        ...member,
+        user: users.find(user => user._id.equals(member.userId)) || null
+    }));
+
+    return { organization, members, invitations: organization.invitations };
+}
+
+const adminCount = organization => organization.members.filter(member => member.role === 'admin').length;
+
+/**
+ * Invite someone to an organization by email. Inviting an address again
+ * replaces its pending invitation.
+ * @param {string} organizationId - Organization ID
+ * @param {{email: string, role: string}} invite
+ * @param {string} invitedBy - Inviting user ID
+ * @returns {Promise<Object>} The invitation, with its token
+ */
+async function inviteMember(organizationId, { email, role }, invitedBy) {
+    const address = User.normalizeEmail(email);
+    if (!/^[^\s@]+@[^\s@]+$/.test(address)) {
+        throw httpError('A valid email address is required');
+    }
+    if (!ROLES.includes(role)) {
+        throw httpError(`Role must be one of ${ROLES.join(', ')}`);
+    }
+
+    const organization = await Organization.findById(organizationId);
+    if (!organization) {
+        throw httpError('Organization not found', 404);
+    }
+
+    const existing = await User.findOne({ email: address }, { _id: 1 }).lean();
+    if (existing && organization.members.some(member => member.userId.equals(existing._id))) {
+        throw httpError(`${address} is already a member`);
+    }
+
+    organization.invitations = organization.invitations.filter(invitation => invitation.email !== address);
+    organization.invitations.push({ email: address, role, token: crypto.randomBytes(24).toString('hex'), invitedBy });
+    await organization.save();
+
+    return organization.invitations[organization.invitations.length - 1];
+}
+
+/**
+ * Look up a pending invitation
+ * @param {string} token - Invitation token
+ * @returns {Promise<{organization: Object, invitation: Object}|null>}
+ */
+async function findInvitation(token) {
+    if (!token) return null;
+
+    const organization = await Organization.findOne({ 'invitations.token': String(token) }).lean();
+    if (!organization) return null;
+
+    return { organization, invitation: organization.invitations.find(invitation => invitation.token === String(token)) };
+}
+
+/**
+ * Join the organization an invitation is for, leaving the current one. The
+ * last admin of an organization with other members cannot leave it.
+ * @param {string} userId - Accepting user ID
+ * @param {string} token - Invitation token
+ * @returns {Promise<Object>} The joined organization
+ */
+async function acceptInvitation(userId, token) {
+    const found = await findInvitation(token);
+    if (!found) {
+        throw httpError('This invitation is no longer valid', 404);
+    }
+
+    const user = await User.findById(userId).lean();
+    if (!user || user.email !== found.invitation.email) {
+        throw httpError(`This invitation is for ${found.invitation.email}`, 403);
+    }
+
+    const current = await resolveMembership(userId);
+    if (current.organizationId !== String(found.organization._id)) {
+        const others = current.organization.members.filter(member => !member.userId.equals(user._id));
+        if (current.role === 'admin' && adminCount(current.organization) === 1 && others.length > 0) {
+            throw httpError('Make another member an admin of your current organization before leaving it');
+        }
+        await Organization.updateOne({ _id: current.organization._id }, { $pull: { members: { userId: user._id } } });
+    }
+
+    const organization = await Organization.findByIdAndUpdate(
+        found.organization._id,
+        {
+            $pull: { invitations: { token: found.invitation.token } },
+            $push: { members: { userId: user._id, role: found.invitation.role } }
+        },
+        { new: true }
+    ).lean();
+    await User.updateOne({ _id: user._id }, { $set: { organizationId: organization._id } });
+
+    return organization;
+}
+
+/**
+ * Change a member's role. An organization always keeps at least one admin.
+ * @param {string} organizationId - Organization ID
+ * @param {string} memberId - Member's user ID
+ * @param {string} role - New role
+ * @returns {Promise<Object>} Updated organization
+ */
+async function changeMemberRole(organizationId, memberId, role) {
+    if (!ROLES.includes(role)) {
+        throw httpError(`Role must be one of ${ROLES.join(', ')}`);
+    }
+
+    const organization = await Organization.findById(organizationId);
+    const member = organization?.members.find(m => String(m.userId) === String(memberId));
+    if (!member) {
+        throw httpError('Member not found', 404);
+    }
+    if (member.role === 'admin' && role !== 'admin' && adminCount(organization) === 1) {
+        throw httpError('An organization needs at least one admin');
+    }
+
+    member.role = role;
+    return organization.save();
+}
+
+/**
+ * Remove a member. They are moved back to their own organization on their
+ * next request.
+ * @param {string} organizationId - Organization ID
+ * @param {string} memberId - Member's user ID
+ * @returns {Promise<Object>} Updated organization
+ */
+async function removeMember(organizationId, memberId) {
+    const organization = await Organization.findById(organizationId);
+    const member = organization?.members.find(m => String(m.userId) === String(memberId));
+    if (!member) {
+        throw httpError('Member not found', 404);
+    }
+    if (member.role === 'admin' && adminCount(organization) === 1) {
+        throw httpError('An organization needs at least one admin');
+    }
+
+    organization.members = organization.members.filter(m => m !== member);
+    await organization.save();
+    await User.updateOne({ _id: memberId, organizationId: organization._id }, { $unset: { organizationId: 1 } });
+
+    return organization;
+}
+
+/**
+ * Withdraw a pending invitation
+ * @param {string} organizationId - Organization ID
+ * @param {string} invitationId - Invitation subdocument ID
+ */
+async function revokeInvitation(organizationId, invitationId) {
+    await Organization.updateOne({ _id: organizationId }, { $pull: { invitations: { _id: invitationId } } });
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    hasPermission,
+    ensureOwnOrganization,
+    resolveMembership,
+    listMembers,
+    inviteMember,
+    findInvitation,
+    acceptInvitation,
+    changeMemberRole,
+    removeMember,
+    revokeInvitation
+};
@@ -0,0 +1,342 @@
+/**
+ * Account Service
+ * Password resets, email verification, password and email changes, and
+ * account deletion. Reset and verification links carry a random single-use
+ * token (stored hashed in AuthToken) and are sent with the configured mail
+ * transport.
+ *
+ * Deleting an account deletes its organization's data when nobody else is in
+ * that organization; in a shared organization the data stays with the team
+ * and only the membership, API keys and login go. The user and organization
+ * are removed last, so a deletion that fails partway leaves an account that
+ * can simply delete itself again.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const User = require('../models/user');
+const AuthToken = require('../models/AuthToken');
+const Organization = require('../models/Organization');
+const ApiKey = require('../models/ApiKey');
+const JobState = require('../models/JobState');
+const Inventory = require('../models/inventory');
+const Action = require('../models/Action');
+const AgentMemory = require('../models/AgentMemory');
+const Warehouse = require('../models/Warehouse');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const StockMovement = require('../models/StockMovement');
+const StockRequest = require('../models/StockRequest');
+const Transfer = require('../models/Transfer');
+const Distribution = require('../models/Distribution');
+const RestockBudget = require('../models/RestockBudget');
+const IssueRule = require('../models/IssueRule');
+const ForecastBacktest = require('../models/ForecastBacktest');
+const { tenantFilter } = require('../models/tenant');
+const { resolveMembership } = require('./access-control');
+const { sendMail } = require('./mailer');
+const { httpError } = require('./http-error');
+
+const RESET_TTL_MS = 60 * 60 * 1000;
+const VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 6;
+
+// Everything an organization owns, deleted with its last member. The stock
+// ledger is append-only and is erased separately (StockMovement.purgeTenant).
+const TENANT_MODELS = [
+    Inventory, Action, AgentMemory, Warehouse, Supplier, PurchaseOrder,
+    StockRequest, Transfer, Distribution, RestockBudget, IssueRule, ForecastBacktest, ApiKey
+];
+
+const hashToken = token => crypto.createHash('sha256').update(String(token || '')).digest('hex');
+
+/**
+ * Check a new password and its confirmation
+ * @throws 400 when it is too short or they differ
+ */
+function validateNewPassword(password, confirmPassword) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw httpError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (confirmPassword !== undefined && password !== confirmPassword) {
+        throw httpError('Passwords do not match');
+    }
+}
+
+// A signed-in user's account, checked against their current password
+async function userWithPassword(userId, password) {
+    const user = await User.findById(userId);
+    if (!user) {
+        throw httpError('Account not found', 404);
+    }
+    if (!password || !(await bcrypt.compare(password, user.password))) {
+        throw httpError('Current password is incorrect');
+    }
+    return user;
+}
+
+// Create a token, replacing any unused one for the same purpose
+async function issueToken(userId, purpose, ttlMs, email) {
+    await AuthToken.deleteMany({ userId, purpose, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await AuthToken.create({
+        userId,
+        purpose,
+        tokenHash: hashToken(token),
+        email,
+        expiresAt: new Date(Date.now() + ttlMs)
+    });
+    return token;
+}
+
+/**
+ * An unused, unexpired token
+ * @param {string} token - Token from the link
+ * @param {string} purpose - AuthToken purpose
+ * @returns {Promise<Object|null>} AuthToken document
+ */
+async function findToken(token, purpose) {
+    return AuthToken.findOne({
+        tokenHash: hashToken(token),
+        purpose,
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+}
+
+/**
+ * Mark an unused, unexpired token as used. Only one caller can claim a token,
+ * so a link cannot be applied twice however many requests follow it.
+ * @param {string} token - Token from the link
+ * @param {string} purpose - AuthToken purpose
+ * @returns {Promise<Object|null>} The claimed AuthToken, or null when there is none to claim
+ */
+async function claimToken(token, purpose) {
+    const now = new Date();
+    return AuthToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+        { $set: { usedAt: now } },
+        { new: true }
+    );
+}
+
+// Make a claimed token usable again after the change it was claimed for failed
+async function releaseToken(authToken) {
+    await AuthToken.updateOne({ _id: authToken._id, usedAt: authToken.usedAt }, { $set: { usedAt: null } });
+}
+
+/**
+ * Email a password reset link. Unknown addresses are ignored silently so the
+ * form does not reveal who has an account.
+ * @param {string} email - Address entered on the form
+ * @param {string} baseUrl - Site URL for the link
+ */
+async function requestPasswordReset(email, baseUrl) {
+    const user = await User.findOne({ email: User.normalizeEmail(email) }).lean();
+    if (!user) return;
+
+    const token = await issueToken(user._id, 'password-reset', RESET_TTL_MS);
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your Inventree password',
+        text: `Someone asked to reset the password for your Inventree account.\n\n` +
+            `Choose a new password here: ${baseUrl}/reset-password/${token}\n\n` +
+            `The link works once and expires in an hour. If you didn't ask for it, you can ignore this email.`
+    });
+}
+
+/**
+ * Set a new password from a reset link
+ * @param {string} token - Token from the link
+ * @param {{password: string, confirmPassword: string}} data
+ * @returns {Promise<Object>} The updated User document
+ */
+async function resetPassword(token, { password, confirmPassword }) {
+    if (!(await findToken(token, 'password-reset'))) {
+        throw httpError('This reset link is invalid or has expired', 404);
+    }
+    validateNewPassword(password, confirmPassword);
+
+    const authToken = await claimToken(token, 'password-reset');
+    const user = authToken && await User.findById(authToken.userId);
+    if (!user) {
+        throw httpError('This reset link is invalid or has expired', 404);
+    }
+
+    try {
+        user.password = await bcrypt.hash(password, 10);
+        // Following the emailed link proves the address too
+        if (!user.emailVerifiedAt) user.emailVerifiedAt = new Date();
+        await user.save();
+    } catch (error) {
+        await releaseToken(authToken);
+        throw error;
+    }
+    return user;
+}
+
+/**
+ * Email a verification link for the user's pending address, or their current
+ * one when no change is pending
+ * @param {Object} user - User document
+ * @param {string} baseUrl - Site URL for the link
+ */
+async function sendVerificationEmail(user, baseUrl) {
+    const email = user.pendingEmail || user.email;
+    const token = await issueToken(user._id, 'email-verification', VERIFICATION_TTL_MS, email);
+
+    await sendMail({
+        to: email,
+        subject: 'Confirm your email for Inventree',
+        text: `Confirm ${email} for your Inventree account: ${baseUrl}/verify-email/${token}\n\n` +
+            `The link expires in 24 hours.`
+    });
+}
+
+/**
+ * Follow a verification link. A link for a new address switches the account
+ * to it.
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object>} The updated User document
+ */
+async function verifyEmail(token) {
+    const authToken = await claimToken(token, 'email-verification');
+    const user = authToken && await User.findById(authToken.userId);
+    if (!user) {
+        throw httpError('This verification link is invalid or has expired', 404);
+    }
+
+    try {
+        if (authToken.email !== user.email) {
+            if (await User.exists({ email: authToken.email, _id: { $ne: user._id } })) {
+                throw httpError(`${authToken.email} is already used by another account`, 409);
+            }
+            user.email = authToken.email;
+        }
+        if (user.pendingEmail === authToken.email) {
+            user.pendingEmail = undefined;
+        }
+        user.emailVerifiedAt = new Date();
+        await user.save();
+    } catch (error) {
+        await releaseToken(authToken);
+        throw error;
+    }
+    return user;
+}
+
+/**
+ * Change a signed-in user's password
+ * @param {string} userId - User ID
+ * @param {{currentPassword: string, newPassword: string, confirmPassword: string}} data
+ */
+async function changePassword(userId, { currentPassword, newPassword, confirmPassword }) {
+    const user = await userWithPassword(userId, currentPassword);
+    validateNewPassword(newPassword, confirmPassword);
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+}
+
+/**
+ * Start switching a signed-in user to a new email address. The switch happens
+ * when the link sent to the new address is followed.
+ * @param {string} userId - User ID
+ * @param {{email: string, password: string}} data
+ * @param {string} baseUrl - Site URL for the link
+ */
+async function requestEmailChange(userId, { email, password }, baseUrl) {
+    const user = await userWithPassword(userId, password);
+    const address = User.normalizeEmail(email);
+
+    if (!/^[^\s@]+@[^\s@]+$/.test(address)) {
+        throw httpError('A valid email address is required');
+    }
+    if (address === user.email) {
+        throw httpError('That is already your email address');
+    }
+    if (await User.exists({ email: address })) {
+        throw httpError('Email already registered');
+    }
+
+    user.pendingEmail = address;
+    await user.save();
+    await sendVerificationEmail(user, baseUrl);
+}
+
+// Delete everything an organization owns, but not the organization itself.
+// Safe to run again after a failure.
+async function purgeOrganizationData(organizationId) {
+    const counts = {};
+    for (const Model of TENANT_MODELS) {
+        const { deletedCount } = await Model.deleteMany(tenantFilter(String(organizationId)));
+        counts[Model.modelName] = deletedCount;
+    }
+
+    const { deletedCount } = await StockMovement.purgeTenant(String(organizationId));
+    counts.StockMovement = deletedCount;
+
+    await JobState.deleteMany({ userId: organizationId });
+    return counts;
+}
+
+/**
+ * Delete a signed-in user's account
+ * @param {string} userId - User ID
+ * @param {{password: string}} data - Current password, to confirm
+ * @returns {Promise<{inventory: number, actions: number, memories: number, sharedOrganization: boolean}>}
+ *   What was deleted; nothing is counted when the organization is shared
+ */
+async function deleteAccount(userId, { password }) {
+    const user = await userWithPassword(userId, password);
+    const membership = await resolveMembership(userId);
+    const { organization, role } = membership;
+
+    const others = organization.members.filter(member => !member.userId.equals(user._id));
+    const admins = organization.members.filter(member => member.role === 'admin');
+    if (others.length > 0 && role === 'admin' && admins.length === 1) {
+        throw httpError('Make another member an admin of your organization before deleting your account');
+    }
+
+    let counts = {};
+    const emptied = [];
+    if (others.length > 0) {
+        await Organization.updateOne({ _id: organization._id }, { $pull: { members: { userId: user._id } } });
+    } else {
+        counts = await purgeOrganizationData(organization._id);
+        emptied.push(organization._id);
+    }
+
+    // The organization made for them at signup, if they had since joined another
+    const own = await Organization.findById(user._id).lean();
+    if (own && !own._id.equals(organization._id) && own.members.every(member => member.userId.equals(user._id))) {
+        await purgeOrganizationData(own._id);
+        emptied.push(own._id);
+    }
+
+    await ApiKey.deleteMany({ createdBy: user._id });
+    await AuthToken.deleteMany({ userId: user._id });
+    await Organization.deleteMany({ _id: { $in: emptied } });
+    await User.deleteOne({ _id: user._id });
+
+    return {
+        inventory: counts.Inventory || 0,
+        actions: counts.Action || 0,
+        memories: counts.AgentMemory || 0,
+        sharedOrganization: others.length > 0
+    };
+}
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    validateNewPassword,
+    requestPasswordReset,
+    findToken,
+    resetPassword,
+    sendVerificationEmail,
+    verifyEmail,
+    changePassword,
+    requestEmailChange,
+    deleteAccount
+};
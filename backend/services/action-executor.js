@@ -0,0 +1,175 @@
+/**
+ * Action Executor
+ * Applies an approved action to inventory. Each Action.type has an executor
+ * that creates the matching record (purchase order, transfer, stock request or
+ * stock movement) and returns a reference to it for the action's `result`.
+ */
+
+const Inventory = require('../models/inventory');
+const { tenantFilter } = require('../models/tenant');
+const { getUserWarehouses, matchesLocation, levelAtWarehouse } = require('./warehouse-service');
+const { primaryWarehouse, getStockLevel, updateStock } = require('./stock-service');
+const { createTransfer, createStockRequest } = require('./transfer-service');
+const { placePurchaseOrder } = require('./purchase-order-service');
+const { httpError } = require('./http-error');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Resolve an action's warehouse reference, which may be an ID, code or name
+ * @returns {Object|null} Warehouse document
+ */
+function resolveWarehouse(warehouses, ref) {
+    if (!ref) return null;
+    return warehouses.find(wh => String(wh._id) === String(ref) || matchesLocation(wh, ref)) || null;
+}
+
+// Units free to move at a site
+function availableAt(product, warehouse) {
+    const level = levelAtWarehouse(product, warehouse);
+    return level ? level.onHand - level.reserved : 0;
+}
+
+// RESTOCK, ORDER, EMERGENCY_ORDER: order from the supplier into the target site
+async function orderStock({ action, product, warehouses }) {
+    const destination = resolveWarehouse(warehouses, action.toWarehouse) || primaryWarehouse(product, warehouses);
+    const quantity = Math.max(action.suggestedQuantity, product.moq || 0);
+    const expedite = action.type === 'EMERGENCY_ORDER';
+    const leadTimeDays = expedite ? Math.ceil(product.leadTimeDays / 2) : product.leadTimeDays;
+
+    const order = await placePurchaseOrder(action.userId, {
+        supplierId: product.supplierId,
+        warehouseId: destination ? destination._id : null,
+        lines: [{ sku: product.sku, productName: product.name, quantity, unitCost: product.unitCost }],
+        expectedDate: new Date(Date.now() + leadTimeDays * DAY_MS),
+        expedite,
+        actionId: action._id,
+        notes: action.reasoning
+    });
+
+    return {
+        kind: 'PurchaseOrder',
+        id: order._id,
+        summary: `${order.poNumber}: ${quantity} units${destination ? ` to ${destination.name}` : ''}, expected in ${leadTimeDays} days`
+    };
+}
+
+// TRANSFER, OFFER_TRUCK, OPTIMIZE: move units between sites. A missing source is
+// the site with most free stock; a missing destination the one holding least.
+async function moveStock({ action, product, warehouses }) {
+    const source = resolveWarehouse(warehouses, action.fromWarehouse)
+        || [...warehouses].sort((a, b) => availableAt(product, b) - availableAt(product, a))[0];
+    if (!source) {
+        throw httpError('No source warehouse for this transfer');
+    }
+
+    const destination = resolveWarehouse(warehouses, action.toWarehouse)
+        || warehouses
+            .filter(wh => !wh._id.equals(source._id))
+            .sort((a, b) => (levelAtWarehouse(product, a)?.onHand || 0) - (levelAtWarehouse(product, b)?.onHand || 0))[0];
+    if (!destination) {
+        throw httpError('No destination warehouse for this transfer');
+    }
+
+    const quantity = Math.min(action.suggestedQuantity, availableAt(product, source));
+    if (quantity <= 0) {
+        throw httpError(`No free stock of ${product.sku} at ${source.name}`);
+    }
+
+    const transfer = await createTransfer(action.userId, {
+        sku: product.sku,
+        quantity,
+        fromWarehouse: source._id,
+        toWarehouse: destination._id,
+        notes: action.reasoning
+    });
+
+    return {
+        kind: 'Transfer',
+        id: transfer._id,
+        summary: `${quantity} units ${source.name} → ${destination.name}`
+    };
+}
+
+// REDUCE_STOCK: take the excess out of stock at the overstocked site
+async function reduceStock({ action, product, warehouses }) {
+    const site = resolveWarehouse(warehouses, action.fromWarehouse) || primaryWarehouse(product, warehouses);
+    let removed = 0;
+
+    const item = await updateStock(action.userId, product.sku, doc => {
+        const level = site ? getStockLevel(doc, site._id) : doc.stockLevels[0];
+        removed = level ? Math.min(action.suggestedQuantity, level.onHand - level.reserved) : 0;
+        if (removed <= 0) {
+            throw httpError(`No free stock of ${product.sku} to reduce`);
+        }
+        level.onHand -= removed;
+    }, {
+        type: 'adjustment',
+        reference: { kind: 'Action', id: action._id },
+        note: 'Overstock reduction'
+    });
+
+    return {
+        kind: 'Inventory',
+        id: item._id,
+        summary: `Reduced ${removed} units${site ? ` at ${site.name}` : ''}; ${item.onHand} on hand`
+    };
+}
+
+// NETWORK_REQUEST: ask the rest of the network to send units to the target site
+async function requestStock({ action, product, warehouses }) {
+    const site = resolveWarehouse(warehouses, action.toWarehouse) || primaryWarehouse(product, warehouses);
+    if (!site) {
+        throw httpError('No requesting warehouse for this action');
+    }
+
+    const request = await createStockRequest(action.userId, {
+        product: product.sku,
+        quantity: action.suggestedQuantity,
+        requestingWarehouse: site._id,
+        notes: action.reasoning
+    });
+
+    return {
+        kind: 'StockRequest',
+        id: request._id,
+        summary: `Requested ${request.quantity} units for ${site.name}`
+    };
+}
+
+const EXECUTORS = {
+    RESTOCK: orderStock,
+    ORDER: orderStock,
+    EMERGENCY_ORDER: orderStock,
+    TRANSFER: moveStock,
+    OFFER_TRUCK: moveStock,
+    OPTIMIZE: moveStock,
+    REDUCE_STOCK: reduceStock,
+    NETWORK_REQUEST: requestStock
+};
+
+/**
+ * Apply an action's effect to inventory
+ * @param {Object} action - Action document
+ * @returns {Promise<{kind: string, id: Object, summary: string}>} Reference to what was created
+ */
+async function executeAction(action) {
+    const executor = EXECUTORS[action.type];
+    if (!executor) {
+        throw httpError(`No executor for action type ${action.type}`);
+    }
+
+    const product = await Inventory.findOne(tenantFilter(action.userId, { sku: action.productSku })).lean();
+    if (!product) {
+        throw httpError(`Product ${action.productSku} not found`, 404);
+    }
+
+    const warehouses = await getUserWarehouses(action.userId);
+
+    return executor({ action, product, warehouses });
+}
+
+module.exports = {
+    EXECUTORS,
+    executeAction
+};
@@ -0,0 +1,284 @@
+/**
+ * Action Generator
+ * Builds restock, overstock and transfer suggestions from inventory and
+ * reconciles them with the user's pending actions, so each SKU/type has at
+ * most one pending suggestion and suggestions whose condition no longer holds
+ * are expired. Once a user has set restock budgets, restock orders come from
+ * the budget optimizer instead of each SKU's reorder policy.
+ */
+
+const Action = require('../models/Action');
+const Inventory = require('../models/inventory');
+const { tenantFilter } = require('../models/tenant');
+const { forecastDemand } = require('./forecasting');
+const { reorderPolicy } = require('./reorder-policy');
+const { detectIssues } = require('./issue-detector');
+const { getRestockBudgets, planRestock } = require('./restock-optimizer');
+
+const ORDER_TYPES = ['RESTOCK', 'EMERGENCY_ORDER'];
+
+// Fields refreshed on a pending action when its suggestion is generated again
+const REFRESHED_FIELDS = [
+    'priority', 'productName', 'currentStock', 'suggestedQuantity', 'fromWarehouse', 'toWarehouse',
+    'reasoning', 'metrics', 'aiConfidence', 'estimatedCost', 'estimatedSavings', 'allocation'
+];
+
+const suggestionKey = action => `${action.productSku}:${action.type}`;
+
+/**
+ * Suggestions for the current state of a user's inventory
+ * @param {string} userId - Owner user ID
+ * @param {Array} inventory - The user's Inventory documents
+ * @param {{byItem: Object<string, string[]>}} detected - The user's issue rules evaluated
+ *   against the inventory (see issue-detector)
+ * @returns {Array} Action fields, one per triggered condition
+ */
+function buildSuggestions(userId, inventory, detected = { byItem: {} }) {
+    const suggestions = [];
+
+    for (const product of inventory) {
+        const productIssues = detected.byItem[String(product._id)] || [];
+
+        // Forecast daily demand over the product's planning horizon
+        const forecast = forecastDemand(product);
+        const avgDemand = forecast.dailyDemand;
+        const demandTrend = forecast.trend.direction;
+        const demandBasis = `forecast daily demand of ${avgDemand.toFixed(1)} units (${forecast.method}, ${demandTrend})`;
+
+        // Reorder point, safety stock and order size from the reorder policy
+        const policy = reorderPolicy(product, forecast);
+        const daysOfCover = policy.daysOfCover;
+        const orderQuantity = policy.orderQuantity;
+        const policyBasis = `inventory position ${policy.inventoryPosition} vs reorder point ${policy.reorderPoint} (safety stock ${policy.safetyStock} at ${(policy.serviceLevel * 100).toFixed(0)}% service level)`;
+
+        // Critical: Position no longer covers the safety stock
+        if (policy.status === 'critical') {
+            suggestions.push({
+                userId,
+                type: 'EMERGENCY_ORDER',
+                priority: 'CRITICAL',
+                productSku: product.sku,
+                productName: product.name,
+                currentStock: product.onHand,
+                suggestedQuantity: orderQuantity,
+                toWarehouse: product.location,
+                reasoning: `CRITICAL: Only ${daysOfCover.toFixed(1)} days of stock remaining and ${policyBasis}. Daily demand: ${avgDemand.toFixed(1)} units (${forecast.method} forecast, ${demandTrend}). Immediate order of ${orderQuantity} units required to prevent stockout.`,
+                metrics: {
+                    stockoutRisk: 95,
+                    daysOfCover: daysOfCover,
+                    demandTrend,
+                    costImpact: product.unitCost * orderQuantity,
+                    urgencyScore: 95
+                },
+                aiConfidence: 95,
+                estimatedCost: product.unitCost * orderQuantity,
+                estimatedSavings: product.stockoutCostPerUnit * avgDemand * 5
+            });
+        }
+        // High: At or below the reorder point
+        else if (policy.status === 'reorder') {
+            suggestions.push({
+                userId,
+                type: 'RESTOCK',
+                priority: 'HIGH',
+                productSku: product.sku,
+                productName: product.name,
+                currentStock: product.onHand,
+                suggestedQuantity: orderQuantity,
+                toWarehouse: product.location,
+                reasoning: `Reorder point reached: ${policyBasis}. Recommend ordering ${orderQuantity} units (economic order quantity ${policy.eoq || 'n/a'}, MOQ ${product.moq}) based on ${demandBasis} over a ${policy.leadTimeDays} day lead time.`,
+                metrics: {
+                    stockoutRisk: 65,
+                    daysOfCover: daysOfCover,
+                    demandTrend,
+                    costImpact: product.unitCost * orderQuantity,
+                    urgencyScore: 70
+                },
+                aiConfidence: 85,
+                estimatedCost: product.unitCost * orderQuantity,
+                estimatedSavings: product.stockoutCostPerUnit * avgDemand * 2
+            });
+        }
+        // Overstock: the user's reduce-waste rules match and there is stock beyond 30 days of demand
+        else if (productIssues.includes('reduceWaste') && product.onHand - avgDemand * 30 >= 1) {
+            const excessStock = Math.floor(product.onHand - (avgDemand * 30));
+            suggestions.push({
+                userId,
+                type: 'REDUCE_STOCK',
+                priority: 'MEDIUM',
+                productSku: product.sku,
+                productName: product.name,
+                currentStock: product.onHand,
+                suggestedQuantity: excessStock,
+                fromWarehouse: product.location,
+                reasoning: `Overstocked with ${daysOfCover.toFixed(0)} days of inventory at ${demandBasis}. Suggest reducing by ${excessStock} units through promotions or redistribution to reduce holding costs of $${(product.holdingCostPerUnit * excessStock * 30).toFixed(2)}/month.`,
+                metrics: {
+                    stockoutRisk: 5,
+                    daysOfCover: daysOfCover,
+                    demandTrend,
+                    costImpact: -1 * product.holdingCostPerUnit * excessStock * 30,
+                    urgencyScore: 40
+                },
+                aiConfidence: 80,
+                estimatedCost: 0,
+                estimatedSavings: product.holdingCostPerUnit * excessStock * 30
+            });
+        }
+        // Network optimization: Offer trucks for transfer
+        else if (product.onHand > 40 && daysOfCover > 30) {
+            suggestions.push({
+                userId,
+                type: 'OFFER_TRUCK',
+                priority: 'LOW',
+                productSku: product.sku,
+                productName: product.name,
+                currentStock: product.onHand,
+                suggestedQuantity: Math.floor(product.onHand * 0.2),
+                fromWarehouse: product.location,
+                reasoning: `Surplus inventory available. Can offer ${Math.floor(product.onHand * 0.2)} units for transfer to other warehouses in network. Current stock provides ${daysOfCover.toFixed(0)} days of cover, allowing safe redistribution.`,
+                metrics: {
+                    stockoutRisk: 10,
+                    daysOfCover: daysOfCover,
+                    demandTrend,
+                    costImpact: 0,
+                    urgencyScore: 20
+                },
+                aiConfidence: 70,
+                estimatedCost: 0,
+                estimatedSavings: product.holdingCostPerUnit * Math.floor(product.onHand * 0.2) * 15
+            });
+        }
+    }
+
+
+    return suggestions;
+}
+
+/**
+ * Restock suggestions from a budget allocation, in the optimizer's rank order
+ * @param {string} userId - Owner user ID
+ * @param {Array} inventory - The user's Inventory documents
+ * @param {Object} plan - From planRestock
+ * @returns {Array} Action fields, one per funded SKU
+ */
+function allocationSuggestions(userId, inventory, plan) {
+    const PRIORITIES = { critical: 'CRITICAL', reorder: 'HIGH', ok: 'MEDIUM' };
+    const STOCKOUT_RISK = { critical: 95, reorder: 65, ok: 30 };
+
+    return plan.allocations.map(allocation => {
+        const product = inventory.find(item => item.sku === allocation.sku);
+
+        return {
+            userId,
+            type: allocation.type,
+            priority: PRIORITIES[allocation.status],
+            productSku: allocation.sku,
+            productName: allocation.name,
+            currentStock: product.onHand,
+            suggestedQuantity: allocation.quantity,
+            toWarehouse: product.location,
+            reasoning: allocation.rationale,
+            metrics: {
+                stockoutRisk: STOCKOUT_RISK[allocation.status],
+                daysOfCover: allocation.daysOfCover,
+                demandTrend: allocation.demandTrend,
+                costImpact: allocation.spend,
+                urgencyScore: Math.max(10, 100 - (allocation.rank - 1) * 10)
+            },
+            aiConfidence: allocation.status === 'critical' ? 95 : 85,
+            estimatedCost: allocation.spend,
+            estimatedSavings: allocation.netBenefit,
+            allocation: {
+                rank: allocation.rank,
+                budget: allocation.budget,
+                savingsPerDollar: allocation.savingsPerDollar,
+                netBenefit: allocation.netBenefit
+            }
+        };
+    });
+}
+
+/**
+ * Generate suggestions for a user and reconcile them with pending actions:
+ * existing SKU/type suggestions are updated in place, new ones inserted, and
+ * pending ones that are no longer suggested (or duplicated) are expired.
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<{created: number, updated: number, expired: number}>}
+ */
+async function generateActions(userId) {
+    const inventory = await Inventory.forTenant(userId).lean();
+    let suggestions = buildSuggestions(userId, inventory, await detectIssues(userId, inventory));
+
+    // With budgets set, orders are sized and ranked against them across all SKUs
+    const budgets = await getRestockBudgets(userId);
+    if (budgets.length > 0) {
+        const plan = await planRestock(userId, inventory, budgets);
+        suggestions = [
+            ...suggestions.filter(suggestion => !ORDER_TYPES.includes(suggestion.type)),
+            ...allocationSuggestions(userId, inventory, plan)
+        ];
+    }
+    const now = new Date();
+
+    // Newest first, so an older duplicate is the one expired
+    const pending = await Action.forTenant(userId, { status: 'PENDING' }).sort({ createdAt: -1 });
+    const pendingByKey = new Map();
+    const stale = [];
+
+    pending.forEach(action => {
+        const key = suggestionKey(action);
+        if (pendingByKey.has(key)) {
+            stale.push(action._id);
+        } else {
+            pendingByKey.set(key, action);
+        }
+    });
+
+    // Suggestions already approved and waiting to be executed are not repeated
+    const approved = await Action.find(tenantFilter(userId, { status: 'APPROVED' }), { productSku: 1, type: 1 }).lean();
+    const approvedKeys = new Set(approved.map(suggestionKey));
+
+    const toCreate = [];
+    let updated = 0;
+
+    for (const suggestion of suggestions) {
+        const key = suggestionKey(suggestion);
+        const existing = pendingByKey.get(key);
+
+        if (!existing && approvedKeys.has(key)) {
+            continue;
+        }
+
+        if (!existing) {
+            toCreate.push({ ...suggestion, lastEvaluatedAt: now });
+            continue;
+        }
+
+        REFRESHED_FIELDS.forEach(field => existing.set(field, suggestion[field]));
+        existing.lastEvaluatedAt = now;
+        await existing.save();
+
+        pendingByKey.delete(key);
+        updated++;
+    }
+
+    // Whatever was not suggested again no longer applies
+    pendingByKey.forEach(action => stale.push(action._id));
+
+    if (toCreate.length > 0) {
+        await Action.insertMany(toCreate);
+    }
+    if (stale.length > 0) {
+        await Action.updateMany(
+            { _id: { $in: stale }, status: 'PENDING' },
+            { $set: { status: 'EXPIRED', expiredAt: now } }
+        );
+    }
+
+    return { created: toCreate.length, updated, expired: stale.length };
+}
+
+module.exports = {
+    buildSuggestions,
+    generateActions
+};
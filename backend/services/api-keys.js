@@ -0,0 +1,125 @@
+/**
+ * API Keys
+ * Personal keys for the /api/v1 REST API. A key acts for the member who
+ * created it, in that member's current organization:
+ *
+ *   read   list and fetch inventory, warehouses, actions, orders and transfers
+ *   write  also record stock movements, if the member's role may change inventory
+ *
+ * Keys look like `itk_<prefix>_<secret>` and are stored as a SHA-256 hash
+ * (they are random, so a slow password hash adds nothing). A key stops working
+ * when it is revoked or its member leaves the organization.
+ */
+
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const { hasPermission, resolveMembership } = require('./access-control');
+const { httpError } = require('./http-error');
+
+const { SCOPES } = ApiKey;
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Create a key. The returned `key` is the only time it is available.
+ * @param {string} organizationId - Organization the key works in
+ * @param {{userId: string, role: string}} member - Creating member
+ * @param {{name: string, scopes: Array<string>|string}} data
+ * @returns {Promise<{apiKey: Object, key: string}>}
+ */
+async function createApiKey(organizationId, { userId, role }, { name, scopes }) {
+    const requested = [...new Set([].concat(scopes || []))];
+    if (!String(name || '').trim()) {
+        throw httpError('A key name is required');
+    }
+    if (requested.length === 0 || requested.some(scope => !SCOPES.includes(scope))) {
+        throw httpError(`Scopes must be some of ${SCOPES.join(', ')}`);
+    }
+    if (requested.includes('write') && !hasPermission(role, 'inventory:write')) {
+        throw httpError(`Your role (${role}) cannot create write keys`, 403);
+    }
+    // Writing implies reading
+    if (requested.includes('write') && !requested.includes('read')) {
+        requested.unshift('read');
+    }
+
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const key = `itk_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+    const apiKey = await ApiKey.create({
+        userId: organizationId,
+        createdBy: userId,
+        name: String(name).trim(),
+        prefix,
+        keyHash: hashKey(key),
+        scopes: requested
+    });
+
+    return { apiKey, key };
+}
+
+/**
+ * A member's keys in an organization, newest first
+ * @param {string} organizationId - Organization ID
+ * @param {string} userId - Member's user ID
+ * @returns {Promise<Array<Object>>} Lean ApiKeys without their hashes
+ */
+async function listApiKeys(organizationId, userId) {
+    return ApiKey.forTenant(organizationId, { createdBy: userId, revokedAt: null })
+        .select('-keyHash')
+        .sort({ createdAt: -1 })
+        .lean();
+}
+
+/**
+ * Revoke one of a member's keys
+ * @param {string} organizationId - Organization ID
+ * @param {string} userId - Member's user ID
+ * @param {string} keyId - ApiKey ID
+ */
+async function revokeApiKey(organizationId, userId, keyId) {
+    const apiKey = await ApiKey.findOwned(organizationId, keyId);
+    if (!apiKey || String(apiKey.createdBy) !== String(userId) || apiKey.revokedAt) {
+        throw httpError('API key not found', 404);
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+}
+
+/**
+ * Who a request's key acts for. A read-only key gets the viewer role whatever
+ * its member's role is.
+ * @param {string} key - Key from the request
+ * @returns {Promise<{apiKeyId: string, userId: string, organizationId: string, role: string, scopes: Array<string>}>}
+ * @throws 401 for unknown, revoked or orphaned keys
+ */
+async function authenticateApiKey(key) {
+    if (!/^itk_[0-9a-f]{8}_[\w-]+$/.test(String(key || ''))) {
+        throw httpError('Invalid API key', 401);
+    }
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashKey(key), revokedAt: null }).lean();
+    const membership = apiKey && await resolveMembership(apiKey.createdBy);
+    if (!membership || membership.organizationId !== String(apiKey.userId)) {
+        throw httpError('Invalid API key', 401);
+    }
+
+    await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } });
+
+    return {
+        apiKeyId: String(apiKey._id),
+        userId: String(apiKey.createdBy),
+        organizationId: membership.organizationId,
+        role: apiKey.scopes.includes('write') ? membership.role : 'viewer',
+        scopes: apiKey.scopes
+    };
+}
+
+module.exports = {
+    SCOPES,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    authenticateApiKey
+};
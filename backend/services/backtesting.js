@@ -0,0 +1,142 @@
+/**
+ * Forecast Backtesting
+ * Replays each item's demand history with a rolling origin: at every day with
+ * enough history, forecast the next few days from what was known then and
+ * compare with what actually sold. Errors are summarised per SKU and method
+ * as MAPE, WAPE and bias, so SKUs whose forecasts (and therefore
+ * recommendations) are unreliable can be spotted.
+ *
+ * The seasonalityMultiplier is left out: it is a hint about the season ahead,
+ * and history already contains whatever seasons it covered.
+ */
+
+const Inventory = require('../models/inventory');
+const ForecastBacktest = require('../models/ForecastBacktest');
+const { tenantFilter } = require('../models/tenant');
+const { FORECAST_METHODS, demandSeries, predictSeries } = require('./forecasting');
+
+// Days forecast from each origin
+const DEFAULT_HORIZON = 7;
+
+// Days of history before the first origin
+const MIN_TRAINING_DAYS = 7;
+
+// Forecasts with a higher WAPE than this are flagged as unreliable
+const UNRELIABLE_WAPE = 30;
+
+/**
+ * Accuracy metrics for paired actuals and forecasts
+ * @param {Array<{actual: number, forecast: number}>} pairs
+ * @returns {{mape: number|null, wape: number|null, bias: number|null, mae: number|null, points: number}}
+ *   Percentages; mape skips days with no sales, wape and bias are null when nothing sold
+ */
+function accuracyMetrics(pairs) {
+    if (pairs.length === 0) {
+        return { mape: null, wape: null, bias: null, mae: null, points: 0 };
+    }
+
+    const totalActual = pairs.reduce((sum, p) => sum + p.actual, 0);
+    const totalAbsError = pairs.reduce((sum, p) => sum + Math.abs(p.actual - p.forecast), 0);
+    const totalError = pairs.reduce((sum, p) => sum + (p.forecast - p.actual), 0);
+    const withSales = pairs.filter(p => p.actual > 0);
+
+    return {
+        mape: withSales.length > 0
+            ? withSales.reduce((sum, p) => sum + Math.abs(p.actual - p.forecast) / p.actual, 0) / withSales.length * 100
+            : null,
+        wape: totalActual > 0 ? totalAbsError / totalActual * 100 : null,
+        bias: totalActual > 0 ? totalError / totalActual * 100 : null,
+        mae: totalAbsError / pairs.length,
+        points: pairs.length
+    };
+}
+
+/**
+ * Rolling-origin backtest of one method on a series
+ * @param {number[]} series - Daily demand, oldest first
+ * @param {string} method - One of FORECAST_METHODS ('auto' reselects at each origin)
+ * @param {{horizon?: number, minTraining?: number}} options
+ * @returns {Object} accuracyMetrics plus `method` and `origins`
+ */
+function backtestSeries(series, method, { horizon = DEFAULT_HORIZON, minTraining = MIN_TRAINING_DAYS } = {}) {
+    const pairs = [];
+    let origins = 0;
+
+    for (let origin = minTraining; origin < series.length; origin++) {
+        const actuals = series.slice(origin, origin + horizon);
+        const { daily } = predictSeries(series.slice(0, origin), method, actuals.length);
+
+        actuals.forEach((actual, i) => pairs.push({ actual, forecast: daily[i] }));
+        origins++;
+    }
+
+    return { method, origins, ...accuracyMetrics(pairs) };
+}
+
+/**
+ * Backtest every method on an item's demand history
+ * @param {Object} item - Inventory document
+ * @param {{horizon?: number}} options
+ * @returns {Object} Fields for a ForecastBacktest
+ */
+function backtestItem(item, { horizon = DEFAULT_HORIZON } = {}) {
+    const series = demandSeries(item);
+    const configuredMethod = item.forecastMethod || 'auto';
+    const methods = FORECAST_METHODS.map(method => backtestSeries(series, method, { horizon }));
+
+    const scored = methods.filter(result => result.wape !== null);
+    const best = scored.length > 0 ? scored.reduce((a, b) => (b.wape < a.wape ? b : a)) : null;
+    const configured = methods.find(result => result.method === configuredMethod);
+
+    return {
+        userId: item.userId,
+        inventoryId: item._id,
+        sku: item.sku,
+        productName: item.name,
+        horizonDays: horizon,
+        historyDays: series.length,
+        configuredMethod,
+        configured,
+        methods,
+        bestMethod: best ? best.method : null,
+        reliable: configured.wape === null ? null : configured.wape <= UNRELIABLE_WAPE,
+        runAt: new Date()
+    };
+}
+
+/**
+ * Backtest all of a user's items and store the results, replacing earlier runs
+ * @param {string} userId - Owner user ID
+ * @param {{horizon?: number}} options
+ * @returns {Promise<{items: number, unreliable: number, insufficientHistory: number}>}
+ */
+async function runBacktests(userId, options = {}) {
+    const inventory = await Inventory.forTenant(userId).lean();
+    const results = inventory.map(item => backtestItem(item, options));
+
+    for (const result of results) {
+        await ForecastBacktest.updateOne(
+            tenantFilter(userId, { inventoryId: result.inventoryId }),
+            { $set: result },
+            { upsert: true }
+        );
+    }
+
+    // Drop results for items that have since been deleted
+    await ForecastBacktest.deleteMany(tenantFilter(userId, { inventoryId: { $nin: inventory.map(item => item._id) } }));
+
+    return {
+        items: results.length,
+        unreliable: results.filter(result => result.reliable === false).length,
+        insufficientHistory: results.filter(result => result.reliable === null).length
+    };
+}
+
+module.exports = {
+    DEFAULT_HORIZON,
+    UNRELIABLE_WAPE,
+    accuracyMetrics,
+    backtestSeries,
+    backtestItem,
+    runBacktests
+};
@@ -5,6 +5,7 @@
  */
 
 const Inventory = require('../models/inventory');
+const { forecastDemand } = require('./forecasting');
 
 /**
  * Process a chat message and return an appropriate response
@@ -94,14 +95,15 @@ async function handleSkuQuery(searchTerm, userId) {
     
     const item = items[0];
     const status = getStockStatus(item);
-    const daysOfCover = item.demandForecast > 0 
-        ? Math.round(item.onHand / item.demandForecast) 
+    const forecast = forecastDemand(item);
+    const daysOfCover = forecast.dailyDemand > 0
+        ? Math.round(item.onHand / forecast.dailyDemand)
         : 'N/A';
     
     let response = `**${item.name}** (SKU: ${item.sku})\n\n`;
     response += `📦 **Stock Level:** ${item.onHand} units (${status})\n`;
     response += `📊 **Reorder Point:** ${item.reorderPoint} units\n`;
-    response += `📈 **Daily Demand:** ${item.demandForecast || 0} units\n`;
+    response += `📈 **Daily Demand:** ${forecast.dailyDemand.toFixed(1)} units (${forecast.method} forecast, ${forecast.trend.direction})\n`;
     response += `📅 **Days of Cover:** ${daysOfCover} days\n`;
     
     if (item.expiryDate) {
@@ -114,7 +116,7 @@ async function handleSkuQuery(searchTerm, userId) {
     }
     
     // Add recommendations
-    const recommendations = getItemRecommendations(item);
+    const recommendations = getItemRecommendations(item, forecast);
     if (recommendations.length > 0) {
         response += `\n💡 **Recommendations:**\n${recommendations.map(r => `• ${r}`).join('\n')}`;
     }
@@ -123,7 +125,7 @@ async function handleSkuQuery(searchTerm, userId) {
     
     return {
         text: response,
-        data: { item, status, recommendations }
+        data: { item, status, forecast, recommendations }
     };
     } catch (error) {
         console.error('handleSkuQuery error:', error);
@@ -353,7 +355,7 @@ function getStockStatus(item) {
     return '🟢 Normal';
 }
 
-function getItemRecommendations(item) {
+function getItemRecommendations(item, forecast) {
     const recommendations = [];
     
     if (item.onHand === 0) {
@@ -377,12 +379,16 @@ function getItemRecommendations(item) {
         }
     }
     
-    if (item.demandForecast > 0) {
-        const daysOfCover = item.onHand / item.demandForecast;
+    if (forecast.dailyDemand > 0) {
+        const daysOfCover = item.onHand / forecast.dailyDemand;
         if (daysOfCover < 7) {
-            recommendations.push(`Only ${Math.round(daysOfCover)} days of stock remaining at current demand`);
+            recommendations.push(`Only ${Math.round(daysOfCover)} days of stock remaining at forecast demand`);
         }
     }
+
+    if (forecast.trend.direction !== 'stable') {
+        recommendations.push(`Demand is ${forecast.trend.direction} (${forecast.trend.changePercent.toFixed(0)}% over the recorded history)`);
+    }
     
     return recommendations;
 }
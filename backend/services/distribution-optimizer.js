@@ -0,0 +1,298 @@
+/**
+ * Distribution Optimizer
+ * Decides where excess stock should go as a min-cost flow: units move from
+ * warehouses with surplus to warehouses short of their demand cover, each lane
+ * with a per-unit transfer cost, destinations limited by their free capacity.
+ * Every unit placed where it is needed is worth `unitValue` (the stockout cost
+ * it avoids plus the holding cost it stops at the origin), so units only move
+ * while a lane costs less than that. The result is the same for the same
+ * inputs; any AI text about a plan only explains it.
+ *
+ * Plan schema (version 1), returned by distributionPlan:
+ *   {
+ *     schemaVersion: 1,
+ *     sku, productName,
+ *     coverDays,          // days of demand each destination is filled to
+ *     unitValue,          // $ value of placing one needed unit
+ *     shouldDistribute,   // true when at least one line is planned
+ *     lines: [{
+ *       fromWarehouseId, fromWarehouseName,
+ *       warehouseId, warehouseName, location,
+ *       quantity,           // units to send
+ *       weightLbs, volumeCubicFt, pallets,  // shipment size, null when unknown
+ *       unitCost, cost,     // $ per unit and $ for the line
+ *       carrier, deliveryDays,  // from the lane's quote, null when unknown
+ *       need,               // units the destination is short of its cover
+ *       freeCapacity,       // units of space left, null when unlimited
+ *       daysOfCoverBefore, daysOfCoverAfter,  // null without demand
+ *       reason
+ *     }],
+ *     skipped: [{ warehouseId, warehouseName, reason }],
+ *     totals: { units, cost, value, netBenefit, unitsAvailable, unitsRemaining, unmetNeed }
+ *   }
+ */
+
+const { shipmentSize } = require('./warehouse-service');
+
+// Lane quotes are per shipment; one shipment carries a pallet, or this many
+// units of a product without a pallet quantity
+const UNITS_PER_SHIPMENT = 100;
+const DEFAULT_COVER_DAYS = 30;
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Min-cost flow from sources to destinations by successive shortest paths.
+ * Flow stops once the cheapest remaining route costs at least unitValue.
+ * @param {Array<{id: string, supply: number}>} sources
+ * @param {Array<{id: string, limit: number}>} destinations - limit is units it can take
+ * @param {function(string, string): number} laneCost - Per-unit cost from a source to a destination
+ * @param {number} unitValue - Value of each unit delivered
+ * @returns {Array<{from: string, to: string, quantity: number}>} Units per lane
+ */
+function minCostFlow(sources, destinations, laneCost, unitValue) {
+    // Nodes: 0 = super source, sources, destinations, last = super sink
+    const sink = sources.length + destinations.length + 1;
+    const edges = [];
+    const adjacency = Array.from({ length: sink + 1 }, () => []);
+
+    const addEdge = (from, to, capacity, cost) => {
+        adjacency[from].push(edges.length);
+        edges.push({ from, to, capacity, cost, flow: 0 });
+        adjacency[to].push(edges.length);
+        edges.push({ from: to, to: from, capacity: 0, cost: -cost, flow: 0 });
+    };
+
+    sources.forEach((source, i) => addEdge(0, 1 + i, source.supply, 0));
+    destinations.forEach((destination, j) => addEdge(1 + sources.length + j, sink, destination.limit, -unitValue));
+    sources.forEach((source, i) => destinations.forEach((destination, j) => {
+        if (source.id !== destination.id) {
+            addEdge(1 + i, 1 + sources.length + j, Infinity, laneCost(source.id, destination.id));
+        }
+    }));
+
+    for (;;) {
+        // Bellman-Ford, as delivered units carry negative cost
+        const distance = Array(sink + 1).fill(Infinity);
+        const via = Array(sink + 1).fill(-1);
+        distance[0] = 0;
+
+        for (let pass = 0; pass < sink; pass++) {
+            let changed = false;
+            edges.forEach((edge, index) => {
+                if (edge.capacity - edge.flow > 0 && distance[edge.from] + edge.cost < distance[edge.to] - 1e-9) {
+                    distance[edge.to] = distance[edge.from] + edge.cost;
+                    via[edge.to] = index;
+                    changed = true;
+                }
+            });
+            if (!changed) break;
+        }
+
+        if (!(distance[sink] < -1e-9)) break;
+
+        let amount = Infinity;
+        for (let node = sink; node !== 0; node = edges[via[node]].from) {
+            const edge = edges[via[node]];
+            amount = Math.min(amount, edge.capacity - edge.flow);
+        }
+        for (let node = sink; node !== 0; node = edges[via[node]].from) {
+            edges[via[node]].flow += amount;
+            edges[via[node] ^ 1].flow -= amount;
+        }
+    }
+
+    return edges
+        .filter((edge, index) => index % 2 === 0 && edge.from > 0 && edge.to < sink && edge.flow > 0)
+        .map(edge => ({
+            from: sources[edge.from - 1].id,
+            to: destinations[edge.to - 1 - sources.length].id,
+            quantity: edge.flow
+        }));
+}
+
+/**
+ * Units in the shipment a lane is quoted for: one pallet, at most the excess
+ * @param {Object} product - Inventory document
+ * @param {number} excessStock - Units available to send
+ * @returns {number}
+ */
+function shipmentUnits(product, excessStock) {
+    const full = product.unitsPerPallet > 0 ? product.unitsPerPallet : UNITS_PER_SHIPMENT;
+    return Math.max(1, Math.min(full, Math.floor(excessStock) || full));
+}
+
+/**
+ * Distribution plan for one SKU's excess stock
+ * @param {Object} product - Inventory document
+ * @param {Array<{id, name, location, demand, currentStock, freeCapacity, transferCost, shipmentUnits?}>} candidates -
+ *   Destination warehouses with their forecast daily demand for the SKU, units
+ *   held, free capacity (null when unlimited) and the transfer cost of a
+ *   shipment of `shipmentUnits` units (UNITS_PER_SHIPMENT when omitted)
+ * @param {{origin: {id, name}, excessStock: number, coverDays?: number}} options
+ * @returns {Object} Plan in the schema described at the top of this file
+ */
+function distributionPlan(product, candidates, { origin, excessStock, coverDays = DEFAULT_COVER_DAYS }) {
+    const unitValue = (parseFloat(product.stockoutCostPerUnit) || 0) + (parseFloat(product.holdingCostPerUnit) || 0) * coverDays;
+
+    const destinations = candidates.map(wh => {
+        const demand = parseFloat(wh.demand) || 0;
+        const need = Math.max(0, Math.ceil(demand * coverDays) - wh.currentStock);
+        const limit = wh.freeCapacity === null || wh.freeCapacity === undefined ? need : Math.min(need, Math.max(0, wh.freeCapacity));
+        return { ...wh, demand, need, limit, unitCost: wh.transferCost / (wh.shipmentUnits || UNITS_PER_SHIPMENT) };
+    });
+    const byId = new Map(destinations.map(wh => [wh.id, wh]));
+
+    const flows = minCostFlow(
+        [{ id: origin.id, supply: Math.max(0, excessStock) }],
+        destinations.filter(wh => wh.limit > 0),
+        (from, to) => byId.get(to).unitCost,
+        unitValue
+    );
+
+    const cover = (stock, demand) => (demand > 0 ? round(stock / demand) : null);
+    const lines = flows
+        .map(flow => {
+            const wh = byId.get(flow.to);
+            const capped = wh.limit < wh.need && flow.quantity === wh.limit;
+            return {
+                fromWarehouseId: origin.id,
+                fromWarehouseName: origin.name,
+                warehouseId: wh.id,
+                warehouseName: wh.name,
+                location: wh.location,
+                quantity: flow.quantity,
+                ...shipmentSize(product, flow.quantity),
+                unitCost: round(wh.unitCost),
+                cost: round(wh.unitCost * flow.quantity),
+                carrier: wh.carrier ?? null,
+                deliveryDays: wh.deliveryDays ?? null,
+                need: wh.need,
+                freeCapacity: wh.freeCapacity ?? null,
+                daysOfCoverBefore: cover(wh.currentStock, wh.demand),
+                daysOfCoverAfter: cover(wh.currentStock + flow.quantity, wh.demand),
+                reason: `Short ${wh.need} units of ${coverDays} days' cover at ${wh.demand.toFixed(1)}/day; ` +
+                    `$${wh.unitCost.toFixed(2)}/unit to ship vs $${unitValue.toFixed(2)}/unit value` +
+                    (capped ? `; limited to its ${wh.limit} units of free space` : '') +
+                    (flow.quantity < wh.limit ? '; no more excess left' : '')
+            };
+        })
+        .sort((a, b) => a.unitCost - b.unitCost);
+
+    const served = new Set(lines.map(line => line.warehouseId));
+    const skipped = destinations
+        .filter(wh => !served.has(wh.id))
+        .map(wh => {
+            let reason = 'No excess left after cheaper destinations';
+            if (wh.need === 0) reason = wh.demand > 0 ? `Already has ${coverDays} days of cover` : 'No demand for this product';
+            else if (wh.limit === 0) reason = 'No free capacity';
+            else if (wh.unitCost >= unitValue) reason = `Shipping costs $${wh.unitCost.toFixed(2)}/unit, more than the $${unitValue.toFixed(2)}/unit it saves`;
+            return { warehouseId: wh.id, warehouseName: wh.name, reason };
+        });
+
+    const units = lines.reduce((sum, line) => sum + line.quantity, 0);
+    const cost = lines.reduce((sum, line) => sum + line.cost, 0);
+
+    return {
+        schemaVersion: 1,
+        sku: product.sku,
+        productName: product.name,
+        coverDays,
+        unitValue: round(unitValue),
+        shouldDistribute: lines.length > 0,
+        lines,
+        skipped,
+        totals: {
+            units,
+            cost: round(cost),
+            value: round(units * unitValue),
+            netBenefit: round(units * unitValue - cost),
+            unitsAvailable: Math.max(0, excessStock),
+            unitsRemaining: Math.max(0, excessStock) - units,
+            unmetNeed: destinations.reduce((sum, wh) => sum + wh.need, 0) - units
+        }
+    };
+}
+
+/**
+ * Combine several SKUs' plans into one shipment per lane
+ * @param {Array<Object>} plans - From distributionPlan
+ * @returns {Array<Object>} Shipments, most units first:
+ *   { fromWarehouseId, fromWarehouseName, warehouseId, warehouseName,
+ *     items: [{ sku, productName, quantity, weightLbs, volumeCubicFt, pallets, cost }],
+ *     units, weightLbs, volumeCubicFt, pallets,  // totals of the items that record them
+ *     sizeComplete,                              // false when an item's size is unknown
+ *     plannedCost }                              // sum of the per-SKU line costs
+ */
+function consolidateShipments(plans) {
+    const lanes = new Map();
+
+    plans.forEach(plan => plan.lines.forEach(line => {
+        const key = `${line.fromWarehouseId}>${line.warehouseId}`;
+        if (!lanes.has(key)) {
+            lanes.set(key, {
+                fromWarehouseId: line.fromWarehouseId,
+                fromWarehouseName: line.fromWarehouseName,
+                warehouseId: line.warehouseId,
+                warehouseName: line.warehouseName,
+                items: []
+            });
+        }
+        lanes.get(key).items.push({
+            sku: plan.sku,
+            productName: plan.productName,
+            quantity: line.quantity,
+            weightLbs: line.weightLbs,
+            volumeCubicFt: line.volumeCubicFt,
+            pallets: line.pallets,
+            cost: line.cost
+        });
+    }));
+
+    return [...lanes.values()]
+        .map(lane => {
+            const total = field => {
+                const known = lane.items.filter(item => item[field] !== null && item[field] !== undefined);
+                return known.length > 0 ? round(known.reduce((sum, item) => sum + item[field], 0)) : null;
+            };
+
+            return {
+                ...lane,
+                units: lane.items.reduce((sum, item) => sum + item.quantity, 0),
+                weightLbs: total('weightLbs'),
+                volumeCubicFt: total('volumeCubicFt'),
+                pallets: total('pallets'),
+                sizeComplete: lane.items.every(item => item.weightLbs !== null && item.volumeCubicFt !== null),
+                plannedCost: total('cost') || 0
+            };
+        })
+        .sort((a, b) => b.units - a.units);
+}
+
+/**
+ * Plain-language summary of a plan, used when no AI explanation is available
+ * @param {Object} plan - From distributionPlan
+ * @returns {string}
+ */
+function describePlan(plan) {
+    if (!plan.shouldDistribute) {
+        const reasons = plan.skipped.map(s => `${s.warehouseName}: ${s.reason.toLowerCase()}`).join('; ');
+        return `No transfer of ${plan.productName} is worth making.${reasons ? ` ${reasons}.` : ''}`;
+    }
+
+    const lines = plan.lines.map(line => `${line.quantity} to ${line.warehouseName} ($${line.cost.toFixed(2)})`).join(', ');
+    return `Send ${plan.totals.units} units of ${plan.productName}: ${lines}. ` +
+        `Transfers cost $${plan.totals.cost.toFixed(2)} against $${plan.totals.value.toFixed(2)} of avoided stockouts and holding, ` +
+        `a net benefit of $${plan.totals.netBenefit.toFixed(2)}. Cheapest lanes are filled first, up to ${plan.coverDays} days of cover at each site.` +
+        (plan.totals.unitsRemaining > 0 ? ` ${plan.totals.unitsRemaining} excess units have nowhere worth sending.` : '');
+}
+
+module.exports = {
+    UNITS_PER_SHIPMENT,
+    DEFAULT_COVER_DAYS,
+    shipmentUnits,
+    minCostFlow,
+    distributionPlan,
+    consolidateShipments,
+    describePlan
+};
@@ -0,0 +1,238 @@
+/**
+ * Distribution Service
+ * Sends a SKU's excess stock from the warehouse holding most of it to several
+ * others. Each destination gets its own transfer, at the price the user
+ * accepted for it (or priced with the configured shipping rate provider) and
+ * shipped straight away, so the units show as inbound at the destination until
+ * that transfer is received. A distribution's status follows its transfers.
+ */
+
+const Inventory = require('../models/inventory');
+const Distribution = require('../models/Distribution');
+const { STATUSES } = require('../models/lifecycle');
+const { tenantFilter } = require('../models/tenant');
+const { getUserWarehouses, shipmentSize } = require('./warehouse-service');
+const { primaryWarehouse } = require('./stock-service');
+const { createTransfer, advanceTransfer } = require('./transfer-service');
+const { quoteShipment } = require('./shipping-rates');
+const { httpError } = require('./http-error');
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Overall status of a distribution
+ * @param {Array<{status: string}>} transfers - Its transfers
+ * @returns {string} 'cancelled' when every transfer is, 'received' when every
+ *   other one is, 'partially-received' when some are, otherwise the least
+ *   advanced status among them
+ */
+function distributionStatus(transfers) {
+    const live = transfers.filter(transfer => transfer.status !== 'cancelled');
+    if (live.length === 0) return 'cancelled';
+
+    const received = live.filter(transfer => transfer.status === 'received').length;
+    if (received === live.length) return 'received';
+    if (received > 0) return 'partially-received';
+
+    return live
+        .map(transfer => transfer.status)
+        .sort((a, b) => STATUSES.indexOf(a) - STATUSES.indexOf(b))[0];
+}
+
+/**
+ * The quote a line was planned with, or null to price it now. Only a
+ * non-negative amount is taken.
+ * @param {Object} [quote] - {amount, carrier, deliveryDays} from the plan
+ * @returns {Object|null}
+ */
+function plannedQuote(quote) {
+    const amount = quote?.amount === '' ? NaN : Number(quote?.amount ?? NaN);
+    if (!Number.isFinite(amount) || amount < 0) {
+        return null;
+    }
+
+    const deliveryDays = parseInt(quote.deliveryDays);
+    return {
+        amount: round(amount),
+        carrier: quote.carrier ? String(quote.carrier) : undefined,
+        deliveryDays: deliveryDays >= 0 ? deliveryDays : null
+    };
+}
+
+/**
+ * Distribute a product's stock to other warehouses. All transfers are created
+ * (reserving the units) and picked before any is shipped; if one cannot be,
+ * the others are cancelled and nothing moves. Transfers that already left when
+ * a later one fails cannot be called back, so the distribution is still
+ * recorded with them before the error is raised.
+ * @param {string} userId - Owner user ID
+ * @param {{sku: string, lines: Array<{warehouseId: string, quantity: number, quote?: Object}>}} data
+ *        A line's quote ({amount, carrier, deliveryDays}) is the price the user
+ *        accepted and is kept as is; lines without one are priced now.
+ * @returns {Promise<{distribution: Object, transfers: Array<Object>}>}
+ */
+async function createDistribution(userId, { sku, lines }) {
+    // One line per destination; a repeated destination keeps its first quote
+    const destinations = new Map();
+    (Array.isArray(lines) ? lines : []).forEach(line => {
+        const quantity = parseInt(line?.quantity) || 0;
+        if (!line?.warehouseId || quantity <= 0) return;
+
+        const key = String(line.warehouseId);
+        const existing = destinations.get(key);
+        destinations.set(key, {
+            quantity: (existing?.quantity || 0) + quantity,
+            quote: existing ? existing.quote : plannedQuote(line.quote)
+        });
+    });
+    if (!sku || destinations.size === 0) {
+        throw httpError('A SKU and at least one destination with a positive quantity are required');
+    }
+
+    const product = await Inventory.findOne(tenantFilter(userId, { sku })).lean();
+    if (!product) {
+        throw httpError(`Product '${sku}' not found`, 404);
+    }
+
+    const warehouses = await getUserWarehouses(userId);
+    const origin = primaryWarehouse(product, warehouses);
+    if (!origin) {
+        throw httpError(`${product.name} is not stocked at any warehouse`);
+    }
+
+    const distribution = new Distribution({
+        userId,
+        sku: product.sku,
+        productName: product.name,
+        fromWarehouse: origin._id
+    });
+
+    const transfers = [];
+    try {
+        for (const [warehouseId, { quantity, quote: planned }] of destinations) {
+            const destination = warehouses.find(wh => String(wh._id) === warehouseId);
+            if (!destination) {
+                throw httpError(`Warehouse '${warehouseId}' not found`, 404);
+            }
+
+            const { weightLbs } = shipmentSize(product, quantity);
+            const quote = planned || await quoteShipment(origin, destination, weightLbs === null ? {} : { weightLbs });
+
+            transfers.push(await createTransfer(userId, {
+                sku: product.sku,
+                quantity,
+                fromWarehouse: origin._id,
+                toWarehouse: destination._id,
+                distributionId: distribution._id,
+                quote,
+                notes: `Distribution of excess ${product.name}`
+            }));
+        }
+
+        for (const [index, transfer] of transfers.entries()) {
+            transfers[index] = await advanceTransfer(transfer, 'picked');
+        }
+        // Ship every transfer; the units become inbound at each destination
+        for (const [index, transfer] of transfers.entries()) {
+            transfers[index] = await advanceTransfer(transfer, 'in-transit');
+        }
+    } catch (error) {
+        await Promise.all(transfers
+            .filter(transfer => transfer.canAdvanceTo('cancelled'))
+            .map(transfer => advanceTransfer(transfer, 'cancelled')));
+
+        if (transfers.some(transfer => transfer.status === 'in-transit')) {
+            await saveDistribution(distribution, transfers);
+        }
+        throw error;
+    }
+
+    await saveDistribution(distribution, transfers);
+    return { distribution, transfers };
+}
+
+// Record a distribution's transfers, counting the units and cost of the live ones
+async function saveDistribution(distribution, transfers) {
+    const live = transfers.filter(transfer => transfer.status !== 'cancelled');
+
+    distribution.transfers = transfers.map(transfer => transfer._id);
+    distribution.totalUnits = live.reduce((sum, transfer) => sum + transfer.quantity, 0);
+    distribution.shippingCost = round(live.reduce((sum, transfer) => sum + (transfer.shippingCost || 0), 0));
+    return distribution.save();
+}
+
+/**
+ * Plain view of a distribution with its transfers populated
+ * @param {Object} distribution - Lean Distribution with `fromWarehouse` and
+ *   `transfers.toWarehouse` populated
+ * @returns {Object}
+ */
+function describeDistribution(distribution) {
+    const transfers = distribution.transfers || [];
+
+    return {
+        id: distribution._id,
+        sku: distribution.sku,
+        productName: distribution.productName,
+        fromWarehouseName: distribution.fromWarehouse?.name || null,
+        createdAt: distribution.createdAt,
+        status: distributionStatus(transfers),
+        totalUnits: distribution.totalUnits,
+        unitsReceived: transfers
+            .filter(transfer => transfer.status === 'received')
+            .reduce((sum, transfer) => sum + transfer.quantity, 0),
+        shippingCost: distribution.shippingCost,
+        transfers: transfers.map(transfer => ({
+            id: transfer._id,
+            warehouseName: transfer.toWarehouse?.name || null,
+            quantity: transfer.quantity,
+            status: transfer.status,
+            shippingCost: transfer.shippingCost ?? null,
+            carrier: transfer.carrier || null,
+            deliveryDays: transfer.deliveryDays ?? null,
+            weightLbs: transfer.weightLbs ?? null,
+            shippedAt: transfer.shippedAt || null,
+            receivedAt: transfer.receivedAt || null
+        }))
+    };
+}
+
+const populateDistribution = query => query
+    .populate('fromWarehouse', 'code name')
+    .populate({ path: 'transfers', populate: { path: 'toWarehouse', select: 'code name' } })
+    .lean();
+
+/**
+ * One of the user's distributions
+ * @param {string} userId - Owner user ID
+ * @param {string} distributionId - Distribution ID
+ * @returns {Promise<Object>} From describeDistribution
+ */
+async function getDistribution(userId, distributionId) {
+    const distribution = await populateDistribution(Distribution.findOwned(userId, distributionId));
+
+    if (!distribution) {
+        throw httpError('Distribution not found', 404);
+    }
+    return describeDistribution(distribution);
+}
+
+/**
+ * The user's most recent distributions, newest first
+ * @param {string} userId - Owner user ID
+ * @param {{skus?: Array<string>, limit?: number}} options - skus limits them to those products
+ * @returns {Promise<Array<Object>>} From describeDistribution
+ */
+async function listDistributions(userId, { skus, limit = 10 } = {}) {
+    const filter = skus ? { sku: { $in: skus } } : {};
+    const distributions = await populateDistribution(Distribution.forTenant(userId, filter).sort({ createdAt: -1 }).limit(limit));
+    return distributions.map(describeDistribution);
+}
+
+module.exports = {
+    distributionStatus,
+    createDistribution,
+    describeDistribution,
+    getDistribution,
+    listDistributions
+};
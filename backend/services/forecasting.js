@@ -0,0 +1,280 @@
+/**
+ * Demand Forecasting
+ * Forecasts daily demand for a SKU from its demand history. Offers a moving
+ * average, simple exponential smoothing, Holt (trend) and additive
+ * Holt-Winters (trend + weekly season) models, a trend detector, and per-SKU
+ * method selection: a product's `forecastMethod` picks a model, and 'auto'
+ * picks whichever fits the history best.
+ *
+ * Every model takes the demand series (oldest first) and returns
+ * `{ fitted, predict }`: `fitted[t]` is the one-step-ahead forecast made for
+ * day t before it was observed (null until the model has enough history),
+ * and `predict(h)` returns the next h daily forecasts.
+ */
+
+const FORECAST_METHODS = ['auto', 'moving-average', 'ses', 'holt', 'holt-winters'];
+
+// Daily history repeats weekly
+const SEASON_LENGTH = 7;
+
+// Least history each model needs
+const MIN_HISTORY = {
+    'moving-average': 1,
+    ses: 2,
+    holt: 4,
+    'holt-winters': 2 * SEASON_LENGTH
+};
+
+// Average change per day, relative to mean demand, before a trend is reported
+const TREND_THRESHOLD = 0.01;
+
+const mean = values => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+
+/**
+ * Demand series for an item, ordered by date
+ * @param {Object} item - Inventory document
+ * @returns {number[]}
+ */
+function demandSeries(item) {
+    return [...(item.demandHistory || [])]
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .map(d => Number(d.unitsSold) || 0);
+}
+
+/**
+ * Mean of the last `window` days
+ * @param {number[]} series - Daily demand
+ * @param {{window?: number}} options
+ */
+function movingAverage(series, { window = 7 } = {}) {
+    const fitted = series.map((_, t) => t === 0 ? null : mean(series.slice(Math.max(0, t - window), t)));
+    const level = mean(series.slice(-window));
+
+    return { fitted, predict: h => Array(h).fill(level) };
+}
+
+/**
+ * Simple exponential smoothing: a level that moves toward each observation
+ * @param {number[]} series - Daily demand
+ * @param {{alpha?: number}} options - Level smoothing (0-1)
+ */
+function simpleExponentialSmoothing(series, { alpha = 0.3 } = {}) {
+    const fitted = [null];
+    let level = series[0] || 0;
+
+    for (let t = 1; t < series.length; t++) {
+        fitted.push(level);
+        level = alpha * series[t] + (1 - alpha) * level;
+    }
+
+    return { fitted: fitted.slice(0, series.length), predict: h => Array(h).fill(level) };
+}
+
+/**
+ * Holt's linear method: level plus trend
+ * @param {number[]} series - Daily demand
+ * @param {{alpha?: number, beta?: number}} options - Level and trend smoothing (0-1)
+ */
+function holt(series, { alpha = 0.3, beta = 0.1 } = {}) {
+    const fitted = [null, null];
+    let level = series[1];
+    let trend = series[1] - series[0];
+
+    for (let t = 2; t < series.length; t++) {
+        fitted.push(level + trend);
+        const previousLevel = level;
+        level = alpha * series[t] + (1 - alpha) * (level + trend);
+        trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    }
+
+    return {
+        fitted: fitted.slice(0, series.length),
+        predict: h => Array.from({ length: h }, (_, i) => level + (i + 1) * trend)
+    };
+}
+
+/**
+ * Additive Holt-Winters: level, trend and a repeating seasonal pattern.
+ * Initialised from the first two seasons.
+ * @param {number[]} series - Daily demand, at least two seasons long
+ * @param {{alpha?: number, beta?: number, gamma?: number, seasonLength?: number}} options
+ */
+function holtWinters(series, { alpha = 0.3, beta = 0.1, gamma = 0.2, seasonLength = SEASON_LENGTH } = {}) {
+    const firstSeason = mean(series.slice(0, seasonLength));
+    const secondSeason = mean(series.slice(seasonLength, 2 * seasonLength));
+
+    let level = firstSeason;
+    let trend = (secondSeason - firstSeason) / seasonLength;
+    const seasonals = series.slice(0, seasonLength).map(value => value - firstSeason);
+    const fitted = Array(seasonLength).fill(null);
+
+    for (let t = seasonLength; t < series.length; t++) {
+        const season = seasonals[t % seasonLength];
+        fitted.push(level + trend + season);
+
+        const previousLevel = level;
+        level = alpha * (series[t] - season) + (1 - alpha) * (level + trend);
+        trend = beta * (level - previousLevel) + (1 - beta) * trend;
+        seasonals[t % seasonLength] = gamma * (series[t] - level) + (1 - gamma) * season;
+    }
+
+    const next = series.length;
+    return {
+        fitted,
+        predict: h => Array.from({ length: h }, (_, i) =>
+            level + (i + 1) * trend + seasonals[(next + i) % seasonLength])
+    };
+}
+
+const MODELS = {
+    'moving-average': movingAverage,
+    ses: simpleExponentialSmoothing,
+    holt,
+    'holt-winters': holtWinters
+};
+
+/**
+ * Direction of demand from a least-squares line through the series. With at
+ * least two seasons of history the line is fitted to trailing weekly means so
+ * the weekly pattern is not mistaken for a trend.
+ * @param {number[]} demand - Daily demand
+ * @returns {{direction: 'increasing'|'decreasing'|'stable', slopePerDay: number, changePercent: number}}
+ *   changePercent is the fitted change across the whole history
+ */
+function detectTrend(demand) {
+    const series = demand.length >= 2 * SEASON_LENGTH
+        ? demand.slice(SEASON_LENGTH - 1).map((_, i) => mean(demand.slice(i, i + SEASON_LENGTH)))
+        : demand;
+    const n = series.length;
+    const average = mean(series);
+    if (n < 3 || average === 0) {
+        return { direction: 'stable', slopePerDay: 0, changePercent: 0 };
+    }
+
+    const xMean = (n - 1) / 2;
+    let numerator = 0;
+    let denominator = 0;
+    series.forEach((value, x) => {
+        numerator += (x - xMean) * (value - average);
+        denominator += (x - xMean) ** 2;
+    });
+
+    const slopePerDay = numerator / denominator;
+    const relativeSlope = slopePerDay / average;
+    const direction = relativeSlope > TREND_THRESHOLD ? 'increasing'
+        : relativeSlope < -TREND_THRESHOLD ? 'decreasing'
+        : 'stable';
+
+    return { direction, slopePerDay, changePercent: relativeSlope * (n - 1) * 100 };
+}
+
+/**
+ * Methods with enough history to run on a series
+ * @param {number[]} series - Daily demand
+ * @returns {string[]}
+ */
+function availableMethods(series) {
+    return Object.keys(MODELS).filter(method => series.length >= MIN_HISTORY[method]);
+}
+
+/**
+ * Mean absolute one-step error of each available method, measured over the
+ * days every one of them could forecast so the scores are comparable
+ * @param {number[]} series - Daily demand
+ * @returns {Object<string, number>} Error per method
+ */
+function scoreMethods(series) {
+    const runs = availableMethods(series).map(method => ({ method, fitted: MODELS[method](series).fitted }));
+    const firstFitted = runs.map(({ fitted }) => fitted.findIndex(value => value !== null));
+    const start = firstFitted.includes(-1) ? series.length : Math.max(...firstFitted);
+
+    const scores = {};
+    runs.forEach(({ method, fitted }) => {
+        const errors = series.slice(start).map((value, i) => Math.abs(value - fitted[start + i]));
+        scores[method] = errors.length > 0 ? mean(errors) : null;
+    });
+    return scores;
+}
+
+/**
+ * Best-fitting method for a series (the moving average when there is too
+ * little history to compare)
+ * @param {number[]} series - Daily demand
+ * @returns {string}
+ */
+function selectMethod(series) {
+    const scores = Object.entries(scoreMethods(series)).filter(([, error]) => error !== null);
+    if (scores.length === 0) return 'moving-average';
+
+    scores.sort((a, b) => a[1] - b[1]);
+    return scores[0][0];
+}
+
+/**
+ * Forecast a demand series with a method, falling back to automatic
+ * selection when the method is 'auto' or the history is too short for it
+ * @param {number[]} series - Daily demand, oldest first
+ * @param {string} method - One of FORECAST_METHODS
+ * @param {number} horizon - Days to forecast
+ * @returns {{method: string|null, daily: number[]}} method is null (and daily all
+ *   zero) for an empty series; forecasts are never negative
+ */
+function predictSeries(series, method, horizon) {
+    if (series.length === 0) {
+        return { method: null, daily: Array(horizon).fill(0) };
+    }
+
+    const chosen = MODELS[method] && series.length >= MIN_HISTORY[method] ? method : selectMethod(series);
+    return {
+        method: chosen,
+        daily: MODELS[chosen](series).predict(horizon).map(value => Math.max(0, value))
+    };
+}
+
+/**
+ * Forecast an item's daily demand over a horizon. Uses the item's
+ * forecastMethod (falling back to automatic selection when the history is
+ * too short for it) and scales the result by its seasonalityMultiplier.
+ * @param {Object} item - Inventory document
+ * @param {{horizonDays?: number, method?: string}} options - Defaults to the item's horizon and method
+ * @returns {{method: string, requestedMethod: string, historyDays: number, horizonDays: number,
+ *   daily: number[], horizonDemand: number, dailyDemand: number, trend: Object, seasonalityMultiplier: number}}
+ *   dailyDemand is the average over the horizon
+ */
+function forecastDemand(item, { horizonDays = item.horizonDays || 21, method = item.forecastMethod || 'auto' } = {}) {
+    const series = demandSeries(item);
+    const multiplier = item.seasonalityMultiplier > 0 ? item.seasonalityMultiplier : 1;
+
+    const prediction = predictSeries(series, method, horizonDays);
+    const chosen = prediction.method;
+    const daily = prediction.daily.map(value => value * multiplier);
+    const horizonDemand = daily.reduce((a, b) => a + b, 0);
+
+    return {
+        method: chosen || 'none',
+        requestedMethod: method,
+        historyDays: series.length,
+        horizonDays,
+        daily,
+        horizonDemand,
+        dailyDemand: horizonDays > 0 ? horizonDemand / horizonDays : 0,
+        trend: detectTrend(series),
+        seasonalityMultiplier: multiplier
+    };
+}
+
+module.exports = {
+    FORECAST_METHODS,
+    SEASON_LENGTH,
+    demandSeries,
+    movingAverage,
+    simpleExponentialSmoothing,
+    holt,
+    holtWinters,
+    detectTrend,
+    availableMethods,
+    scoreMethods,
+    selectMethod,
+    predictSeries,
+    forecastDemand
+};
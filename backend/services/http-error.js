@@ -0,0 +1,18 @@
+/**
+ * HTTP Errors
+ * Errors raised by services for bad input carry the status code the route
+ * should answer with; anything without one is treated as a server error.
+ */
+
+/**
+ * @param {string} message - Message returned to the client
+ * @param {number} status - HTTP status code (default 400)
+ * @returns {Error}
+ */
+function httpError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+module.exports = { httpError };
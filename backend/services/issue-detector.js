@@ -0,0 +1,184 @@
+/**
+ * Issue Detector
+ * Flags the inventory conditions the dashboard and management center surface:
+ * overstock (reduce waste), low stock (alert), volatile demand (changes) and
+ * items needing immediate action. Each user's conditions are issue rules
+ * stored in Mongo; an organization starts from DEFAULT_RULES the first time its
+ * rules are loaded, and one that later removes them all keeps none.
+ */
+
+const IssueRule = require('../models/IssueRule');
+const Organization = require('../models/Organization');
+const { tenantFilter } = require('../models/tenant');
+const { parseExpression, evaluate, ruleVariables } = require('./rules-engine');
+const { httpError } = require('./http-error');
+
+const DEFAULT_RULES = [
+    { issue: 'reduceWaste', name: 'Overstocked', expression: 'onHand > 60' },
+    { issue: 'alert', name: 'Low stock', expression: 'onHand < 10' },
+    { issue: 'changes', name: 'Volatile demand', expression: 'demandVariance > 50' },
+    { issue: 'action', name: 'Critical stock or over budget', expression: 'onHand < 5 or orderValue > budgetCap' }
+];
+
+// Record that an organization's rules are its own, so the defaults are never added again
+const markRulesSeeded = userId =>
+    Organization.updateOne({ _id: userId, issueRulesSeededAt: null }, { $set: { issueRulesSeededAt: new Date() } });
+
+/**
+ * A user's issue rules, creating the defaults the first time
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Array>} IssueRule documents (lean)
+ */
+async function getUserRules(userId) {
+    const rules = await IssueRule.forTenant(userId).sort({ createdAt: 1 }).lean();
+    if (rules.length > 0) return rules;
+
+    // Claim the seeding so concurrent first loads create the defaults once
+    const { modifiedCount } = await markRulesSeeded(userId);
+    if (modifiedCount === 0) return rules;
+
+    try {
+        await IssueRule.insertMany(DEFAULT_RULES.map(rule => ({ ...rule, userId })));
+    } catch (error) {
+        console.error('Error creating default issue rules:', error);
+        await Organization.updateOne({ _id: userId }, { $set: { issueRulesSeededAt: null } });
+    }
+    return IssueRule.forTenant(userId).sort({ createdAt: 1 }).lean();
+}
+
+/**
+ * Evaluate rules against inventory. Variables are computed once per item and
+ * rules that no longer parse are skipped.
+ * @param {Array} inventory - Inventory documents
+ * @param {Array} rules - IssueRule documents
+ * @returns {{issues: Object<string, boolean>, issueCount: number,
+ *   matches: Object<string, Array<{itemId, sku, name, rules: string[]}>>, byItem: Object<string, string[]>}}
+ *   matches lists the items raising each issue; byItem lists the issues per item ID
+ */
+function evaluateIssues(inventory, rules) {
+    const compiled = [];
+    for (const rule of rules.filter(r => r.enabled !== false)) {
+        try {
+            compiled.push({ ...rule, tree: parseExpression(rule.expression) });
+        } catch (error) {
+            console.error(`Skipping issue rule '${rule.name}':`, error.message);
+        }
+    }
+
+    const matches = Object.fromEntries(IssueRule.ISSUES.map(issue => [issue, []]));
+    const byItem = {};
+
+    inventory.forEach(item => {
+        const variables = ruleVariables(item);
+        const itemId = String(item._id);
+
+        compiled.forEach(rule => {
+            if (!evaluate(rule.tree, variables)) return;
+
+            let match = matches[rule.issue].find(m => m.itemId === itemId);
+            if (!match) {
+                match = { itemId, sku: item.sku, name: item.name, rules: [] };
+                matches[rule.issue].push(match);
+                byItem[itemId] = [...(byItem[itemId] || []), rule.issue];
+            }
+            match.rules.push(rule.name);
+        });
+    });
+
+    const issues = Object.fromEntries(IssueRule.ISSUES.map(issue => [issue, matches[issue].length > 0]));
+
+    return {
+        issues,
+        issueCount: Object.values(issues).filter(Boolean).length,
+        matches,
+        byItem
+    };
+}
+
+/**
+ * How many items each rule matches, or why it does not parse
+ * @param {Array} inventory - Inventory documents
+ * @param {Array} rules - Rule definitions
+ * @returns {Array} The rules with `matchCount` or `error` added
+ */
+function previewRules(inventory, rules) {
+    const variables = inventory.map(ruleVariables);
+
+    return rules.map(rule => {
+        try {
+            const tree = parseExpression(rule.expression);
+            return { ...rule, matchCount: variables.filter(v => evaluate(tree, v)).length };
+        } catch (error) {
+            return { ...rule, error: error.message };
+        }
+    });
+}
+
+/**
+ * Replace a user's rules with a validated set
+ * @param {string} userId - Owner user ID
+ * @param {Array<{issue, name, expression, enabled}>} rules - Submitted rules
+ * @returns {Promise<Array>} The saved rules
+ * @throws 400 error naming the first invalid rule
+ */
+async function saveUserRules(userId, rules) {
+    const cleaned = rules
+        .map(rule => ({
+            issue: rule.issue,
+            name: String(rule.name || '').trim(),
+            expression: String(rule.expression || '').trim(),
+            enabled: rule.enabled === true || rule.enabled === '1' || rule.enabled === 'on'
+        }))
+        .filter(rule => rule.name || rule.expression);
+
+    cleaned.forEach((rule, i) => {
+        const label = rule.name || `Rule ${i + 1}`;
+        if (!IssueRule.ISSUES.includes(rule.issue)) {
+            throw httpError(`${label}: choose which issue it raises`);
+        }
+        if (!rule.name) {
+            throw httpError(`${label}: a name is required`);
+        }
+        try {
+            parseExpression(rule.expression);
+        } catch (error) {
+            throw httpError(`${label}: ${error.message}`);
+        }
+    });
+
+    // Saved rules replace the defaults for good, even when there are none
+    await markRulesSeeded(userId);
+    await IssueRule.deleteMany(tenantFilter(userId));
+    return IssueRule.insertMany(cleaned.map(rule => ({ ...rule, userId })));
+}
+
+/**
+ * Replace a user's rules with DEFAULT_RULES
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Array>} The saved rules
+ */
+async function resetUserRules(userId) {
+    await markRulesSeeded(userId);
+    await IssueRule.deleteMany(tenantFilter(userId));
+    return IssueRule.insertMany(DEFAULT_RULES.map(rule => ({ ...rule, userId })));
+}
+
+/**
+ * Evaluate a user's rules against their inventory
+ * @param {string} userId - Owner user ID
+ * @param {Array} inventory - The user's Inventory documents
+ * @returns {Promise<Object>} As for evaluateIssues
+ */
+async function detectIssues(userId, inventory) {
+    return evaluateIssues(inventory, await getUserRules(userId));
+}
+
+module.exports = {
+    DEFAULT_RULES,
+    getUserRules,
+    evaluateIssues,
+    previewRules,
+    saveUserRules,
+    resetUserRules,
+    detectIssues
+};
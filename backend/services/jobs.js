@@ -0,0 +1,52 @@
+/**
+ * Background Jobs
+ * The jobs the scheduler runs for each user. Schedules come from the
+ * environment so they can be changed per deployment:
+ *   JOBS_ENABLED=false             turns scheduled runs off (manual runs still work)
+ *   JOB_GENERATE_ACTIONS_CRON      default "0 * * * *" (hourly)
+ *   JOB_DETECT_ISSUES_CRON         default "*\/15 * * * *" (every 15 minutes)
+ *   JOB_BACKTEST_FORECASTS_CRON    default "0 2 * * *" (daily at 02:00)
+ */
+
+const Inventory = require('../models/inventory');
+const { registerJob } = require('./scheduler');
+const { generateActions } = require('./action-generator');
+const { detectIssues } = require('./issue-detector');
+const { runBacktests } = require('./backtesting');
+
+/**
+ * Register the application's jobs with the scheduler
+ */
+function registerJobs() {
+    const enabled = process.env.JOBS_ENABLED !== 'false';
+
+    registerJob({
+        name: 'generate-actions',
+        description: 'Refresh suggested actions from current inventory',
+        cron: process.env.JOB_GENERATE_ACTIONS_CRON || '0 * * * *',
+        enabled,
+        run: userId => generateActions(userId)
+    });
+
+    registerJob({
+        name: 'detect-issues',
+        description: 'Check inventory for the issues shown on the dashboard',
+        cron: process.env.JOB_DETECT_ISSUES_CRON || '*/15 * * * *',
+        enabled,
+        run: async userId => {
+            const inventory = await Inventory.forTenant(userId).lean();
+            const { issues, issueCount, matches } = await detectIssues(userId, inventory);
+            return { issues, issueCount, matches, inventoryCount: inventory.length };
+        }
+    });
+
+    registerJob({
+        name: 'backtest-forecasts',
+        description: 'Measure forecast accuracy against recorded sales',
+        cron: process.env.JOB_BACKTEST_FORECASTS_CRON || '0 2 * * *',
+        enabled,
+        run: userId => runBacktests(userId)
+    });
+}
+
+module.exports = { registerJobs };
@@ -0,0 +1,101 @@
+/**
+ * Mailer
+ * Sends account emails (password resets, verification links). A transport is
+ * an object with a `name` and `send({ to, subject, text })` that resolves once
+ * the message is handed off:
+ *
+ *   - consoleTransport: prints each message to the server log
+ *   - fileTransport: appends each message to a file, one JSON object per line
+ *
+ * MAIL_TRANSPORT picks 'console' (the default) or 'file', written to
+ * MAIL_FILE_PATH. Production setups can plug in their own transport (SMTP, an
+ * email API) with setMailTransport at startup. MAIL_FROM sets the sender.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FROM = 'Inventree <no-reply@inventree.local>';
+const DEFAULT_FILE_PATH = path.join(__dirname, '..', 'mail.log');
+
+/**
+ * Print messages to the server log
+ * @returns {Object} Mail transport
+ */
+function consoleTransport() {
+    return {
+        name: 'console',
+        async send({ from, to, subject, text }) {
+            console.log(`📧 Mail from ${from} to ${to}: ${subject}\n${text}`);
+        }
+    };
+}
+
+/**
+ * Append messages to a file as JSON lines
+ * @param {{filePath?: string}} options
+ * @returns {Object} Mail transport
+ */
+function fileTransport({ filePath = DEFAULT_FILE_PATH } = {}) {
+    return {
+        name: 'file',
+        async send(message) {
+            const line = JSON.stringify({ ...message, sentAt: new Date().toISOString() });
+            await fs.promises.appendFile(filePath, `${line}\n`);
+        }
+    };
+}
+
+/**
+ * Build the configured transport
+ * @param {Object} env - Environment variables (process.env)
+ * @returns {Object} Mail transport
+ */
+function createMailTransport(env = process.env) {
+    const choice = (env.MAIL_TRANSPORT || 'console').toLowerCase();
+
+    if (choice === 'file') {
+        return fileTransport({ filePath: env.MAIL_FILE_PATH || DEFAULT_FILE_PATH });
+    }
+    if (choice !== 'console') {
+        console.error(`Unknown MAIL_TRANSPORT '${choice}'; printing mail to the console`);
+    }
+    return consoleTransport();
+}
+
+let defaultTransport = null;
+
+/**
+ * The app-wide transport, built from the environment on first use
+ * @returns {Object} Mail transport
+ */
+function getMailTransport() {
+    if (!defaultTransport) defaultTransport = createMailTransport();
+    return defaultTransport;
+}
+
+/**
+ * Replace the app-wide transport
+ * @param {Object} transport - Mail transport
+ */
+function setMailTransport(transport) {
+    defaultTransport = transport;
+}
+
+/**
+ * Send a message with the configured transport
+ * @param {{to: string, subject: string, text: string}} message
+ * @param {{transport?: Object}} options
+ */
+async function sendMail({ to, subject, text }, { transport = getMailTransport() } = {}) {
+    await transport.send({ from: process.env.MAIL_FROM || DEFAULT_FROM, to, subject, text });
+}
+
+module.exports = {
+    consoleTransport,
+    fileTransport,
+    createMailTransport,
+    getMailTransport,
+    setMailTransport,
+    sendMail
+};
@@ -0,0 +1,349 @@
+/**
+ * Purchase Order Service
+ * Drafts, sends, receives and cancels purchase orders with suppliers. Units on
+ * an order that has been sent show as inbound at its destination warehouse
+ * until they are received into on-hand stock. A draft may leave the
+ * destination open; it is settled when the order is sent. Only organizations
+ * without any warehouses send orders with no destination, and those change
+ * the SKU-level quantities.
+ */
+
+const Counter = require('../models/Counter');
+const Inventory = require('../models/inventory');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const Warehouse = require('../models/Warehouse');
+const { tenantFilter } = require('../models/tenant');
+const { getUserWarehouses } = require('./warehouse-service');
+const { primaryWarehouse, getStockLevel, updateStock } = require('./stock-service');
+const { onHandByLocation, recordStockChange } = require('./stock-ledger');
+const { httpError } = require('./http-error');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Next purchase order number for a user (PO-YYYYMMDD-NNN). Numbers come from
+ * a per-day counter incremented atomically, so concurrent orders never share
+ * one. The day's counter starts after any orders already numbered that day.
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<string>}
+ */
+async function nextPoNumber(userId) {
+    const day = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const name = `po-${day}`;
+    const format = value => `PO-${day}-${String(value).padStart(3, '0')}`;
+
+    const counter = await Counter.findOneAndUpdate(tenantFilter(userId, { name }), { $inc: { value: 1 } }, { new: true }).lean();
+    if (counter) return format(counter.value);
+
+    const numbered = await PurchaseOrder.countDocuments(tenantFilter(userId, { poNumber: new RegExp(`^PO-${day}-`) }));
+    try {
+        await Counter.create({ userId, name, value: numbered + 1 });
+    } catch (error) {
+        // Another order started the counter first; take the next number from it
+        if (error.code === 11000) return nextPoNumber(userId);
+        throw error;
+    }
+    return format(numbered + 1);
+}
+
+/**
+ * Where an order without a destination is delivered: the only warehouse, or
+ * the one the ordered products are mostly stocked at
+ * @param {Object} order - PurchaseOrder document
+ * @returns {Promise<Object|null>} Warehouse ID, or null when there are no warehouses
+ * @throws 400 when the products are stocked at different warehouses
+ */
+async function resolveDestination(order) {
+    if (order.warehouseId) return order.warehouseId;
+
+    const warehouses = await getUserWarehouses(order.userId);
+    if (warehouses.length === 0) return null;
+    if (warehouses.length === 1) return warehouses[0]._id;
+
+    const products = await Inventory.forTenant(order.userId, { sku: { $in: order.lines.map(line => line.sku) } }).lean();
+    const sites = [...new Set(products.map(product => String(primaryWarehouse(product, warehouses)?._id)))];
+    if (sites.length !== 1 || sites[0] === 'undefined') {
+        throw httpError('Choose the warehouse this order is delivered to before sending it');
+    }
+    return warehouses.find(wh => String(wh._id) === sites[0])._id;
+}
+
+/**
+ * Change one line's stock where the order is delivered. `change` gets the
+ * stock level ({onHand, inbound}) to edit.
+ * @param {Object} order - PurchaseOrder document
+ * @param {string} sku - Line SKU
+ * @param {Function} change - Edits the level in place
+ * @param {Object} [movement] - Ledger details, as for updateStock
+ */
+async function updateLineStock(order, sku, change, movement) {
+    const warehouses = await getUserWarehouses(order.userId);
+
+    if (warehouses.length > 0) {
+        // Orders sent before destinations were required land at the product's main warehouse
+        return updateStock(order.userId, sku, item => {
+            const site = order.warehouseId || primaryWarehouse(item, warehouses)?._id;
+            if (!site) {
+                throw httpError(`${order.poNumber} has no warehouse to deliver ${sku} to`);
+            }
+            change(getStockLevel(item, site, true));
+        }, movement);
+    }
+
+    // Without warehouses the SKU-level quantities are the stock
+    const item = await Inventory.findOne(tenantFilter(order.userId, { sku }));
+    if (!item) {
+        throw httpError(`Product '${sku}' not found`, 404);
+    }
+    const before = onHandByLocation(item);
+    const level = { onHand: item.onHand || 0, inbound: item.inboundUnits || 0 };
+    change(level);
+    item.onHand = level.onHand;
+    item.inboundUnits = level.inbound;
+    await item.save();
+
+    if (movement) {
+        await recordStockChange(before, item, movement);
+    }
+    return item;
+}
+
+/**
+ * Add (or with a negative sign, remove) an order's open units to inbound stock
+ * @param {Object} order - PurchaseOrder document
+ * @param {number} sign - 1 to add, -1 to remove
+ */
+async function adjustInbound(order, sign) {
+    for (const line of order.lines) {
+        const open = (line.quantity - line.receivedQuantity) * sign;
+        if (open === 0) continue;
+
+        await updateLineStock(order, line.sku, level => {
+            level.inbound = Math.max(0, level.inbound + open);
+        });
+    }
+}
+
+/**
+ * Create a draft purchase order. Lines are checked against the user's
+ * products; the supplier's lead time sets the expected date when none is given.
+ * @param {string} userId - Owner user ID
+ * @param {{lines: Array<{sku, quantity, unitCost?}>, supplierId?: string, warehouseId?: string, expectedDate?: Date, expedite?: boolean, actionId?: string, notes?: string}} data
+ * @returns {Promise<Object>} The saved PurchaseOrder
+ */
+async function createPurchaseOrder(userId, data) {
+    const supplier = data.supplierId ? await Supplier.findOwned(userId, data.supplierId).lean() : null;
+    if (data.supplierId && !supplier) {
+        throw httpError('Supplier not found', 404);
+    }
+
+    if (data.warehouseId && !(await Warehouse.exists(tenantFilter(userId, { _id: data.warehouseId })))) {
+        throw httpError('Warehouse not found', 404);
+    }
+
+    const lines = [];
+    for (const line of data.lines || []) {
+        const quantity = parseInt(line.quantity);
+        if (!line.sku || !quantity || quantity <= 0) continue;
+
+        const product = await Inventory.findOne(tenantFilter(userId, { sku: line.sku })).lean();
+        if (!product) {
+            throw httpError(`Product '${line.sku}' not found`, 404);
+        }
+        if (quantity < (product.moq || 0)) {
+            throw httpError(`${product.sku} has a minimum order quantity of ${product.moq}`);
+        }
+
+        // Repeated products are merged so receipts can be keyed by SKU
+        const existing = lines.find(l => l.sku === product.sku);
+        if (existing) {
+            existing.quantity += quantity;
+            continue;
+        }
+
+        lines.push({
+            sku: product.sku,
+            productName: product.name,
+            quantity,
+            unitCost: line.unitCost !== undefined && line.unitCost !== '' ? Number(line.unitCost) : product.unitCost
+        });
+    }
+    if (lines.length === 0) {
+        throw httpError('A purchase order needs at least one line');
+    }
+
+    const expectedDate = data.expectedDate
+        ? new Date(data.expectedDate)
+        : supplier ? new Date(Date.now() + supplier.leadTimeDays * DAY_MS) : undefined;
+
+    return PurchaseOrder.create({
+        userId,
+        poNumber: await nextPoNumber(userId),
+        supplierId: supplier ? supplier._id : undefined,
+        supplierName: supplier ? supplier.name : (data.supplierName || ''),
+        warehouseId: data.warehouseId || null,
+        lines,
+        expectedDate,
+        expedite: Boolean(data.expedite),
+        actionId: data.actionId,
+        notes: data.notes
+    });
+}
+
+/**
+ * Send a draft order to the supplier, raising inbound stock at the destination
+ * @param {Object} order - PurchaseOrder mongoose document
+ * @returns {Promise<Object>} The updated order
+ */
+async function sendPurchaseOrder(order) {
+    if (order.status !== 'draft') {
+        throw httpError(`Only draft orders can be sent (this one is '${order.status}')`);
+    }
+
+    const warehouseId = await resolveDestination(order);
+
+    // Claim the status change so the inbound units are only added once
+    const sent = await PurchaseOrder.findOneAndUpdate(
+        { _id: order._id, status: 'draft' },
+        { $set: { status: 'sent', orderedAt: new Date(), warehouseId } },
+        { new: true }
+    );
+    if (!sent) {
+        throw httpError('Order was updated elsewhere; reload and try again', 409);
+    }
+
+    try {
+        await adjustInbound(sent, 1);
+    } catch (error) {
+        await PurchaseOrder.updateOne(
+            { _id: order._id },
+            { $set: { status: 'draft', warehouseId: order.warehouseId || null }, $unset: { orderedAt: 1 } }
+        );
+        throw error;
+    }
+
+    return sent;
+}
+
+/**
+ * Create a purchase order and send it straight away
+ * @param {string} userId - Owner user ID
+ * @param {Object} data - As for createPurchaseOrder
+ * @returns {Promise<Object>} The sent PurchaseOrder
+ */
+async function placePurchaseOrder(userId, data) {
+    const order = await createPurchaseOrder(userId, data);
+
+    try {
+        return await sendPurchaseOrder(order);
+    } catch (error) {
+        await PurchaseOrder.deleteOne({ _id: order._id });
+        throw error;
+    }
+}
+
+/**
+ * Receive delivered units: each line's quantity moves from inbound to on-hand
+ * at the destination and is written to the stock ledger as a receipt
+ * @param {Object} order - PurchaseOrder mongoose document
+ * @param {Object<string, number>} received - Units received per SKU
+ * @returns {Promise<Object>} The updated order
+ */
+async function receivePurchaseOrder(order, received) {
+    if (!['sent', 'partially-received'].includes(order.status)) {
+        throw httpError(`Cannot receive against an order that is '${order.status}'`);
+    }
+
+    const receipts = order.lines
+        .map(line => ({ line, quantity: parseInt(received[line.sku]) || 0 }))
+        .filter(({ quantity }) => quantity > 0);
+
+    if (receipts.length === 0) {
+        throw httpError('Enter the quantity received for at least one line');
+    }
+    for (const { line, quantity } of receipts) {
+        if (quantity > line.quantity - line.receivedQuantity) {
+            throw httpError(`Only ${line.quantity - line.receivedQuantity} unit(s) of ${line.sku} are still open`);
+        }
+    }
+
+    // Book the receipt on the order first (guarded by its version) so a
+    // repeated submission cannot receive the same units twice
+    const increments = {};
+    receipts.forEach(({ line, quantity }) => {
+        increments[`lines.${order.lines.indexOf(line)}.receivedQuantity`] = quantity;
+    });
+    const claimed = await PurchaseOrder.findOneAndUpdate(
+        { _id: order._id, __v: order.__v },
+        { $inc: { ...increments, __v: 1 } },
+        { new: true }
+    );
+    if (!claimed) {
+        throw httpError('Order was updated elsewhere; reload and try again', 409);
+    }
+
+    const movement = { type: 'receipt', reference: { kind: 'PurchaseOrder', id: order._id }, note: order.poNumber };
+    const pending = [...receipts];
+
+    try {
+        while (pending.length > 0) {
+            const { line, quantity } = pending[0];
+
+            await updateLineStock(order, line.sku, level => {
+                level.inbound = Math.max(0, level.inbound - quantity);
+                level.onHand += quantity;
+            }, movement);
+
+            pending.shift();
+        }
+    } catch (error) {
+        // Lines whose stock was not updated are not received
+        const rollback = {};
+        pending.forEach(({ line, quantity }) => {
+            rollback[`lines.${order.lines.indexOf(line)}.receivedQuantity`] = -quantity;
+        });
+        await PurchaseOrder.updateOne({ _id: order._id }, { $inc: rollback });
+        throw error;
+    }
+
+    claimed.status = claimed.lines.every(line => line.receivedQuantity >= line.quantity) ? 'received' : 'partially-received';
+    return claimed.save();
+}
+
+/**
+ * Cancel an order; units not yet received are taken off inbound stock
+ * @param {Object} order - PurchaseOrder mongoose document
+ * @returns {Promise<Object>} The updated order
+ */
+async function cancelPurchaseOrder(order) {
+    if (['received', 'cancelled'].includes(order.status)) {
+        throw httpError(`Cannot cancel an order that is '${order.status}'`);
+    }
+
+    const cancelled = await PurchaseOrder.findOneAndUpdate(
+        { _id: order._id, status: order.status },
+        { $set: { status: 'cancelled' } },
+        { new: true }
+    );
+    if (!cancelled) {
+        throw httpError('Order was updated elsewhere; reload and try again', 409);
+    }
+
+    if (order.status !== 'draft') {
+        await adjustInbound(cancelled, -1);
+    }
+
+    return cancelled;
+}
+
+module.exports = {
+    nextPoNumber,
+    resolveDestination,
+    adjustInbound,
+    createPurchaseOrder,
+    sendPurchaseOrder,
+    placePurchaseOrder,
+    receivePurchaseOrder,
+    cancelPurchaseOrder
+};
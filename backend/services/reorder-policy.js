@@ -0,0 +1,139 @@
+/**
+ * Reorder Policy
+ * Continuous-review (s, Q) policy per SKU: safety stock from demand
+ * variability and the target service level, a reorder point covering demand
+ * over the lead time, and an economic order quantity that balances ordering
+ * against holding cost. Costs follow the rest of the app: holdingCostPerUnit
+ * is per unit per day, orderingCost is per order placed.
+ */
+
+const { forecastDemand, demandSeries } = require('./forecasting');
+const { stockTotals } = require('./stock-service');
+
+// Service levels are clamped so the z-score stays finite
+const MIN_SERVICE_LEVEL = 0.5;
+const MAX_SERVICE_LEVEL = 0.9999;
+
+/**
+ * Inverse of the standard normal CDF (Acklam's rational approximation,
+ * accurate to about 1e-9)
+ * @param {number} p - Probability between 0 and 1 (exclusive)
+ * @returns {number} z such that P(Z <= z) = p
+ */
+function normalQuantile(p) {
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+    const low = 0.02425;
+
+    if (p < low) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - low) {
+        return -normalQuantile(1 - p);
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Sample standard deviation of daily demand
+ * @param {number[]} series - Daily demand
+ * @returns {number|null} null with fewer than two observations
+ */
+function demandStdDev(series) {
+    if (series.length < 2) return null;
+
+    const average = series.reduce((a, b) => a + b, 0) / series.length;
+    const variance = series.reduce((sum, value) => sum + (value - average) ** 2, 0) / (series.length - 1);
+    return Math.sqrt(variance);
+}
+
+/**
+ * Economic order quantity, sqrt(2DS / H), in daily terms
+ * @param {number} dailyDemand - Units per day
+ * @param {number} orderingCost - Cost per order placed
+ * @param {number} holdingCostPerDay - Cost of holding one unit for a day
+ * @returns {number} Units per order (0 when it cannot be computed)
+ */
+function economicOrderQuantity(dailyDemand, orderingCost, holdingCostPerDay) {
+    if (!(dailyDemand > 0) || !(orderingCost > 0) || !(holdingCostPerDay > 0)) return 0;
+    return Math.sqrt((2 * dailyDemand * orderingCost) / holdingCostPerDay);
+}
+
+/**
+ * Reorder policy for an item against its current stock position.
+ *
+ * Safety stock is z × σ × √leadTime, where z comes from targetServiceLevel and
+ * σ is the standard deviation of daily demand; safetyStockDays of forecast
+ * demand is kept as a floor (and is all there is without enough history).
+ * The item should be reordered once its inventory position (available +
+ * inbound) is at or below the reorder point; it is critical once the position
+ * cannot cover the safety stock.
+ * @param {Object} item - Inventory document
+ * @param {Object} [forecast] - From forecastDemand; computed when omitted
+ * @returns {{dailyDemand: number, demandStdDev: number|null, leadTimeDays: number, serviceLevel: number,
+ *   z: number, safetyStock: number, leadTimeDemand: number, reorderPoint: number, eoq: number,
+ *   inventoryPosition: number, daysOfCover: number, status: 'critical'|'reorder'|'ok', orderQuantity: number}}
+ *   orderQuantity is what to order now (0 when status is 'ok'), at least the MOQ and EOQ
+ */
+function reorderPolicy(item, forecast = forecastDemand(item)) {
+    const dailyDemand = forecast.dailyDemand;
+    const sigma = demandStdDev(demandSeries(item));
+    const leadTimeDays = Math.max(0, Number(item.leadTimeDays) || 0);
+    const serviceLevel = Math.min(MAX_SERVICE_LEVEL, Math.max(MIN_SERVICE_LEVEL, Number(item.targetServiceLevel) || 0.95));
+    const z = normalQuantile(serviceLevel);
+
+    const statisticalSafetyStock = sigma === null ? 0 : z * sigma * Math.sqrt(leadTimeDays);
+    const minimumSafetyStock = (Number(item.safetyStockDays) || 0) * dailyDemand;
+    const safetyStock = Math.ceil(Math.max(statisticalSafetyStock, minimumSafetyStock));
+
+    const leadTimeDemand = dailyDemand * leadTimeDays;
+    const reorderPoint = Math.ceil(leadTimeDemand + safetyStock);
+    const eoq = Math.ceil(economicOrderQuantity(dailyDemand, Number(item.orderingCost), parseFloat(item.holdingCostPerUnit)));
+
+    const totals = stockTotals(item);
+    const inventoryPosition = totals.available + totals.inbound;
+    const daysOfCover = dailyDemand > 0 ? totals.onHand / dailyDemand : 999;
+
+    let status = 'ok';
+    if (dailyDemand > 0 && inventoryPosition <= safetyStock) {
+        status = 'critical';
+    } else if (dailyDemand > 0 && inventoryPosition <= reorderPoint) {
+        status = 'reorder';
+    }
+
+    // Order at least enough to lift the position back above the reorder point
+    const orderQuantity = status === 'ok'
+        ? 0
+        : Math.max(item.moq || 0, eoq, reorderPoint - inventoryPosition + 1);
+
+    return {
+        dailyDemand,
+        demandStdDev: sigma,
+        leadTimeDays,
+        serviceLevel,
+        z,
+        safetyStock,
+        leadTimeDemand,
+        reorderPoint,
+        eoq,
+        inventoryPosition,
+        daysOfCover,
+        status,
+        orderQuantity
+    };
+}
+
+module.exports = {
+    normalQuantile,
+    demandStdDev,
+    economicOrderQuantity,
+    reorderPolicy
+};
@@ -0,0 +1,200 @@
+/**
+ * REST API
+ * Helpers for the versioned /api/v1 routes. Routes are registered with a spec
+ * (summary, scope, query parameters, response schema), and the OpenAPI
+ * document is generated from those specs, so it cannot drift from the routes.
+ *
+ * Every response uses one of two envelopes:
+ *
+ *   success  { data, pagination? }    pagination: { page, limit, total, totalPages }
+ *   error    { error: { code, message } }
+ *
+ * List endpoints take ?page= (from 1) and ?limit= (1-100, default 25).
+ */
+
+const { httpError } = require('./http-error');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Machine-readable error codes by HTTP status
+const ERROR_CODES = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    500: 'internal_error'
+};
+
+/**
+ * Error envelope
+ * @param {number} status - HTTP status
+ * @param {string} message - Human-readable message
+ * @returns {{error: {code: string, message: string}}}
+ */
+function errorBody(status, message) {
+    return { error: { code: ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request'), message } };
+}
+
+/**
+ * Page and page size from a query string
+ * @param {Object} query - req.query
+ * @returns {{page: number, limit: number, skip: number}}
+ * @throws 400 when either is not a positive whole number or limit is over the maximum
+ */
+function parsePagination(query) {
+    const read = (name, fallback) => {
+        if (query[name] === undefined || query[name] === '') return fallback;
+        const value = Number(query[name]);
+        if (!Number.isInteger(value) || value < 1) {
+            throw httpError(`${name} must be a whole number of 1 or more`);
+        }
+        return value;
+    };
+
+    const page = read('page', 1);
+    const limit = read('limit', DEFAULT_PAGE_SIZE);
+    if (limit > MAX_PAGE_SIZE) {
+        throw httpError(`limit must be at most ${MAX_PAGE_SIZE}`);
+    }
+    return { page, limit, skip: (page - 1) * limit };
+}
+
+/**
+ * One page of a model's documents
+ * @param {Object} Model - Mongoose model
+ * @param {Object} filter - Query filter, already scoped to the tenant
+ * @param {{page: number, limit: number, skip: number, sort?: Object}} options - From parsePagination
+ * @returns {Promise<{data: Array<Object>, pagination: Object}>} Lean documents
+ */
+async function paginate(Model, filter, { page, limit, skip, sort = { createdAt: -1 } }) {
+    const [data, total] = await Promise.all([
+        Model.find(filter).sort(sort).skip(skip).limit(limit).lean(),
+        Model.countDocuments(filter)
+    ]);
+
+    return { data, pagination: { page, limit, total, totalPages: Math.ceil(total / limit) } };
+}
+
+// Express path to OpenAPI path: /inventory/:sku -> /inventory/{sku}
+const openApiPath = path => path.replace(/:(\w+)/g, '{$1}');
+
+/**
+ * Route registry for one API version
+ * @param {{title: string, version: string, basePath: string}} info
+ * @returns {{add: function(Object): void, schema: function(string, Object): void, routes: Array<Object>, document: function(): Object}}
+ */
+function createApiRegistry({ title, version, basePath }) {
+    const routes = [];
+    const schemas = {
+        Error: {
+            type: 'object',
+            properties: {
+                error: {
+                    type: 'object',
+                    properties: {
+                        code: { type: 'string', enum: Object.values(ERROR_CODES) },
+                        message: { type: 'string' }
+                    },
+                    required: ['code', 'message']
+                }
+            }
+        },
+        Pagination: {
+            type: 'object',
+            properties: {
+                page: { type: 'integer' },
+                limit: { type: 'integer' },
+                total: { type: 'integer' },
+                totalPages: { type: 'integer' }
+            }
+        }
+    };
+
+    const ref = name => ({ $ref: `#/components/schemas/${name}` });
+    const errorResponse = description => ({ description, content: { 'application/json': { schema: ref('Error') } } });
+
+    // OpenAPI operation for a registered route
+    function operation(route) {
+        const parameters = [
+            ...[...route.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+                name, in: 'path', required: true, schema: { type: 'string' }
+            })),
+            ...(route.query || []).map(param => ({
+                name: param.name, in: 'query', required: false, description: param.description, schema: param.schema || { type: 'string' }
+            }))
+        ];
+        if (route.paginated) {
+            parameters.push(
+                { name: 'page', in: 'query', required: false, schema: { type: 'integer', minimum: 1, default: 1 } },
+                { name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE } }
+            );
+        }
+
+        const data = route.paginated ? { type: 'array', items: ref(route.response) } : ref(route.response);
+        const body = { type: 'object', properties: { data } };
+        if (route.paginated) body.properties.pagination = ref('Pagination');
+
+        const op = {
+            summary: route.summary,
+            parameters,
+            responses: {
+                [route.status || 200]: { description: 'Success', content: { 'application/json': { schema: body } } },
+                400: errorResponse('Invalid request'),
+                404: errorResponse('Not found')
+            }
+        };
+        if (route.requestBody) {
+            op.requestBody = { required: true, content: { 'application/json': { schema: ref(route.requestBody) } } };
+        }
+        if (route.scope) {
+            op.description = `Requires an API key with the \`${route.scope}\` scope.`;
+            op.security = [{ apiKey: [] }];
+            op.responses[401] = errorResponse('Missing or invalid API key');
+            op.responses[403] = errorResponse('Key lacks the scope or its member lacks the role');
+        } else {
+            op.security = [];
+        }
+        return op;
+    }
+
+    return {
+        routes,
+        add(route) {
+            routes.push(route);
+        },
+        schema(name, definition) {
+            schemas[name] = definition;
+        },
+        document() {
+            const paths = {};
+            routes.forEach(route => {
+                const path = openApiPath(route.path);
+                paths[path] = { ...paths[path], [route.method]: operation(route) };
+            });
+
+            return {
+                openapi: '3.0.3',
+                info: { title, version },
+                servers: [{ url: basePath }],
+                components: {
+                    securitySchemes: {
+                        apiKey: { type: 'http', scheme: 'bearer', description: 'Personal API key from the profile page' }
+                    },
+                    schemas
+                },
+                paths
+            };
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    errorBody,
+    parsePagination,
+    paginate,
+    createApiRegistry
+};
@@ -0,0 +1,369 @@
+/**
+ * Restock Optimizer
+ * Splits restock budgets across SKUs instead of checking each product's
+ * budgetCap in isolation. For every SKU the expected cost of an order size is
+ * the expected stockout cost plus the holding cost over its protection period
+ * (lead time + planning horizon), with demand over that period taken as normal
+ * around the forecast. Budget is then handed out greedily in order lots to the
+ * SKU whose next lot saves the most per dollar, subject to the global budget,
+ * the product's category budget and its own budgetCap. A SKU's first lot is
+ * the order of at least its MOQ that saves the most per dollar once its
+ * ordering cost is paid; later lots top it up.
+ *
+ * Greedy allocation is optimal for the smooth part of the problem; MOQs make it
+ * a close heuristic rather than an exact solution.
+ */
+
+const RestockBudget = require('../models/RestockBudget');
+const Action = require('../models/Action');
+const { tenantFilter } = require('../models/tenant');
+const { forecastDemand, demandSeries } = require('./forecasting');
+const { reorderPolicy, demandStdDev } = require('./reorder-policy');
+const { stockTotals } = require('./stock-service');
+const { httpError } = require('./http-error');
+
+const ORDER_TYPES = ['RESTOCK', 'ORDER', 'EMERGENCY_ORDER'];
+// Binding limit for products no budget covers
+const NO_BUDGET = 'no budget';
+// Lots per SKU across its expected demand; smaller lots allocate more finely
+const LOTS_PER_PERIOD = 20;
+
+const round = value => Math.round(value * 100) / 100;
+const money = value => `$${Math.round(value).toLocaleString('en-US')}`;
+
+// Standard normal density and distribution (Abramowitz & Stegun 26.2.17)
+function normalPdf(z) {
+    return Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+}
+
+function normalCdf(z) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(z));
+    const tail = normalPdf(z) * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    return z >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Expected units short and left over when `stock` has to cover normally
+ * distributed demand
+ * @param {number} stock - Units available over the period
+ * @param {number} mean - Expected demand
+ * @param {number} sd - Standard deviation of demand (0 for a certain forecast)
+ * @returns {{shortage: number, leftover: number}}
+ */
+function expectedOutcome(stock, mean, sd) {
+    if (!(sd > 0)) {
+        return { shortage: Math.max(0, mean - stock), leftover: Math.max(0, stock - mean) };
+    }
+    const z = (stock - mean) / sd;
+    const shortage = sd * (normalPdf(z) - z * (1 - normalCdf(z)));
+    return { shortage, leftover: stock - mean + shortage };
+}
+
+/**
+ * Cost model for one SKU
+ * @param {Object} item - Inventory document
+ * @param {number} approvedUnits - Units on approved orders not yet placed
+ * @returns {Object} Demand over the protection period, costs and a cost(quantity) function
+ */
+function skuModel(item, approvedUnits = 0) {
+    const forecast = forecastDemand(item);
+    const policy = reorderPolicy(item, forecast);
+    const totals = stockTotals(item);
+
+    const periodDays = policy.leadTimeDays + forecast.horizonDays;
+    const mean = forecast.dailyDemand * periodDays;
+    const sd = (demandStdDev(demandSeries(item)) || 0) * forecast.seasonalityMultiplier * Math.sqrt(periodDays);
+    const position = totals.available + totals.inbound + approvedUnits;
+
+    const stockoutCost = parseFloat(item.stockoutCostPerUnit) || 0;
+    const holdingCost = parseFloat(item.holdingCostPerUnit) || 0;
+    const orderingCost = item.orderingCost ?? 50;
+
+    // Holding is charged on the average of opening and expected closing stock
+    const breakdown = quantity => {
+        const stock = position + quantity;
+        const { shortage, leftover } = expectedOutcome(stock, mean, sd);
+        return {
+            stockout: stockoutCost * shortage,
+            holding: holdingCost * periodDays * (Math.max(0, stock) + leftover) / 2,
+            ordering: quantity > 0 ? orderingCost : 0
+        };
+    };
+    const cost = quantity => {
+        const parts = breakdown(quantity);
+        return parts.stockout + parts.holding + parts.ordering;
+    };
+
+    return {
+        item,
+        forecast,
+        policy,
+        periodDays,
+        mean,
+        sd,
+        position,
+        unitCost: item.unitCost || 0,
+        moq: item.moq || 0,
+        lot: Math.max(1, Math.ceil(mean / LOTS_PER_PERIOD)),
+        breakdown,
+        cost
+    };
+}
+
+/**
+ * Allocate restock budgets across a user's inventory
+ * @param {Array} inventory - Inventory documents
+ * @param {Array<{category: string, amount: number}>} budgets - category '' is the
+ *   global budget; products without a category budget draw on the global one only.
+ *   When there are category budgets but no global one, products outside those
+ *   categories are left unfunded; with no budgets at all nothing is limited.
+ * @param {{approved?: Array}} options - Approved order actions not yet executed:
+ *   their units count as stock on the way and their cost as already spent
+ * @returns {{budgets: Array, allocations: Array, unfunded: Array, totals: Object}}
+ *   allocations are ranked by when the optimizer first funded them
+ */
+function optimizeRestock(inventory, budgets, { approved = [] } = {}) {
+    const approvedOrders = approved.filter(action => ORDER_TYPES.includes(action.type));
+
+    const pools = budgets.map(budget => ({
+        category: budget.category || '',
+        amount: budget.amount,
+        committed: 0,
+        allocated: 0
+    }));
+    const globalPool = pools.find(pool => pool.category === '');
+    const categoryKey = category => String(category || '').trim().toLowerCase();
+    const poolsFor = item => [globalPool, pools.find(pool => pool.category && categoryKey(pool.category) === categoryKey(item.category))]
+        .filter(Boolean);
+    const remaining = pool => pool.amount - pool.committed - pool.allocated;
+
+    const models = inventory.map(item => {
+        const orders = approvedOrders.filter(action => action.productSku === item.sku);
+        const approvedUnits = orders.reduce((sum, action) => sum + Math.max(action.suggestedQuantity, item.moq || 0), 0);
+        const approvedSpend = approvedUnits * (item.unitCost || 0);
+        poolsFor(item).forEach(pool => { pool.committed += approvedSpend; });
+
+        const model = skuModel(item, approvedUnits);
+        return { ...model, pools: poolsFor(item), cap: item.budgetCap > 0 ? item.budgetCap - approvedSpend : Infinity, quantity: 0, rank: null, done: false, blockedBy: null };
+    });
+
+    // Most units every budget the model draws on still allows, and the budget that binds
+    const spendLimit = model => {
+        if (pools.length > 0 && model.pools.length === 0) return { units: 0, name: NO_BUDGET };
+        if (model.unitCost <= 0) return { units: Infinity, name: null };
+        return [
+            { name: 'product budget cap', spend: model.cap - model.quantity * model.unitCost },
+            ...model.pools.map(pool => ({ name: pool.category ? `${pool.category} budget` : 'overall budget', spend: remaining(pool) }))
+        ]
+            .map(limit => ({ name: limit.name, units: Math.floor(limit.spend / model.unitCost + 1e-9) }))
+            .reduce((tightest, limit) => (limit.units < tightest.units ? limit : tightest), { units: Infinity, name: null });
+    };
+
+    // Opening order: the quantity of at least `minimum` units that saves the most per dollar
+    const openingOrder = (model, minimum) => {
+        let best = null;
+        const largest = Math.max(minimum, model.mean + 4 * model.sd);
+        for (let units = minimum; units <= largest; units += model.lot) {
+            const saving = model.cost(0) - model.cost(units);
+            const ratio = model.unitCost > 0 ? saving / (units * model.unitCost) : saving;
+            if (saving > 1e-9 && (!best || ratio > best.ratio)) best = { units, ratio };
+        }
+        return best ? best.units : null;
+    };
+
+    // Next lot for a model, trimmed to its budgets; null when no more units are worth ordering
+    const nextLot = model => {
+        const minimum = model.quantity === 0 ? Math.max(1, model.moq) : 1;
+        const wanted = model.quantity === 0 ? openingOrder(model, minimum) : model.lot;
+        if (!wanted || model.cost(model.quantity) - model.cost(model.quantity + wanted) <= 1e-9) return null;
+
+        const limit = spendLimit(model);
+        const units = Math.min(wanted, limit.units);
+        return units >= minimum ? { units } : { units: 0, blockedBy: limit.name };
+    };
+
+    let fundedCount = 0;
+    for (;;) {
+        let best = null;
+
+        models.forEach(model => {
+            if (model.done) return;
+            const lot = nextLot(model);
+            if (!lot || lot.units === 0) {
+                model.done = true;
+                model.blockedBy = lot ? lot.blockedBy : null;
+                return;
+            }
+
+            const saving = model.cost(model.quantity) - model.cost(model.quantity + lot.units);
+            const spend = lot.units * model.unitCost;
+            const ratio = spend > 0 ? saving / spend : Infinity;
+            if (saving > 1e-9 && (!best || ratio > best.ratio)) best = { model, units: lot.units, spend, ratio };
+        });
+
+        if (!best) break;
+
+        const { model, units, spend } = best;
+        model.quantity += units;
+        model.pools.forEach(pool => { pool.allocated += spend; });
+        if (model.rank === null) model.rank = ++fundedCount;
+    }
+
+    const funded = models.filter(model => model.quantity > 0).sort((a, b) => a.rank - b.rank);
+    const poolSummary = pools.map(pool => ({
+        category: pool.category,
+        label: pool.category ? `${pool.category} budget` : 'Overall budget',
+        amount: pool.amount,
+        committed: round(pool.committed),
+        allocated: round(pool.allocated),
+        remaining: round(remaining(pool))
+    }));
+
+    const allocations = funded.map((model, index) => {
+        const { item, policy, quantity } = model;
+        const before = model.breakdown(0);
+        const after = model.breakdown(quantity);
+        const spend = quantity * model.unitCost;
+        const netBenefit = model.cost(0) - model.cost(quantity);
+        const limitedBy = model.blockedBy;
+        const budget = model.pools.map(pool => poolSummary[pools.indexOf(pool)].label).join(' + ') || 'No budget';
+
+        const budgetText = model.pools.length > 0
+            ? model.pools.map(pool => {
+                const summary = poolSummary[pools.indexOf(pool)];
+                return `${summary.label.toLowerCase()} (${money(summary.amount)}, ${money(summary.remaining)} left)`;
+            }).join(' and ')
+            : 'no budget limit';
+        const rationale = [
+            `Budget rank #${index + 1} of ${funded.length}: ${quantity} units for ${money(spend)} from the ${budgetText}.`,
+            `Over the next ${model.periodDays} days (${policy.leadTimeDays} day lead time + ${model.periodDays - policy.leadTimeDays} day horizon) expected demand is ${Math.round(model.mean)} units against an inventory position of ${model.position}.`,
+            `The order cuts expected stockout cost from ${money(before.stockout)} to ${money(after.stockout)} for ${money(after.holding - before.holding + after.ordering)} of holding and ordering cost, saving ${spend > 0 ? `$${(netBenefit / spend).toFixed(2)} per $1 spent` : money(netBenefit)}.`,
+            quantity === model.moq ? `Quantity set by the MOQ of ${model.moq}.` : '',
+            limitedBy ? `More would help but the ${limitedBy} is used up.` : ''
+        ].filter(Boolean).join(' ');
+
+        return {
+            rank: index + 1,
+            sku: item.sku,
+            name: item.name,
+            category: item.category || '',
+            type: policy.status === 'critical' ? 'EMERGENCY_ORDER' : 'RESTOCK',
+            status: policy.status,
+            daysOfCover: policy.daysOfCover,
+            demandTrend: model.forecast.trend.direction,
+            budget,
+            quantity,
+            spend: round(spend),
+            position: model.position,
+            expectedDemand: round(model.mean),
+            periodDays: model.periodDays,
+            expectedStockoutCostBefore: round(before.stockout),
+            expectedStockoutCostAfter: round(after.stockout),
+            holdingCostAdded: round(after.holding - before.holding),
+            netBenefit: round(netBenefit),
+            savingsPerDollar: spend > 0 ? round(netBenefit / spend) : null,
+            limitedBy,
+            rationale
+        };
+    });
+
+    const unfunded = models
+        .filter(model => model.quantity === 0 && model.blockedBy)
+        .map(model => ({
+            sku: model.item.sku,
+            name: model.item.name,
+            category: model.item.category || '',
+            status: model.policy.status,
+            expectedStockoutCost: round(model.breakdown(0).stockout),
+            minimumSpend: round(Math.max(model.moq, 1) * model.unitCost),
+            reason: model.blockedBy === NO_BUDGET
+                ? `No budget covers ${model.item.category ? `the ${model.item.category} category` : 'products without a category'}`
+                : `Not enough left in the ${model.blockedBy} for a minimum order of ${Math.max(model.moq, 1)} units`
+        }))
+        .sort((a, b) => b.expectedStockoutCost - a.expectedStockoutCost);
+
+    const sum = field => round(allocations.reduce((total, allocation) => total + allocation[field], 0));
+    return {
+        budgets: poolSummary,
+        allocations,
+        unfunded,
+        totals: {
+            spend: sum('spend'),
+            expectedStockoutCostBefore: sum('expectedStockoutCostBefore'),
+            expectedStockoutCostAfter: sum('expectedStockoutCostAfter'),
+            holdingCostAdded: sum('holdingCostAdded'),
+            netBenefit: sum('netBenefit')
+        }
+    };
+}
+
+/**
+ * A user's restock budgets, global first
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Array>} RestockBudget documents (lean)
+ */
+async function getRestockBudgets(userId) {
+    return RestockBudget.forTenant(userId).sort({ category: 1 }).lean();
+}
+
+/**
+ * Replace a user's restock budgets
+ * @param {string} userId - Owner user ID
+ * @param {{global: string|number, categories: Array<{category, amount}>}} form - An empty
+ *   global amount means no overall limit; rows without a category or amount are dropped
+ * @returns {Promise<Array>} The saved budgets
+ * @throws 400 error for a negative or non-numeric amount or a repeated category
+ */
+async function saveRestockBudgets(userId, { global, categories = [] }) {
+    const parseAmount = (value, label) => {
+        const amount = Number(value);
+        if (!Number.isFinite(amount) || amount < 0) {
+            throw httpError(`${label}: enter an amount of 0 or more`);
+        }
+        return amount;
+    };
+
+    const budgets = [];
+    if (global !== undefined && String(global).trim() !== '') {
+        budgets.push({ category: '', amount: parseAmount(global, 'Overall budget') });
+    }
+
+    categories
+        .map(row => ({ category: String(row.category || '').trim(), amount: String(row.amount ?? '').trim() }))
+        .filter(row => row.category || row.amount)
+        .forEach(row => {
+            if (!row.category) {
+                throw httpError('Each category budget needs a category');
+            }
+            if (budgets.some(budget => budget.category.toLowerCase() === row.category.toLowerCase())) {
+                throw httpError(`${row.category}: category listed twice`);
+            }
+            budgets.push({ category: row.category, amount: parseAmount(row.amount, `${row.category} budget`) });
+        });
+
+    await RestockBudget.deleteMany(tenantFilter(userId));
+    return budgets.length > 0 ? RestockBudget.insertMany(budgets.map(budget => ({ ...budget, userId }))) : [];
+}
+
+/**
+ * Optimize a user's restock orders against their saved budgets
+ * @param {string} userId - Owner user ID
+ * @param {Array} inventory - The user's Inventory documents
+ * @param {Array} [budgets] - Overrides the saved budgets
+ * @returns {Promise<Object>} As for optimizeRestock
+ */
+async function planRestock(userId, inventory, budgets) {
+    const [saved, approved] = await Promise.all([
+        budgets ? budgets : getRestockBudgets(userId),
+        Action.forTenant(userId, { status: 'APPROVED', type: { $in: ORDER_TYPES } }).lean()
+    ]);
+    return optimizeRestock(inventory, saved, { approved });
+}
+
+module.exports = {
+    expectedOutcome,
+    optimizeRestock,
+    getRestockBudgets,
+    saveRestockBudgets,
+    planRestock
+};
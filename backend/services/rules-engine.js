@@ -0,0 +1,235 @@
+/**
+ * Rules Engine
+ * Parses and evaluates the expressions in issue rules, e.g.
+ * `daysOfCover > 45 and value > 1000` or `onHand < 5 or orderValue > budgetCap`.
+ *
+ * Expressions support numbers, the variables in RULE_VARIABLES, arithmetic
+ * (+ - * /), comparisons (< <= > >= == !=), `and`/`or`/`not` (or && || !) and
+ * parentheses. They are parsed into a small syntax tree and never run as code.
+ */
+
+const { forecastDemand } = require('./forecasting');
+const { reorderPolicy } = require('./reorder-policy');
+const { stockTotals } = require('./stock-service');
+const { httpError } = require('./http-error');
+
+// Variables available to expressions, with what they mean
+const RULE_VARIABLES = {
+    onHand: 'Units on hand across all warehouses',
+    available: 'On hand less units reserved for transfers',
+    inbound: 'Units on the way',
+    reserved: 'Units reserved for outgoing transfers',
+    velocity: 'Forecast units sold per day',
+    daysOfCover: 'Days the stock on hand lasts at the forecast velocity (999 with no demand)',
+    demandVariance: 'Variance of recorded daily demand',
+    trendPercent: 'Change in demand across the recorded history, in percent',
+    unitCost: 'Cost of one unit',
+    value: 'On hand × unit cost',
+    moq: 'Minimum order quantity',
+    orderValue: 'MOQ × unit cost',
+    budgetCap: 'Budget cap for the product',
+    leadTimeDays: 'Supplier lead time in days',
+    holdingCost: 'Holding cost per unit per day',
+    safetyStock: 'Safety stock from the reorder policy',
+    reorderPoint: 'Reorder point from the reorder policy'
+};
+
+const KEYWORDS = { and: '&&', or: '||', not: '!', true: 'true', false: 'false' };
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_]\w*)|(<=|>=|==|!=|&&|\|\||[<>!+\-*/()]))/y;
+
+/**
+ * Split an expression into tokens
+ * @param {string} text - Expression text
+ * @returns {Array<{type: 'number'|'name'|'op', value: string|number, position: number}>}
+ */
+function tokenize(text) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while (TOKEN_PATTERN.lastIndex < text.length) {
+        const position = TOKEN_PATTERN.lastIndex;
+        if (/^\s*$/.test(text.slice(position))) break;
+
+        const match = TOKEN_PATTERN.exec(text);
+        if (!match) {
+            throw httpError(`Unexpected '${text.slice(position).trim()[0]}' at position ${position + 1}`);
+        }
+
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: Number(match[1]), position });
+        } else if (match[2] !== undefined) {
+            const word = match[2].toLowerCase();
+            const keyword = Object.hasOwn(KEYWORDS, word) ? KEYWORDS[word] : null;
+            tokens.push(keyword ? { type: 'op', value: keyword, position } : { type: 'name', value: match[2], position });
+        } else {
+            tokens.push({ type: 'op', value: match[3], position });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse an expression into a syntax tree, rejecting unknown variables
+ * @param {string} text - Expression text
+ * @returns {Object} Syntax tree
+ * @throws 400 error describing the first problem found
+ */
+function parseExpression(text) {
+    const tokens = tokenize(String(text || ''));
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const accept = (...ops) => {
+        const token = peek();
+        if (token && token.type === 'op' && ops.includes(token.value)) {
+            index++;
+            return token.value;
+        }
+        return null;
+    };
+    const fail = message => {
+        throw httpError(peek() ? `${message} at position ${peek().position + 1}` : `${message} at end of expression`);
+    };
+
+    const binary = (next, ops) => () => {
+        let node = next();
+        let op;
+        while ((op = accept(...ops))) {
+            node = { op, left: node, right: next() };
+        }
+        return node;
+    };
+
+    function primary() {
+        const token = peek();
+        if (!token) fail('Expected a value');
+
+        if (token.type === 'number') {
+            index++;
+            return { value: token.value };
+        }
+        if (token.type === 'name') {
+            if (!Object.prototype.hasOwnProperty.call(RULE_VARIABLES, token.value)) {
+                fail(`Unknown variable '${token.value}'`);
+            }
+            index++;
+            return { variable: token.value };
+        }
+        if (accept('true', 'false')) {
+            return { value: tokens[index - 1].value === 'true' };
+        }
+        if (accept('(')) {
+            const node = or();
+            if (!accept(')')) fail("Expected ')'");
+            return node;
+        }
+        return fail(`Unexpected '${token.value}'`);
+    }
+
+    function unary() {
+        if (accept('-')) return { op: 'neg', operand: unary() };
+        return primary();
+    }
+
+    const product = binary(unary, ['*', '/']);
+    const sum = binary(product, ['+', '-']);
+
+    function comparison() {
+        const left = sum();
+        const op = accept('<', '<=', '>', '>=', '==', '!=');
+        return op ? { op, left, right: sum() } : left;
+    }
+
+    function not() {
+        if (accept('!')) return { op: '!', operand: not() };
+        return comparison();
+    }
+
+    const and = binary(not, ['&&']);
+    const or = binary(and, ['||']);
+
+    if (tokens.length === 0) {
+        throw httpError('Expression is empty');
+    }
+    const tree = or();
+    if (index < tokens.length) fail(`Unexpected '${peek().value}'`);
+    return tree;
+}
+
+/**
+ * Evaluate a syntax tree against a set of variables
+ * @param {Object} node - From parseExpression
+ * @param {Object<string, number>} variables - Values for RULE_VARIABLES
+ * @returns {number|boolean}
+ */
+function evaluate(node, variables) {
+    if ('value' in node) return node.value;
+    if ('variable' in node) return variables[node.variable] ?? 0;
+
+    if (node.op === 'neg') return -evaluate(node.operand, variables);
+    if (node.op === '!') return !evaluate(node.operand, variables);
+    if (node.op === '&&') return Boolean(evaluate(node.left, variables) && evaluate(node.right, variables));
+    if (node.op === '||') return Boolean(evaluate(node.left, variables) || evaluate(node.right, variables));
+
+    const left = evaluate(node.left, variables);
+    const right = evaluate(node.right, variables);
+    switch (node.op) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return right === 0 ? 0 : left / right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '==': return left === right;
+        case '!=': return left !== right;
+        default: throw new Error(`Unknown operator '${node.op}'`);
+    }
+}
+
+/**
+ * Values of the rule variables for an inventory item
+ * @param {Object} item - Inventory document
+ * @returns {Object<string, number>}
+ */
+function ruleVariables(item) {
+    const forecast = forecastDemand(item);
+    const policy = reorderPolicy(item, forecast);
+    const totals = stockTotals(item);
+
+    const demands = item.demandHistory?.map(d => d.unitsSold) || [];
+    const average = demands.length > 0 ? demands.reduce((a, b) => a + b, 0) / demands.length : 0;
+    const demandVariance = demands.length > 0
+        ? demands.reduce((sum, value) => sum + (value - average) ** 2, 0) / demands.length
+        : 0;
+
+    const unitCost = item.unitCost || 0;
+    return {
+        onHand: totals.onHand,
+        available: totals.available,
+        inbound: totals.inbound,
+        reserved: totals.reserved,
+        velocity: forecast.dailyDemand,
+        daysOfCover: policy.daysOfCover,
+        demandVariance,
+        trendPercent: forecast.trend.changePercent,
+        unitCost,
+        value: totals.onHand * unitCost,
+        moq: item.moq || 0,
+        orderValue: (item.moq || 0) * unitCost,
+        budgetCap: item.budgetCap || 0,
+        leadTimeDays: item.leadTimeDays || 0,
+        holdingCost: parseFloat(item.holdingCostPerUnit) || 0,
+        safetyStock: policy.safetyStock,
+        reorderPoint: policy.reorderPoint
+    };
+}
+
+module.exports = {
+    RULE_VARIABLES,
+    parseExpression,
+    evaluate,
+    ruleVariables
+};
@@ -0,0 +1,331 @@
+/**
+ * Job Scheduler
+ * Runs registered background jobs in-process on cron-style schedules. Each
+ * job runs once per user, and the outcome of every run is stored in JobState
+ * so the admin jobs page can show when jobs last ran and what went wrong.
+ * A job runs once at a time; a run whose process died is taken over after
+ * STALE_RUN_MS.
+ */
+
+const JobState = require('../models/JobState');
+const User = require('../models/user');
+const { httpError } = require('./http-error');
+
+const MINUTE_MS = 60 * 1000;
+// A run still marked running after this long died with its process
+const STALE_RUN_MS = 2 * 60 * MINUTE_MS;
+
+// [name, min, max] for the five cron fields, in order
+const CRON_FIELDS = [
+    ['minute', 0, 59],
+    ['hour', 0, 23],
+    ['dayOfMonth', 1, 31],
+    ['month', 1, 12],
+    ['dayOfWeek', 0, 7]
+];
+
+const jobs = new Map();
+let timer = null;
+
+/**
+ * Parse one cron field ("*", "5", "1-5", "*\/15", "0,30", "10-40/10")
+ * @param {string} field - Field text
+ * @param {number} min - Lowest allowed value
+ * @param {number} max - Highest allowed value
+ * @returns {Set<number>}
+ */
+function parseCronField(field, min, max) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        let start;
+        let end;
+
+        if (range === '*') {
+            [start, end] = [min, max];
+        } else if (range.includes('-')) {
+            [start, end] = range.split('-').map(Number);
+        } else {
+            start = Number(range);
+            end = stepText === undefined ? start : max;
+        }
+
+        if (![start, end, step].every(Number.isInteger) || step < 1 || start < min || end > max || start > end) {
+            throw new Error(`Invalid cron field '${field}'`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month day-of-week)
+ * @param {string} expression - e.g. "*\/15 * * * *"
+ * @returns {Object} Allowed values per field
+ */
+function parseCron(expression) {
+    const fields = String(expression).trim().split(/\s+/);
+    if (fields.length !== CRON_FIELDS.length) {
+        throw new Error(`Cron expression '${expression}' must have 5 fields`);
+    }
+
+    const schedule = {};
+    CRON_FIELDS.forEach(([name, min, max], i) => {
+        schedule[name] = parseCronField(fields[i], min, max);
+    });
+    // Sunday may be written as 0 or 7
+    if (schedule.dayOfWeek.has(7)) schedule.dayOfWeek.add(0);
+
+    schedule.anyDayOfMonth = fields[2] === '*';
+    schedule.anyDayOfWeek = fields[4] === '*';
+    return schedule;
+}
+
+/**
+ * Whether a parsed schedule fires at the given minute (server local time)
+ * @param {Object} schedule - From parseCron
+ * @param {Date} date - Moment to test
+ * @returns {boolean}
+ */
+function cronMatches(schedule, date) {
+    if (!schedule.minute.has(date.getMinutes()) || !schedule.hour.has(date.getHours()) || !schedule.month.has(date.getMonth() + 1)) {
+        return false;
+    }
+
+    // As in cron, when both day fields are restricted either one may match
+    const dayOfMonth = schedule.dayOfMonth.has(date.getDate());
+    const dayOfWeek = schedule.dayOfWeek.has(date.getDay());
+    if (schedule.anyDayOfMonth) return dayOfWeek;
+    if (schedule.anyDayOfWeek) return dayOfMonth;
+    return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Register a job
+ * @param {{name: string, description?: string, cron: string, enabled?: boolean, run: function(string): Promise<Object>}} job
+ *   run is called with each user ID and returns a result to store
+ */
+function registerJob(job) {
+    jobs.set(job.name, {
+        description: '',
+        enabled: true,
+        ...job,
+        schedule: parseCron(job.cron)
+    });
+}
+
+/**
+ * Registered jobs, for display
+ * @returns {Array<{name, description, cron, enabled}>}
+ */
+function listJobs() {
+    return [...jobs.values()].map(({ name, description, cron, enabled }) => ({ name, description, cron, enabled }));
+}
+
+/**
+ * Record the outcome of one run in JobState
+ * @param {string} name - Job name
+ * @param {string|null} userId - User the run was for, or null for the whole run
+ * @param {Object} outcome - { startedAt, durationMs, error, result, trigger }
+ */
+async function saveRunState(name, userId, { startedAt, durationMs, error, result, trigger }) {
+    await JobState.updateOne(
+        { job: name, userId },
+        {
+            $set: {
+                running: false,
+                lastRunAt: startedAt,
+                lastDurationMs: durationMs,
+                lastStatus: error ? 'error' : 'success',
+                lastTrigger: trigger,
+                lastError: error ? error.message : '',
+                lastResult: result
+            },
+            $inc: { runCount: 1, errorCount: error ? 1 : 0 }
+        },
+        { upsert: true }
+    );
+}
+
+/**
+ * Whether a job's run is in progress. A run that started more than
+ * STALE_RUN_MS ago is not: its process stopped before recording the outcome.
+ * @param {Object|null} state - The job's summary JobState
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+function isRunning(state, now = new Date()) {
+    return Boolean(state?.running) && state.runningSince > now - STALE_RUN_MS;
+}
+
+/**
+ * Mark a job as running unless a live run already is. Runs marked before
+ * runningSince was recorded count as stale.
+ * @param {string} name - Job name
+ * @param {Date} startedAt - Start of this run
+ * @returns {Promise<boolean>}
+ */
+async function claimRun(name, startedAt) {
+    try {
+        const claimed = await JobState.findOneAndUpdate(
+            {
+                job: name,
+                userId: null,
+                $or: [{ running: { $ne: true } }, { runningSince: { $not: { $gt: new Date(startedAt - STALE_RUN_MS) } } }]
+            },
+            { $set: { running: true, runningSince: startedAt } },
+            { upsert: true, new: true }
+        );
+        return Boolean(claimed);
+    } catch (error) {
+        if (error.code === 11000) return false;
+        throw error;
+    }
+}
+
+/**
+ * Run a job now for every user (or one user). Users run one after another;
+ * a failure for one user is recorded and does not stop the others.
+ * @param {string} name - Job name
+ * @param {{trigger?: 'schedule'|'manual', userId?: string}} options
+ * @returns {Promise<{users: number, failed: number, durationMs: number}>}
+ * @throws 409 error while another run of the job is in progress
+ */
+async function runJob(name, { trigger = 'manual', userId } = {}) {
+    const job = jobs.get(name);
+    if (!job) {
+        throw new Error(`Unknown job '${name}'`);
+    }
+
+    const startedAt = new Date();
+    if (!await claimRun(name, startedAt)) {
+        throw httpError(`Job '${name}' is already running`, 409);
+    }
+
+    let userIds = [];
+    let failed = 0;
+    let error = null;
+
+    try {
+        // Data belongs to organizations; users not yet in one own their data themselves
+        userIds = userId ? [userId] : [...new Set(
+            (await User.find({}, { organizationId: 1 }).lean()).map(user => String(user.organizationId || user._id))
+        )];
+
+        for (const id of userIds) {
+            const userStartedAt = new Date();
+            let result;
+            let userError = null;
+
+            try {
+                result = await job.run(id);
+            } catch (err) {
+                userError = err;
+                failed++;
+                console.error(`Job ${name} failed for user ${id}:`, err);
+            }
+
+            await saveRunState(name, id, {
+                startedAt: userStartedAt,
+                durationMs: Date.now() - userStartedAt,
+                error: userError,
+                result,
+                trigger
+            });
+        }
+
+        if (failed > 0) {
+            error = new Error(`${failed} of ${userIds.length} user run(s) failed`);
+        }
+    } catch (err) {
+        error = err;
+        console.error(`Job ${name} failed:`, err);
+    }
+
+    const summary = { users: userIds.length, failed, durationMs: Date.now() - startedAt };
+    await saveRunState(name, null, { startedAt, durationMs: summary.durationMs, error, result: summary, trigger });
+    return summary;
+}
+
+/**
+ * Claim a scheduled minute for a job. The unique {job, userId} index makes
+ * the upsert fail when another process has already claimed that minute.
+ * @param {string} name - Job name
+ * @param {Date} minute - Start of the scheduled minute
+ * @returns {Promise<boolean>}
+ */
+async function claimScheduledRun(name, minute) {
+    try {
+        const claimed = await JobState.findOneAndUpdate(
+            { job: name, userId: null, scheduledFor: { $ne: minute } },
+            { $set: { scheduledFor: minute } },
+            { upsert: true, new: true }
+        );
+        return Boolean(claimed);
+    } catch (error) {
+        if (error.code === 11000) return false;
+        throw error;
+    }
+}
+
+/**
+ * Run every enabled job whose schedule matches this minute
+ * @param {Date} now - Current time
+ */
+async function tick(now = new Date()) {
+    const minute = new Date(Math.floor(now.getTime() / MINUTE_MS) * MINUTE_MS);
+
+    for (const job of jobs.values()) {
+        if (!job.enabled || !cronMatches(job.schedule, minute)) continue;
+
+        try {
+            if (await claimScheduledRun(job.name, minute)) {
+                await runJob(job.name, { trigger: 'schedule' });
+            }
+        } catch (error) {
+            console.error(`Scheduled run of ${job.name} failed:`, error);
+        }
+    }
+}
+
+/**
+ * Start checking schedules at the top of every minute
+ */
+function startScheduler() {
+    if (timer) return;
+
+    const schedule = () => {
+        timer = setTimeout(async () => {
+            await tick();
+            schedule();
+        }, MINUTE_MS - (Date.now() % MINUTE_MS));
+        timer.unref();
+    };
+    schedule();
+    console.log(`⏱️  Scheduler started with ${jobs.size} job(s)`);
+}
+
+/**
+ * Stop the scheduler; a run already in progress finishes
+ */
+function stopScheduler() {
+    clearTimeout(timer);
+    timer = null;
+}
+
+module.exports = {
+    parseCron,
+    cronMatches,
+    registerJob,
+    listJobs,
+    isRunning,
+    runJob,
+    tick,
+    startScheduler,
+    stopScheduler
+};
@@ -0,0 +1,72 @@
+/**
+ * Service Tokens
+ * Short-lived signed tokens the backend hands to the Mastra agents with each
+ * request, so their tools can call back into the API for one organization
+ * without a browser session. A token names the organization and a role: the
+ * role of the member the agent is working for, capped at planner, so an agent
+ * can never approve or spend more than the person who asked it.
+ *
+ * Tokens are JWTs signed with JWT_SECRET and sent as `Authorization: Bearer`.
+ */
+
+const jwt = require('jsonwebtoken');
+const { ROLES } = require('./access-control');
+const { httpError } = require('./http-error');
+
+const AUDIENCE = 'inventree-api';
+const ISSUER = 'inventree-backend';
+const AGENT_ROLE_CAP = 'planner';
+const DEFAULT_TTL_SECONDS = 15 * 60;
+
+function secret() {
+    const value = process.env.JWT_SECRET;
+    if (!value || /^your_/i.test(value)) {
+        throw new Error('JWT_SECRET must be set to issue or verify service tokens');
+    }
+    return value;
+}
+
+/**
+ * Sign a token for agent calls made on an organization's behalf
+ * @param {string} organizationId - Organization the agent works for
+ * @param {string} role - Role of the member who started the agent run
+ * @param {{ttlSeconds?: number}} options
+ * @returns {string} Signed token
+ */
+function issueServiceToken(organizationId, role, { ttlSeconds = DEFAULT_TTL_SECONDS } = {}) {
+    const capped = ROLES[Math.min(ROLES.indexOf(role), ROLES.indexOf(AGENT_ROLE_CAP))] || 'viewer';
+
+    return jwt.sign({ role: capped }, secret(), {
+        subject: String(organizationId),
+        audience: AUDIENCE,
+        issuer: ISSUER,
+        expiresIn: ttlSeconds
+    });
+}
+
+/**
+ * Check a service token
+ * @param {string} token - Bearer token
+ * @returns {{organizationId: string, role: string}}
+ * @throws 401 when the token is missing, expired, forged or malformed
+ */
+function verifyServiceToken(token) {
+    const key = secret();
+
+    let payload;
+    try {
+        payload = jwt.verify(token, key, { audience: AUDIENCE, issuer: ISSUER });
+    } catch (error) {
+        throw httpError(error.name === 'TokenExpiredError' ? 'Service token expired' : 'Invalid service token', 401);
+    }
+
+    if (!payload.sub || !ROLES.includes(payload.role)) {
+        throw httpError('Invalid service token', 401);
+    }
+    return { organizationId: payload.sub, role: payload.role };
+}
+
+module.exports = {
+    issueServiceToken,
+    verifyServiceToken
+};
@@ -0,0 +1,273 @@
+/**
+ * Shipping Rates
+ * Quotes for moving a shipment between two warehouses. A rate provider is an
+ * object with a `name` and `quote({ from, to, weightLbs })` that resolves to a
+ * quote or null when it cannot price the lane:
+ *
+ *   { amount, currency, carrier, service, deliveryDays, distanceMiles, source }
+ *
+ * Providers:
+ *   - shipEngineProvider: cheapest carrier rate from the ShipEngine API (ZIP to ZIP)
+ *   - distanceEstimator: base rate plus $/mile over the great-circle distance
+ *     between warehouse coordinates, scaled by weight tier; never needs the network
+ *
+ * SHIPPING_RATE_PROVIDER picks 'shipengine' (falling back to the estimator for
+ * lanes it cannot price) or 'estimate'; by default ShipEngine is used when an
+ * API key is configured. Quotes are cached per lane and shipment weight for
+ * SHIPPING_RATE_CACHE_TTL_SECONDS.
+ */
+
+const https = require('https');
+const { distanceMiles } = require('./warehouse-service');
+
+const DEFAULT_WEIGHT_LBS = 5;
+const DEFAULT_ORIGIN_ZIP = '10001';
+
+// Estimator multipliers by shipment weight; the last tier has no upper bound
+const WEIGHT_TIERS = [
+    { maxLbs: 10, multiplier: 1 },
+    { maxLbs: 50, multiplier: 1.5 },
+    { maxLbs: 150, multiplier: 2.5 },
+    { maxLbs: 500, multiplier: 4 },
+    { maxLbs: Infinity, multiplier: 6 }
+];
+
+const round = value => Math.round(value * 100) / 100;
+
+// A numeric setting, or the default when it is unset or not a number
+const numberSetting = (value, fallback) =>
+    value === undefined || value === '' || !Number.isFinite(Number(value)) ? fallback : Number(value);
+
+/**
+ * Weight tier for a shipment
+ * @param {number} weightLbs - Shipment weight
+ * @returns {{maxLbs: number, multiplier: number}}
+ */
+function weightTier(weightLbs) {
+    return WEIGHT_TIERS.find(tier => weightLbs <= tier.maxLbs);
+}
+
+/**
+ * ShipEngine adapter: the cheapest rate across the account's carriers
+ * @param {{apiKey: string, timeoutMs?: number}} options
+ * @returns {Object} Rate provider
+ */
+function shipEngineProvider({ apiKey, timeoutMs = 5000 }) {
+    return {
+        name: 'shipengine',
+        quote({ from, to, weightLbs = DEFAULT_WEIGHT_LBS }) {
+            if (!to?.zip) return Promise.resolve(null);
+
+            return new Promise((resolve) => {
+                const data = JSON.stringify({
+                    rate_options: {
+                        carrier_ids: []
+                    },
+                    shipment: {
+                        ship_to: { postal_code: to.zip, country_code: "US" },
+                        ship_from: { postal_code: from?.zip || DEFAULT_ORIGIN_ZIP, country_code: "US" },
+                        packages: [{
+                            weight: { value: weightLbs, unit: "pound" }
+                        }]
+                    }
+                });
+
+                const req = https.request({
+                    hostname: 'api.shipengine.com',
+                    path: '/v1/rates',
+                    method: 'POST',
+                    headers: {
+                        'API-Key': apiKey,
+                        'Content-Type': 'application/json',
+                        'Content-Length': Buffer.byteLength(data)
+                    }
+                }, (res) => {
+                    let body = '';
+                    res.on('data', (chunk) => { body += chunk; });
+                    res.on('end', () => {
+                        try {
+                            const rates = JSON.parse(body).rate_response?.rates || [];
+                            if (rates.length === 0) return resolve(null);
+
+                            const cheapest = rates.reduce((min, rate) =>
+                                rate.shipping_amount.amount < min.shipping_amount.amount ? rate : min
+                            );
+                            resolve({
+                                amount: cheapest.shipping_amount.amount,
+                                currency: (cheapest.shipping_amount.currency || 'usd').toUpperCase(),
+                                carrier: cheapest.carrier_friendly_name || cheapest.carrier_code || 'ShipEngine',
+                                service: cheapest.service_type || cheapest.service_code || null,
+                                deliveryDays: cheapest.delivery_days ?? null,
+                                distanceMiles: distanceMiles(from, to) === null ? null : round(distanceMiles(from, to)),
+                                source: 'shipengine'
+                            });
+                        } catch (error) {
+                            console.error('ShipEngine API parse error:', error);
+                            resolve(null);
+                        }
+                    });
+                });
+
+                req.on('error', (error) => {
+                    console.error('ShipEngine API error:', error.message);
+                    resolve(null);
+                });
+                req.setTimeout(timeoutMs, () => {
+                    req.destroy();
+                    resolve(null);
+                });
+
+                req.write(data);
+                req.end();
+            });
+        }
+    };
+}
+
+/**
+ * Local estimate from the distance between warehouse coordinates:
+ * (baseRate + perMile × miles) × weight tier multiplier. Lanes without
+ * coordinates cost flatRate × multiplier.
+ * @param {{baseRate?: number, perMile?: number, flatRate?: number}} options
+ * @returns {Object} Rate provider
+ */
+function distanceEstimator({ baseRate = 25, perMile = 0.05, flatRate = 50 } = {}) {
+    return {
+        name: 'estimate',
+        async quote({ from, to, weightLbs = DEFAULT_WEIGHT_LBS }) {
+            const miles = distanceMiles(from, to);
+            const { multiplier } = weightTier(weightLbs);
+
+            return {
+                amount: round((miles === null ? flatRate : baseRate + miles * perMile) * multiplier),
+                currency: 'USD',
+                carrier: 'Estimate',
+                service: miles === null ? 'flat rate' : 'distance rate',
+                deliveryDays: miles === null ? null : 1 + Math.ceil(miles / 500),
+                distanceMiles: miles === null ? null : round(miles),
+                source: 'estimated'
+            };
+        }
+    };
+}
+
+/**
+ * Try providers in order until one prices the lane
+ * @param {Array<Object>} providers - Rate providers
+ * @returns {Object} Rate provider
+ */
+function fallbackProvider(providers) {
+    return {
+        name: providers.map(provider => provider.name).join('+'),
+        async quote(request) {
+            for (const provider of providers) {
+                const quote = await provider.quote(request);
+                if (quote) return quote;
+            }
+            return null;
+        }
+    };
+}
+
+/**
+ * Cache a provider's quotes per lane and shipment weight. Expired quotes are
+ * dropped whenever a new one is fetched.
+ * @param {Object} provider - Rate provider
+ * @param {{ttlMs: number, now?: function(): number}} options - now is injectable for tests
+ * @returns {Object} Rate provider with `clear()` and `size()`
+ */
+function cachedProvider(provider, { ttlMs, now = Date.now }) {
+    const cache = new Map();
+    const place = wh => wh ? `${wh.zip || ''}@${wh.lat ?? ''},${wh.lng ?? ''}` : '';
+    const evictExpired = () => {
+        const time = now();
+        cache.forEach((entry, key) => {
+            if (entry.expiresAt <= time) cache.delete(key);
+        });
+    };
+
+    return {
+        name: provider.name,
+        async quote(request) {
+            const weightLbs = request.weightLbs ?? DEFAULT_WEIGHT_LBS;
+            // Carrier rates vary within a tier, so only the same weight shares a quote
+            const key = `${place(request.from)}>${place(request.to)}#${round(weightLbs)}`;
+            const hit = cache.get(key);
+            if (hit && hit.expiresAt > now()) return hit.quote;
+
+            evictExpired();
+            const quote = await provider.quote({ ...request, weightLbs });
+            if (quote) {
+                cache.set(key, { quote, expiresAt: now() + ttlMs });
+            } else {
+                cache.delete(key);
+            }
+            return quote;
+        },
+        clear: () => cache.clear(),
+        size: () => cache.size
+    };
+}
+
+/**
+ * Build the configured provider
+ * @param {Object} env - Environment variables (process.env)
+ * @returns {Object} Cached rate provider that always prices a lane
+ */
+function createRateProvider(env = process.env) {
+    const apiKey = env.SHIPENGINE_API_KEY;
+    const hasApiKey = Boolean(apiKey) && !/^your_/i.test(apiKey);
+    const choice = (env.SHIPPING_RATE_PROVIDER || (hasApiKey ? 'shipengine' : 'estimate')).toLowerCase();
+
+    const estimator = distanceEstimator({
+        baseRate: numberSetting(env.SHIPPING_BASE_RATE, 25),
+        perMile: numberSetting(env.SHIPPING_RATE_PER_MILE, 0.05)
+    });
+
+    let provider = estimator;
+    if (choice === 'shipengine') {
+        if (hasApiKey) {
+            provider = fallbackProvider([shipEngineProvider({ apiKey }), estimator]);
+        } else {
+            console.error('SHIPPING_RATE_PROVIDER is shipengine but SHIPENGINE_API_KEY is not set; using estimates');
+        }
+    } else if (choice !== 'estimate') {
+        console.error(`Unknown SHIPPING_RATE_PROVIDER '${choice}'; using estimates`);
+    }
+
+    return cachedProvider(provider, { ttlMs: numberSetting(env.SHIPPING_RATE_CACHE_TTL_SECONDS, 3600) * 1000 });
+}
+
+let defaultProvider = null;
+
+/**
+ * The app-wide provider, built from the environment on first use
+ * @returns {Object} Rate provider
+ */
+function getRateProvider() {
+    if (!defaultProvider) defaultProvider = createRateProvider();
+    return defaultProvider;
+}
+
+/**
+ * Quote a shipment between two warehouses with the configured provider
+ * @param {Object} from - Origin warehouse (zip, lat, lng)
+ * @param {Object} to - Destination warehouse
+ * @param {{weightLbs?: number, provider?: Object}} options
+ * @returns {Promise<Object>} Quote (see the top of this file)
+ */
+async function quoteShipment(from, to, { weightLbs = DEFAULT_WEIGHT_LBS, provider = getRateProvider() } = {}) {
+    return provider.quote({ from, to, weightLbs });
+}
+
+module.exports = {
+    WEIGHT_TIERS,
+    weightTier,
+    shipEngineProvider,
+    distanceEstimator,
+    fallbackProvider,
+    cachedProvider,
+    createRateProvider,
+    getRateProvider,
+    quoteShipment
+};
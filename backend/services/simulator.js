@@ -0,0 +1,353 @@
+/**
+ * What-if Simulator
+ * Projects each SKU's stock day by day over the next N days so a batch of
+ * pending actions can be compared with doing nothing. Stock starts from what is
+ * on hand, open purchase orders land on their expected date, and demand follows
+ * the item's forecast. In Monte Carlo mode daily demand is drawn from a normal
+ * distribution around the forecast with the standard deviation of recorded
+ * demand, and results are averaged over many runs with p10/p90 bands.
+ *
+ * Approved actions change the projection as the executor would apply them:
+ * orders (RESTOCK, ORDER, EMERGENCY_ORDER) arrive after the lead time (half for
+ * emergencies) and spend budget, REDUCE_STOCK removes units today, and moves
+ * between warehouses (TRANSFER, OFFER_TRUCK, OPTIMIZE) leave the SKU total as it
+ * is. NETWORK_REQUEST is left out as it depends on another user fulfilling it.
+ */
+
+const Inventory = require('../models/inventory');
+const Action = require('../models/Action');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { forecastDemand, demandSeries } = require('./forecasting');
+const { demandStdDev } = require('./reorder-policy');
+const { stockTotals } = require('./stock-service');
+const { httpError } = require('./http-error');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SIMULATION_MODES = ['deterministic', 'monte-carlo'];
+const MAX_DAYS = 180;
+const MAX_RUNS = 1000;
+
+const ORDER_TYPES = ['RESTOCK', 'ORDER', 'EMERGENCY_ORDER'];
+
+const round = value => Math.round(value * 100) / 100;
+const mean = values => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+
+/**
+ * Seeded pseudo-random generator (mulberry32) so a simulation can be repeated
+ * @param {number} seed - 32-bit seed
+ * @returns {function(): number} Uniform values in [0, 1)
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ * @param {function(): number} random - Uniform generator
+ * @returns {number}
+ */
+function normalSample(random) {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Value at a percentile of a list of numbers
+ * @param {number[]} values - Samples
+ * @param {number} p - Percentile between 0 and 1
+ * @returns {number}
+ */
+function percentile(values, p) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+// Day of the horizon a date falls on; overdue and same-day arrivals land on day 1
+function dayOffset(date, now) {
+    return Math.max(1, Math.ceil((new Date(date) - now) / DAY_MS));
+}
+
+/**
+ * Starting point of the simulation for each SKU: stock on hand, scheduled
+ * receipts and forecast demand. Inbound units not covered by an open purchase
+ * order (transfers in transit) are expected after the item's lead time.
+ * @param {Array} inventory - Inventory documents
+ * @param {Array} orders - Open (sent or partially received) PurchaseOrder documents
+ * @param {{days: number, now?: Date}} options
+ * @returns {Array<Object>} One plan per SKU
+ */
+function buildPlans(inventory, orders, { days, now = new Date() }) {
+    return inventory.map(item => {
+        const totals = stockTotals(item);
+        const leadTimeDays = Math.max(1, item.leadTimeDays || 1);
+        const forecast = forecastDemand(item, { horizonDays: days });
+        const receipts = Array(days + 1).fill(0);
+        let scheduled = 0;
+        let committedSpend = 0;
+
+        orders.forEach(order => {
+            order.lines.filter(line => line.sku === item.sku).forEach(line => {
+                const open = line.quantity - line.receivedQuantity;
+                if (open <= 0) return;
+
+                const day = order.expectedDate ? dayOffset(order.expectedDate, now) : leadTimeDays;
+                if (day <= days) receipts[day] += open;
+                scheduled += open;
+                committedSpend += open * (line.unitCost || 0);
+            });
+        });
+
+        const unscheduled = Math.max(0, totals.inbound - scheduled);
+        if (unscheduled > 0 && leadTimeDays <= days) receipts[leadTimeDays] += unscheduled;
+
+        const sigma = demandStdDev(demandSeries(item)) || 0;
+        return {
+            sku: item.sku,
+            name: item.name,
+            onHand: totals.onHand,
+            available: totals.available,
+            unitCost: item.unitCost || 0,
+            moq: item.moq || 0,
+            budgetCap: item.budgetCap || 0,
+            holdingCost: parseFloat(item.holdingCostPerUnit) || 0,
+            stockoutCost: parseFloat(item.stockoutCostPerUnit) || 0,
+            leadTimeDays,
+            demand: forecast.daily,
+            demandStdDev: sigma * forecast.seasonalityMultiplier,
+            receipts,
+            removed: 0,
+            committedSpend,
+            spend: 0
+        };
+    });
+}
+
+/**
+ * Apply approved actions to copies of the plans
+ * @param {Array} plans - From buildPlans
+ * @param {Array} actions - Action documents treated as approved
+ * @param {number} days - Horizon
+ * @returns {Array} New plans
+ */
+function applyActions(plans, actions, days) {
+    const applied = plans.map(plan => ({ ...plan, receipts: [...plan.receipts] }));
+    const bySku = new Map(applied.map(plan => [plan.sku, plan]));
+
+    actions.forEach(action => {
+        const plan = bySku.get(action.productSku);
+        if (!plan) return;
+
+        if (ORDER_TYPES.includes(action.type)) {
+            const quantity = Math.max(action.suggestedQuantity, plan.moq);
+            const day = action.type === 'EMERGENCY_ORDER' ? Math.max(1, Math.ceil(plan.leadTimeDays / 2)) : plan.leadTimeDays;
+            if (day <= days) plan.receipts[day] += quantity;
+            plan.spend += quantity * plan.unitCost;
+        } else if (action.type === 'REDUCE_STOCK') {
+            plan.removed = Math.min(plan.removed + action.suggestedQuantity, plan.available);
+        }
+    });
+
+    return applied;
+}
+
+/**
+ * Run the plans through the horizon once
+ * @param {Array} plans - From applyActions
+ * @param {number} days - Horizon
+ * @param {function(Object, number): number} demandFor - Demand for a plan on a day (0-based)
+ * @returns {{daily: Array, items: Array}}
+ */
+function runOnce(plans, days, demandFor) {
+    const daily = Array.from({ length: days }, (_, d) => ({ day: d + 1, onHand: 0, value: 0, stockoutSkus: 0 }));
+
+    const items = plans.map(plan => {
+        let stock = plan.onHand - plan.removed;
+        const result = { sku: plan.sku, stockoutDays: 0, firstStockoutDay: null, lostUnits: 0, holdingCost: 0 };
+
+        for (let d = 0; d < days; d++) {
+            stock += plan.receipts[d + 1];
+            const demand = demandFor(plan, d);
+            const sold = Math.min(stock, demand);
+            stock -= sold;
+
+            if (demand - sold > 1e-9) {
+                result.stockoutDays++;
+                result.lostUnits += demand - sold;
+                if (result.firstStockoutDay === null) result.firstStockoutDay = d + 1;
+                daily[d].stockoutSkus++;
+            }
+            result.holdingCost += stock * plan.holdingCost;
+            daily[d].onHand += stock;
+            daily[d].value += stock * plan.unitCost;
+        }
+
+        result.endingOnHand = stock;
+        return result;
+    });
+
+    return { daily, items };
+}
+
+/**
+ * Simulate one scenario
+ * @param {Array} plans - From applyActions
+ * @param {{days: number, mode: string, runs: number, seed: number}} options
+ * @returns {Object} Daily projection, totals and per-SKU results. In Monte Carlo
+ *   mode figures are means across runs, with p10/p90 bands on the daily series
+ *   and the share of runs in which each SKU stocks out.
+ */
+function simulateScenario(plans, { days, mode, runs, seed }) {
+    const random = seededRandom(seed);
+    const demandFor = mode === 'monte-carlo'
+        ? (plan, d) => Math.max(0, plan.demand[d] + plan.demandStdDev * normalSample(random))
+        : (plan, d) => plan.demand[d];
+    const outcomes = Array.from({ length: mode === 'monte-carlo' ? runs : 1 }, () => runOnce(plans, days, demandFor));
+
+    const daily = Array.from({ length: days }, (_, d) => {
+        const onHand = outcomes.map(o => o.daily[d].onHand);
+        const value = outcomes.map(o => o.daily[d].value);
+        const point = {
+            day: d + 1,
+            onHand: round(mean(onHand)),
+            value: round(mean(value)),
+            stockoutSkus: round(mean(outcomes.map(o => o.daily[d].stockoutSkus)))
+        };
+        if (mode === 'monte-carlo') {
+            Object.assign(point, {
+                onHandP10: round(percentile(onHand, 0.1)),
+                onHandP90: round(percentile(onHand, 0.9)),
+                valueP10: round(percentile(value, 0.1)),
+                valueP90: round(percentile(value, 0.9))
+            });
+        }
+        return point;
+    });
+
+    const items = plans.map((plan, i) => {
+        const results = outcomes.map(o => o.items[i]);
+        const firstStockouts = results.map(r => r.firstStockoutDay).filter(day => day !== null);
+        const lostUnits = mean(results.map(r => r.lostUnits));
+
+        return {
+            sku: plan.sku,
+            name: plan.name,
+            startOnHand: plan.onHand,
+            endingOnHand: round(mean(results.map(r => r.endingOnHand))),
+            stockoutDays: round(mean(results.map(r => r.stockoutDays))),
+            stockoutProbability: round(firstStockouts.length / results.length),
+            firstStockoutDay: firstStockouts.length > 0 ? Math.min(...firstStockouts) : null,
+            lostUnits: round(lostUnits),
+            lostSalesCost: round(lostUnits * plan.stockoutCost),
+            holdingCost: round(mean(results.map(r => r.holdingCost))),
+            spend: round(plan.spend),
+            committedSpend: round(plan.committedSpend),
+            budgetCap: plan.budgetCap
+        };
+    });
+
+    const sum = field => items.reduce((total, item) => total + item[field], 0);
+    const budget = sum('budgetCap');
+    const spend = sum('spend');
+    const committedSpend = sum('committedSpend');
+
+    return {
+        daily,
+        totals: {
+            stockoutDays: round(sum('stockoutDays')),
+            skusAtRisk: items.filter(item => item.stockoutProbability > 0).length,
+            lostUnits: round(sum('lostUnits')),
+            lostSalesCost: round(sum('lostSalesCost')),
+            holdingCost: round(sum('holdingCost')),
+            endingOnHand: daily.length > 0 ? daily[daily.length - 1].onHand : round(sum('startOnHand')),
+            endingValue: daily.length > 0 ? daily[daily.length - 1].value : 0,
+            spend: round(spend),
+            committedSpend: round(committedSpend),
+            budget,
+            budgetUsedPercent: budget > 0 ? round(((spend + committedSpend) / budget) * 100) : null,
+            skusOverBudget: items.filter(item => item.spend + item.committedSpend > item.budgetCap).length
+        },
+        items
+    };
+}
+
+/**
+ * Check and default simulation options
+ * @param {Object} options - Request options
+ * @returns {{days: number, mode: string, runs: number, seed: number}}
+ * @throws 400 error for an unknown mode or out-of-range numbers
+ */
+function simulationOptions({ days = 30, mode = 'deterministic', runs = 200, seed } = {}) {
+    days = Number(days);
+    runs = Number(runs);
+
+    if (!SIMULATION_MODES.includes(mode)) {
+        throw httpError(`Mode must be one of: ${SIMULATION_MODES.join(', ')}`);
+    }
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+        throw httpError(`Days must be a whole number from 1 to ${MAX_DAYS}`);
+    }
+    if (!Number.isInteger(runs) || runs < 1 || runs > MAX_RUNS) {
+        throw httpError(`Runs must be a whole number from 1 to ${MAX_RUNS}`);
+    }
+
+    const parsedSeed = Number(seed);
+    return {
+        days,
+        mode,
+        runs,
+        seed: Number.isFinite(parsedSeed) ? parsedSeed : Math.floor(Math.random() * 2 ** 32)
+    };
+}
+
+/**
+ * Simulate a user's inventory with none, all and (optionally) a chosen subset of
+ * their pending actions approved. Every scenario uses the same seed so Monte
+ * Carlo runs see the same demand and differ only by the actions.
+ * @param {string} userId - Owner user ID
+ * @param {{days?: number, mode?: string, runs?: number, seed?: number, actionIds?: string[]}} options
+ * @returns {Promise<{options: Object, pendingActions: number, scenarios: Object}>}
+ *   scenarios has `none`, `all` and, when actionIds is given, `selected`
+ */
+async function simulateInventory(userId, options = {}) {
+    const settings = simulationOptions(options);
+
+    const [inventory, pending, orders] = await Promise.all([
+        Inventory.forTenant(userId).lean(),
+        Action.forTenant(userId, { status: 'PENDING' }).lean(),
+        PurchaseOrder.forTenant(userId, { status: { $in: ['sent', 'partially-received'] } }).lean()
+    ]);
+
+    const plans = buildPlans(inventory, orders, settings);
+    const scenario = actions => simulateScenario(applyActions(plans, actions, settings.days), settings);
+
+    const scenarios = {
+        none: scenario([]),
+        all: scenario(pending)
+    };
+    if (Array.isArray(options.actionIds)) {
+        const selected = new Set(options.actionIds.map(String));
+        scenarios.selected = scenario(pending.filter(action => selected.has(String(action._id))));
+    }
+
+    return { options: settings, pendingActions: pending.length, scenarios };
+}
+
+module.exports = {
+    SIMULATION_MODES,
+    seededRandom,
+    percentile,
+    buildPlans,
+    applyActions,
+    simulateScenario,
+    simulationOptions,
+    simulateInventory
+};
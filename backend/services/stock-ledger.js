@@ -0,0 +1,133 @@
+/**
+ * Stock Ledger
+ * Records every change to on-hand stock as an append-only StockMovement and
+ * answers history questions: a SKU's movements and its stock at a past date.
+ */
+
+const StockMovement = require('../models/StockMovement');
+const { tenantFilter } = require('../models/tenant');
+
+// Key used for stock not yet tracked per warehouse
+const UNASSIGNED = '';
+
+/**
+ * On-hand units per location for an item
+ * @param {Object} item - Inventory document
+ * @returns {Map<string, number>} warehouseId (or UNASSIGNED) → onHand
+ */
+function onHandByLocation(item) {
+    const snapshot = new Map();
+
+    if (item.stockLevels?.length > 0) {
+        item.stockLevels.forEach(level => snapshot.set(String(level.warehouseId), level.onHand || 0));
+    } else {
+        snapshot.set(UNASSIGNED, item.onHand || 0);
+    }
+
+    return snapshot;
+}
+
+/**
+ * Append a single movement to the ledger
+ * @param {Object} movement - StockMovement fields
+ * @returns {Promise<Object>} The saved movement
+ */
+async function recordMovement(movement) {
+    return StockMovement.create(movement);
+}
+
+/**
+ * Record the difference between an earlier onHand snapshot and an item's
+ * current stock, one movement per location that changed. When either side is
+ * not tracked per warehouse the change is recorded once for the whole SKU.
+ * @param {Map<string, number>} before - Snapshot from onHandByLocation
+ * @param {Object} item - The item after the change
+ * @param {{type: string, reference?: Object, note?: string, occurredAt?: Date}} details
+ * @returns {Promise<Array>} The recorded movements
+ */
+async function recordStockChange(before, item, details) {
+    const after = onHandByLocation(item);
+    let deltas;
+
+    if (before.has(UNASSIGNED) || after.has(UNASSIGNED)) {
+        const total = snapshot => [...snapshot.values()].reduce((sum, qty) => sum + qty, 0);
+        deltas = [[UNASSIGNED, total(after) - total(before)]];
+    } else {
+        const locations = new Set([...before.keys(), ...after.keys()]);
+        deltas = [...locations].map(key => [key, (after.get(key) || 0) - (before.get(key) || 0)]);
+    }
+
+    const movements = deltas
+        .filter(([, quantity]) => quantity !== 0)
+        .map(([key, quantity]) => ({
+            userId: item.userId,
+            sku: item.sku,
+            warehouseId: key === UNASSIGNED ? null : key,
+            type: details.type,
+            quantity,
+            balanceAfter: item.onHand,
+            reference: details.reference,
+            note: details.note,
+            occurredAt: details.occurredAt || new Date()
+        }));
+
+    return movements.length > 0 ? StockMovement.insertMany(movements) : [];
+}
+
+/**
+ * Movement history for a SKU, newest first
+ * @param {string} userId - Owner user ID
+ * @param {string} sku - Item SKU
+ * @param {{from?: Date, to?: Date, limit?: number}} options
+ * @returns {Promise<Array>}
+ */
+async function getMovementHistory(userId, sku, { from, to, limit = 200 } = {}) {
+    const filter = { sku };
+
+    if (from || to) {
+        filter.occurredAt = {};
+        if (from) filter.occurredAt.$gte = from;
+        if (to) filter.occurredAt.$lte = to;
+    }
+
+    return StockMovement.forTenant(userId, filter)
+        .sort({ occurredAt: -1, _id: -1 })
+        .limit(limit)
+        .populate('warehouseId', 'code name')
+        .lean();
+}
+
+/**
+ * Reconstruct an item's on-hand stock at a past date by undoing every movement
+ * recorded after it. Stock changes made before the ledger existed are part of
+ * the starting point, so history is exact from the first recorded movement on.
+ * @param {Object} item - Inventory document (current state)
+ * @param {Date} date - Point in time
+ * @returns {Promise<{onHand: number, locations: Map<string, number>, movementsAfter: number}>}
+ */
+async function onHandAt(item, date) {
+    const later = await StockMovement.forTenant(item.userId, {
+        sku: item.sku,
+        occurredAt: { $gt: date }
+    }).lean();
+
+    const locations = onHandByLocation(item);
+    let onHand = item.onHand || 0;
+
+    later.forEach(movement => {
+        const key = movement.warehouseId ? String(movement.warehouseId) : UNASSIGNED;
+        locations.set(key, (locations.get(key) || 0) - movement.quantity);
+        onHand -= movement.quantity;
+    });
+
+    return { onHand, locations, movementsAfter: later.length };
+}
+
+module.exports = {
+    UNASSIGNED,
+    onHandByLocation,
+    recordMovement,
+    recordStockChange,
+    getMovementHistory,
+    onHandAt
+};
@@ -0,0 +1,284 @@
+/**
+ * Stock Service
+ * Per-location stock helpers for the Inventory SKU master: totals, the
+ * per-warehouse breakdown, moving legacy single-location items onto
+ * warehouse stock levels, and concurrency-safe stock updates.
+ */
+
+const Inventory = require('../models/inventory');
+const { tenantFilter } = require('../models/tenant');
+const { getUserWarehouses, findWarehouseForLocation, levelAtWarehouse } = require('./warehouse-service');
+const { httpError } = require('./http-error');
+const { onHandByLocation, recordStockChange } = require('./stock-ledger');
+
+// Attempts made when another request changes the same item concurrently
+const UPDATE_ATTEMPTS = 3;
+
+// Movement types that can be entered by hand (transfers come from the transfer flow)
+const MANUAL_MOVEMENT_TYPES = ['receipt', 'sale', 'adjustment', 'write-off', 'donation'];
+
+/**
+ * SKU-level quantities across all locations
+ * @param {Object} item - Inventory document
+ * @returns {{onHand: number, inbound: number, reserved: number, available: number}}
+ */
+function stockTotals(item) {
+    const onHand = item.onHand || 0;
+    const reserved = item.reservedUnits || 0;
+
+    return {
+        onHand,
+        inbound: item.inboundUnits || 0,
+        reserved,
+        available: Math.max(0, onHand - reserved)
+    };
+}
+
+/**
+ * Per-warehouse quantities for an item. Legacy items whose location does not
+ * match a warehouse are reported as a single entry without a warehouseId.
+ * @param {Object} item - Inventory document
+ * @param {Array} warehouses - The owner's warehouses
+ * @returns {Array<{warehouseId, code, name, onHand, inbound, reserved, available}>}
+ */
+function stockBreakdown(item, warehouses) {
+    const rows = warehouses
+        .map(wh => ({ wh, level: levelAtWarehouse(item, wh) }))
+        .filter(({ level }) => level)
+        .map(({ wh, level }) => ({
+            warehouseId: wh._id.toString(),
+            code: wh.code,
+            name: wh.name,
+            onHand: level.onHand,
+            inbound: level.inbound,
+            reserved: level.reserved,
+            available: Math.max(0, level.onHand - level.reserved)
+        }));
+
+    if (rows.length === 0 && !(item.stockLevels?.length > 0)) {
+        const totals = stockTotals(item);
+        rows.push({ warehouseId: null, code: null, name: item.location, ...totals });
+    }
+
+    return rows;
+}
+
+/**
+ * The warehouse holding most of an item's stock (its location for legacy items)
+ * @param {Object} item - Inventory document
+ * @param {Array} warehouses - The owner's warehouses
+ * @returns {Object|null} Warehouse document
+ */
+function primaryWarehouse(item, warehouses) {
+    if (!(item.stockLevels?.length > 0)) {
+        return findWarehouseForLocation(warehouses, item.location);
+    }
+
+    const largest = item.stockLevels.reduce((max, level) => (level.onHand > max.onHand ? level : max));
+    return warehouses.find(wh => String(wh._id) === String(largest.warehouseId)) || null;
+}
+
+// The id of one of the owner's warehouses, or null for any other id
+function ownWarehouseId(warehouses, warehouseId) {
+    return warehouses.find(wh => String(wh._id) === String(warehouseId))?._id || null;
+}
+
+/**
+ * Initial stock levels for a new inventory record: the posted per-warehouse
+ * rows, or else one level at the warehouse its location names. Rows for
+ * warehouses the owner does not have are dropped and nothing starts reserved.
+ * Returns an empty array when neither gives a warehouse.
+ * @param {Object} data - Raw inventory fields (stockLevels, location, onHand, inboundUnits)
+ * @param {Array} warehouses - The owner's warehouses
+ * @returns {Array}
+ */
+function initialStockLevels(data, warehouses) {
+    const posted = new Map();
+    (Array.isArray(data.stockLevels) ? data.stockLevels : Object.values(data.stockLevels || {})).forEach(row => {
+        const warehouseId = ownWarehouseId(warehouses, row?.warehouseId);
+        if (!warehouseId) return;
+
+        const level = posted.get(String(warehouseId)) || { warehouseId, onHand: 0, inbound: 0, reserved: 0 };
+        level.onHand += Math.max(0, parseInt(row.onHand) || 0);
+        level.inbound += Math.max(0, parseInt(row.inbound) || 0);
+        posted.set(String(warehouseId), level);
+    });
+    if (posted.size > 0) {
+        return [...posted.values()];
+    }
+
+    const warehouse = findWarehouseForLocation(warehouses, data.location);
+    if (!warehouse) {
+        return [];
+    }
+
+    return [{
+        warehouseId: warehouse._id,
+        onHand: Number(data.onHand) || 0,
+        inbound: Number(data.inboundUnits) || 0
+    }];
+}
+
+/**
+ * Move a legacy single-location Inventory document onto stock levels so it can
+ * be adjusted per warehouse. No-op when the item already has levels.
+ * @param {Object} item - Inventory mongoose document
+ * @param {Array} warehouses - The owner's warehouses
+ * @returns {boolean} Whether the item is tracked per location afterwards
+ */
+function ensureStockLevels(item, warehouses) {
+    if (item.stockLevels.length > 0) {
+        return true;
+    }
+
+    const warehouse = findWarehouseForLocation(warehouses, item.location);
+    if (!warehouse) {
+        return false;
+    }
+
+    item.stockLevels.push({
+        warehouseId: warehouse._id,
+        onHand: item.onHand || 0,
+        inbound: item.inboundUnits || 0,
+        reserved: item.reservedUnits || 0
+    });
+    return true;
+}
+
+/**
+ * Find (and optionally create) an item's stock level for a warehouse
+ * @param {Object} item - Inventory mongoose document
+ * @param {string} warehouseId - Warehouse ID
+ * @param {boolean} create - Add an empty level when missing
+ * @returns {Object|null} Stock level subdocument
+ */
+function getStockLevel(item, warehouseId, create = false) {
+    let level = item.stockLevels.find(l => String(l.warehouseId) === String(warehouseId));
+
+    if (!level && create) {
+        item.stockLevels.push({ warehouseId, onHand: 0, inbound: 0, reserved: 0 });
+        level = item.stockLevels[item.stockLevels.length - 1];
+    }
+
+    return level || null;
+}
+
+/**
+ * Parse the per-warehouse rows posted by the edit form
+ * (`stockLevels[i][warehouseId|onHand|inbound]`), keeping existing reservations.
+ * Rows for warehouses the owner does not have are dropped.
+ * @param {Array|Object} rows - Posted rows
+ * @param {Array} existingLevels - Levels currently stored on the item
+ * @param {Array} warehouses - The owner's warehouses
+ * @returns {Array}
+ */
+function parseStockLevelsForm(rows, existingLevels, warehouses) {
+    const list = Array.isArray(rows) ? rows : Object.values(rows || {});
+
+    return list
+        .map(row => ({ row, warehouseId: ownWarehouseId(warehouses, row?.warehouseId) }))
+        .filter(({ warehouseId }) => warehouseId)
+        .map(({ row, warehouseId }) => {
+            const existing = existingLevels.find(l => String(l.warehouseId) === String(warehouseId));
+            return {
+                warehouseId,
+                onHand: Math.max(0, parseInt(row.onHand) || 0),
+                inbound: Math.max(0, parseInt(row.inbound) || 0),
+                reserved: existing ? existing.reserved : 0
+            };
+        })
+        .filter(level => level.onHand > 0 || level.inbound > 0 || level.reserved > 0);
+}
+
+/**
+ * Change an item's per-warehouse stock atomically. The item is reloaded and the
+ * change re-applied if another request saved it in the meantime, so checks made
+ * inside `mutate` (e.g. available units) always see the stored quantities.
+ * Any change to on-hand units is written to the stock ledger as `movement`.
+ * @param {string} userId - Owner user ID
+ * @param {string} sku - Item SKU
+ * @param {Function} mutate - Called with the Inventory document; throws to abort
+ * @param {{type: string, reference?: Object, note?: string}} [movement] - Ledger details
+ * @returns {Promise<Object>} The saved Inventory document
+ */
+async function updateStock(userId, sku, mutate, movement) {
+    const warehouses = await getUserWarehouses(userId);
+
+    for (let attempt = 1; ; attempt++) {
+        const item = await Inventory.findOne(tenantFilter(userId, { sku }));
+        if (!item) {
+            throw httpError(`Product '${sku}' not found`, 404);
+        }
+        if (!ensureStockLevels(item, warehouses)) {
+            throw httpError(`Product '${sku}' is not stocked at any warehouse`);
+        }
+
+        const before = onHandByLocation(item);
+        await mutate(item);
+
+        // Level edits are not versioned by default; bump so concurrent saves conflict
+        item.increment();
+        try {
+            await item.save();
+        } catch (error) {
+            if (error.name !== 'VersionError' || attempt >= UPDATE_ATTEMPTS) {
+                throw error;
+            }
+            continue;
+        }
+
+        if (movement) {
+            await recordStockChange(before, item, movement);
+        }
+        return item;
+    }
+}
+
+/**
+ * Record a receipt, sale, adjustment, write-off or donation against one
+ * warehouse and apply it to the stock there
+ * @param {string} userId - Owner user ID
+ * @param {string} sku - Item SKU
+ * @param {{type: string, quantity: number, warehouseId?: string, note?: string}} data
+ *        Quantity is in units; it is signed only for adjustments.
+ * @returns {Promise<Object>} The saved Inventory document
+ */
+async function applyManualMovement(userId, sku, { type, quantity, warehouseId, note }) {
+    if (!MANUAL_MOVEMENT_TYPES.includes(type)) {
+        throw httpError(`Movement type must be one of: ${MANUAL_MOVEMENT_TYPES.join(', ')}`);
+    }
+
+    const units = parseInt(quantity);
+    if (!units || (type !== 'adjustment' && units < 0)) {
+        throw httpError('Quantity must be a positive number of units');
+    }
+    const delta = ['sale', 'write-off', 'donation'].includes(type) ? -units : units;
+
+    const warehouses = await getUserWarehouses(userId);
+    if (warehouseId && !warehouses.some(wh => String(wh._id) === String(warehouseId))) {
+        throw httpError(`Warehouse '${warehouseId}' not found`, 404);
+    }
+
+    return updateStock(userId, sku, item => {
+        const site = warehouseId || primaryWarehouse(item, warehouses)?._id;
+        const level = site ? getStockLevel(item, site, delta > 0) : null;
+
+        if (!level || level.onHand + delta < 0) {
+            throw httpError(`Not enough stock of ${sku} at that warehouse`);
+        }
+        level.onHand += delta;
+    }, { type, note });
+}
+
+module.exports = {
+    MANUAL_MOVEMENT_TYPES,
+    stockTotals,
+    stockBreakdown,
+    primaryWarehouse,
+    initialStockLevels,
+    ensureStockLevels,
+    getStockLevel,
+    parseStockLevelsForm,
+    updateStock,
+    applyManualMovement
+};
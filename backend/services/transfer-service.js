@@ -0,0 +1,326 @@
+/**
+ * Transfer Service
+ * Creates and advances stock requests and warehouse transfers through their
+ * shared lifecycle, keeping a request in step with the transfer fulfilling it.
+ * Transfers move stock: units are reserved at the source on approval, leave it
+ * (and show as inbound at the destination) when shipped, and land on receipt.
+ */
+
+const mongoose = require('mongoose');
+const Inventory = require('../models/inventory');
+const Warehouse = require('../models/Warehouse');
+const StockRequest = require('../models/StockRequest');
+const Transfer = require('../models/Transfer');
+const { TIMESTAMP_FIELDS } = require('../models/lifecycle');
+const { tenantFilter } = require('../models/tenant');
+const { getStockLevel, updateStock } = require('./stock-service');
+const { shipmentSize, summarizeWarehouses, freeUnitsFor } = require('./warehouse-service');
+const { httpError } = require('./http-error');
+
+/**
+ * Find one of the user's products by SKU or (case-insensitive) name
+ * @param {string} userId - Owner user ID
+ * @param {string} product - SKU or product name
+ * @returns {Promise<Object>} Inventory document
+ */
+async function findProduct(userId, product) {
+    const pattern = new RegExp(`^${String(product).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+    const item = await Inventory.findOne(tenantFilter(userId, { $or: [{ sku: pattern }, { name: pattern }] })).lean();
+
+    if (!item) {
+        throw httpError(`Product '${product}' not found`, 404);
+    }
+    return item;
+}
+
+/**
+ * Load a warehouse owned by the user
+ * @returns {Promise<Object>} Warehouse document
+ */
+async function findUserWarehouse(userId, warehouseId) {
+    const warehouse = warehouseId && await Warehouse.findOwned(userId, warehouseId).lean();
+
+    if (!warehouse) {
+        throw httpError(`Warehouse '${warehouseId}' not found`, 404);
+    }
+    return warehouse;
+}
+
+/**
+ * Apply the stock effect of a transfer entering `status`
+ * @param {Object} transfer - Transfer document
+ * @param {string} status - Status being entered
+ * @param {string} previous - Status being left
+ */
+async function applyTransferStock(transfer, status, previous) {
+    const quantity = transfer.quantity;
+
+    switch (status) {
+        case 'approved':
+            await updateStock(transfer.userId, transfer.sku, item => {
+                const source = getStockLevel(item, transfer.fromWarehouse);
+                const available = source ? source.onHand - source.reserved : 0;
+                if (available < quantity) {
+                    throw httpError(`Only ${Math.max(0, available)} unit(s) of ${transfer.sku} available at the source warehouse`);
+                }
+                source.reserved += quantity;
+            });
+            break;
+
+        case 'in-transit':
+            await updateStock(transfer.userId, transfer.sku, item => {
+                const source = getStockLevel(item, transfer.fromWarehouse);
+                if (!source || source.onHand < quantity) {
+                    throw httpError(`Source warehouse no longer holds ${quantity} unit(s) of ${transfer.sku}`);
+                }
+                source.onHand -= quantity;
+                source.reserved = Math.max(0, source.reserved - quantity);
+                getStockLevel(item, transfer.toWarehouse, true).inbound += quantity;
+            }, { type: 'transfer-out', reference: { kind: 'Transfer', id: transfer._id } });
+            break;
+
+        case 'received':
+            await updateStock(transfer.userId, transfer.sku, item => {
+                const destination = getStockLevel(item, transfer.toWarehouse, true);
+                destination.inbound = Math.max(0, destination.inbound - quantity);
+                destination.onHand += quantity;
+            }, { type: 'transfer-in', reference: { kind: 'Transfer', id: transfer._id } });
+            break;
+
+        case 'cancelled':
+            // Only approved or picked transfers hold a reservation
+            if (previous === 'approved' || previous === 'picked') {
+                await updateStock(transfer.userId, transfer.sku, item => {
+                    const source = getStockLevel(item, transfer.fromWarehouse);
+                    if (source) {
+                        source.reserved = Math.max(0, source.reserved - quantity);
+                    }
+                });
+            }
+            break;
+    }
+}
+
+/**
+ * Create a stock request for a warehouse
+ * @param {string} userId - Owner user ID
+ * @param {{product: string, quantity: number, requestingWarehouse: string, notes?: string}} data
+ * @returns {Promise<Object>} StockRequest document
+ */
+async function createStockRequest(userId, { product, quantity, requestingWarehouse, notes }) {
+    const qty = parseInt(quantity);
+    if (!product || !qty || qty <= 0) {
+        throw httpError('Product and a positive quantity are required');
+    }
+
+    const item = await findProduct(userId, product);
+    const warehouse = await findUserWarehouse(userId, requestingWarehouse);
+
+    return StockRequest.create({
+        userId,
+        sku: item.sku,
+        productName: item.name,
+        quantity: qty,
+        requestingWarehouse: warehouse._id,
+        notes
+    });
+}
+
+/**
+ * Reject a transfer the destination has no room for
+ * @param {string} userId - Owner user ID
+ * @param {Object} item - Inventory document being moved
+ * @param {Object} warehouse - Destination warehouse
+ * @param {number} quantity - Units arriving
+ */
+async function assertWarehouseRoom(userId, item, warehouse, quantity) {
+    if (!(warehouse.capacity > 0) && !(warehouse.capacityCubicFt > 0)) return;
+
+    const inventory = await Inventory.forTenant(userId).lean();
+    const [summary] = summarizeWarehouses([warehouse], inventory);
+    const room = freeUnitsFor(summary, item);
+
+    if (room !== null && room < quantity) {
+        throw httpError(`${warehouse.name} only has room for ${room} more unit(s) of ${item.sku}`);
+    }
+}
+
+/**
+ * Create a transfer between two of the user's warehouses. Transfers started by
+ * the owner are approved on creation, which reserves the units at the source;
+ * transfers exceeding the source's available stock or the destination's free
+ * space are rejected.
+ * @param {string} userId - Owner user ID
+ * @param {{sku: string, quantity: number, fromWarehouse: string, toWarehouse: string, requestId?: string,
+ *   distributionId?: string, quote?: {amount, carrier, deliveryDays}, notes?: string, transferId?: string}} data -
+ *   quote is the shipping quote chosen for the transfer; transferId is an id reserved for it in advance
+ * @returns {Promise<Object>} Transfer document
+ */
+async function createTransfer(userId, { sku, quantity, fromWarehouse, toWarehouse, requestId, distributionId, quote, notes, transferId }) {
+    const qty = parseInt(quantity);
+    if (!sku || !qty || qty <= 0) {
+        throw httpError('SKU and a positive quantity are required');
+    }
+
+    const item = await findProduct(userId, sku);
+    const from = await findUserWarehouse(userId, fromWarehouse);
+    const to = await findUserWarehouse(userId, toWarehouse);
+
+    if (from._id.equals(to._id)) {
+        throw httpError('Source and destination warehouses must differ');
+    }
+    await assertWarehouseRoom(userId, item, to, qty);
+
+    const transfer = new Transfer({
+        ...(transferId && { _id: transferId }),
+        userId,
+        sku: item.sku,
+        productName: item.name,
+        quantity: qty,
+        fromWarehouse: from._id,
+        toWarehouse: to._id,
+        ...shipmentSize(item, qty),
+        requestId,
+        distributionId,
+        shippingCost: quote?.amount,
+        carrier: quote?.carrier,
+        deliveryDays: quote?.deliveryDays ?? undefined,
+        notes
+    });
+    transfer.advanceTo('approved');
+
+    await applyTransferStock(transfer, 'approved', 'requested');
+    try {
+        return await transfer.save();
+    } catch (error) {
+        // Release the reservation if the transfer could not be recorded
+        await applyTransferStock(transfer, 'cancelled', 'approved');
+        throw error;
+    }
+}
+
+/**
+ * Approve a stock request and create the transfer that fulfils it. The
+ * request is claimed first by recording the transfer's id on it, so
+ * concurrent calls cannot create two transfers, and the claim is rolled back
+ * if the transfer cannot be created.
+ * @param {Object} request - StockRequest mongoose document
+ * @param {string} fromWarehouse - Source warehouse ID
+ * @returns {Promise<Object>} The new Transfer document
+ */
+async function fulfillStockRequest(request, fromWarehouse) {
+    if (request.transferId) {
+        throw httpError('Request already has a transfer');
+    }
+    if (request.status !== 'requested' && request.status !== 'approved') {
+        throw httpError(`Cannot fulfil a request that is '${request.status}'`);
+    }
+
+    const previous = request.status;
+    const transferId = new mongoose.Types.ObjectId();
+    const approve = previous === 'requested' ? { status: 'approved', approvedAt: new Date() } : {};
+
+    const claimed = await StockRequest.findOneAndUpdate(
+        { _id: request._id, status: previous, transferId: null },
+        { $set: { transferId, ...approve } },
+        { new: true }
+    );
+    if (!claimed) {
+        throw httpError('Request was updated elsewhere; reload and try again', 409);
+    }
+
+    try {
+        return await createTransfer(request.userId, {
+            transferId,
+            sku: request.sku,
+            quantity: request.quantity,
+            fromWarehouse,
+            toWarehouse: request.requestingWarehouse,
+            requestId: request._id
+        });
+    } catch (error) {
+        const unset = previous === 'requested' ? { transferId: 1, approvedAt: 1 } : { transferId: 1 };
+        await StockRequest.updateOne({ _id: request._id, transferId }, { $set: { status: previous }, $unset: unset });
+        throw error;
+    }
+}
+
+/**
+ * Move a transfer to its next state, applying its stock movement and carrying
+ * its stock request along. The status change is claimed first so concurrent
+ * calls cannot move the same stock twice, and is rolled back if the stock
+ * update fails.
+ * @param {Object} transfer - Transfer mongoose document
+ * @param {string} status - Target status
+ * @returns {Promise<Object>} The updated transfer
+ */
+async function advanceTransfer(transfer, status) {
+    if (!transfer.canAdvanceTo(status)) {
+        throw httpError(`Cannot move transfer from '${transfer.status}' to '${status}'`);
+    }
+
+    const previous = transfer.status;
+    const field = TIMESTAMP_FIELDS[status];
+    const at = new Date();
+
+    const claimed = await Transfer.findOneAndUpdate(
+        { _id: transfer._id, status: previous },
+        { $set: { status, [field]: at } },
+        { new: true }
+    );
+    if (!claimed) {
+        throw httpError('Transfer was updated elsewhere; reload and try again', 409);
+    }
+
+    try {
+        await applyTransferStock(claimed, status, previous);
+    } catch (error) {
+        await Transfer.updateOne({ _id: transfer._id, status }, { $set: { status: previous }, $unset: { [field]: 1 } });
+        throw error;
+    }
+
+    if (claimed.requestId) {
+        const request = await StockRequest.findById(claimed.requestId);
+        if (request && request.canAdvanceTo(status)) {
+            request.advanceTo(status, at);
+            await request.save();
+        }
+    }
+
+    return claimed;
+}
+
+/**
+ * Move a stock request to its next state. Requests with a transfer follow it,
+ * so only cancellation is allowed on them directly (which cancels the transfer).
+ * @param {Object} request - StockRequest mongoose document
+ * @param {string} status - Target status
+ * @returns {Promise<Object>} The saved request
+ */
+async function advanceStockRequest(request, status) {
+    if (request.transferId) {
+        if (status !== 'cancelled') {
+            throw httpError('Request follows its transfer; advance the transfer instead');
+        }
+        const transfer = await Transfer.findById(request.transferId);
+        if (transfer) {
+            await advanceTransfer(transfer, 'cancelled');
+            return StockRequest.findById(request._id);
+        }
+    }
+
+    if (!request.canAdvanceTo(status)) {
+        throw httpError(`Cannot move request from '${request.status}' to '${status}'`);
+    }
+
+    request.advanceTo(status);
+    return request.save();
+}
+
+module.exports = {
+    createStockRequest,
+    createTransfer,
+    fulfillStockRequest,
+    advanceTransfer,
+    advanceStockRequest
+};
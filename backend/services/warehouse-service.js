@@ -0,0 +1,190 @@
+/**
+ * Warehouse Service
+ * Resolves inventory locations against the user's Warehouse documents and
+ * builds the per-warehouse views used by the reduce-waste, alert and
+ * warehouse network routes. Also sizes shipments from a product's weight,
+ * dimensions and pallet quantity, and works out how much of a product a
+ * warehouse still has room for.
+ */
+
+const Warehouse = require('../models/Warehouse');
+
+// A 48" x 40" pallet loaded 48" high, used to size units known only by pallet quantity
+const PALLET_CUBIC_FT = (48 * 40 * 48) / 1728;
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Load all warehouses owned by a user, sorted by code
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Array>}
+ */
+async function getUserWarehouses(userId) {
+    return Warehouse.forTenant(userId).sort({ code: 1 }).lean();
+}
+
+/**
+ * Check whether an inventory location string refers to a warehouse.
+ * Locations are free text, so both the code and the name are accepted.
+ * @param {Object} warehouse - Warehouse document
+ * @param {string} location - Inventory location string
+ * @returns {boolean}
+ */
+function matchesLocation(warehouse, location) {
+    if (!warehouse || !location) return false;
+    const needle = String(location).trim().toLowerCase();
+    return warehouse.code.toLowerCase() === needle || warehouse.name.toLowerCase() === needle;
+}
+
+/**
+ * Find the warehouse an inventory location refers to
+ * @param {Array} warehouses - Warehouse documents
+ * @param {string} location - Inventory location string
+ * @returns {Object|null}
+ */
+function findWarehouseForLocation(warehouses, location) {
+    return warehouses.find(wh => matchesLocation(wh, location)) || null;
+}
+
+/**
+ * Stock an inventory item holds at a warehouse. Items tracked per location
+ * use their stock level; legacy single-location items count in full at the
+ * warehouse their location refers to.
+ * @param {Object} item - Inventory document
+ * @param {Object} warehouse - Warehouse document
+ * @returns {{warehouseId, onHand: number, inbound: number, reserved: number}|null}
+ */
+function levelAtWarehouse(item, warehouse) {
+    if (item.stockLevels?.length > 0) {
+        return item.stockLevels.find(level => String(level.warehouseId) === String(warehouse._id)) || null;
+    }
+
+    if (!matchesLocation(warehouse, item.location)) {
+        return null;
+    }
+
+    return {
+        warehouseId: warehouse._id,
+        onHand: item.onHand || 0,
+        inbound: item.inboundUnits || 0,
+        reserved: item.reservedUnits || 0
+    };
+}
+
+/**
+ * Volume of one unit of a product: its dimensions when all three are set,
+ * otherwise its share of a standard pallet
+ * @param {Object} item - Inventory document
+ * @returns {number|null} Cubic feet, or null when the size is unknown
+ */
+function unitVolumeCubicFt(item) {
+    const { lengthIn, widthIn, heightIn } = item.dimensions || {};
+    if (lengthIn > 0 && widthIn > 0 && heightIn > 0) {
+        return (lengthIn * widthIn * heightIn) / 1728;
+    }
+    return item.unitsPerPallet > 0 ? PALLET_CUBIC_FT / item.unitsPerPallet : null;
+}
+
+/**
+ * Weight, volume and pallet count of a shipment of one product
+ * @param {Object} item - Inventory document
+ * @param {number} quantity - Units shipped
+ * @returns {{weightLbs: number|null, volumeCubicFt: number|null, pallets: number|null}}
+ *   Each is null when the product does not record what it needs
+ */
+function shipmentSize(item, quantity) {
+    const unitVolume = unitVolumeCubicFt(item);
+
+    return {
+        weightLbs: item.weightLbs > 0 ? round(item.weightLbs * quantity) : null,
+        volumeCubicFt: unitVolume === null ? null : round(unitVolume * quantity),
+        pallets: item.unitsPerPallet > 0 ? Math.ceil(quantity / item.unitsPerPallet) : null
+    };
+}
+
+/**
+ * Group inventory items by the warehouse they are stored in
+ * @param {Array} warehouses - Warehouse documents
+ * @param {Array} inventory - Inventory documents
+ * @returns {Array} Warehouses with `items` (each carrying `stockAtWarehouse`),
+ *   `totalUnits`, `inboundUnits`, `cubicFt` and `inboundCubicFt` (products of
+ *   unknown size count as zero volume), and `utilization` of whichever
+ *   tracked limit is fuller
+ */
+function summarizeWarehouses(warehouses, inventory) {
+    return warehouses.map(wh => {
+        const items = inventory
+            .map(item => ({ ...item, stockAtWarehouse: levelAtWarehouse(item, wh) }))
+            .filter(item => item.stockAtWarehouse);
+        const total = pick => items.reduce((sum, item) => sum + pick(item, item.stockAtWarehouse), 0);
+
+        const totalUnits = total((item, level) => level.onHand);
+        const cubicFt = round(total((item, level) => level.onHand * (unitVolumeCubicFt(item) || 0)));
+        const usage = [
+            wh.capacity > 0 ? totalUnits / wh.capacity : null,
+            wh.capacityCubicFt > 0 ? cubicFt / wh.capacityCubicFt : null
+        ].filter(value => value !== null);
+
+        return {
+            ...wh,
+            items,
+            totalUnits,
+            inboundUnits: total((item, level) => level.inbound),
+            cubicFt,
+            inboundCubicFt: round(total((item, level) => level.inbound * (unitVolumeCubicFt(item) || 0))),
+            utilization: usage.length > 0 ? Math.max(...usage) : null
+        };
+    });
+}
+
+/**
+ * Units of a product a warehouse still has room for, after the stock it holds
+ * and the stock already on its way there
+ * @param {Object} summary - Warehouse from summarizeWarehouses
+ * @param {Object} item - Inventory document
+ * @returns {number|null} Units, or null when no limit applies
+ */
+function freeUnitsFor(summary, item) {
+    const limits = [];
+
+    if (summary.capacity > 0) {
+        limits.push(summary.capacity - summary.totalUnits - summary.inboundUnits);
+    }
+
+    const unitVolume = unitVolumeCubicFt(item);
+    if (summary.capacityCubicFt > 0 && unitVolume) {
+        limits.push(Math.floor((summary.capacityCubicFt - summary.cubicFt - summary.inboundCubicFt) / unitVolume + 1e-9));
+    }
+
+    return limits.length > 0 ? Math.max(0, Math.min(...limits)) : null;
+}
+
+/**
+ * Great-circle distance in miles between two warehouses
+ * @returns {number|null} Distance, or null when coordinates are missing
+ */
+function distanceMiles(from, to) {
+    if (from?.lat == null || from?.lng == null || to?.lat == null || to?.lng == null) {
+        return null;
+    }
+
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(to.lat - from.lat);
+    const dLng = toRad(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+    return 3958.8 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+module.exports = {
+    getUserWarehouses,
+    matchesLocation,
+    findWarehouseForLocation,
+    levelAtWarehouse,
+    unitVolumeCubicFt,
+    shipmentSize,
+    summarizeWarehouses,
+    freeUnitsFor,
+    distanceMiles
+};
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/user');
+const Organization = require('../models/Organization');
+const Inventory = require('../models/inventory');
+const StockMovement = require('../models/StockMovement');
+const Action = require('../models/Action');
+const AgentMemory = require('../models/AgentMemory');
+const { requestPasswordReset, resetPassword } = require('../services/account-service');
+const { PASSWORD, sentMail, connectDatabase, startApp, signUp, client, productFields } = require('./helpers');
+
+// A product with a ledger entry, an action and an agent memory
+async function seedOrganization(organizationId) {
+    await Inventory.create(productFields({ userId: organizationId, onHand: 5 }));
+    await StockMovement.create({ userId: organizationId, sku: 'SKU-1', type: 'receipt', quantity: 5, balanceAfter: 5 });
+    await Action.create({
+        userId: organizationId,
+        type: 'RESTOCK',
+        productSku: 'SKU-1',
+        productName: 'Test product',
+        currentStock: 5,
+        suggestedQuantity: 20,
+        reasoning: 'Low stock'
+    });
+    await AgentMemory.create({
+        userId: organizationId,
+        agentType: 'inventory',
+        decision: 'Restock SKU-1',
+        context: {},
+        action: 'RESTOCK',
+        outcome: 'success'
+    });
+}
+
+async function organizationData(organizationId) {
+    const [inventory, movements, actions, memories] = await Promise.all([
+        Inventory.countDocuments({ userId: organizationId }),
+        StockMovement.countDocuments({ userId: organizationId }),
+        Action.countDocuments({ userId: organizationId }),
+        AgentMemory.countDocuments({ userId: organizationId })
+    ]);
+    return { inventory, movements, actions, memories };
+}
+
+test('accounts', async t => {
+    if (!await connectDatabase(t)) return;
+    const baseUrl = await startApp(t);
+
+    await t.test('the stock ledger stays append-only outside purgeTenant', async () => {
+        const userId = '64b000000000000000000001';
+        await StockMovement.create({ userId, sku: 'SKU-1', type: 'receipt', quantity: 5 });
+        await assert.rejects(StockMovement.deleteMany({ userId }), /cannot be deleted/);
+        assert.equal(await StockMovement.countDocuments({ userId }), 1);
+
+        await StockMovement.purgeTenant(userId);
+        assert.equal(await StockMovement.countDocuments({ userId }), 0);
+    });
+
+    await t.test('password reset', async () => {
+        await signUp(baseUrl, 'carol@example.com');
+
+        const visitor = client(baseUrl);
+        assert.equal((await visitor.post('/forgot-password', { email: 'carol@example.com' })).status, 200);
+
+        const mail = sentMail.at(-1);
+        assert.equal(mail.to, 'carol@example.com');
+        const path = new URL(mail.text.match(/http\S+\/reset-password\/\w+/)[0]).pathname;
+
+        const res = await visitor.post(path, { password: 'new-secret', confirmPassword: 'new-secret' });
+        assert.equal(res.status, 302);
+
+        // The link works once
+        assert.equal((await visitor.get(path)).status, 404);
+
+        const signin = await client(baseUrl).post('/signin', { email: 'carol@example.com', password: 'new-secret' });
+        assert.equal(signin.headers.get('location'), '/');
+    });
+
+    await t.test('a reset link followed twice at once changes the password once', async () => {
+        await signUp(baseUrl, 'dave@example.com');
+        await requestPasswordReset('dave@example.com', baseUrl);
+        const token = sentMail.at(-1).text.match(/\/reset-password\/(\w+)/)[1];
+
+        // A rejected password does not use the link up
+        await assert.rejects(resetPassword(token, { password: 'short', confirmPassword: 'other' }), { status: 400 });
+
+        const results = await Promise.allSettled(['first-secret', 'second-secret'].map(password =>
+            resetPassword(token, { password, confirmPassword: password })));
+        assert.deepEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+        assert.equal(results.find(r => r.status === 'rejected').reason.status, 404);
+
+        const winner = results[0].status === 'fulfilled' ? 'first-secret' : 'second-secret';
+        const loser = winner === 'first-secret' ? 'second-secret' : 'first-secret';
+        const signin = password => client(baseUrl).post('/signin', { email: 'dave@example.com', password });
+        assert.equal((await signin(winner)).headers.get('location'), '/');
+        assert.notEqual((await signin(loser)).headers.get('location'), '/');
+    });
+
+    await t.test('email addresses are matched whatever their case', async () => {
+        const { user } = await signUp(baseUrl, '  Erin@Example.COM ');
+        assert.equal(user.email, 'erin@example.com');
+
+        const again = await client(baseUrl).post('/signup', {
+            email: 'ERIN@example.com', password: PASSWORD, confirmPassword: PASSWORD
+        });
+        assert.match(await again.text(), /Email already registered/);
+
+        const signin = await client(baseUrl).post('/signin', { email: 'erin@EXAMPLE.com', password: PASSWORD });
+        assert.equal(signin.headers.get('location'), '/');
+
+        await client(baseUrl).post('/forgot-password', { email: ' ERIN@example.com' });
+        assert.equal(sentMail.at(-1).to, 'erin@example.com');
+        assert.match(sentMail.at(-1).subject, /Reset/);
+    });
+
+    const alice = await signUp(baseUrl, 'alice@example.com');
+    const bob = await signUp(baseUrl, 'bob@example.com');
+    await seedOrganization(alice.organizationId);
+    await seedOrganization(bob.organizationId);
+
+    await t.test('deleting needs the current password', async () => {
+        const res = await alice.client.post('/profile/delete', { password: 'wrong-password' });
+        assert.equal(res.status, 400);
+        assert.ok(await User.exists({ _id: alice.user._id }));
+        assert.deepEqual(await organizationData(alice.organizationId), { inventory: 1, movements: 1, actions: 1, memories: 1 });
+    });
+
+    await t.test('deleting removes the account and its organization\'s data, ledger included', async () => {
+        const res = await alice.client.post('/profile/delete', { password: PASSWORD });
+        assert.equal(res.status, 302);
+        assert.equal(res.headers.get('location'), '/signin?notice=account-deleted');
+
+        assert.equal(await User.exists({ _id: alice.user._id }), null);
+        assert.equal(await Organization.exists({ _id: alice.organizationId }), null);
+        assert.deepEqual(await organizationData(alice.organizationId), { inventory: 0, movements: 0, actions: 0, memories: 0 });
+
+        // The session went with the account
+        assert.equal((await alice.client.get('/profile')).status, 302);
+    });
+
+    await t.test('deleting leaves other organizations alone', async () => {
+        assert.ok(await User.exists({ _id: bob.user._id }));
+        assert.deepEqual(await organizationData(bob.organizationId), { inventory: 1, movements: 1, actions: 1, memories: 1 });
+    });
+});
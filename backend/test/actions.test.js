@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Action = require('../models/Action');
+const { connectDatabase, startApp, signUp } = require('./helpers');
+
+test('action approval', async t => {
+    if (!await connectDatabase(t)) return;
+    const baseUrl = await startApp(t);
+    const { client, organizationId } = await signUp(baseUrl, 'erin@example.com');
+
+    const newAction = status => Action.create({
+        userId: organizationId,
+        type: 'RESTOCK',
+        productSku: 'SKU-1',
+        productName: 'Test product',
+        currentStock: 5,
+        suggestedQuantity: 20,
+        reasoning: 'Low stock',
+        status
+    });
+    const statusOf = async action => (await Action.findById(action._id).lean()).status;
+
+    await t.test('a pending action is approved once', async () => {
+        const action = await newAction('PENDING');
+
+        assert.equal((await client.postJson(`/api/actions/approve/${action._id}`)).status, 200);
+        assert.equal(await statusOf(action), 'APPROVED');
+        assert.equal((await client.postJson(`/api/actions/approve/${action._id}`)).status, 409);
+    });
+
+    await t.test('executed, expired and rejected actions cannot be approved again', async () => {
+        for (const status of ['EXECUTED', 'EXPIRED', 'REJECTED']) {
+            const action = await newAction(status);
+            const res = await client.postJson(`/api/actions/approve/${action._id}`);
+            assert.equal(res.status, 409, status);
+            assert.equal((await res.json()).success, false);
+            assert.equal(await statusOf(action), status);
+        }
+    });
+
+    await t.test('pending and approved actions can be rejected, executed ones cannot', async () => {
+        for (const status of ['PENDING', 'APPROVED']) {
+            const action = await newAction(status);
+            assert.equal((await client.postJson(`/api/actions/reject/${action._id}`)).status, 200, status);
+            assert.equal(await statusOf(action), 'REJECTED');
+        }
+
+        const executed = await newAction('EXECUTED');
+        assert.equal((await client.postJson(`/api/actions/reject/${executed._id}`)).status, 409);
+        assert.equal(await statusOf(executed), 'EXECUTED');
+    });
+
+    await t.test('a malformed id is not found', async () => {
+        assert.equal((await client.postJson('/api/actions/approve/not-an-id')).status, 404);
+    });
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Inventory = require('../models/inventory');
+const StockMovement = require('../models/StockMovement');
+const Warehouse = require('../models/Warehouse');
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, errorBody, parsePagination, createApiRegistry } = require('../services/rest-api');
+const { createApiKey } = require('../services/api-keys');
+const { connectDatabase, startApp, signUp, productFields } = require('./helpers');
+
+test('parsePagination defaults and bounds', () => {
+    assert.deepEqual(parsePagination({}), { page: 1, limit: DEFAULT_PAGE_SIZE, skip: 0 });
+    assert.deepEqual(parsePagination({ page: '3', limit: '10' }), { page: 3, limit: 10, skip: 20 });
+    assert.deepEqual(parsePagination({ page: '', limit: String(MAX_PAGE_SIZE) }), { page: 1, limit: MAX_PAGE_SIZE, skip: 0 });
+
+    for (const query of [{ page: '0' }, { page: '-1' }, { page: '1.5' }, { page: 'two' }, { limit: '0' }, { limit: String(MAX_PAGE_SIZE + 1) }]) {
+        assert.throws(() => parsePagination(query), { status: 400 }, JSON.stringify(query));
+    }
+});
+
+test('errorBody wraps a message with its code', () => {
+    assert.deepEqual(errorBody(404, 'Gone'), { error: { code: 'not_found', message: 'Gone' } });
+    assert.equal(errorBody(403, 'No').error.code, 'forbidden');
+    assert.equal(errorBody(422, 'Odd').error.code, 'bad_request');
+    assert.equal(errorBody(503, 'Down').error.code, 'internal_error');
+});
+
+test('the OpenAPI document lists registered routes with their parameters', () => {
+    const registry = createApiRegistry({ title: 'Test', version: '1.0.0', basePath: '/api/v1' });
+    registry.schema('Thing', { type: 'object' });
+    registry.add({ method: 'get', path: '/things', summary: 'List things', scope: 'read', paginated: true, response: 'Thing' });
+    registry.add({ method: 'get', path: '/things/:id', summary: 'Get a thing', scope: 'read', response: 'Thing' });
+
+    const document = registry.document();
+    assert.deepEqual(Object.keys(document.paths), ['/things', '/things/{id}']);
+
+    const list = document.paths['/things'].get;
+    assert.deepEqual(list.parameters.map(p => p.name), ['page', 'limit']);
+    assert.equal(list.responses[200].content['application/json'].schema.properties.data.type, 'array');
+    assert.ok(list.responses[403]);
+
+    assert.deepEqual(document.paths['/things/{id}'].get.parameters.map(p => [p.name, p.in]), [['id', 'path']]);
+});
+
+test('API v1', async t => {
+    if (!await connectDatabase(t)) return;
+    const baseUrl = await startApp(t);
+
+    const alice = await signUp(baseUrl, 'alice@example.com');
+    const member = { userId: alice.user._id, role: 'admin' };
+    const { key: readKey } = await createApiKey(alice.organizationId, member, { name: 'Reports', scopes: ['read'] });
+    const { key: writeKey } = await createApiKey(alice.organizationId, member, { name: 'Sync', scopes: ['write'] });
+
+    const warehouse = await Warehouse.create({ userId: alice.organizationId, code: 'MAIN', name: 'Main' });
+    await Inventory.create(Array.from({ length: 30 }, (_, i) => productFields({
+        userId: alice.organizationId,
+        sku: `SKU-${String(i).padStart(2, '0')}`,
+        stockLevels: [{ warehouseId: warehouse._id, onHand: 10 }]
+    })));
+
+    const call = (path, key, init = {}) => fetch(`${baseUrl}/api/v1${path}`, {
+        ...init,
+        headers: { 'content-type': 'application/json', ...(key ? { authorization: `Bearer ${key}` } : {}) }
+    });
+    const recordSale = key => call('/inventory/SKU-00/movements', key, { method: 'POST', body: JSON.stringify({ type: 'sale', quantity: 2 }) });
+
+    await t.test('lists are paginated', async () => {
+        const res = await call('/inventory?page=2&limit=20', readKey);
+        assert.equal(res.status, 200);
+
+        const body = await res.json();
+        assert.deepEqual(body.pagination, { page: 2, limit: 20, total: 30, totalPages: 2 });
+        assert.deepEqual(body.data.map(item => item.sku), Array.from({ length: 10 }, (_, i) => `SKU-${20 + i}`));
+        assert.equal(body.data[0].userId, undefined);
+    });
+
+    await t.test('out-of-range pagination answers with the error envelope', async () => {
+        const res = await call(`/inventory?limit=${MAX_PAGE_SIZE + 1}`, readKey);
+        assert.equal(res.status, 400);
+        assert.deepEqual(await res.json(), errorBody(400, `limit must be at most ${MAX_PAGE_SIZE}`));
+    });
+
+    await t.test('requests without a valid key are refused', async () => {
+        const missing = await call('/inventory');
+        assert.equal(missing.status, 401);
+        assert.equal((await missing.json()).error.code, 'unauthorized');
+
+        const wrong = await call('/inventory', `${readKey.slice(0, -4)}nope`);
+        assert.equal(wrong.status, 401);
+    });
+
+    await t.test('unknown routes and products answer with the error envelope', async () => {
+        const route = await call('/nothing', readKey);
+        assert.equal(route.status, 404);
+        assert.equal((await route.json()).error.code, 'not_found');
+
+        const product = await call('/inventory/MISSING', readKey);
+        assert.deepEqual(await product.json(), errorBody(404, "Product 'MISSING' not found"));
+    });
+
+    await t.test('a read-only key cannot write', async () => {
+        const res = await recordSale(readKey);
+        assert.equal(res.status, 403);
+        assert.deepEqual(await res.json(), errorBody(403, "This API key does not have the 'write' scope"));
+
+        assert.equal((await Inventory.findOne({ userId: alice.organizationId, sku: 'SKU-00' }).lean()).onHand, 10);
+        assert.equal(await StockMovement.countDocuments({ userId: alice.organizationId }), 0);
+    });
+
+    await t.test('a write key records stock movements', async () => {
+        const res = await recordSale(writeKey);
+        assert.equal(res.status, 201);
+        assert.equal((await res.json()).data.onHand, 8);
+        assert.equal(await StockMovement.countDocuments({ userId: alice.organizationId }), 1);
+    });
+
+    await t.test('the OpenAPI document needs no key', async () => {
+        const res = await call('/openapi.json');
+        assert.equal(res.status, 200);
+        assert.ok((await res.json()).paths['/inventory/{sku}/movements'].post);
+    });
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { UNRELIABLE_WAPE, accuracyMetrics, backtestSeries, backtestItem } = require('../services/backtesting');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+const product = (series, fields) => ({
+    _id: 'item-1',
+    sku: 'SKU-1',
+    name: 'Product',
+    demandHistory: series.map((unitsSold, day) => ({ date: new Date(Date.UTC(2026, 0, day + 1)), unitsSold })),
+    ...fields
+});
+
+// Sales that come in unpredictable bursts
+const SPIKY = [0, 0, 30, 0, 0, 0, 50, 0, 10, 0, 0, 40, 0, 0, 0, 5, 0, 60, 0, 0, 0];
+
+test('accuracyMetrics reports MAPE, WAPE and bias as percentages', () => {
+    const metrics = accuracyMetrics([
+        { actual: 10, forecast: 12 },
+        { actual: 20, forecast: 15 },
+        { actual: 0, forecast: 3 }
+    ]);
+
+    // MAPE skips the day without sales: (20% + 25%) / 2
+    close(metrics.mape, 22.5);
+    close(metrics.wape, 10 / 30 * 100);
+    close(metrics.bias, 0);
+    close(metrics.mae, 10 / 3);
+    assert.equal(metrics.points, 3);
+});
+
+test('bias is positive when forecasts run high', () => {
+    close(accuracyMetrics([{ actual: 10, forecast: 15 }]).bias, 50);
+    close(accuracyMetrics([{ actual: 10, forecast: 5 }]).bias, -50);
+});
+
+test('accuracyMetrics without sales leaves the percentages empty', () => {
+    assert.deepEqual(accuracyMetrics([]), { mape: null, wape: null, bias: null, mae: null, points: 0 });
+
+    const noSales = accuracyMetrics([{ actual: 0, forecast: 2 }]);
+    assert.equal(noSales.mape, null);
+    assert.equal(noSales.wape, null);
+    assert.equal(noSales.bias, null);
+    assert.equal(noSales.mae, 2);
+});
+
+test('backtestSeries forecasts from every origin after the training days', () => {
+    const result = backtestSeries(Array(14).fill(5), 'moving-average', { horizon: 7 });
+
+    assert.equal(result.method, 'moving-average');
+    assert.equal(result.origins, 7);
+    // Horizons are cut short at the end of the history: 7 + 6 + ... + 1
+    assert.equal(result.points, 28);
+    assert.equal(result.wape, 0);
+});
+
+test('a steady product is reliable', () => {
+    const result = backtestItem(product(Array(21).fill(8)));
+
+    assert.equal(result.configuredMethod, 'auto');
+    assert.equal(result.configured.method, 'auto');
+    assert.deepEqual(result.methods.map(m => m.method), ['auto', 'moving-average', 'ses', 'holt', 'holt-winters']);
+    assert.equal(result.reliable, true);
+});
+
+test('a product with erratic demand is flagged unreliable', () => {
+    const result = backtestItem(product(SPIKY, { forecastMethod: 'moving-average' }));
+
+    assert.equal(result.configuredMethod, 'moving-average');
+    assert.ok(result.configured.wape > UNRELIABLE_WAPE);
+    assert.equal(result.reliable, false);
+    assert.ok(result.bestMethod);
+});
+
+test('a product with too little history is neither reliable nor unreliable', () => {
+    const result = backtestItem(product([3, 4, 5]));
+
+    assert.equal(result.historyDays, 3);
+    assert.equal(result.reliable, null);
+    assert.equal(result.bestMethod, null);
+});
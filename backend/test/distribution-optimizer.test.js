@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { shipmentUnits, minCostFlow, distributionPlan, consolidateShipments, describePlan } = require('../services/distribution-optimizer');
+
+// Every unit placed where it is needed is worth $5
+const product = {
+    sku: 'SKU-1',
+    name: 'Widget',
+    stockoutCostPerUnit: '5',
+    holdingCostPerUnit: '0',
+    weightLbs: 2,
+    unitsPerPallet: 50
+};
+const origin = { id: 'origin', name: 'Origin' };
+
+// transferCost is per shipment of 100 units
+const warehouse = (id, fields) => ({ id, name: id, location: `${id} street`, demand: 1, currentStock: 0, freeCapacity: null, ...fields });
+const candidates = [
+    warehouse('CHEAP', { transferCost: 100, carrier: 'Freight Co', deliveryDays: 2 }),
+    warehouse('SMALL', { demand: 2, currentStock: 5, freeCapacity: 4, transferCost: 200 }),
+    warehouse('COVERED', { currentStock: 20, transferCost: 100 }),
+    warehouse('COSTLY', { transferCost: 600 }),
+    warehouse('IDLE', { demand: 0, transferCost: 100 })
+];
+
+const plan = (excessStock, input = candidates) => distributionPlan(product, input, { origin, excessStock, coverDays: 10 });
+const reasonFor = (result, id) => result.skipped.find(s => s.warehouseId === id).reason;
+
+test('minCostFlow fills the cheapest lanes first', () => {
+    const flows = minCostFlow(
+        [{ id: 'S', supply: 10 }],
+        [{ id: 'A', limit: 6 }, { id: 'B', limit: 6 }],
+        (from, to) => (to === 'A' ? 1 : 2),
+        5
+    );
+
+    assert.deepEqual(flows, [{ from: 'S', to: 'A', quantity: 6 }, { from: 'S', to: 'B', quantity: 4 }]);
+});
+
+test('minCostFlow moves nothing along lanes that cost more than a unit is worth', () => {
+    assert.deepEqual(minCostFlow([{ id: 'S', supply: 10 }], [{ id: 'A', limit: 6 }], () => 5, 5), []);
+});
+
+test('excess goes to destinations short of cover, within their free space', () => {
+    const result = plan(20);
+
+    assert.equal(result.schemaVersion, 1);
+    assert.equal(result.unitValue, 5);
+    assert.equal(result.shouldDistribute, true);
+    assert.deepEqual(result.lines.map(line => [line.warehouseId, line.quantity, line.unitCost, line.cost]), [
+        ['CHEAP', 10, 1, 10],
+        ['SMALL', 4, 2, 8]
+    ]);
+    assert.match(result.lines[1].reason, /limited to its 4 units of free space/);
+    assert.deepEqual(result.totals, {
+        units: 14,
+        cost: 18,
+        value: 70,
+        netBenefit: 52,
+        unitsAvailable: 20,
+        unitsRemaining: 6,
+        unmetNeed: 21
+    });
+});
+
+test('lines carry the lane quote and the shipment size', () => {
+    const [cheap, small] = plan(20).lines;
+
+    assert.equal(cheap.carrier, 'Freight Co');
+    assert.equal(cheap.deliveryDays, 2);
+    assert.equal(cheap.weightLbs, 20);
+    assert.equal(cheap.pallets, 1);
+    assert.equal(cheap.daysOfCoverBefore, 0);
+    assert.equal(cheap.daysOfCoverAfter, 10);
+    assert.equal(small.carrier, null);
+    assert.equal(small.deliveryDays, null);
+});
+
+test('skipped destinations say why', () => {
+    const result = plan(20);
+
+    assert.equal(reasonFor(result, 'COVERED'), 'Already has 10 days of cover');
+    assert.equal(reasonFor(result, 'IDLE'), 'No demand for this product');
+    assert.equal(reasonFor(result, 'COSTLY'), 'Shipping costs $6.00/unit, more than the $5.00/unit it saves');
+});
+
+test('scarce excess goes to the cheapest destination', () => {
+    const result = plan(5);
+
+    assert.deepEqual(result.lines.map(line => [line.warehouseId, line.quantity]), [['CHEAP', 5]]);
+    assert.match(result.lines[0].reason, /no more excess left/);
+    assert.equal(reasonFor(result, 'SMALL'), 'No excess left after cheaper destinations');
+    assert.equal(result.totals.unitsRemaining, 0);
+});
+
+test('a destination without free space is skipped', () => {
+    const result = plan(20, [warehouse('FULL', { freeCapacity: 0, transferCost: 100 })]);
+
+    assert.equal(result.shouldDistribute, false);
+    assert.equal(reasonFor(result, 'FULL'), 'No free capacity');
+    assert.match(describePlan(result), /^No transfer of Widget is worth making\. FULL: no free capacity\.$/);
+});
+
+test('the same inputs give the same plan', () => {
+    assert.deepEqual(plan(20), plan(20));
+});
+
+test('shipments on the same lane are consolidated', () => {
+    const other = distributionPlan({ ...product, sku: 'SKU-2', name: 'Gadget', weightLbs: 0 }, candidates, { origin, excessStock: 3, coverDays: 10 });
+    const shipments = consolidateShipments([plan(20), other]);
+
+    assert.deepEqual(shipments.map(s => [s.warehouseId, s.units, s.items.length]), [['CHEAP', 13, 2], ['SMALL', 4, 1]]);
+    // Gadget has no recorded weight
+    assert.equal(shipments[0].weightLbs, 20);
+    assert.equal(shipments[0].sizeComplete, false);
+    assert.equal(shipments[0].plannedCost, 13);
+});
+
+test('shipmentUnits quotes a pallet, or the excess when it is smaller', () => {
+    assert.equal(shipmentUnits(product, 500), 50);
+    assert.equal(shipmentUnits(product, 20), 20);
+    assert.equal(shipmentUnits({}, 500), 100);
+    assert.equal(shipmentUnits({}, 0), 100);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Inventory = require('../models/inventory');
+const Distribution = require('../models/Distribution');
+const Transfer = require('../models/Transfer');
+const Warehouse = require('../models/Warehouse');
+const { createDistribution } = require('../services/distribution-service');
+const { connectDatabase, productFields } = require('./helpers');
+
+// 100 units at the main warehouse and two empty ones to send them to
+async function setup() {
+    const userId = new mongoose.Types.ObjectId().toString();
+    const main = await Warehouse.create({ userId, code: 'MAIN', name: 'Main', lat: 40.7, lng: -74 });
+    const east = await Warehouse.create({ userId, code: 'E', name: 'East', lat: 42.4, lng: -71 });
+    const west = await Warehouse.create({ userId, code: 'W', name: 'West', lat: 34, lng: -118.2 });
+    await Inventory.create(productFields({ userId, stockLevels: [{ warehouseId: main._id, onHand: 100 }] }));
+
+    const levels = async () => {
+        const item = await Inventory.findOne({ userId }).lean();
+        return Object.fromEntries(item.stockLevels.map(level => [String(level.warehouseId), level]));
+    };
+    return { userId, main, east, west, levels };
+}
+
+test('distributions', async t => {
+    if (!await connectDatabase(t)) return;
+
+    await t.test('ships every transfer at the accepted price, leaving the units inbound', async () => {
+        const { userId, main, east, west, levels } = await setup();
+
+        const { distribution, transfers } = await createDistribution(userId, {
+            sku: 'SKU-1',
+            lines: [
+                { warehouseId: east._id, quantity: 20, quote: { amount: 12.5, carrier: 'Planned Freight', deliveryDays: 2 } },
+                { warehouseId: west._id, quantity: 30, quote: { amount: 40, carrier: 'Planned Freight', deliveryDays: 5 } }
+            ]
+        });
+
+        assert.deepEqual(transfers.map(transfer => transfer.status), ['in-transit', 'in-transit']);
+        assert.deepEqual(transfers.map(transfer => [transfer.shippingCost, transfer.carrier]), [[12.5, 'Planned Freight'], [40, 'Planned Freight']]);
+        assert.equal(distribution.shippingCost, 52.5);
+        assert.equal(distribution.totalUnits, 50);
+        assert.ok(await Distribution.exists({ _id: distribution._id }));
+
+        const stock = await levels();
+        assert.equal(stock[String(main._id)].onHand, 50);
+        assert.equal(stock[String(main._id)].reserved, 0);
+        assert.equal(stock[String(east._id)].inbound, 20);
+        assert.equal(stock[String(west._id)].inbound, 30);
+    });
+
+    await t.test('a destination that fails cancels every transfer and records nothing', async () => {
+        const { userId, main, east, levels } = await setup();
+
+        await assert.rejects(createDistribution(userId, {
+            sku: 'SKU-1',
+            lines: [
+                { warehouseId: east._id, quantity: 20, quote: { amount: 10 } },
+                { warehouseId: new mongoose.Types.ObjectId(), quantity: 10, quote: { amount: 10 } }
+            ]
+        }), { status: 404 });
+
+        assert.deepEqual((await Transfer.find({ userId }).lean()).map(transfer => transfer.status), ['cancelled']);
+        assert.equal(await Distribution.countDocuments({ userId }), 0);
+
+        const stock = await levels();
+        assert.equal(stock[String(main._id)].onHand, 100);
+        assert.equal(stock[String(main._id)].reserved, 0);
+    });
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    demandSeries,
+    movingAverage,
+    simpleExponentialSmoothing,
+    holt,
+    holtWinters,
+    detectTrend,
+    selectMethod,
+    predictSeries,
+    forecastDemand
+} = require('../services/forecasting');
+
+const WEEK = [2, 4, 6, 8, 10, 20, 30];
+const weeks = n => Array.from({ length: n }, () => WEEK).flat();
+const line = (n, start = 1, step = 1) => Array.from({ length: n }, (_, i) => start + i * step);
+
+// Compare forecasts allowing for floating-point error; null stays null
+function assertClose(actual, expected) {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((value, i) => {
+        if (expected[i] === null) assert.equal(value, null);
+        else assert.ok(Math.abs(value - expected[i]) < 1e-9, `${value} != ${expected[i]} at ${i}`);
+    });
+}
+
+test('the moving average forecasts the mean of the trailing window', () => {
+    const { fitted, predict } = movingAverage([1, 2, 3, 4], { window: 2 });
+    assert.deepEqual(fitted, [null, 1, 1.5, 2.5]);
+    assert.deepEqual(predict(2), [3.5, 3.5]);
+});
+
+test('exponential smoothing moves the level toward each observation', () => {
+    const { fitted, predict } = simpleExponentialSmoothing([2, 4, 6], { alpha: 0.5 });
+    assert.deepEqual(fitted, [null, 2, 3]);
+    assert.deepEqual(predict(2), [4.5, 4.5]);
+});
+
+test('Holt follows a straight line exactly', () => {
+    const { fitted, predict } = holt(line(6));
+    assertClose(fitted, [null, null, 3, 4, 5, 6]);
+    assertClose(predict(2), [7, 8]);
+});
+
+test('Holt-Winters repeats a steady weekly pattern', () => {
+    const { fitted, predict } = holtWinters(weeks(3));
+    assertClose(fitted, [...Array(7).fill(null), ...weeks(2)]);
+    assertClose(predict(7), WEEK);
+});
+
+test('detectTrend reports the direction of demand', () => {
+    assert.equal(detectTrend(line(10)).direction, 'increasing');
+    assert.equal(detectTrend(line(10, 20, -1)).direction, 'decreasing');
+    assert.equal(detectTrend(Array(10).fill(5)).direction, 'stable');
+    assert.equal(detectTrend([]).direction, 'stable');
+});
+
+test('detectTrend does not mistake a weekly pattern for a trend', () => {
+    assert.equal(detectTrend(weeks(4)).direction, 'stable');
+});
+
+test('auto selection picks the model that fits the history', () => {
+    assert.equal(selectMethod(weeks(4)), 'holt-winters');
+    assert.equal(selectMethod(line(21)), 'holt');
+    assert.equal(selectMethod([5]), 'moving-average');
+});
+
+test('predictSeries honours the requested method when there is enough history', () => {
+    assert.equal(predictSeries(weeks(3), 'moving-average', 7).method, 'moving-average');
+    assert.equal(predictSeries(weeks(3), 'auto', 7).method, 'holt-winters');
+});
+
+test('predictSeries falls back to automatic selection when the history is too short', () => {
+    assert.equal(predictSeries(line(6), 'holt-winters', 3).method, 'holt');
+});
+
+test('predictSeries never forecasts negative demand', () => {
+    const { daily } = predictSeries(line(6, 6, -1), 'holt', 10);
+    assert.equal(daily.length, 10);
+    assert.ok(daily.every(value => value >= 0));
+    assert.equal(daily[9], 0);
+});
+
+test('predictSeries forecasts nothing from an empty history', () => {
+    assert.deepEqual(predictSeries([], 'auto', 3), { method: null, daily: [0, 0, 0] });
+});
+
+test('forecastDemand orders the history by date and applies the seasonality multiplier', () => {
+    const item = {
+        forecastMethod: 'moving-average',
+        seasonalityMultiplier: 2,
+        demandHistory: [
+            { date: new Date('2026-01-03'), unitsSold: 6 },
+            { date: new Date('2026-01-01'), unitsSold: 2 },
+            { date: new Date('2026-01-02'), unitsSold: 4 }
+        ]
+    };
+
+    assert.deepEqual(demandSeries(item), [2, 4, 6]);
+
+    const forecast = forecastDemand(item, { horizonDays: 5 });
+    assert.equal(forecast.method, 'moving-average');
+    assert.equal(forecast.historyDays, 3);
+    assert.deepEqual(forecast.daily, Array(5).fill(8));
+    assert.equal(forecast.horizonDemand, 40);
+    assert.equal(forecast.dailyDemand, 8);
+});
+
+test('forecastDemand without history reports no method', () => {
+    const forecast = forecastDemand({ demandHistory: [] }, { horizonDays: 7 });
+    assert.equal(forecast.method, 'none');
+    assert.equal(forecast.horizonDemand, 0);
+});
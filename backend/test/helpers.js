@@ -0,0 +1,151 @@
+/**
+ * Test helpers
+ * Tests that need MongoDB run against MONGODB_TEST_URI when it is set, and
+ * otherwise against a throwaway mongodb-memory-server instance. When neither
+ * can be reached the test is skipped with the reason, not failed.
+ *
+ * Each test file runs in its own process (node --test), so the database, the
+ * app and the captured mail below belong to one file.
+ */
+
+const { once } = require('events');
+const mongoose = require('mongoose');
+const { setMailTransport } = require('../services/mailer');
+
+// Mail the app sent, newest last
+const sentMail = [];
+setMailTransport({ name: 'test', async send(message) { sentMail.push(message); } });
+
+/**
+ * Connect mongoose to an empty test database, dropped when `t` finishes
+ * @param {Object} t - node:test context
+ * @returns {Promise<boolean>} False when MongoDB is unavailable and `t` was skipped
+ */
+async function connectDatabase(t) {
+    let uri = process.env.MONGODB_TEST_URI;
+    let memoryServer = null;
+
+    if (!uri) {
+        try {
+            const { MongoMemoryServer } = require('mongodb-memory-server');
+            memoryServer = await MongoMemoryServer.create();
+            uri = memoryServer.getUri();
+        } catch (error) {
+            t.skip(`MongoDB is not available: ${error.message.split('\n')[0]}`);
+            return false;
+        }
+    }
+
+    await mongoose.connect(uri, { dbName: `inventree-test-${process.pid}` });
+    await Promise.all(Object.values(mongoose.models).map(Model => Model.init()));
+
+    t.after(async () => {
+        await mongoose.connection.dropDatabase();
+        await mongoose.disconnect();
+        if (memoryServer) await memoryServer.stop();
+    });
+    return true;
+}
+
+/**
+ * Start the app on a free port, stopped when `t` finishes. Connect the
+ * database first.
+ * @param {Object} t - node:test context
+ * @returns {Promise<string>} Base URL
+ */
+async function startApp(t) {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+    const app = require('../app');
+
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * A browser-like client that keeps its session cookie
+ * @param {string} baseUrl - From startApp
+ * @returns {{request: function(string, string, Object=): Promise<Response>, get: function(string): Promise<Response>, post: function(string, Object=): Promise<Response>, postJson: function(string, Object=): Promise<Response>, delete: function(string): Promise<Response>}}
+ */
+function client(baseUrl) {
+    let cookie = '';
+
+    async function request(method, path, { form, json } = {}) {
+        const headers = {};
+        let body;
+        if (cookie) headers.cookie = cookie;
+        if (form) {
+            headers['content-type'] = 'application/x-www-form-urlencoded';
+            body = new URLSearchParams(form).toString();
+        }
+        if (json) {
+            headers['content-type'] = 'application/json';
+            body = JSON.stringify(json);
+        }
+
+        const res = await fetch(`${baseUrl}${path}`, { method, headers, body, redirect: 'manual' });
+        const setCookie = res.headers.get('set-cookie');
+        if (setCookie) cookie = setCookie.split(';')[0];
+        return res;
+    }
+
+    return {
+        request,
+        get: path => request('GET', path),
+        post: (path, form = {}) => request('POST', path, { form }),
+        postJson: (path, json = {}) => request('POST', path, { json }),
+        delete: path => request('DELETE', path)
+    };
+}
+
+const PASSWORD = 'secret123';
+
+/**
+ * Sign up a new account in its own organization
+ * @param {string} baseUrl - From startApp
+ * @param {string} email - Account email
+ * @returns {Promise<{client: Object, user: Object, organizationId: string}>} A signed-in client
+ */
+async function signUp(baseUrl, email) {
+    const User = require('../models/user');
+    const signedIn = client(baseUrl);
+
+    const res = await signedIn.post('/signup', { email, password: PASSWORD, confirmPassword: PASSWORD, businessName: email });
+    if (res.status !== 302) {
+        throw new Error(`Signup for ${email} failed with ${res.status}`);
+    }
+
+    const user = await User.findOne({ email: User.normalizeEmail(email) }).lean();
+    return { client: signedIn, user, organizationId: String(user.organizationId) };
+}
+
+/**
+ * Fields a valid Inventory document needs
+ * @param {Object} overrides - Fields to set or replace
+ * @returns {Object}
+ */
+function productFields(overrides = {}) {
+    return {
+        sku: 'SKU-1',
+        name: 'Test product',
+        leadTimeDays: 7,
+        moq: 10,
+        unitCost: 5,
+        budgetCap: 1000,
+        holdingCostPerUnit: '1',
+        stockoutCostPerUnit: '10',
+        ...overrides
+    };
+}
+
+module.exports = {
+    PASSWORD,
+    sentMail,
+    connectDatabase,
+    startApp,
+    client,
+    signUp,
+    productFields
+};
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const IssueRule = require('../models/IssueRule');
+const Organization = require('../models/Organization');
+const { parseExpression } = require('../services/rules-engine');
+const { DEFAULT_RULES, getUserRules, saveUserRules, resetUserRules } = require('../services/issue-detector');
+const { connectDatabase } = require('./helpers');
+
+test('keywords do not match object prototype members', () => {
+    for (const name of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+        assert.throws(() => parseExpression(`${name} > 1`), { status: 400, message: new RegExp(`Unknown variable '${name}'`) });
+    }
+    assert.deepEqual(parseExpression('not true'), parseExpression('NOT TRUE'));
+});
+
+test('issue rules', async t => {
+    if (!await connectDatabase(t)) return;
+
+    await t.test('concurrent first loads create the defaults once', async () => {
+        const { _id } = await Organization.create({ name: 'Acme' });
+        const organizationId = String(_id);
+
+        await Promise.all([getUserRules(organizationId), getUserRules(organizationId), getUserRules(organizationId)]);
+        assert.equal(await IssueRule.countDocuments({ userId: organizationId }), DEFAULT_RULES.length);
+    });
+
+    await t.test('removing every rule is kept, and reset restores the defaults', async () => {
+        const { _id } = await Organization.create({ name: 'Acme' });
+        const organizationId = String(_id);
+        await getUserRules(organizationId);
+
+        await saveUserRules(organizationId, []);
+        assert.deepEqual(await getUserRules(organizationId), []);
+
+        await resetUserRules(organizationId);
+        assert.equal((await getUserRules(organizationId)).length, DEFAULT_RULES.length);
+    });
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Inventory = require('../models/inventory');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const StockMovement = require('../models/StockMovement');
+const Warehouse = require('../models/Warehouse');
+const {
+    createPurchaseOrder,
+    sendPurchaseOrder,
+    placePurchaseOrder,
+    receivePurchaseOrder,
+    cancelPurchaseOrder
+} = require('../services/purchase-order-service');
+const { connectDatabase, productFields } = require('./helpers');
+
+const newTenant = () => new mongoose.Types.ObjectId().toString();
+
+const receipts = (userId, sku) => StockMovement.find({ userId, sku, type: 'receipt' }).lean();
+
+test('purchase orders', async t => {
+    if (!await connectDatabase(t)) return;
+
+    await t.test('an order without a destination is delivered to the product\'s warehouse', async () => {
+        const userId = newTenant();
+        const warehouse = await Warehouse.create({ userId, code: 'MAIN', name: 'Main' });
+        await Inventory.create(productFields({ userId, stockLevels: [{ warehouseId: warehouse._id, onHand: 10 }] }));
+
+        const draft = await createPurchaseOrder(userId, { lines: [{ sku: 'SKU-1', quantity: 20 }] });
+        assert.equal(draft.warehouseId, null);
+
+        const sent = await sendPurchaseOrder(draft);
+        assert.equal(String(sent.warehouseId), String(warehouse._id));
+
+        let item = await Inventory.findOne({ userId, sku: 'SKU-1' }).lean();
+        assert.equal(item.inboundUnits, 20);
+        assert.equal(item.stockLevels[0].inbound, 20);
+
+        const partial = await receivePurchaseOrder(sent, { 'SKU-1': 15 });
+        assert.equal(partial.status, 'partially-received');
+
+        item = await Inventory.findOne({ userId, sku: 'SKU-1' }).lean();
+        assert.equal(item.onHand, 25);
+        assert.equal(item.stockLevels[0].onHand, 25);
+        assert.equal(item.inboundUnits, 5);
+
+        const [movement] = await receipts(userId, 'SKU-1');
+        assert.equal(movement.quantity, 15);
+        assert.equal(String(movement.warehouseId), String(warehouse._id));
+
+        await cancelPurchaseOrder(partial);
+        item = await Inventory.findOne({ userId, sku: 'SKU-1' }).lean();
+        assert.equal(item.inboundUnits, 0);
+        assert.equal(item.onHand, 25);
+    });
+
+    await t.test('an order sent before destinations were settled is received at the main warehouse', async () => {
+        const userId = newTenant();
+        const small = await Warehouse.create({ userId, code: 'A', name: 'Small' });
+        const big = await Warehouse.create({ userId, code: 'B', name: 'Big' });
+        await Inventory.create(productFields({
+            userId,
+            stockLevels: [{ warehouseId: small._id, onHand: 2 }, { warehouseId: big._id, onHand: 40, inbound: 10 }]
+        }));
+        const order = await PurchaseOrder.create({
+            userId,
+            poNumber: 'PO-OLD-001',
+            status: 'sent',
+            warehouseId: null,
+            lines: [{ sku: 'SKU-1', productName: 'Test product', quantity: 10 }]
+        });
+
+        await receivePurchaseOrder(order, { 'SKU-1': 10 });
+
+        const item = await Inventory.findOne({ userId, sku: 'SKU-1' }).lean();
+        assert.equal(item.onHand, 52);
+        assert.equal(item.inboundUnits, 0);
+        assert.equal(item.stockLevels.find(level => String(level.warehouseId) === String(big._id)).onHand, 50);
+        assert.equal((await receipts(userId, 'SKU-1'))[0].quantity, 10);
+    });
+
+    await t.test('an order whose products are stocked at different warehouses needs a destination', async () => {
+        const userId = newTenant();
+        const east = await Warehouse.create({ userId, code: 'E', name: 'East' });
+        const west = await Warehouse.create({ userId, code: 'W', name: 'West' });
+        await Inventory.create(productFields({ userId, sku: 'EAST-1', stockLevels: [{ warehouseId: east._id, onHand: 5 }] }));
+        await Inventory.create(productFields({ userId, sku: 'WEST-1', stockLevels: [{ warehouseId: west._id, onHand: 5 }] }));
+
+        const lines = [{ sku: 'EAST-1', quantity: 10 }, { sku: 'WEST-1', quantity: 10 }];
+        await assert.rejects(placePurchaseOrder(userId, { lines }), { status: 400 });
+        assert.equal(await PurchaseOrder.countDocuments({ userId }), 0);
+
+        const sent = await placePurchaseOrder(userId, { lines, warehouseId: west._id });
+        assert.equal(String(sent.warehouseId), String(west._id));
+    });
+
+    await t.test('without any warehouses the SKU-level quantities change', async () => {
+        const userId = newTenant();
+        await Inventory.create(productFields({ userId, onHand: 3 }));
+
+        const sent = await placePurchaseOrder(userId, { lines: [{ sku: 'SKU-1', quantity: 10 }] });
+        assert.equal(sent.warehouseId, null);
+        assert.equal((await Inventory.findOne({ userId }).lean()).inboundUnits, 10);
+
+        const received = await receivePurchaseOrder(sent, { 'SKU-1': 10 });
+        assert.equal(received.status, 'received');
+
+        const item = await Inventory.findOne({ userId }).lean();
+        assert.equal(item.onHand, 13);
+        assert.equal(item.inboundUnits, 0);
+        assert.equal((await receipts(userId, 'SKU-1'))[0].quantity, 10);
+    });
+
+    await t.test('a line cannot be received twice', async () => {
+        const userId = newTenant();
+        await Inventory.create(productFields({ userId }));
+        const sent = await placePurchaseOrder(userId, { lines: [{ sku: 'SKU-1', quantity: 10 }] });
+
+        await receivePurchaseOrder(sent, { 'SKU-1': 10 });
+        // `sent` is the stale copy from before the receipt
+        await assert.rejects(receivePurchaseOrder(sent, { 'SKU-1': 10 }), { status: 409 });
+        assert.equal((await Inventory.findOne({ userId }).lean()).onHand, 10);
+    });
+
+    await t.test('orders created at the same time get distinct numbers', async () => {
+        const userId = newTenant();
+        await Inventory.create(productFields({ userId }));
+
+        const orders = await Promise.all(Array.from({ length: 5 }, () =>
+            createPurchaseOrder(userId, { lines: [{ sku: 'SKU-1', quantity: 10 }] })));
+
+        const day = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+        assert.deepEqual(orders.map(order => order.poNumber).sort(), [1, 2, 3, 4, 5].map(n => `PO-${day}-00${n}`));
+    });
+
+    await t.test('numbering continues after orders numbered before the counter existed', async () => {
+        const userId = newTenant();
+        await Inventory.create(productFields({ userId }));
+        const day = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+        await PurchaseOrder.create({ userId, poNumber: `PO-${day}-001`, lines: [{ sku: 'SKU-1', productName: 'Test product', quantity: 1 }] });
+
+        const order = await createPurchaseOrder(userId, { lines: [{ sku: 'SKU-1', quantity: 10 }] });
+        assert.equal(order.poNumber, `PO-${day}-002`);
+    });
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalQuantile, demandStdDev, economicOrderQuantity, reorderPolicy } = require('../services/reorder-policy');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} != ${expected}`);
+
+// Demand averaging 10 a day with a standard deviation of 4
+const history = [6, 10, 14].map((unitsSold, day) => ({ date: new Date(Date.UTC(2026, 0, day + 1)), unitsSold }));
+const forecast = { dailyDemand: 10 };
+
+const item = fields => ({
+    demandHistory: history,
+    leadTimeDays: 4,
+    targetServiceLevel: 0.95,
+    orderingCost: 50,
+    holdingCostPerUnit: '0.1',
+    onHand: 30,
+    reservedUnits: 0,
+    inboundUnits: 20,
+    ...fields
+});
+
+test('normalQuantile matches the standard normal table', () => {
+    close(normalQuantile(0.5), 0);
+    close(normalQuantile(0.95), 1.644854);
+    close(normalQuantile(0.975), 1.959964);
+    close(normalQuantile(0.01), -2.326348);
+    close(normalQuantile(0.999), 3.090232);
+});
+
+test('demandStdDev is the sample standard deviation', () => {
+    assert.equal(demandStdDev([6, 10, 14]), 4);
+    assert.equal(demandStdDev([5]), null);
+});
+
+test('economicOrderQuantity balances ordering against holding cost', () => {
+    close(economicOrderQuantity(10, 50, 0.1), 100);
+    assert.equal(economicOrderQuantity(0, 50, 0.1), 0);
+    assert.equal(economicOrderQuantity(10, 50, 0), 0);
+});
+
+test('safety stock and reorder point follow the service level and lead time', () => {
+    const policy = reorderPolicy(item(), forecast);
+
+    close(policy.z, 1.644854);
+    assert.equal(policy.demandStdDev, 4);
+    // 1.645 × 4 × √4 = 13.2
+    assert.equal(policy.safetyStock, 14);
+    assert.equal(policy.leadTimeDemand, 40);
+    assert.equal(policy.reorderPoint, 54);
+    assert.equal(policy.eoq, 100);
+});
+
+test('safetyStockDays is a floor under the statistical safety stock', () => {
+    assert.equal(reorderPolicy(item({ safetyStockDays: 3 }), forecast).safetyStock, 30);
+    assert.equal(reorderPolicy(item({ safetyStockDays: 3, demandHistory: [] }), forecast).safetyStock, 30);
+    assert.equal(reorderPolicy(item({ demandHistory: [] }), forecast).safetyStock, 0);
+});
+
+test('the service level is clamped so z stays finite', () => {
+    assert.equal(reorderPolicy(item({ targetServiceLevel: 1 }), forecast).serviceLevel, 0.9999);
+    assert.equal(reorderPolicy(item({ targetServiceLevel: 0.1 }), forecast).serviceLevel, 0.5);
+});
+
+test('the stock position decides the status and order quantity', () => {
+    // Position 50 is under the reorder point of 54
+    const reorder = reorderPolicy(item(), forecast);
+    assert.equal(reorder.inventoryPosition, 50);
+    assert.equal(reorder.status, 'reorder');
+    assert.equal(reorder.orderQuantity, 100);
+
+    // Reserved units do not count toward the position
+    const critical = reorderPolicy(item({ reservedUnits: 26, inboundUnits: 0 }), forecast);
+    assert.equal(critical.inventoryPosition, 4);
+    assert.equal(critical.status, 'critical');
+
+    const ok = reorderPolicy(item({ onHand: 60 }), forecast);
+    assert.equal(ok.status, 'ok');
+    assert.equal(ok.orderQuantity, 0);
+});
+
+test('the order quantity is at least the MOQ and lifts the position above the reorder point', () => {
+    assert.equal(reorderPolicy(item({ moq: 150 }), forecast).orderQuantity, 150);
+    assert.equal(reorderPolicy(item({ orderingCost: 0, onHand: 0, inboundUnits: 0 }), forecast).orderQuantity, 55);
+});
+
+test('nothing is reordered without demand', () => {
+    const policy = reorderPolicy(item({ onHand: 0, inboundUnits: 0 }), { dailyDemand: 0 });
+    assert.equal(policy.status, 'ok');
+    assert.equal(policy.daysOfCover, 999);
+});
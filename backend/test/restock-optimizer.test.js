@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { optimizeRestock } = require('../services/restock-optimizer');
+const { productFields } = require('./helpers');
+
+// A product selling 10 units a day with nothing in stock
+const product = (sku, category) => productFields({
+    sku,
+    name: sku,
+    category,
+    onHand: 0,
+    budgetCap: 0,
+    holdingCostPerUnit: '0.01',
+    demandHistory: Array.from({ length: 30 }, (_, day) => ({ date: new Date(Date.UTC(2026, 0, day + 1)), unitsSold: 10 }))
+});
+
+test('products outside every category budget are not funded without an overall budget', () => {
+    const plan = optimizeRestock([product('TOOL-1', 'Tools'), product('MISC-1', '')], [{ category: 'Tools', amount: 500 }]);
+
+    assert.deepEqual(plan.allocations.map(allocation => allocation.sku), ['TOOL-1']);
+    assert.ok(plan.totals.spend <= 500);
+    assert.deepEqual(plan.unfunded.map(item => [item.sku, item.reason]), [['MISC-1', 'No budget covers products without a category']]);
+});
+
+test('an overall budget funds products outside the category budgets', () => {
+    const plan = optimizeRestock(
+        [product('TOOL-1', 'Tools'), product('MISC-1', '')],
+        [{ category: '', amount: 5000 }, { category: 'Tools', amount: 2000 }]
+    );
+
+    assert.deepEqual(plan.allocations.map(allocation => allocation.sku).sort(), ['MISC-1', 'TOOL-1']);
+    assert.ok(plan.totals.spend <= 5000);
+});
+
+test('without any budgets nothing is limited', () => {
+    const plan = optimizeRestock([product('MISC-1', '')], []);
+
+    assert.equal(plan.allocations.length, 1);
+    assert.equal(plan.allocations[0].budget, 'No budget');
+    assert.deepEqual(plan.unfunded, []);
+});
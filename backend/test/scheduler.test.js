@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JobState = require('../models/JobState');
+const { registerJob, runJob, isRunning } = require('../services/scheduler');
+const { connectDatabase } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test('a run is only in progress until it goes stale', () => {
+    const now = new Date();
+    assert.equal(isRunning({ running: true, runningSince: new Date(now - HOUR_MS) }, now), true);
+    assert.equal(isRunning({ running: true, runningSince: new Date(now - 3 * HOUR_MS) }, now), false);
+    assert.equal(isRunning({ running: true }, now), false);
+    assert.equal(isRunning({ running: false, runningSince: now }, now), false);
+    assert.equal(isRunning(null, now), false);
+});
+
+test('scheduler', async t => {
+    if (!await connectDatabase(t)) return;
+
+    let runs = 0;
+    registerJob({ name: 'test-job', cron: '* * * * *', run: async () => ({ run: ++runs }) });
+
+    await t.test('a live run blocks another one', async () => {
+        await JobState.create({ job: 'test-job', userId: null, running: true, runningSince: new Date() });
+
+        await assert.rejects(runJob('test-job', { userId: '64b000000000000000000001' }), { status: 409 });
+        assert.equal(runs, 0);
+        await JobState.deleteMany({ job: 'test-job' });
+    });
+
+    await t.test('a run left marked running by a dead process is taken over', async () => {
+        await JobState.create({ job: 'test-job', userId: null, running: true, runningSince: new Date(Date.now() - 3 * HOUR_MS) });
+
+        const summary = await runJob('test-job', { userId: '64b000000000000000000001' });
+        assert.deepEqual([summary.users, summary.failed], [1, 0]);
+
+        const state = await JobState.findOne({ job: 'test-job', userId: null }).lean();
+        assert.equal(state.running, false);
+        assert.equal(state.lastStatus, 'success');
+    });
+
+    await t.test('a run marked before start times were recorded is stale', async () => {
+        await JobState.updateOne({ job: 'test-job', userId: null }, { $set: { running: true }, $unset: { runningSince: 1 } });
+
+        await runJob('test-job', { userId: '64b000000000000000000001' });
+        assert.equal(runs, 2);
+    });
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cachedProvider } = require('../services/shipping-rates');
+
+// A provider that prices by weight and counts its calls
+function countingProvider() {
+    const provider = {
+        name: 'counting',
+        calls: 0,
+        async quote({ weightLbs }) {
+            provider.calls++;
+            return { amount: weightLbs * 2, carrier: 'Test' };
+        }
+    };
+    return provider;
+}
+
+const from = { zip: '10001', lat: 40.7, lng: -74 };
+const to = { zip: '02108', lat: 42.4, lng: -71 };
+
+test('quotes for different weights in the same tier are not shared', async () => {
+    const provider = countingProvider();
+    const cached = cachedProvider(provider, { ttlMs: 60000 });
+
+    assert.equal((await cached.quote({ from, to, weightLbs: 60 })).amount, 120);
+    assert.equal((await cached.quote({ from, to, weightLbs: 140 })).amount, 280);
+    assert.equal((await cached.quote({ from, to, weightLbs: 60 })).amount, 120);
+    assert.equal(provider.calls, 2);
+});
+
+test('expired quotes are refetched and evicted', async () => {
+    let time = 0;
+    const provider = countingProvider();
+    const cached = cachedProvider(provider, { ttlMs: 1000, now: () => time });
+
+    for (let weightLbs = 1; weightLbs <= 5; weightLbs++) {
+        await cached.quote({ from, to, weightLbs });
+    }
+    assert.equal(cached.size(), 5);
+
+    time = 1000;
+    await cached.quote({ from, to, weightLbs: 1 });
+    assert.equal(provider.calls, 6);
+    assert.equal(cached.size(), 1);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { seededRandom, buildPlans, applyActions, simulateScenario, simulationOptions } = require('../services/simulator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date(Date.UTC(2026, 5, 1));
+
+// Selling 5 a day (give or take) with 20 on hand and a 3-day lead time
+const item = fields => ({
+    sku: 'SKU-1',
+    name: 'Product',
+    onHand: 20,
+    reservedUnits: 0,
+    inboundUnits: 0,
+    unitCost: 2,
+    moq: 0,
+    budgetCap: 1000,
+    leadTimeDays: 3,
+    forecastMethod: 'moving-average',
+    demandHistory: [3, 7, 5, 4, 6, 5, 5].map((unitsSold, day) => ({ date: new Date(Date.UTC(2026, 4, day + 1)), unitsSold })),
+    ...fields
+});
+
+const action = (type, suggestedQuantity, productSku = 'SKU-1') => ({ type, suggestedQuantity, productSku });
+
+const deterministic = { days: 10, mode: 'deterministic', runs: 1, seed: 1 };
+
+test('seededRandom repeats a sequence for the same seed', () => {
+    const draw = seed => {
+        const random = seededRandom(seed);
+        return Array.from({ length: 5 }, random);
+    };
+
+    assert.deepEqual(draw(42), draw(42));
+    assert.notDeepEqual(draw(42), draw(43));
+    assert.ok(draw(7).every(value => value >= 0 && value < 1));
+});
+
+test('a Monte Carlo run with a fixed seed repeats exactly', () => {
+    const plans = buildPlans([item()], [], { days: 30, now });
+    const options = { days: 30, mode: 'monte-carlo', runs: 50, seed: 1234 };
+
+    const first = simulateScenario(plans, options);
+    assert.deepEqual(simulateScenario(plans, options), first);
+    assert.notDeepEqual(simulateScenario(plans, { ...options, seed: 4321 }), first);
+    assert.ok('onHandP10' in first.daily[0]);
+});
+
+test('doing nothing runs out once the stock is sold', () => {
+    const plans = buildPlans([item()], [], { days: 10, now });
+    const result = simulateScenario(plans, deterministic);
+
+    assert.deepEqual(result.daily.slice(0, 5).map(point => point.onHand), [15, 10, 5, 0, 0]);
+    assert.equal(result.items[0].firstStockoutDay, 5);
+    assert.equal(result.items[0].lostUnits, 30);
+    assert.equal(result.totals.skusAtRisk, 1);
+});
+
+test('open purchase orders land on their expected date and other inbound after the lead time', () => {
+    const order = {
+        expectedDate: new Date(now.getTime() + 2 * DAY_MS),
+        lines: [{ sku: 'SKU-1', quantity: 15, receivedQuantity: 5, unitCost: 2 }]
+    };
+    const [plan] = buildPlans([item({ inboundUnits: 25 })], [order], { days: 10, now });
+
+    assert.equal(plan.receipts[2], 10);
+    assert.equal(plan.receipts[3], 15);
+    assert.equal(plan.committedSpend, 20);
+});
+
+test('approved orders arrive after the lead time and spend budget', () => {
+    const plans = buildPlans([item()], [], { days: 10, now });
+    const [restock] = applyActions(plans, [action('RESTOCK', 30)], 10);
+    const [emergency] = applyActions(plans, [action('EMERGENCY_ORDER', 30)], 10);
+
+    assert.equal(restock.receipts[3], 30);
+    assert.equal(restock.spend, 60);
+    // Emergencies take half the lead time
+    assert.equal(emergency.receipts[2], 30);
+
+    const result = simulateScenario([restock], deterministic);
+    // 50 units cover the 10 days exactly
+    assert.equal(result.items[0].firstStockoutDay, null);
+    assert.equal(result.items[0].endingOnHand, 0);
+    assert.equal(result.totals.spend, 60);
+});
+
+test('orders are raised to the MOQ', () => {
+    const plans = buildPlans([item({ moq: 50 })], [], { days: 10, now });
+    assert.equal(applyActions(plans, [action('ORDER', 10)], 10)[0].receipts[3], 50);
+});
+
+test('reducing stock removes no more than is available', () => {
+    const plans = buildPlans([item({ reservedUnits: 5 })], [], { days: 10, now });
+    const [plan] = applyActions(plans, [action('REDUCE_STOCK', 10), action('REDUCE_STOCK', 10)], 10);
+
+    assert.equal(plan.removed, 15);
+    assert.equal(simulateScenario([plan], deterministic).daily[0].onHand, 0);
+});
+
+test('moves between warehouses and actions for other SKUs leave the projection alone', () => {
+    const plans = buildPlans([item()], [], { days: 10, now });
+    const applied = applyActions(plans, [action('TRANSFER', 10), action('RESTOCK', 30, 'OTHER')], 10);
+
+    assert.deepEqual(applied, plans);
+    assert.notEqual(applied[0].receipts, plans[0].receipts);
+});
+
+test('applyActions leaves the original plans untouched', () => {
+    const plans = buildPlans([item()], [], { days: 10, now });
+    applyActions(plans, [action('RESTOCK', 30), action('REDUCE_STOCK', 5)], 10);
+
+    assert.equal(plans[0].receipts[3], 0);
+    assert.equal(plans[0].removed, 0);
+    assert.equal(plans[0].spend, 0);
+});
+
+test('simulationOptions rejects unknown modes and out-of-range numbers', () => {
+    assert.throws(() => simulationOptions({ mode: 'guess' }), { status: 400 });
+    assert.throws(() => simulationOptions({ days: 0 }), { status: 400 });
+    assert.throws(() => simulationOptions({ runs: 5000 }), { status: 400 });
+    assert.deepEqual(simulationOptions({ days: '14', seed: '9' }), { days: 14, mode: 'deterministic', runs: 200, seed: 9 });
+});
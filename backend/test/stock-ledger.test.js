@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const mongoose = require('mongoose');
+const Inventory = require('../models/inventory');
+const StockMovement = require('../models/StockMovement');
+const Warehouse = require('../models/Warehouse');
+const { applyManualMovement } = require('../services/stock-service');
+const { getMovementHistory, onHandAt } = require('../services/stock-ledger');
+const { connectDatabase, productFields } = require('./helpers');
+
+const newTenant = () => new mongoose.Types.ObjectId().toString();
+
+test('stock ledger', async t => {
+    if (!await connectDatabase(t)) return;
+
+    await t.test('manual movements are recorded with the balance after them', async () => {
+        const userId = newTenant();
+        const warehouse = await Warehouse.create({ userId, code: 'MAIN', name: 'Main' });
+        await Inventory.create(productFields({ userId, stockLevels: [{ warehouseId: warehouse._id, onHand: 20 }] }));
+
+        await applyManualMovement(userId, 'SKU-1', { type: 'receipt', quantity: 10, note: 'Delivery' });
+        await applyManualMovement(userId, 'SKU-1', { type: 'sale', quantity: 4 });
+
+        const history = await getMovementHistory(userId, 'SKU-1');
+        assert.deepEqual(
+            history.map(m => [m.type, m.quantity, m.balanceAfter, m.warehouseId.code]),
+            [['sale', -4, 26, 'MAIN'], ['receipt', 10, 30, 'MAIN']]
+        );
+        assert.equal((await Inventory.findOne({ userId }).lean()).onHand, 26);
+    });
+
+    await t.test('a refused movement changes nothing and is not recorded', async () => {
+        const userId = newTenant();
+        const warehouse = await Warehouse.create({ userId, code: 'MAIN', name: 'Main' });
+        await Inventory.create(productFields({ userId, stockLevels: [{ warehouseId: warehouse._id, onHand: 3 }] }));
+
+        await assert.rejects(applyManualMovement(userId, 'SKU-1', { type: 'write-off', quantity: 5 }), { status: 400 });
+        assert.equal((await Inventory.findOne({ userId }).lean()).onHand, 3);
+        assert.equal(await StockMovement.countDocuments({ userId }), 0);
+    });
+
+    await t.test('stock at a past date is rebuilt from later movements', async () => {
+        const userId = newTenant();
+        const warehouse = await Warehouse.create({ userId, code: 'MAIN', name: 'Main' });
+        await Inventory.create(productFields({ userId, stockLevels: [{ warehouseId: warehouse._id, onHand: 20 }] }));
+
+        await applyManualMovement(userId, 'SKU-1', { type: 'receipt', quantity: 10 });
+        await sleep(5);
+        const cutoff = new Date();
+        await sleep(5);
+        await applyManualMovement(userId, 'SKU-1', { type: 'sale', quantity: 7 });
+        await applyManualMovement(userId, 'SKU-1', { type: 'adjustment', quantity: -1 });
+
+        const item = await Inventory.findOne({ userId }).lean();
+        assert.equal(item.onHand, 22);
+
+        const past = await onHandAt(item, cutoff);
+        assert.equal(past.onHand, 30);
+        assert.equal(past.locations.get(String(warehouse._id)), 30);
+        assert.equal(past.movementsAfter, 2);
+
+        const range = await getMovementHistory(userId, 'SKU-1', { from: cutoff });
+        assert.equal(range.length, 2);
+    });
+
+    await t.test('recorded movements cannot be changed or removed', async () => {
+        const userId = newTenant();
+        const movement = await StockMovement.create({ userId, sku: 'SKU-1', type: 'receipt', quantity: 5 });
+
+        movement.quantity = 50;
+        await assert.rejects(movement.save(), /cannot be modified/);
+        await assert.rejects(StockMovement.updateOne({ _id: movement._id }, { quantity: 50 }), /cannot be modified/);
+        await assert.rejects(StockMovement.deleteOne({ _id: movement._id }), /cannot be deleted/);
+
+        assert.equal((await StockMovement.findById(movement._id).lean()).quantity, 5);
+    });
+
+    await t.test('inbound and outbound movements must have the right sign', async () => {
+        await assert.rejects(
+            StockMovement.create({ userId: newTenant(), sku: 'SKU-1', type: 'sale', quantity: 5 }),
+            /must remove stock/
+        );
+    });
+});
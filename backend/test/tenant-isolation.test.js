@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { tenantFilter } = require('../models/tenant');
+const Inventory = require('../models/inventory');
+const Action = require('../models/Action');
+const { connectDatabase, startApp, signUp, productFields } = require('./helpers');
+
+test('tenantFilter', async t => {
+    const tenantId = new mongoose.Types.ObjectId().toString();
+
+    await t.test('throws without a tenant', () => {
+        assert.throws(() => tenantFilter(undefined, { sku: 'A' }), /Tenant id is required/);
+        assert.throws(() => tenantFilter(null), /Tenant id is required/);
+        assert.throws(() => tenantFilter(''), /Tenant id is required/);
+        assert.throws(() => tenantFilter('not-an-id'), /Tenant id is required/);
+    });
+
+    await t.test('scopes the filter, overriding any userId in it', () => {
+        const other = new mongoose.Types.ObjectId().toString();
+        assert.deepEqual(tenantFilter(tenantId, { sku: 'A', userId: other }), { sku: 'A', userId: tenantId });
+    });
+
+    await t.test('turns a malformed _id into one that matches nothing', () => {
+        assert.equal(tenantFilter(tenantId, { _id: 'nope' })._id, null);
+    });
+});
+
+test('cross-tenant requests are rejected', async t => {
+    if (!await connectDatabase(t)) return;
+    const baseUrl = await startApp(t);
+
+    const alice = await signUp(baseUrl, 'alice@example.com');
+    const bob = await signUp(baseUrl, 'bob@example.com');
+
+    const aliceItem = await Inventory.create(productFields({ userId: alice.organizationId, sku: 'ALICE-1', onHand: 5 }));
+    const bobItem = await Inventory.create(productFields({ userId: bob.organizationId, sku: 'BOB-1', name: 'Bob product', onHand: 7 }));
+    const bobAction = () => Action.create({
+        userId: bob.organizationId,
+        type: 'RESTOCK',
+        productSku: 'BOB-1',
+        productName: 'Bob product',
+        currentStock: 7,
+        suggestedQuantity: 20,
+        reasoning: 'Low stock'
+    });
+
+    await t.test('GET /inventory/edit/:id', async () => {
+        assert.equal((await alice.client.get(`/inventory/edit/${bobItem._id}`)).status, 404);
+        assert.equal((await alice.client.get(`/inventory/edit/${aliceItem._id}`)).status, 200);
+    });
+
+    await t.test('POST /inventory/edit/:id', async () => {
+        const res = await alice.client.post(`/inventory/edit/${bobItem._id}`, { name: 'Taken over', userId: alice.organizationId });
+        assert.equal(res.status, 404);
+
+        const unchanged = await Inventory.findById(bobItem._id).lean();
+        assert.equal(unchanged.name, 'Bob product');
+        assert.equal(String(unchanged.userId), bob.organizationId);
+    });
+
+    await t.test('POST /inventory/edit/:id cannot move a product to another organization', async () => {
+        const res = await alice.client.post(`/inventory/edit/${aliceItem._id}`, { name: 'Renamed', userId: bob.organizationId });
+        assert.equal(res.status, 302);
+
+        const saved = await Inventory.findById(aliceItem._id).lean();
+        assert.equal(saved.name, 'Renamed');
+        assert.equal(String(saved.userId), alice.organizationId);
+    });
+
+    await t.test('DELETE /api/inventory/:id', async () => {
+        const res = await alice.client.delete(`/api/inventory/${bobItem._id}`);
+        assert.equal(res.status, 404);
+        assert.ok(await Inventory.exists({ _id: bobItem._id }));
+    });
+
+    await t.test('POST /api/actions/approve|reject|execute/:id', async () => {
+        const action = await bobAction();
+
+        for (const transition of ['approve', 'reject', 'execute']) {
+            const res = await alice.client.postJson(`/api/actions/${transition}/${action._id}`);
+            assert.equal(res.status, 404, transition);
+            assert.equal((await res.json()).success, false);
+        }
+        assert.equal((await Action.findById(action._id).lean()).status, 'PENDING');
+
+        // An approved action of another organization cannot be executed either
+        await Action.updateOne({ _id: action._id }, { $set: { status: 'APPROVED' } });
+        assert.equal((await alice.client.postJson(`/api/actions/execute/${action._id}`)).status, 404);
+        assert.equal((await Action.findById(action._id).lean()).status, 'APPROVED');
+    });
+
+    await t.test('GET /api/inventory lists only the caller\'s organization', async () => {
+        const res = await alice.client.get('/api/inventory');
+        assert.equal(res.status, 200);
+
+        const skus = (await res.json()).map(item => item.sku);
+        assert.deepEqual(skus, ['ALICE-1']);
+    });
+
+    await t.test('GET /api/inventory without a session', async () => {
+        const res = await fetch(`${baseUrl}/api/inventory`);
+        assert.equal(res.status, 401);
+    });
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Inventory = require('../models/inventory');
+const StockMovement = require('../models/StockMovement');
+const StockRequest = require('../models/StockRequest');
+const Transfer = require('../models/Transfer');
+const Warehouse = require('../models/Warehouse');
+const { createTransfer, advanceTransfer, fulfillStockRequest } = require('../services/transfer-service');
+const { connectDatabase, productFields } = require('./helpers');
+
+// An organization with 20 units at warehouse A and none at B
+async function setup() {
+    const userId = new mongoose.Types.ObjectId().toString();
+    const a = await Warehouse.create({ userId, code: 'A', name: 'Alpha' });
+    const b = await Warehouse.create({ userId, code: 'B', name: 'Beta' });
+    await Inventory.create(productFields({ userId, stockLevels: [{ warehouseId: a._id, onHand: 20 }] }));
+
+    const level = async warehouse => {
+        const item = await Inventory.findOne({ userId, sku: 'SKU-1' }).lean();
+        return item.stockLevels.find(l => String(l.warehouseId) === String(warehouse._id)) || { onHand: 0, inbound: 0, reserved: 0 };
+    };
+    return { userId, a, b, level };
+}
+
+test('transfers', async t => {
+    if (!await connectDatabase(t)) return;
+
+    await t.test('move stock from source to destination through the lifecycle', async () => {
+        const { userId, a, b, level } = await setup();
+
+        let transfer = await createTransfer(userId, { sku: 'SKU-1', quantity: 8, fromWarehouse: a._id, toWarehouse: b._id });
+        assert.equal(transfer.status, 'approved');
+        assert.equal((await level(a)).reserved, 8);
+
+        transfer = await advanceTransfer(transfer, 'picked');
+        transfer = await advanceTransfer(transfer, 'in-transit');
+        assert.equal((await level(a)).onHand, 12);
+        assert.equal((await level(a)).reserved, 0);
+        assert.equal((await level(b)).inbound, 8);
+
+        transfer = await advanceTransfer(transfer, 'received');
+        assert.equal((await level(b)).onHand, 8);
+        assert.equal((await level(b)).inbound, 0);
+        assert.equal((await Inventory.findOne({ userId }).lean()).onHand, 20);
+
+        const movements = await StockMovement.find({ userId, 'reference.id': transfer._id }).sort({ occurredAt: 1 }).lean();
+        assert.deepEqual(
+            movements.map(m => [m.type, String(m.warehouseId), m.quantity]),
+            [['transfer-out', String(a._id), -8], ['transfer-in', String(b._id), 8]]
+        );
+    });
+
+    await t.test('cannot reserve more than is available at the source', async () => {
+        const { userId, a, b } = await setup();
+
+        await createTransfer(userId, { sku: 'SKU-1', quantity: 15, fromWarehouse: a._id, toWarehouse: b._id });
+        await assert.rejects(
+            createTransfer(userId, { sku: 'SKU-1', quantity: 10, fromWarehouse: a._id, toWarehouse: b._id }),
+            { status: 400, message: /Only 5 unit/ }
+        );
+        assert.equal(await Transfer.countDocuments({ userId }), 1);
+    });
+
+    await t.test('cancelling releases the reservation', async () => {
+        const { userId, a, b, level } = await setup();
+
+        const transfer = await createTransfer(userId, { sku: 'SKU-1', quantity: 8, fromWarehouse: a._id, toWarehouse: b._id });
+        await advanceTransfer(transfer, 'cancelled');
+        assert.equal((await level(a)).reserved, 0);
+        assert.equal((await level(a)).onHand, 20);
+    });
+
+    await t.test('a stale copy cannot move the same stock twice', async () => {
+        const { userId, a, b, level } = await setup();
+
+        const transfer = await createTransfer(userId, { sku: 'SKU-1', quantity: 8, fromWarehouse: a._id, toWarehouse: b._id });
+        const picked = await advanceTransfer(transfer, 'picked');
+        await advanceTransfer(picked, 'in-transit');
+
+        await assert.rejects(advanceTransfer(picked, 'in-transit'), { status: 409 });
+        assert.equal((await level(a)).onHand, 12);
+    });
+
+    await t.test('a stock request is fulfilled only once', async () => {
+        const { userId, a, b, level } = await setup();
+        const { _id } = await StockRequest.create({ userId, sku: 'SKU-1', productName: 'Test product', quantity: 8, requestingWarehouse: b._id });
+
+        // Two copies loaded before either fulfils it
+        const results = await Promise.allSettled([
+            fulfillStockRequest(await StockRequest.findById(_id), a._id),
+            fulfillStockRequest(await StockRequest.findById(_id), a._id)
+        ]);
+
+        assert.deepEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+        assert.equal(results.find(r => r.status === 'rejected').reason.status, 409);
+        assert.equal(await Transfer.countDocuments({ userId }), 1);
+        assert.equal((await level(a)).reserved, 8);
+
+        const request = await StockRequest.findById(_id).lean();
+        assert.equal(request.status, 'approved');
+        assert.equal(String(request.transferId), String(results.find(r => r.status === 'fulfilled').value._id));
+    });
+
+    await t.test('a request whose transfer cannot be created is left as it was', async () => {
+        const { userId, a, b, level } = await setup();
+        const request = await StockRequest.create({ userId, sku: 'SKU-1', productName: 'Test product', quantity: 50, requestingWarehouse: b._id });
+
+        await assert.rejects(fulfillStockRequest(request, a._id), { status: 400 });
+
+        const unchanged = await StockRequest.findById(request._id).lean();
+        assert.equal(unchanged.status, 'requested');
+        assert.equal(unchanged.transferId, undefined);
+        assert.equal(unchanged.approvedAt, undefined);
+        assert.equal((await level(a)).reserved, 0);
+
+        // It can still be fulfilled once there is enough stock
+        request.quantity = 20;
+        await request.save();
+        const transfer = await fulfillStockRequest(request, a._id);
+        assert.equal(String((await StockRequest.findById(request._id).lean()).transferId), String(transfer._id));
+    });
+});
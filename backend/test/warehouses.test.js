@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Inventory = require('../models/inventory');
+const Transfer = require('../models/Transfer');
+const Warehouse = require('../models/Warehouse');
+const { connectDatabase, startApp, signUp, productFields } = require('./helpers');
+
+test('warehouses', async t => {
+    if (!await connectDatabase(t)) return;
+    const baseUrl = await startApp(t);
+    const { client, organizationId } = await signUp(baseUrl, 'dana@example.com');
+    const other = await signUp(baseUrl, 'eve@example.com');
+    const foreign = await Warehouse.create({ userId: other.organizationId, code: 'THEIRS', name: 'Their site' });
+
+    await t.test('a warehouse holding stock cannot be deleted', async () => {
+        const warehouse = await Warehouse.create({ userId: organizationId, code: 'OLD', name: 'Old site' });
+        for (const [sku, level] of [['ON-HAND', { onHand: 5 }], ['INBOUND', { inbound: 5 }], ['RESERVED', { onHand: 5, reserved: 5 }]]) {
+            await Inventory.create(productFields({ userId: organizationId, sku, stockLevels: [{ warehouseId: warehouse._id, ...level }] }));
+        }
+
+        const res = await client.delete(`/api/warehouses/${warehouse._id}`);
+        assert.equal(res.status, 409);
+        assert.match((await res.json()).message, /holds stock of 3 product/);
+        assert.ok(await Warehouse.exists({ _id: warehouse._id }));
+    });
+
+    await t.test('a warehouse with an open transfer cannot be deleted', async () => {
+        const from = await Warehouse.create({ userId: organizationId, code: 'FROM', name: 'Sending site' });
+        const to = await Warehouse.create({ userId: organizationId, code: 'TO', name: 'Receiving site' });
+        await Transfer.create({
+            userId: organizationId, sku: 'SKU-1', productName: 'Test product', quantity: 1,
+            fromWarehouse: from._id, toWarehouse: to._id, status: 'requested'
+        });
+
+        const res = await client.delete(`/api/warehouses/${to._id}`);
+        assert.equal(res.status, 409);
+        assert.match((await res.json()).message, /open transfer/);
+    });
+
+    await t.test('a malformed, unknown or foreign id is not found', async () => {
+        for (const id of ['not-an-id', '64b0000000000000000000ff', String(foreign._id)]) {
+            const res = await client.delete(`/api/warehouses/${id}`);
+            assert.equal(res.status, 404, id);
+            assert.equal((await res.json()).success, false);
+        }
+        assert.ok(await Warehouse.exists({ _id: foreign._id }));
+    });
+
+    await t.test('an empty warehouse is deleted along with its empty stock levels', async () => {
+        const warehouse = await Warehouse.create({ userId: organizationId, code: 'EMPTY', name: 'Empty site' });
+        const other = await Warehouse.create({ userId: organizationId, code: 'KEEP', name: 'Kept site' });
+        await Inventory.create(productFields({
+            userId: organizationId,
+            sku: 'MOVED',
+            stockLevels: [{ warehouseId: warehouse._id, onHand: 0 }, { warehouseId: other._id, onHand: 8 }]
+        }));
+
+        const body = await (await client.delete(`/api/warehouses/${warehouse._id}`)).json();
+        assert.equal(body.success, true);
+        assert.equal(await Warehouse.exists({ _id: warehouse._id }), null);
+
+        const item = await Inventory.findOne({ userId: organizationId, sku: 'MOVED' }).lean();
+        assert.deepEqual(item.stockLevels.map(level => String(level.warehouseId)), [String(other._id)]);
+        assert.equal(item.onHand, 8);
+    });
+
+    await t.test('stock cannot be placed at another organization\'s warehouse', async () => {
+        const own = await Warehouse.create({ userId: organizationId, code: 'MINE', name: 'My site' });
+
+        const res = await client.postJson('/inventory/add/json', {
+            products: [productFields({
+                sku: 'POSTED',
+                stockLevels: [
+                    { warehouseId: foreign._id, onHand: 50 },
+                    { warehouseId: '64b0000000000000000000ff', onHand: 5 },
+                    { warehouseId: own._id, onHand: 7, reserved: 7 }
+                ]
+            })]
+        });
+        assert.equal(res.status, 200);
+
+        let item = await Inventory.findOne({ userId: organizationId, sku: 'POSTED' }).lean();
+        assert.deepEqual(item.stockLevels.map(level => [String(level.warehouseId), level.onHand, level.reserved]), [[String(own._id), 7, 0]]);
+        assert.equal(item.onHand, 7);
+
+        const edit = await client.post(`/inventory/edit/${item._id}`, {
+            'stockLevels[0][warehouseId]': String(foreign._id),
+            'stockLevels[0][onHand]': '40',
+            'stockLevels[1][warehouseId]': String(own._id),
+            'stockLevels[1][onHand]': '9'
+        });
+        assert.equal(edit.status, 302);
+
+        item = await Inventory.findOne({ userId: organizationId, sku: 'POSTED' }).lean();
+        assert.deepEqual(item.stockLevels.map(level => String(level.warehouseId)), [String(own._id)]);
+        assert.equal(item.onHand, 9);
+    });
+});